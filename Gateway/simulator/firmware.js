@@ -0,0 +1,169 @@
+// Gateway/simulator/firmware.js
+/**
+ * Virtual ESP32 running the loop of esp32/firmware.ino
+ * - One tick() is one loop() pass (250 ms of device time): both distances in, trustA / trustB updated
+ *   (a changed reading costs 1 point, a stable one earns 1 back), the more trusted sensor drives the motor,
+ *   the IR counter turns into rpm once a second, and a reading is posted when the firmware would post it
+ *   (trust moved by 3+, trust below 60, or the 5 s heartbeat; 1.5 s debounce; never with an unsynced clock)
+ * - Payloads are built field by field like doPostIfNeeded (schemaVersion 2) and signed like the firmware:
+ *   hex HMAC-SHA256(secret, "<timestamp>.<nonce>.<body>")
+ * - Sensor values, clock and tampering come from the caller (see scenario.js), so the device itself has
+ *   no notion of faults
+ *
+ * Exports:
+ *  - createDevice({ deviceId, groupId, secret, random }) -> device with tick(input), sign(body, timestampSec), state()
+ *  - buildPayload(fields) -> payload JSON string in firmware field order
+ *  - signBody(secret, timestamp, nonce, body) -> hex signature
+ *  - FIRMWARE (timing and threshold constants copied from firmware.ino)
+ */
+
+const crypto = require('crypto');
+
+const FIRMWARE = {
+  tickMs: 250,               // delay(250) at the end of loop()
+  postIntervalMs: 5000,      // POST_INTERVAL_MS
+  debounceMs: 1500,          // DEBOUNCE_MS
+  trustThreshold: 60,        // TRUST_THRESHOLD
+  majorChange: 3,
+  rpmWindowMs: 1000,         // computeAndResetRPM
+  clockSyncedAfter: 1700000000,
+  maxEchoCm: 510             // pulseIn(..., 30000) timeout
+};
+
+// same field order and formatting as the String concatenation in doPostIfNeeded
+function buildPayload(f) {
+  let json = '{';
+  json += '"schemaVersion":2,';
+  json += `"eventId":"${f.eventId}",`;
+  json += `"deviceId":"${f.deviceId}",`;
+  json += `"groupId":"${f.groupId}",`;
+  json += `"oldTS":${f.oldTS},`;
+  json += `"newTS":${f.newTS},`;
+  json += `"trustA":${f.trustA},`;
+  json += `"trustB":${f.trustB},`;
+  json += `"distA":${f.distA},`;
+  json += `"distB":${f.distB},`;
+  json += `"speed":${f.speed},`;
+  json += `"reason":"${f.reason}",`;
+  json += `"ts":${f.ts}`;
+  json += '}';
+  return json;
+}
+
+function signBody(secret, timestamp, nonce, body) {
+  return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+}
+
+// HC-SR04 through readDistanceCM: whole centimetres, -1 when the echo times out
+function echo(cm) {
+  if (cm === null || cm === undefined || !Number.isFinite(cm) || cm < 0 || cm > FIRMWARE.maxEchoCm) return -1;
+  return Math.floor(cm);
+}
+
+// Arduino map() on longs
+function arduinoMap(x, inMin, inMax, outMin, outMax) {
+  return Math.trunc(((x - inMin) * (outMax - outMin)) / (inMax - inMin) + outMin);
+}
+
+function createDevice({ deviceId, groupId, secret, random = Math.random }) {
+  let millis = 0;
+  let trustA = 100;
+  let trustB = 100;
+  let lastDistA = -1;
+  let lastDistB = -1;
+  let lastPostTime = 0;
+  let lastRPMTime = 0;
+  let lastComputedRPM = 0;
+  let motorSpeed = 0;
+  let pulses = 0;
+
+  function computeAndResetRPM() {
+    if (millis - lastRPMTime < FIRMWARE.rpmWindowMs) return;
+    lastComputedRPM = Math.round(pulses / 60) * 60;
+    pulses = 0;
+    lastRPMTime = millis;
+  }
+
+  /**
+   * input: { distA, distB (cm, before echo rounding), clockSec (device wall clock), rpmFull,
+   *          reportTrustA?, reportTrustB? (tampered firmware reporting fixed trust) }
+   * -> null, or { body, ts, eventId, trustA, trustB } when this pass posts a reading
+   */
+  function tick(input) {
+    millis += FIRMWARE.tickMs;
+    const distA = echo(input.distA);
+    const distB = echo(input.distB);
+    const prevTrustA = trustA;
+    const prevTrustB = trustB;
+
+    if (distA > 0 && lastDistA > 0) {
+      if (Math.abs(distA - lastDistA) > 0) trustA = Math.max(0, trustA - 1);
+      else trustA = Math.min(100, trustA + 1);
+    }
+    if (distB > 0 && lastDistB > 0) {
+      if (Math.abs(distB - lastDistB) > 0) trustB = Math.max(0, trustB - 1);
+      else trustB = Math.min(100, trustB + 1);
+    }
+    lastDistA = distA > 0 ? distA : lastDistA;
+    lastDistB = distB > 0 ? distB : lastDistB;
+
+    const chosenDist = trustA >= trustB ? distA : distB;
+    motorSpeed = 0;
+    if (chosenDist > 5) motorSpeed = chosenDist >= 50 ? 255 : arduinoMap(chosenDist, 5, 50, 0, 255);
+
+    // IR pulses while the motor turns (one per revolution)
+    const rpmFull = Number(input.rpmFull || 0);
+    pulses += (rpmFull * motorSpeed) / 255 * (FIRMWARE.tickMs / 1000);
+    computeAndResetRPM();
+
+    // doPostIfNeeded
+    const majorChange = Math.abs(trustA - prevTrustA) >= FIRMWARE.majorChange || Math.abs(trustB - prevTrustB) >= FIRMWARE.majorChange;
+    const belowThreshold = trustA < FIRMWARE.trustThreshold || trustB < FIRMWARE.trustThreshold;
+    const timeElapsed = millis - lastPostTime >= FIRMWARE.postIntervalMs;
+    if (!(majorChange || belowThreshold || timeElapsed)) return null;
+    if (millis - lastPostTime < FIRMWARE.debounceMs) return null;
+    const tsSec = Math.floor(input.clockSec);
+    if (!(tsSec > FIRMWARE.clockSyncedAfter)) return null;
+
+    const reportedA = input.reportTrustA ?? trustA;
+    const reportedB = input.reportTrustB ?? trustB;
+    const reportedPrevA = input.reportTrustA ?? prevTrustA;
+    const eventId = `evt-${tsSec}-${1000 + Math.floor(random() * 8999)}`;
+    const body = buildPayload({
+      eventId,
+      deviceId,
+      groupId,
+      oldTS: reportedPrevA,
+      newTS: reportedA,
+      trustA: reportedA,
+      trustB: reportedB,
+      distA,
+      distB,
+      speed: lastComputedRPM,
+      reason: belowThreshold ? 'LOW_TRUST' : (majorChange ? 'TRUST_CHANGE' : 'PERIODIC'),
+      ts: tsSec
+    });
+    lastPostTime = millis;
+    return { body, ts: tsSec, eventId, trustA, trustB };
+  }
+
+  // x-* headers for a POST signed at timestampSec
+  function sign(body, timestampSec) {
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const timestamp = String(Math.floor(timestampSec));
+    return {
+      'x-device-id': deviceId,
+      'x-timestamp': timestamp,
+      'x-nonce': nonce,
+      'x-signature': signBody(secret, timestamp, nonce, body)
+    };
+  }
+
+  function state() {
+    return { deviceId, groupId, millis, trustA, trustB, lastDistA, lastDistB, motorSpeed, rpm: lastComputedRPM };
+  }
+
+  return { deviceId, groupId, tick, sign, state };
+}
+
+module.exports = { createDevice, buildPayload, signBody, FIRMWARE };
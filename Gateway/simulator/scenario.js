@@ -0,0 +1,300 @@
+// Gateway/simulator/scenario.js
+/**
+ * Scenario files for the device simulator (JSON, or YAML for .yaml / .yml)
+ * - devices: { count, prefix, groups: [...] } -> virtual devices `${prefix}-<n>` spread round-robin over the groups
+ * - phases run one after another for durationSec of device time; each sets:
+ *     object  - what both sensors look at: steady { cm } | wave { cm, amplitude, periodSec } | ramp { from, to }
+ *     sensorA / sensorB - a fault on one sensor: drift { cmPerSec } | stuck { cm? } | noise { amplitude, burstSec?, everySec? }
+ *               | timeout { rate? } | fixed { cm }
+ *     tamper  - { trustA, trustB }: modified firmware reporting fixed trust regardless of its sensors
+ *     clock   - { offsetSec } skews the device clock (payload ts and signature timestamp);
+ *               { reset: true } loses the time (the firmware posts nothing until it is synced again)
+ *     expect  - checked per device against the phase's gateway responses and socket system_alert messages:
+ *               status, readings { min, max }, flagged none | some | all, decisions (one of them seen),
+ *               noDecisions, rules (decision reasons, one of them seen), alerts { min, max, reasons }
+ * - Device time runs as fast as the gateway answers unless `pace` (ms per request) is set; signatures use the
+ *   real clock plus the device's clock offset, so fast runs stay inside the gateway's signature window
+ * - Ids get the run tag appended (`sim-drift-1-<tag>`) so earlier runs do not leak into a device's history
+ *
+ * Exports:
+ *  - loadScenario(file) -> scenario (validated)
+ *  - validateScenario(obj) -> scenario with defaults (throws listing every problem)
+ *  - runScenario(scenario, { url, token, tag, pace, settleMs, log }) -> Promise<report>
+ *  - checkPhase(expect, responses, alerts) -> [{ check, ok, detail }]
+ *  - OBJECT_PROFILES, SENSOR_FAULTS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const { io } = require('socket.io-client');
+const { createDevice } = require('./firmware');
+
+const OBJECT_PROFILES = ['steady', 'wave', 'ramp'];
+const SENSOR_FAULTS = ['none', 'drift', 'stuck', 'noise', 'timeout', 'fixed'];
+const FLAGGED_MODES = ['none', 'some', 'all'];
+
+// ---- Loading ----
+function validateScenario(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error('scenario must be an object');
+  const devices = { count: 1, prefix: 'sim', groups: ['sim-group'], ...(obj.devices || {}) };
+  if (!Number.isInteger(devices.count) || devices.count < 1) errors.push('devices.count must be a positive integer');
+  if (!Array.isArray(devices.groups) || devices.groups.length === 0) errors.push('devices.groups must be a non-empty array');
+  if (!Array.isArray(obj.phases) || obj.phases.length === 0) errors.push('phases must be a non-empty array');
+
+  (obj.phases || []).forEach((phase, i) => {
+    const at = `phases[${i}]${phase && phase.name ? ` (${phase.name})` : ''}`;
+    if (!phase || typeof phase !== 'object') return errors.push(`${at} must be an object`);
+    if (!(Number(phase.durationSec) > 0)) errors.push(`${at}.durationSec must be > 0`);
+    const object = phase.object || { profile: 'steady' };
+    if (!OBJECT_PROFILES.includes(object.profile)) errors.push(`${at}.object.profile must be one of ${OBJECT_PROFILES.join(', ')}`);
+    for (const sensor of ['sensorA', 'sensorB']) {
+      if (phase[sensor] && !SENSOR_FAULTS.includes(phase[sensor].fault)) errors.push(`${at}.${sensor}.fault must be one of ${SENSOR_FAULTS.join(', ')}`);
+    }
+    const expect = phase.expect || {};
+    if (expect.flagged !== undefined && !FLAGGED_MODES.includes(expect.flagged)) errors.push(`${at}.expect.flagged must be one of ${FLAGGED_MODES.join(', ')}`);
+    for (const key of ['decisions', 'noDecisions', 'rules']) {
+      if (expect[key] !== undefined && !Array.isArray(expect[key])) errors.push(`${at}.expect.${key} must be an array`);
+    }
+    return null;
+  });
+  if (errors.length) throw new Error(`invalid scenario: ${errors.join('; ')}`);
+
+  return {
+    name: obj.name || 'scenario',
+    description: obj.description || '',
+    seed: Number(obj.seed ?? 1),
+    rpmFull: Number(obj.rpmFull ?? 1800),
+    devices,
+    phases: obj.phases.map((p, i) => ({ name: p.name || `phase-${i + 1}`, ...p, durationSec: Number(p.durationSec) }))
+  };
+}
+
+function loadScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const obj = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  return validateScenario({ name: path.basename(file).replace(/\.(json|ya?ml)$/i, ''), ...obj });
+}
+
+// ---- World ----
+// small seeded PRNG so a scenario produces the same readings on every run
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// true distance to the object t seconds into the phase
+function objectDistance(object = { profile: 'steady' }, t, durationSec) {
+  const cm = Number(object.cm ?? 40);
+  if (object.profile === 'wave') {
+    return cm + Number(object.amplitude ?? 10) * Math.sin((2 * Math.PI * t) / Number(object.periodSec || 20));
+  }
+  if (object.profile === 'ramp') {
+    const from = Number(object.from ?? cm);
+    const to = Number(object.to ?? cm);
+    return from + ((to - from) * Math.min(t, durationSec)) / durationSec;
+  }
+  return cm;
+}
+
+// what one sensor reports; state keeps what a fault needs across ticks (the stuck value)
+function sensorReading(fault, trueCm, t, state, random) {
+  if (!fault || fault.fault === 'none') return trueCm;
+  switch (fault.fault) {
+    case 'drift':
+      return trueCm + Number(fault.cmPerSec ?? 1) * t;
+    case 'stuck':
+      if (state.stuckAt === undefined) state.stuckAt = fault.cm !== undefined ? Number(fault.cm) : trueCm;
+      return state.stuckAt;
+    case 'noise': {
+      const every = Number(fault.everySec || 0);
+      const inBurst = !every || (t % every) < Number(fault.burstSec ?? every);
+      return inBurst ? trueCm + (random() * 2 - 1) * Number(fault.amplitude ?? 10) : trueCm;
+    }
+    case 'timeout':
+      return random() < Number(fault.rate ?? 1) ? null : trueCm;
+    case 'fixed':
+      return Number(fault.cm);
+    default:
+      return trueCm;
+  }
+}
+
+// ---- Checks ----
+function range(count, { min, max } = {}) {
+  return (min === undefined || count >= min) && (max === undefined || count <= max);
+}
+
+/**
+ * responses: [{ status, body }] of one device in one phase; alerts: system_alert payloads for it
+ */
+function checkPhase(expect = {}, responses = [], alerts = []) {
+  const results = [];
+  const add = (check, ok, detail) => results.push({ check, ok: !!ok, detail });
+  const accepted = responses.filter(r => r.status === 200);
+  const actions = accepted.map(r => r.body && r.body.systemDecision && r.body.systemDecision.action).filter(Boolean);
+  const reasons = accepted.map(r => r.body && r.body.systemDecision && r.body.systemDecision.reason).filter(Boolean);
+  const count = (list) => [...list.reduce((m, v) => m.set(v, (m.get(v) || 0) + 1), new Map())].map(([k, n]) => `${k}×${n}`).join(', ') || 'none';
+
+  if (expect.readings) {
+    add('readings', range(responses.length, expect.readings), `${responses.length} reading(s), expected ${JSON.stringify(expect.readings)}`);
+  }
+  if (expect.status !== undefined) {
+    const off = responses.filter(r => r.status !== expect.status);
+    add('status', off.length === 0, off.length
+      ? `${off.length} of ${responses.length} answered ${[...new Set(off.map(r => `${r.status}${r.body && r.body.error ? ` (${r.body.error})` : ''}`))].join(', ')}`
+      : `all ${responses.length} answered ${expect.status}`);
+  }
+  if (expect.flagged) {
+    const flagged = accepted.filter(r => r.body && r.body.flagged).length;
+    const ok = expect.flagged === 'none' ? flagged === 0
+      : expect.flagged === 'all' ? accepted.length > 0 && flagged === accepted.length
+        : flagged > 0;
+    add('flagged', ok, `${flagged} of ${accepted.length} flagged, expected ${expect.flagged}`);
+  }
+  if (expect.decisions) {
+    add('decisions', expect.decisions.some(a => actions.includes(a)), `decisions: ${count(actions)}; expected one of ${expect.decisions.join(', ')}`);
+  }
+  if (expect.noDecisions) {
+    const seen = actions.filter(a => expect.noDecisions.includes(a));
+    add('noDecisions', seen.length === 0, `decisions: ${count(actions)}; expected none of ${expect.noDecisions.join(', ')}`);
+  }
+  if (expect.rules) {
+    add('rules', expect.rules.some(r => reasons.includes(r)), `reasons: ${count(reasons)}; expected one of ${expect.rules.join(', ')}`);
+  }
+  if (expect.alerts) {
+    const alertReasons = alerts.map(a => a.decision && a.decision.reason).filter(Boolean);
+    const wanted = expect.alerts.reasons;
+    const ok = range(alerts.length, expect.alerts) && (!wanted || wanted.some(r => alertReasons.includes(r)));
+    add('alerts', ok, `${alerts.length} system_alert(s) (${count(alertReasons)}), expected ${JSON.stringify(expect.alerts)}`);
+  }
+  return results;
+}
+
+// what a device's phase looked like: { readings, statuses, flagged, decisions, alerts }
+function summarize(responses, alerts) {
+  const tally = (list) => list.reduce((m, v) => ({ ...m, [v]: (m[v] || 0) + 1 }), {});
+  return {
+    readings: responses.length,
+    statuses: tally(responses.map(r => r.status)),
+    flagged: responses.filter(r => r.status === 200 && r.body && r.body.flagged).length,
+    decisions: tally(responses.map(r => r.body && r.body.systemDecision && (r.body.systemDecision.reason || r.body.systemDecision.action)).filter(Boolean)),
+    alerts: tally(alerts.map(a => (a.decision && a.decision.reason) || 'alert'))
+  };
+}
+
+// ---- Running ----
+async function registerDevice(http, token, deviceId, groupId) {
+  const headers = { authorization: `Bearer ${token}` };
+  const created = await http.post('/admin/devices', { deviceId, groupId, label: 'simulator' }, { headers });
+  if (created.status === 201) return created.data.secret;
+  // already registered (a re-run with the same tag): take a fresh key, the old one stops working at once
+  const rotated = await http.post(`/admin/devices/${encodeURIComponent(deviceId)}/rotate`, { graceSec: 0 }, { headers });
+  if (rotated.status === 200 && rotated.data.secret) return rotated.data.secret;
+  throw new Error(`could not register ${deviceId}: ${(created.data && created.data.error) || created.status}`);
+}
+
+function watchAlerts(url, token, deviceIds) {
+  const socket = io(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  const listeners = [];
+  socket.on('system_alert', (msg) => {
+    if (msg.backfill) return;
+    listeners.forEach(fn => fn(msg));
+  });
+  const ready = new Promise((resolve, reject) => {
+    socket.once('connect_error', (err) => reject(new Error(`socket: ${err.message}`)));
+    socket.once('connect', () => {
+      Promise.all(deviceIds.map(deviceId => new Promise((done) => socket.emit('subscribe', { deviceId, limit: 0 }, done))))
+        .then(() => resolve());
+    });
+  });
+  return { ready, onAlert: (fn) => listeners.push(fn), close: () => socket.close() };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function runScenario(scenario, opts = {}) {
+  const { url, token, pace = 0, settleMs = 300, log = () => {} } = opts;
+  const tag = opts.tag === undefined ? Date.now().toString(36) : opts.tag;
+  const suffix = tag ? `-${tag}` : '';
+  const http = axios.create({ baseURL: url, validateStatus: () => true, timeout: 15000 });
+  const random = mulberry32(scenario.seed);
+
+  const devices = [];
+  for (let i = 0; i < scenario.devices.count; i++) {
+    const deviceId = `${scenario.devices.prefix}-${i + 1}${suffix}`;
+    const groupId = `${scenario.devices.groups[i % scenario.devices.groups.length]}${suffix}`;
+    const secret = await registerDevice(http, token, deviceId, groupId);
+    devices.push({ device: createDevice({ deviceId, groupId, secret, random }), sensors: { A: {}, B: {} } });
+  }
+  log(`[simulator] ${scenario.name}: ${devices.length} device(s) in ${new Set(devices.map(d => d.device.groupId)).size} group(s)`);
+
+  const watcher = watchAlerts(url, token, devices.map(d => d.device.deviceId));
+  await watcher.ready;
+  let current = null;
+  watcher.onAlert((msg) => {
+    if (current && current.alerts[msg.deviceId]) current.alerts[msg.deviceId].push(msg);
+  });
+
+  const report = { scenario: scenario.name, tag, devices: devices.map(d => d.device.deviceId), phases: [], ok: true };
+  const clockStart = Date.now() / 1000;
+  let elapsedSec = 0;
+  try {
+    for (const phase of scenario.phases) {
+      current = { responses: {}, alerts: {} };
+      devices.forEach(({ device, sensors }) => {
+        current.responses[device.deviceId] = [];
+        current.alerts[device.deviceId] = [];
+        sensors.A = {};
+        sensors.B = {};
+      });
+      const clock = phase.clock || {};
+      const ticks = Math.round((phase.durationSec * 1000) / 250);
+
+      for (let n = 1; n <= ticks; n++) {
+        const t = (n * 250) / 1000;
+        for (const { device, sensors } of devices) {
+          const trueCm = objectDistance(phase.object, t, phase.durationSec);
+          const reading = device.tick({
+            distA: sensorReading(phase.sensorA, trueCm, t, sensors.A, random),
+            distB: sensorReading(phase.sensorB, trueCm, t, sensors.B, random),
+            clockSec: clock.reset ? elapsedSec + t : clockStart + elapsedSec + t + Number(clock.offsetSec || 0),
+            rpmFull: scenario.rpmFull,
+            reportTrustA: phase.tamper ? phase.tamper.trustA : undefined,
+            reportTrustB: phase.tamper ? phase.tamper.trustB : undefined
+          });
+          if (!reading) continue;
+          const headers = { 'content-type': 'application/json', ...device.sign(reading.body, Date.now() / 1000 + Number(clock.offsetSec || 0)) };
+          const res = await http.post('/data', reading.body, { headers, transformRequest: [(data) => data] });
+          current.responses[device.deviceId].push({ eventId: reading.eventId, status: res.status, body: res.data });
+          if (pace) await sleep(pace);
+        }
+      }
+      elapsedSec += phase.durationSec;
+      await sleep(settleMs); // let the phase's socket messages arrive
+
+      const phaseReport = { name: phase.name, devices: {} };
+      for (const { device } of devices) {
+        const responses = current.responses[device.deviceId];
+        const checks = checkPhase(phase.expect, responses, current.alerts[device.deviceId]);
+        phaseReport.devices[device.deviceId] = { ...summarize(responses, current.alerts[device.deviceId]), checks };
+        if (checks.some(c => !c.ok)) report.ok = false;
+      }
+      report.phases.push(phaseReport);
+      log(`[simulator] ${scenario.name} / ${phase.name}: ${Object.values(phaseReport.devices).reduce((s, d) => s + d.readings, 0)} reading(s)`);
+    }
+  } finally {
+    watcher.close();
+  }
+  return report;
+}
+
+module.exports = { loadScenario, validateScenario, runScenario, checkPhase, OBJECT_PROFILES, SENSOR_FAULTS };
@@ -0,0 +1,566 @@
+// Gateway/src/alerts.js
+/**
+ * Alert routing: turns pipeline records into alerts and delivers them to webhooks and SMTP email
+ * - Sources (alertsForRecord): cross-validation divergence, system decisions (confirm_unreliable, flag_for_review),
+ *   flagged readings and on-chain writes that ended in the dead-letter store
+ * - Rules (config/alerts.json or ALERTS_FILE, JSON or YAML) match on severity, type, group and device; every
+ *   matching rule routes the alert to its channels (a channel gets an alert once even if several rules name it)
+ * - Deduplication: the same type for the same device/group at most dedupeWindowSec after the open alert was last
+ *   seen (inclusive) bumps its occurrences instead of raising a new one; repeats are written to alerts.json at most
+ *   every ALERTS_FLUSH_MS (default 5000) rather than once per reading
+ * - Cooldown: after a rule delivered for a device, that rule stays quiet for the device for cooldownSec
+ *   (suppressed deliveries are still logged)
+ * - Escalation: alerts not acknowledged within a rule's escalation[i].afterSec go to that level's channels,
+ *   at most maxEscalations times per alert
+ * - Expiry: an open alert not seen for expireAfterSec (e.g. a decommissioned device) is closed as 'expired' by the
+ *   escalation check; acknowledged and expired alerts beyond ALERTS_MAX are pruned, oldest first
+ * - Every delivery attempt is appended to data/alert-deliveries.ndjson; alerts live in data/alerts.json
+ * - Config strings may reference the environment as ${NAME}; channels whose url / recipients resolve to
+ *   empty are disabled
+ *
+ * Exports:
+ *  - initAlerts({ configFile, alertsFile, deliveriesFile, onEvent, timer }), stopAlerts()
+ *  - loadAlertConfig(file?) -> config (throws on an invalid file and keeps the previous one)
+ *  - getAlertConfig() -> config with secrets masked
+ *  - alertsForRecord(record) -> [alert input]
+ *  - raiseAlert(input, now?) -> { alert, deduped, delivered: Promise<[delivery]> }
+ *  - acknowledgeAlert(id, { actor, note }) -> alert
+ *  - listAlerts({ status, severity, deviceId, groupId, limit }), getAlert(id)
+ *  - listDeliveries({ alertId, status, channel, limit }) (newest first, read from the end of the log; limit <= 1000)
+ *  - checkEscalations(now?) -> Promise<[delivery]>
+ *  - SEVERITIES
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const yaml = require('js-yaml');
+const { DATA_DIR } = require('./storage');
+
+const DEFAULT_CONFIG_FILE = process.env.ALERTS_FILE || path.join(__dirname, '..', 'config', 'alerts.json');
+const DEFAULT_ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const DEFAULT_DELIVERIES_FILE = path.join(DATA_DIR, 'alert-deliveries.ndjson');
+const ALERTS_MAX = Number(process.env.ALERTS_MAX || 1000); // closed alerts beyond this are pruned, oldest first
+const FLUSH_MS = Number(process.env.ALERTS_FLUSH_MS || 5000);
+const DELIVERIES_LIST_MAX = 1000;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNEL_TYPES = ['webhook', 'email'];
+
+let configFile = DEFAULT_CONFIG_FILE;
+let alertsFile = DEFAULT_ALERTS_FILE;
+let deliveriesFile = DEFAULT_DELIVERIES_FILE;
+let config = { dedupeWindowSec: 300, cooldownSec: 600, escalationCheckSec: 30, expireAfterSec: 86400, maxEscalations: 3, delivery: {}, channels: {}, rules: [] };
+let alerts = {};               // id -> alert
+const openByKey = new Map();   // dedupe key -> the open alert repeats fold into
+let flushTimer = null;         // pending save of deduped repeats
+const cooldowns = new Map();   // `${ruleId}|${subject}` -> last delivery ms
+let transports = new Map();    // smtp settings key -> nodemailer transport
+let escalationTimer = null;
+let onEvent = () => {};
+
+// ---- Config ----
+function expandEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (m, name) => process.env[name] || '');
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  }
+  return value;
+}
+
+function recipients(to) {
+  return [].concat(to || []).flatMap(t => String(t).split(',')).map(t => t.trim()).filter(Boolean);
+}
+
+function validateConfig(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('alerts config must be an object');
+  const cfg = expandEnv(raw);
+  const channels = {};
+  for (const [name, ch] of Object.entries(cfg.channels || {})) {
+    if (!CHANNEL_TYPES.includes(ch.type)) throw new Error(`channel ${name} has unknown type ${ch.type}`);
+    const enabled = ch.type === 'webhook' ? !!ch.url : recipients(ch.to).length > 0;
+    channels[name] = { ...ch, name, enabled };
+  }
+  const rules = (cfg.rules || []).map((rule) => {
+    if (!rule.id) throw new Error('every alert rule needs an id');
+    const match = rule.match || {};
+    if (match.minSeverity && !SEVERITIES.includes(match.minSeverity)) {
+      throw new Error(`rule ${rule.id} has unknown minSeverity ${match.minSeverity}`);
+    }
+    const levels = [].concat(rule.escalation || []);
+    for (const name of [...(rule.channels || []), ...levels.flatMap(l => l.channels || [])]) {
+      if (!channels[name]) throw new Error(`rule ${rule.id} uses unknown channel ${name}`);
+    }
+    levels.forEach((l, i) => {
+      if (!(Number(l.afterSec) > 0)) throw new Error(`rule ${rule.id} escalation ${i + 1} needs afterSec > 0`);
+    });
+    return { ...rule, match, channels: rule.channels || [], escalation: levels };
+  });
+  return {
+    dedupeWindowSec: Number(cfg.dedupeWindowSec ?? 300),
+    cooldownSec: Number(cfg.cooldownSec ?? 600),
+    escalationCheckSec: Number(cfg.escalationCheckSec ?? 30),
+    expireAfterSec: Number(cfg.expireAfterSec ?? 86400), // 0 keeps open alerts until acknowledged
+    maxEscalations: Number(cfg.maxEscalations ?? 3),
+    delivery: { attempts: 3, backoffMs: 1000, timeoutMs: 5000, ...(cfg.delivery || {}) },
+    smtp: cfg.smtp || {},
+    channels,
+    rules
+  };
+}
+
+function loadAlertConfig(file = configFile) {
+  if (!fs.existsSync(file)) {
+    console.warn(`[alerts] no alerts config at ${file}; alerts are recorded but not delivered`);
+    return config;
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  config = validateConfig(/\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text));
+  configFile = file;
+  transports = new Map();
+  const disabled = Object.values(config.channels).filter(c => !c.enabled).map(c => c.name);
+  console.log(`[alerts] loaded ${config.rules.length} rule(s), ${Object.keys(config.channels).length} channel(s) from ${file}` +
+    (disabled.length ? ` (not configured: ${disabled.join(', ')})` : ''));
+  return config;
+}
+
+function maskUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname.length > 1 ? '/…' : ''}`;
+  } catch (e) {
+    return '…';
+  }
+}
+
+function getAlertConfig() {
+  const channels = Object.fromEntries(Object.entries(config.channels).map(([name, ch]) => [name, {
+    ...ch,
+    url: ch.url ? maskUrl(ch.url) : undefined,
+    headers: ch.headers ? Object.fromEntries(Object.keys(ch.headers).map(k => [k, '…'])) : undefined
+  }]));
+  const smtp = { ...config.smtp, pass: config.smtp.pass ? '…' : undefined };
+  return { file: configFile, ...config, smtp, channels };
+}
+
+// ---- Persistence ----
+function loadAlerts() {
+  alerts = {};
+  openByKey.clear();
+  try {
+    if (fs.existsSync(alertsFile)) alerts = JSON.parse(fs.readFileSync(alertsFile, 'utf8') || '{}');
+  } catch (e) {
+    console.warn('[alerts] alerts load failed', e.message);
+    alerts = {};
+  }
+  // the newest open alert per key is the one repeats fold into
+  for (const a of Object.values(alerts).sort((x, y) => x.createdAt.localeCompare(y.createdAt))) {
+    if (a.status === 'open') openByKey.set(a.key, a);
+  }
+}
+
+function saveAlerts() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  const all = Object.values(alerts);
+  if (all.length > ALERTS_MAX) {
+    const prunable = all.filter(a => a.status !== 'open').sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt));
+    for (const a of prunable.slice(0, all.length - ALERTS_MAX)) delete alerts[a.id];
+  }
+  fs.mkdirSync(path.dirname(alertsFile), { recursive: true });
+  fs.writeFileSync(alertsFile, JSON.stringify(alerts, null, 2), 'utf8');
+}
+
+// deduped repeats only bump counters: batch them into one write instead of rewriting the file per reading
+function scheduleSave() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    try {
+      saveAlerts();
+    } catch (err) {
+      console.error('[alerts] save failed:', err && err.message ? err.message : err);
+    }
+  }, FLUSH_MS);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+function logDelivery(entry) {
+  const record = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+  fs.mkdirSync(path.dirname(deliveriesFile), { recursive: true });
+  fs.appendFileSync(deliveriesFile, JSON.stringify(record) + '\n', 'utf8');
+  return record;
+}
+
+// lines of a file from the last to the first, read in chunks from the end; stops when visit returns false
+function eachLineFromEnd(file, visit) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    while (pos > 0) {
+      const len = Math.min(TAIL_CHUNK_BYTES, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, pos);
+      // split on bytes so a multi-byte character across two chunks stays intact
+      const data = Buffer.concat([chunk, tail]);
+      let end = data.length;
+      let nl;
+      while (end > 0 && (nl = data.lastIndexOf(0x0a, end - 1)) !== -1) {
+        if (visit(data.toString('utf8', nl + 1, end)) === false) return;
+        end = nl;
+      }
+      tail = data.subarray(0, end);
+    }
+    if (tail.length) visit(tail.toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function listDeliveries({ alertId, status, channel, limit = 200 } = {}) {
+  if (!fs.existsSync(deliveriesFile)) return [];
+  const max = Math.min(Number(limit) || 200, DELIVERIES_LIST_MAX);
+  const out = [];
+  eachLineFromEnd(deliveriesFile, (line) => {
+    if (!line.trim()) return true;
+    try {
+      const d = JSON.parse(line);
+      if (alertId && d.alertId !== alertId) return true;
+      if (status && d.status !== status) return true;
+      if (channel && d.channel !== channel) return true;
+      out.push(d);
+    } catch (e) {
+      // skip torn lines
+    }
+    return out.length < max;
+  });
+  return out; // newest first
+}
+
+// ---- Alert sources ----
+function describe(record) {
+  return `${record.deviceId || 'unknown device'}${record.groupId ? ` (${record.groupId})` : ''}`;
+}
+
+function alertsForRecord(record) {
+  const base = { deviceId: record.deviceId ?? null, groupId: record.groupId ?? null, eventId: record.eventId ?? null };
+  const out = [];
+  if (record.stage === 'received' && record.crossValidation && record.crossValidation.divergent) {
+    const c = record.crossValidation;
+    out.push({
+      ...base,
+      type: 'trust_divergence',
+      severity: 'warning',
+      message: `${describe(record)} reports trust ${record.trustA}/${record.trustB}, gateway computes ${c.gatewayTrustA}/${c.gatewayTrustB}`,
+      details: { divergence: c.divergence, issues: c.issues }
+    });
+  } else if (record.stage === 'system-validation' && record.systemDecision) {
+    const d = record.systemDecision;
+    if (d.action === 'confirm_unreliable' || d.action === 'flag_for_review') {
+      out.push({
+        ...base,
+        type: d.action,
+        severity: d.action === 'confirm_unreliable' ? 'critical' : 'warning',
+        message: `${describe(record)}: system validation ${d.action.replace(/_/g, ' ')} (${d.reason || 'no reason'})`,
+        details: { reason: d.reason || null, evidence: d.evidence || null }
+      });
+    }
+  } else if (record.stage === 'pre-chain' && record.flagged) {
+    out.push({
+      ...base,
+      type: 'flagged',
+      severity: 'warning',
+      message: `${describe(record)} flagged: trust ${record.trustA}/${record.trustB}`,
+      details: { localFlagged: !!record.localFlagged, gatewayFlagged: !!record.gatewayFlagged }
+    });
+  } else if (record.stage === 'post-chain-failed' || record.stage === 'batch-anchor-failed') {
+    out.push({
+      ...base,
+      type: 'chain_write_failed',
+      severity: 'critical',
+      message: record.stage === 'batch-anchor-failed'
+        ? `Batch ${record.batchId} could not be anchored after ${record.attempts} attempt(s): ${record.error}`
+        : `On-chain write for ${record.eventId} (${describe(record)}) failed after ${record.attempts} attempt(s): ${record.error}`,
+      details: { error: record.error || null, attempts: record.attempts || null, batchId: record.batchId || null }
+    });
+  }
+  return out;
+}
+
+// ---- Routing ----
+function idMatches(patterns, value) {
+  if (!patterns || patterns.length === 0) return true;
+  if (value === null || value === undefined) return false;
+  return [].concat(patterns).some(p => (String(p).endsWith('*') ? String(value).startsWith(String(p).slice(0, -1)) : String(p) === String(value)));
+}
+
+function ruleMatches(rule, alert) {
+  const m = rule.match;
+  if (m.minSeverity && SEVERITIES.indexOf(alert.severity) < SEVERITIES.indexOf(m.minSeverity)) return false;
+  if (m.severities && !m.severities.includes(alert.severity)) return false;
+  if (m.types && !m.types.includes(alert.type)) return false;
+  if (!idMatches(m.groups, alert.groupId)) return false;
+  if (!idMatches(m.devices, alert.deviceId)) return false;
+  return true;
+}
+
+function alertText(alert, kind, level) {
+  const lines = [
+    `${kind === 'escalation' ? `ESCALATION (level ${level}, not acknowledged): ` : ''}${alert.message}`,
+    '',
+    `type: ${alert.type}`,
+    `severity: ${alert.severity}`,
+    `device: ${alert.deviceId || '—'}`,
+    `group: ${alert.groupId || '—'}`,
+    `event: ${alert.eventId || '—'}`,
+    `first seen: ${alert.createdAt}`,
+    `occurrences: ${alert.occurrences}`,
+    `alert id: ${alert.id}`
+  ];
+  return lines.join('\n');
+}
+
+function smtpTransport() {
+  const smtp = config.smtp || {};
+  const key = JSON.stringify(smtp);
+  if (!transports.has(key)) {
+    transports.set(key, nodemailer.createTransport({
+      host: smtp.host || 'localhost',
+      port: Number(smtp.port || 25),
+      secure: smtp.secure === true || smtp.secure === 'true',
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      ignoreTLS: smtp.ignoreTLS === true || smtp.ignoreTLS === 'true',
+      connectionTimeout: config.delivery.timeoutMs,
+      socketTimeout: config.delivery.timeoutMs
+    }));
+  }
+  return transports.get(key);
+}
+
+async function send(channel, alert, kind, level) {
+  if (channel.type === 'webhook') {
+    const body = { kind, level, alert, text: alertText(alert, kind, level) };
+    const res = await axios.post(channel.url, body, { timeout: config.delivery.timeoutMs, headers: channel.headers || {} });
+    return { response: res.status };
+  }
+  const subject = `${kind === 'escalation' ? '[ESCALATED] ' : ''}[${alert.severity.toUpperCase()}] ${alert.type} on ${alert.deviceId || alert.groupId || 'gateway'}`;
+  const info = await smtpTransport().sendMail({
+    from: channel.from || config.smtp.from || 'trust-gateway@localhost',
+    to: recipients(channel.to).join(', '),
+    subject,
+    text: alertText(alert, kind, level)
+  });
+  return { response: info.messageId || info.response || null };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// one channel, with retries; every attempt is logged
+async function deliver(channel, alert, { ruleId, kind, level }) {
+  const attempts = Math.max(1, Number(config.delivery.attempts) || 1);
+  let last = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const started = Date.now();
+    try {
+      const { response } = await send(channel, alert, kind, level);
+      return logDelivery({ alertId: alert.id, ruleId, channel: channel.name, type: channel.type, kind, level, attempt, status: 'sent', response, durationMs: Date.now() - started });
+    } catch (err) {
+      const error = err && err.message ? err.message : String(err);
+      last = logDelivery({ alertId: alert.id, ruleId, channel: channel.name, type: channel.type, kind, level, attempt, status: 'failed', error, durationMs: Date.now() - started });
+      console.warn(`[alerts] ${channel.name} delivery of ${alert.id} failed (attempt ${attempt}/${attempts}): ${error}`);
+      if (attempt < attempts) await sleep(Number(config.delivery.backoffMs || 0) * attempt);
+    }
+  }
+  return last;
+}
+
+// deliver to each distinct channel of the routes; returns the final log entry per channel
+function dispatch(alert, routes, { kind, level = 0 }) {
+  const seen = new Set();
+  const jobs = [];
+  for (const { ruleId, channels } of routes) {
+    for (const name of channels) {
+      const channel = config.channels[name];
+      if (!channel || !channel.enabled || seen.has(name)) continue;
+      seen.add(name);
+      jobs.push(deliver(channel, alert, { ruleId, kind, level }));
+    }
+  }
+  return Promise.all(jobs);
+}
+
+// ---- Public API ----
+function raiseAlert(input, now = Date.now()) {
+  if (!SEVERITIES.includes(input.severity)) throw new Error(`unknown severity ${input.severity}`);
+  const key = [input.type, input.deviceId || '', input.groupId || ''].join('|');
+  const nowIso = new Date(now).toISOString();
+
+  // the window is inclusive and slides: a repeat exactly dedupeWindowSec after the last one is still folded in
+  const existing = openByKey.get(key);
+  if (existing && now - Date.parse(existing.lastSeenAt) <= config.dedupeWindowSec * 1000) {
+    existing.occurrences++;
+    existing.lastSeenAt = nowIso;
+    existing.lastEventId = input.eventId ?? existing.lastEventId;
+    if (SEVERITIES.indexOf(input.severity) > SEVERITIES.indexOf(existing.severity)) existing.severity = input.severity;
+    scheduleSave();
+    return { alert: existing, deduped: true, delivered: Promise.resolve([]) };
+  }
+
+  const alert = {
+    id: crypto.randomUUID(),
+    key,
+    type: input.type,
+    severity: input.severity,
+    deviceId: input.deviceId ?? null,
+    groupId: input.groupId ?? null,
+    eventId: input.eventId ?? null,
+    lastEventId: input.eventId ?? null,
+    message: input.message || input.type,
+    details: input.details || null,
+    status: 'open',
+    createdAt: nowIso,
+    lastSeenAt: nowIso,
+    occurrences: 1,
+    rules: [],
+    escalations: [],
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    note: null
+  };
+
+  // cooldown is per rule and device (group or gateway-wide when the alert has no device)
+  const subject = alert.deviceId || alert.groupId || 'gateway';
+  const routes = [];
+  const suppressed = [];
+  for (const rule of config.rules.filter(r => ruleMatches(r, alert))) {
+    alert.rules.push(rule.id);
+    const cooldownKey = `${rule.id}|${subject}`;
+    const cooldownSec = Number(rule.cooldownSec ?? config.cooldownSec);
+    const last = cooldowns.get(cooldownKey);
+    if (last !== undefined && now - last < cooldownSec * 1000) {
+      suppressed.push(rule);
+      continue;
+    }
+    cooldowns.set(cooldownKey, now);
+    routes.push({ ruleId: rule.id, channels: rule.channels });
+  }
+  alerts[alert.id] = alert;
+  openByKey.set(key, alert);
+  saveAlerts();
+  console.log(`[alerts] ${alert.severity} ${alert.type} for ${subject}: rules [${alert.rules.join(', ')}]${suppressed.length ? `, cooling down [${suppressed.map(r => r.id).join(', ')}]` : ''}`);
+
+  for (const rule of suppressed) {
+    for (const name of rule.channels.filter(n => config.channels[n].enabled)) {
+      logDelivery({ alertId: alert.id, ruleId: rule.id, channel: name, type: config.channels[name].type, kind: 'alert', level: 0, status: 'suppressed', reason: 'cooldown' });
+    }
+  }
+  onEvent('raised', alert);
+  return { alert, deduped: false, delivered: dispatch(alert, routes, { kind: 'alert' }) };
+}
+
+function getAlert(id) {
+  return alerts[id] || null;
+}
+
+function acknowledgeAlert(id, { actor, note } = {}) {
+  const alert = alerts[id];
+  if (!alert) throw new Error('alert not found');
+  if (alert.status !== 'open') throw new Error(`alert already ${alert.status}`);
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = actor || 'unknown';
+  alert.note = note || null;
+  if (openByKey.get(alert.key) === alert) openByKey.delete(alert.key);
+  saveAlerts();
+  onEvent('acknowledged', alert);
+  return alert;
+}
+
+function listAlerts({ status, severity, deviceId, groupId, limit = 200 } = {}) {
+  return Object.values(alerts)
+    .filter(a => !status || a.status === status)
+    .filter(a => !severity || a.severity === severity)
+    .filter(a => !deviceId || a.deviceId === deviceId)
+    .filter(a => !groupId || a.groupId === groupId)
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .slice(0, Number(limit) || 200);
+}
+
+// close an open alert nobody acknowledged and that has not been seen for expireAfterSec
+function expireAlert(alert, now) {
+  alert.status = 'expired';
+  alert.expiredAt = new Date(now).toISOString();
+  if (openByKey.get(alert.key) === alert) openByKey.delete(alert.key);
+  console.log(`[alerts] ${alert.id} (${alert.type} for ${alert.deviceId || alert.groupId || 'gateway'}) expired after ${config.expireAfterSec}s without a repeat`);
+  onEvent('expired', alert);
+}
+
+// escalate open alerts whose rules have a level that is now due; each level fires once per alert and an alert
+// escalates at most maxEscalations times; idle open alerts expire first
+function checkEscalations(now = Date.now()) {
+  const jobs = [];
+  let changed = false;
+  for (const alert of Object.values(alerts)) {
+    if (alert.status !== 'open') continue;
+    if (config.expireAfterSec > 0 && now - Date.parse(alert.lastSeenAt) >= config.expireAfterSec * 1000) {
+      expireAlert(alert, now);
+      changed = true;
+      continue;
+    }
+    const age = now - Date.parse(alert.createdAt);
+    for (const rule of config.rules.filter(r => alert.rules.includes(r.id))) {
+      rule.escalation.forEach((level, i) => {
+        const done = alert.escalations.some(e => e.ruleId === rule.id && e.level === i + 1);
+        if (done || age < Number(level.afterSec) * 1000 || alert.escalations.length >= config.maxEscalations) return;
+        alert.escalations.push({ ruleId: rule.id, level: i + 1, at: new Date(now).toISOString() });
+        console.log(`[alerts] escalating ${alert.id} (${alert.type}) via ${rule.id} level ${i + 1}`);
+        onEvent('escalated', alert);
+        jobs.push(dispatch(alert, [{ ruleId: rule.id, channels: level.channels || [] }], { kind: 'escalation', level: i + 1 }));
+      });
+    }
+  }
+  if (jobs.length || changed) saveAlerts();
+  return Promise.all(jobs).then(results => results.flat());
+}
+
+function stopAlerts() {
+  if (escalationTimer) clearInterval(escalationTimer);
+  escalationTimer = null;
+  if (flushTimer) saveAlerts();
+}
+
+function initAlerts(opts = {}) {
+  stopAlerts();
+  alertsFile = opts.alertsFile || DEFAULT_ALERTS_FILE;
+  deliveriesFile = opts.deliveriesFile || DEFAULT_DELIVERIES_FILE;
+  onEvent = opts.onEvent || (() => {});
+  cooldowns.clear();
+  loadAlerts();
+  loadAlertConfig(opts.configFile || configFile);
+  if (opts.timer !== false) {
+    escalationTimer = setInterval(() => {
+      checkEscalations().catch(err => console.error('[alerts] escalation check failed:', err && err.message ? err.message : err));
+    }, Math.max(1, config.escalationCheckSec) * 1000);
+    escalationTimer.unref();
+  }
+}
+
+module.exports = {
+  initAlerts,
+  stopAlerts,
+  loadAlertConfig,
+  getAlertConfig,
+  alertsForRecord,
+  raiseAlert,
+  acknowledgeAlert,
+  listAlerts,
+  getAlert,
+  listDeliveries,
+  checkEscalations,
+  SEVERITIES
+};
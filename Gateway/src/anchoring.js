@@ -0,0 +1,217 @@
+// Gateway/src/anchoring.js
+/**
+ * Merkle-batched anchoring of readings to TrustLogger
+ * - Every accepted reading (flagged or not) adds its keccakHash to the open batch
+ * - The batch is sealed when its window (ANCHOR_BATCH_WINDOW_MS) elapses or it reaches
+ *   ANCHOR_BATCH_MAX_LEAVES; sealing builds the Merkle tree and hands the root to the caller
+ *   (index.js pushes it through the durable write queue -> TrustLogger.logTrustBatch)
+ * - Batch state is journaled to data/batches.ndjson (leaf / seal / anchored ops) and replayed on boot,
+ *   so an open batch and the proofs of sealed batches survive restarts
+ *
+ * Exports:
+ *  - initAnchoring({ onSeal, journalFile, windowMs, maxLeaves })
+ *      onSeal(batch) -> called with { batchId, merkleRoot, count, fromTs, toTs } once a batch is sealed
+ *  - addToBatch({ eventId, deviceId, groupId, dataHash, receivedAt })
+ *  - markAnchored(batchId, result)
+ *  - getEventProof(deviceId, eventId) -> proof object or null (a reading is identified by device and eventId, as in ingest)
+ *  - getBatch(batchId)
+ *  - stopAnchoring()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+const { buildTree, merkleRoot, merkleProof } = require('./merkle');
+
+const DEFAULT_JOURNAL_FILE = process.env.ANCHOR_JOURNAL_FILE || path.join(DATA_DIR, 'batches.ndjson');
+const DEFAULT_WINDOW_MS = Number(process.env.ANCHOR_BATCH_WINDOW_MS || 60_000);
+const DEFAULT_MAX_LEAVES = Number(process.env.ANCHOR_BATCH_MAX_LEAVES || 1000);
+const ALGORITHM = 'keccak256-sorted-pairs';
+
+let journalFile = DEFAULT_JOURNAL_FILE;
+let windowMs = DEFAULT_WINDOW_MS;
+let maxLeaves = DEFAULT_MAX_LEAVES;
+let onSeal = () => {};
+let timer = null;
+
+let openBatch = null;          // { batchId, openedAt, leaves: [{ eventId, deviceId, groupId, dataHash, ts }] }
+const batches = new Map();     // batchId -> sealed batch { batchId, merkleRoot, leaves, layers, count, fromTs, toTs, sealedAt, anchor }
+const eventIndex = new Map();  // `${deviceId}|${eventId}` -> { batchId, index }
+
+const leafKey = (deviceId, eventId) => `${deviceId}|${eventId}`;
+
+// ---- Journal ----
+function writeOp(op) {
+  fs.appendFileSync(journalFile, JSON.stringify({ ...op, at: new Date().toISOString() }) + '\n', 'utf8');
+}
+
+function newBatch(batchId, openedAt) {
+  return { batchId, openedAt, leaves: [] };
+}
+
+function applyOp(op) {
+  switch (op.op) {
+    case 'leaf': {
+      if (!openBatch || openBatch.batchId !== op.batchId) openBatch = newBatch(op.batchId, op.at);
+      openBatch.leaves.push(op.leaf);
+      eventIndex.set(leafKey(op.leaf.deviceId, op.leaf.eventId), { batchId: op.batchId, index: openBatch.leaves.length - 1 });
+      break;
+    }
+    case 'seal': {
+      if (!openBatch || openBatch.batchId !== op.batchId) break;
+      const layers = buildTree(openBatch.leaves.map(l => l.dataHash));
+      const ts = openBatch.leaves.map(l => l.ts);
+      batches.set(op.batchId, {
+        batchId: op.batchId,
+        merkleRoot: merkleRoot(layers),
+        leaves: openBatch.leaves,
+        layers,
+        count: openBatch.leaves.length,
+        fromTs: Math.min(...ts),
+        toTs: Math.max(...ts),
+        openedAt: openBatch.openedAt,
+        sealedAt: op.at,
+        anchor: null
+      });
+      openBatch = null;
+      break;
+    }
+    case 'anchored': {
+      const batch = batches.get(op.batchId);
+      if (batch) batch.anchor = { txHash: op.txHash || null, blockNumber: op.blockNumber ?? null, anchoredAt: op.at };
+      break;
+    }
+    default:
+      console.warn('[anchoring] unknown journal op', op.op);
+  }
+}
+
+function replayJournal() {
+  openBatch = null;
+  batches.clear();
+  eventIndex.clear();
+  if (!fs.existsSync(journalFile)) return;
+  for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      applyOp(JSON.parse(line));
+    } catch (e) {
+      console.warn('[anchoring] skipping unreadable journal line:', e.message || e);
+    }
+  }
+}
+
+// ---- Batching ----
+function sealOpenBatch() {
+  if (!openBatch || openBatch.leaves.length === 0) return null;
+  const op = { op: 'seal', batchId: openBatch.batchId };
+  writeOp(op);
+  applyOp({ ...op, at: new Date().toISOString() });
+  const batch = batches.get(op.batchId);
+  console.log(`[anchoring] sealed batch ${batch.batchId}: ${batch.count} leaves, root ${batch.merkleRoot}`);
+  try {
+    onSeal({ batchId: batch.batchId, merkleRoot: batch.merkleRoot, count: batch.count, fromTs: batch.fromTs, toTs: batch.toTs });
+  } catch (e) {
+    console.error('[anchoring] onSeal handler failed:', e.message || e);
+  }
+  return batch;
+}
+
+function checkWindow() {
+  if (!openBatch || openBatch.leaves.length === 0) return;
+  const age = Date.now() - Date.parse(openBatch.openedAt);
+  if (age >= windowMs) sealOpenBatch();
+}
+
+function addToBatch(evt) {
+  if (!evt || !evt.dataHash) return null;
+  const batchId = openBatch ? openBatch.batchId : `batch-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const receivedMs = evt.receivedAt ? Date.parse(evt.receivedAt) : Date.now();
+  const leaf = {
+    eventId: String(evt.eventId),
+    deviceId: evt.deviceId,
+    groupId: evt.groupId,
+    dataHash: evt.dataHash,
+    ts: Math.floor((Number.isNaN(receivedMs) ? Date.now() : receivedMs) / 1000)
+  };
+  const op = { op: 'leaf', batchId, leaf };
+  writeOp(op);
+  applyOp({ ...op, at: new Date().toISOString() });
+  if (openBatch.leaves.length >= maxLeaves) sealOpenBatch();
+  return batchId;
+}
+
+function markAnchored(batchId, result = {}) {
+  const op = { op: 'anchored', batchId, txHash: result.txHash || null, blockNumber: result.receipt ? result.receipt.blockNumber : null };
+  writeOp(op);
+  applyOp({ ...op, at: new Date().toISOString() });
+}
+
+function getBatch(batchId) {
+  const batch = batches.get(batchId);
+  if (!batch) return null;
+  const { layers, ...rest } = batch;
+  return rest;
+}
+
+/**
+ * Inclusion proof for one reading. Returns null for unknown events and { status: 'pending' }
+ * while the reading's batch is still open (no root yet).
+ */
+function getEventProof(deviceId, eventId) {
+  const ref = eventIndex.get(leafKey(deviceId, eventId));
+  if (!ref) return null;
+  const batch = batches.get(ref.batchId);
+  if (!batch) {
+    return { eventId: String(eventId), deviceId, batchId: ref.batchId, status: 'pending', anchored: false };
+  }
+  const leaf = batch.leaves[ref.index];
+  return {
+    eventId: leaf.eventId,
+    deviceId: leaf.deviceId,
+    groupId: leaf.groupId,
+    status: batch.anchor ? 'anchored' : 'sealed',
+    anchored: !!batch.anchor,
+    algorithm: ALGORITHM,
+    leaf: leaf.dataHash,
+    leafIndex: ref.index,
+    proof: merkleProof(batch.layers, ref.index),
+    merkleRoot: batch.merkleRoot,
+    batch: {
+      batchId: batch.batchId,
+      count: batch.count,
+      fromTs: batch.fromTs,
+      toTs: batch.toTs,
+      sealedAt: batch.sealedAt
+    },
+    anchor: batch.anchor
+  };
+}
+
+function initAnchoring(opts = {}) {
+  journalFile = opts.journalFile || DEFAULT_JOURNAL_FILE;
+  windowMs = Number(opts.windowMs || DEFAULT_WINDOW_MS);
+  maxLeaves = Number(opts.maxLeaves || DEFAULT_MAX_LEAVES);
+  onSeal = opts.onSeal || (() => {});
+  fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+  replayJournal();
+  console.log(`[anchoring] ${batches.size} sealed batch(es), open batch: ${openBatch ? openBatch.leaves.length : 0} leaves, window ${windowMs}ms`);
+  stopAnchoring();
+  timer = setInterval(checkWindow, Math.min(windowMs, 5000));
+  if (timer.unref) timer.unref();
+}
+
+function stopAnchoring() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  initAnchoring,
+  addToBatch,
+  markAnchored,
+  getEventProof,
+  getBatch,
+  stopAnchoring
+};
@@ -0,0 +1,225 @@
+// Gateway/src/auth.js
+/**
+ * Device identities and signed payloads
+ * - Device registry (data/devices.json): one entry per device with its own HMAC secret(s)
+ * - Key rotation keeps the previous secret valid for a grace period; revocation blocks the device entirely
+ * - Requests carry:
+ *     x-device-id, x-timestamp (unix seconds), x-nonce, x-signature
+ *   where x-signature = hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`))
+ * - Replays are rejected: the timestamp must be within SIGNATURE_WINDOW_SEC of gateway time and
+ *   a nonce is accepted only once per device inside that window
+ *
+ * Exports:
+ *  - loadDevices(file?)
+ *  - registerDevice({ deviceId, groupId, label }) -> { device, secret }
+ *  - rotateDeviceKey(deviceId, { graceSec }) -> { device, secret }
+ *  - revokeDevice(deviceId, reason) -> device
+ *  - listDevices(), getDevice(deviceId)   (secrets are never returned)
+ *  - verifySignature({ deviceId, timestamp, nonce, signature, rawBody }) -> { ok, deviceId, keyId } | { ok: false, status, error }
+ *  - authenticateDeviceRequest(req) -> same result, reading the x-* headers and req.rawBody
+ *  - signPayload(secret, timestamp, nonce, rawBody)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+
+const DEFAULT_DEVICES_FILE = process.env.DEVICE_REGISTRY_FILE || path.join(DATA_DIR, 'devices.json');
+const SIGNATURE_WINDOW_SEC = Number(process.env.SIGNATURE_WINDOW_SEC || 300);
+const ROTATION_GRACE_SEC = Number(process.env.KEY_ROTATION_GRACE_SEC || 24 * 3600);
+// transitional: accept the old shared x-api-key (only when explicitly enabled and configured)
+const LEGACY_API_KEY = process.env.ALLOW_LEGACY_API_KEY === 'true' ? (process.env.GATEWAY_API_KEY || null) : null;
+
+let devicesFile = DEFAULT_DEVICES_FILE;
+let devices = null;             // deviceId -> device record (with secrets)
+const seenNonces = new Map();   // deviceId -> Map(nonce -> expiresAtMs)
+
+// ---- Registry persistence ----
+function loadDevices(file = DEFAULT_DEVICES_FILE) {
+  devicesFile = file;
+  devices = {};
+  seenNonces.clear();
+  try {
+    if (fs.existsSync(devicesFile)) {
+      devices = JSON.parse(fs.readFileSync(devicesFile, 'utf8') || '{}');
+    }
+  } catch (e) {
+    console.error('[auth] device registry load failed:', e.message || e);
+    devices = {};
+  }
+  return Object.keys(devices).length;
+}
+
+function saveDevices() {
+  fs.mkdirSync(path.dirname(devicesFile), { recursive: true });
+  const tmp = `${devicesFile}.tmp`;
+  // the file holds HMAC secrets: owner read/write only
+  fs.writeFileSync(tmp, JSON.stringify(devices, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, devicesFile);
+}
+
+function registry() {
+  if (devices === null) loadDevices();
+  return devices;
+}
+
+function newKey() {
+  return {
+    keyId: crypto.randomBytes(4).toString('hex'),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    expiresAt: null
+  };
+}
+
+function publicView(device) {
+  if (!device) return null;
+  return {
+    ...device,
+    keys: device.keys.map(({ secret, ...k }) => k)
+  };
+}
+
+// ---- Registry management ----
+function registerDevice({ deviceId, groupId, label } = {}) {
+  if (!deviceId || typeof deviceId !== 'string') throw new Error('deviceId is required');
+  const reg = registry();
+  if (reg[deviceId]) throw new Error(`device ${deviceId} already registered`);
+  const key = newKey();
+  reg[deviceId] = {
+    deviceId,
+    groupId: groupId || null,
+    label: label || null,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    revokeReason: null,
+    keys: [key]
+  };
+  saveDevices();
+  console.log(`[auth] registered device ${deviceId} (key ${key.keyId})`);
+  return { device: publicView(reg[deviceId]), secret: key.secret };
+}
+
+function rotateDeviceKey(deviceId, { graceSec = ROTATION_GRACE_SEC } = {}) {
+  const device = registry()[deviceId];
+  if (!device) throw new Error(`device ${deviceId} not registered`);
+  if (device.status !== 'active') throw new Error(`device ${deviceId} is ${device.status}`);
+  const now = Date.now();
+  const graceUntil = new Date(now + Number(graceSec) * 1000).toISOString();
+  // previous keys stay valid until the grace period ends (never longer than they already were,
+  // so graceSec 0 cuts every old key off at once); already-expired keys are dropped
+  device.keys = device.keys
+    .filter(k => !k.expiresAt || Date.parse(k.expiresAt) > now)
+    .map(k => (k.expiresAt && Date.parse(k.expiresAt) < Date.parse(graceUntil) ? k : { ...k, expiresAt: graceUntil }));
+  const key = newKey();
+  device.keys.push(key);
+  saveDevices();
+  console.log(`[auth] rotated key for ${deviceId} (new key ${key.keyId}, old keys valid until ${graceUntil})`);
+  return { device: publicView(device), secret: key.secret };
+}
+
+function revokeDevice(deviceId, reason) {
+  const device = registry()[deviceId];
+  if (!device) throw new Error(`device ${deviceId} not registered`);
+  device.status = 'revoked';
+  device.revokedAt = new Date().toISOString();
+  device.revokeReason = reason || null;
+  saveDevices();
+  seenNonces.delete(deviceId);
+  console.log(`[auth] revoked device ${deviceId}${reason ? ` (${reason})` : ''}`);
+  return publicView(device);
+}
+
+function listDevices() {
+  return Object.values(registry()).map(publicView);
+}
+
+function getDevice(deviceId) {
+  return publicView(registry()[deviceId]);
+}
+
+// ---- Signatures ----
+function signPayload(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a || ''), 'hex');
+  const bb = Buffer.from(String(b || ''), 'hex');
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+function rememberNonce(deviceId, nonce, now) {
+  let nonces = seenNonces.get(deviceId);
+  if (!nonces) {
+    nonces = new Map();
+    seenNonces.set(deviceId, nonces);
+  }
+  for (const [n, exp] of nonces) {
+    if (exp <= now) nonces.delete(n);
+  }
+  if (nonces.has(nonce)) return false;
+  // keep the nonce for as long as its timestamp could still pass the window check
+  nonces.set(nonce, now + 2 * SIGNATURE_WINDOW_SEC * 1000);
+  return true;
+}
+
+function verifySignature({ deviceId, timestamp, nonce, signature, rawBody }) {
+  if (!deviceId || !timestamp || !nonce || !signature) {
+    return { ok: false, status: 401, error: 'missing signature headers (x-device-id, x-timestamp, x-nonce, x-signature)' };
+  }
+  const device = registry()[deviceId];
+  if (!device) return { ok: false, status: 401, error: 'unknown device' };
+  if (device.status !== 'active') return { ok: false, status: 403, error: `device ${device.status}` };
+
+  const now = Date.now();
+  const tsSec = Number(timestamp);
+  if (!Number.isFinite(tsSec) || Math.abs(now / 1000 - tsSec) > SIGNATURE_WINDOW_SEC) {
+    return { ok: false, status: 401, error: 'timestamp outside signature window' };
+  }
+  if (String(nonce).length > 128) return { ok: false, status: 401, error: 'nonce too long' };
+
+  const key = device.keys.find(k =>
+    (!k.expiresAt || Date.parse(k.expiresAt) > now) &&
+    safeEqualHex(signature, signPayload(k.secret, timestamp, nonce, rawBody))
+  );
+  if (!key) return { ok: false, status: 401, error: 'invalid signature' };
+
+  // only remember nonces of authentic requests, so forged traffic cannot burn a device's nonces
+  if (!rememberNonce(deviceId, String(nonce), now)) return { ok: false, status: 401, error: 'replayed nonce' };
+  return { ok: true, deviceId, keyId: key.keyId, groupId: device.groupId };
+}
+
+function authenticateDeviceRequest(req) {
+  const h = req.headers || {};
+  if (LEGACY_API_KEY && h['x-api-key'] && !h['x-signature']) {
+    if (h['x-api-key'] !== LEGACY_API_KEY) return { ok: false, status: 401, error: 'invalid api key' };
+    // the shared key proves nothing about which device sent the payload
+    return { ok: true, deviceId: null, legacy: true };
+  }
+  return verifySignature({
+    deviceId: h['x-device-id'],
+    timestamp: h['x-timestamp'],
+    nonce: h['x-nonce'],
+    signature: h['x-signature'],
+    rawBody: req.rawBody
+  });
+}
+
+module.exports = {
+  loadDevices,
+  registerDevice,
+  rotateDeviceKey,
+  revokeDevice,
+  listDevices,
+  getDevice,
+  verifySignature,
+  authenticateDeviceRequest,
+  signPayload
+};
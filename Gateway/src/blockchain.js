@@ -3,17 +3,37 @@
  * Robust blockchain helper for TrustLogger
  * - Loads Gateway/abi.json
  * - Supports ethers v5 and v6 shapes
- * - Creates provider + wallet (optional)
+ * - Creates provider + wallet (optional); the provider is the health-checked RPC pool of rpcPool.js
+ *   (RPC_URLS, failover, quorum getLogs)
  * - Calls contract.logTrustEvent(groupId, oldTS, newTS, reason, dataHash, ts)
+ * - Calls contract.logTrustBatch(merkleRoot, batchId, count, fromTs, toTs) for Merkle-batched anchoring
+ * - Chain backend picked by CHAIN_MODE (rpc | simulated | hardhat) when initChain() runs; nothing
+ *   connects at require time
+ * - Every write goes through txManager.js (nonce management, confirmations, stuck-tx fee bumps) and
+ *   resolves once confirmed; failures throw so the write queue retries / dead-letters the item
  *
  * Exports:
- *  - processAndLog(evt) -> { txHash, hash, success, error?, receipt? }
+ *  - initChain({ mode, simulated, txs }) -> getChain() once the backend is up; stopChain()
+ *      txs goes to initTxManager (onStatus, journalFile, confirmations, ...)
+ *  - getChain() -> { mode, rpcUrl, chainId, contractAddress, signer, onChain, abiLoaded }
+ *  - processAndLog(evt, { ref }) -> { txHash, hash, success, receipt?, error? }
+ *  - anchorBatch(batch, { ref }) -> { txHash, merkleRoot, success, receipt?, error? }
+ *      success: false only while on-chain writes are disabled; ref lets a retry attach to its earlier tx
+ *  - authorizeGateway(address), revokeGateway(address) (owner), registerDeviceOnChain(deviceId, groupId, { ref }),
+ *    revokeDeviceOnChain(deviceId, { ref }) (authorized gateway) -> { txHash, success, receipt }; throw on revert
+ *  - isGatewayAuthorized(address), isDeviceRegistered(deviceId), getRoles() -> { owner, signer, signerIsOwner, signerIsGateway }
+ *  - trustEventArgs(evt) -> { groupId, oldTS, newTS, reason, dataHash, ts } (normalized logTrustEvent args)
  *  - keccakHash(obj)
- *  - provider, wallet, contract
+ *  - provider, wallet, contract (getters; null before initChain)
  */
 
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { initTxManager, stopTxManager, sendTx } = require('./txManager');
+const { initRpcPool, stopRpcPool, rpcUrls } = require('./rpcPool');
 
 let ethers;
 try {
@@ -23,10 +43,9 @@ try {
   throw e;
 }
 
-const RPC = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL || 'http://localhost:8545';
-const PRIVATE_KEY = (process.env.DEPLOYER_PRIVATE_KEY || '').trim();
-const CONTRACT_ADDR = (process.env.TRUSTLOGGER_ADDRESS || '').trim();
+const CHAIN_MODES = ['rpc', 'simulated', 'hardhat'];
 const ABI_PATH = path.join(__dirname, '..', 'abi.json');
+const HARDHAT_DIR = process.env.HARDHAT_DIR || path.join(__dirname, '..', '..', 'hardhat');
 
 let abi = null;
 try {
@@ -37,53 +56,210 @@ try {
   abi = null;
 }
 
-/* ------------------ Provider (compat for v5/v6) ------------------ */
-let provider;
-try {
-  // prefer ethers v6 style if present, else v5 style
-  if (ethers.JsonRpcProvider) {
-    provider = new ethers.JsonRpcProvider(RPC); // ethers v6
-  } else if (ethers.providers && ethers.providers.JsonRpcProvider) {
-    provider = new ethers.providers.JsonRpcProvider(RPC); // ethers v5
-  } else if (typeof ethers.getDefaultProvider === 'function') {
-    provider = ethers.getDefaultProvider(RPC);
+// set by initChain(); read through the getters at the bottom so callers always see the live backend
+let provider = null;
+let wallet = null;
+let contract = null;
+let chain = { mode: null, rpcUrl: null, chainId: null, contractAddress: null, signer: null };
+let simulated = null;   // { url, ledger, close } in simulated mode
+let hardhatNode = null; // child process in hardhat mode
+
+/* ------------------ Provider / wallet / contract ------------------ */
+function connect(rpcUrls, privateKey, contractAddress, providerOpts) {
+  const urls = [].concat(rpcUrls);
+  const rpcUrl = urls[0];
+  chain.rpcUrl = rpcUrl;
+  try {
+    // prefer ethers v6 style if present, else v5 style
+    if (ethers.JsonRpcProvider) {
+      provider = initRpcPool({ urls, providerOpts }); // ethers v6, every endpoint behind one provider
+    } else if (ethers.providers && ethers.providers.JsonRpcProvider) {
+      provider = new ethers.providers.JsonRpcProvider(rpcUrl); // ethers v5
+    } else if (typeof ethers.getDefaultProvider === 'function') {
+      provider = ethers.getDefaultProvider(rpcUrl);
+    } else {
+      throw new Error('No JsonRpcProvider available in installed ethers package');
+    }
+    console.log('[blockchain] Provider initialized for RPC:', urls.length === 1 ? rpcUrl : `${urls.length} endpoints`);
+  } catch (err) {
+    console.error('[blockchain] Provider initialization failed:', err.message);
+    throw err;
+  }
+
+  wallet = null;
+  if (privateKey && privateKey !== '0x' && privateKey.length > 10) {
+    try {
+      // ethers v6: new ethers.Wallet(privateKey, provider)
+      wallet = new ethers.Wallet(privateKey, provider);
+      console.log('[blockchain] Wallet created:', wallet.address || wallet._address || 'unknown');
+    } catch (err) {
+      console.error('[blockchain] Wallet creation failed:', err.message);
+      wallet = null;
+    }
   } else {
-    throw new Error('No JsonRpcProvider available in installed ethers package');
+    console.log('[blockchain] No DEPLOYER_PRIVATE_KEY present — running in read-only/test mode (no txs).');
   }
-  console.log('[blockchain] Provider initialized for RPC:', RPC);
-} catch (err) {
-  console.error('[blockchain] Provider initialization failed:', err.message);
-  throw err;
+  useContract(contractAddress);
 }
 
-/* ------------------ Wallet (optional) ------------------ */
-let wallet = null;
-if (PRIVATE_KEY && PRIVATE_KEY !== '0x' && PRIVATE_KEY.length > 10) {
-  try {
-    // ethers v6: new ethers.Wallet(privateKey, provider)
-    wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-    console.log('[blockchain] Wallet created:', wallet.address || wallet._address || 'unknown');
-  } catch (err) {
-    console.error('[blockchain] Wallet creation failed:', err.message);
-    wallet = null;
+function useContract(contractAddress) {
+  contract = null;
+  if (abi && contractAddress) {
+    try {
+      const signerOrProvider = wallet || provider;
+      contract = new ethers.Contract(contractAddress, abi, signerOrProvider);
+      console.log('[blockchain] Contract instance ready at', contractAddress, wallet ? '(with signer)' : '(read-only)');
+    } catch (err) {
+      console.warn('[blockchain] Could not create contract instance:', err.message);
+      contract = null;
+    }
+  } else {
+    console.log('[blockchain] Contract address or ABI missing — on-chain calls disabled.');
   }
-} else {
-  console.log('[blockchain] No DEPLOYER_PRIVATE_KEY present — running in read-only/test mode (no txs).');
 }
 
-/* ------------------ Contract instance ------------------ */
-let contract = null;
-if (abi && CONTRACT_ADDR) {
+/* ------------------ Local backends ------------------ */
+// the in-process ledger (simulatedChain.js); the TrustLogger stand-in is deployed on the first boot
+async function startSimulated(opts) {
+  const { startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('./simulatedChain');
+  simulated = await startSimulatedChain(opts);
+  // local nodes mine instantly: ethers' 250 ms request cache would hand out stale nonces
+  connect(simulated.url, DEV_PRIVATE_KEY, null, { cacheTimeout: -1 });
+  let [address] = simulated.ledger.contracts();
+  if (!address) {
+    const receipt = await (await wallet.sendTransaction({ data: SIM_INIT_CODE })).wait();
+    address = receipt.contractAddress;
+    console.log('[blockchain] Simulated TrustLogger deployed at', address);
+  }
+  useContract(ethers.getAddress(address));
+}
+
+// JSON-RPC probe that does not go through ethers (which retries noisily while the node boots)
+async function rpcReachable(url) {
   try {
-    const signerOrProvider = wallet || provider;
-    contract = new ethers.Contract(CONTRACT_ADDR, abi, signerOrProvider);
-    console.log('[blockchain] Contract instance ready at', CONTRACT_ADDR, wallet ? '(with signer)' : '(read-only)');
-  } catch (err) {
-    console.warn('[blockchain] Could not create contract instance:', err.message);
-    contract = null;
+    const res = await axios.post(url, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }, { timeout: 2000 });
+    return !!(res.data && res.data.result);
+  } catch (e) {
+    return false;
   }
-} else {
-  console.log('[blockchain] Contract address or ABI missing — on-chain calls disabled.');
+}
+
+// `npx hardhat node` in hardhat/ (fresh chain every start), then a real TrustLogger deployment
+async function startHardhat() {
+  const port = Number(process.env.HARDHAT_PORT || 8545);
+  const url = `http://127.0.0.1:${port}`;
+  const cmd = process.env.HARDHAT_NODE_CMD || 'npx hardhat node';
+  const artifactFile = process.env.HARDHAT_ARTIFACT || path.join(HARDHAT_DIR, 'artifacts', 'contracts', 'TrustLogger.sol', 'TrustLogger.json');
+  if (!fs.existsSync(artifactFile)) {
+    throw new Error(`TrustLogger artifact not found at ${artifactFile}; run npx hardhat compile in ${HARDHAT_DIR}`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+  if (await rpcReachable(url)) throw new Error(`port ${port} already serves JSON-RPC; stop that node or set HARDHAT_PORT`);
+
+  console.log(`[blockchain] Starting local Hardhat node: ${cmd} (port ${port})`);
+  const output = [];
+  // no shell in between, so stopChain() / process exit stop the node itself
+  const [bin, ...args] = cmd.split(/\s+/).filter(Boolean);
+  const child = spawn(bin, [...args, '--hostname', '127.0.0.1', '--port', String(port)], { cwd: HARDHAT_DIR, stdio: ['ignore', 'pipe', 'pipe'] });
+  hardhatNode = child;
+  // hardhat node logs every RPC call; keep only the tail for error messages
+  const keep = (chunk) => {
+    output.push(...String(chunk).split('\n').filter(Boolean));
+    output.splice(0, Math.max(0, output.length - 20));
+  };
+  child.stdout.on('data', keep);
+  child.stderr.on('data', keep);
+  let exited = null;
+  child.once('error', (err) => {
+    keep(err.message);
+    exited = err.code;
+  });
+  child.once('exit', (code) => {
+    exited = code;
+    if (hardhatNode === child) hardhatNode = null;
+  });
+
+  const deadline = Date.now() + Number(process.env.HARDHAT_BOOT_TIMEOUT_MS || 60000);
+  while (!(await rpcReachable(url))) {
+    if (exited !== null) throw new Error(`hardhat node exited with code ${exited}: ${output.slice(-5).join(' | ')}`);
+    if (Date.now() > deadline) {
+      stopHardhat();
+      throw new Error(`hardhat node did not answer on ${url} in time`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  const { DEV_PRIVATE_KEY } = require('./simulatedChain'); // Hardhat's default account #0
+  connect(url, DEV_PRIVATE_KEY, null, { cacheTimeout: -1 });
+  const deployed = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet).deploy();
+  await deployed.waitForDeployment();
+  const address = await deployed.getAddress();
+  console.log('[blockchain] TrustLogger deployed on the Hardhat node at', address);
+  useContract(address);
+}
+
+function stopHardhat() {
+  if (hardhatNode) hardhatNode.kill();
+  hardhatNode = null;
+}
+process.on('exit', stopHardhat);
+
+/* ------------------ Backend selection ------------------ */
+/**
+ * CHAIN_MODE (or opts.mode):
+ *  - rpc (default): RPC_URLS (or SEPOLIA_RPC_URL / RPC_URL), DEPLOYER_PRIVATE_KEY, TRUSTLOGGER_ADDRESS as before
+ *  - simulated: in-process ledger served over local JSON-RPC, persisted in data/simchain.ndjson
+ *    (opts.simulated goes to startSimulatedChain: { file, chainId, blockTimeMs, port })
+ *  - hardhat: spawns a local Hardhat node and deploys TrustLogger from the compiled artifact
+ * The local modes always sign with the well-known development account, never DEPLOYER_PRIVATE_KEY.
+ * Writes wait for TX_CONFIRMATIONS blocks: 3 by default over rpc, 1 on the local nodes.
+ */
+async function initChain({ mode = process.env.CHAIN_MODE || 'rpc', simulated: simulatedOpts = {}, txs = {} } = {}) {
+  if (!CHAIN_MODES.includes(mode)) throw new Error(`unknown CHAIN_MODE ${mode} (expected ${CHAIN_MODES.join(' | ')})`);
+  await stopChain();
+  chain.mode = mode;
+  if (mode === 'simulated') {
+    await startSimulated(simulatedOpts);
+  } else if (mode === 'hardhat') {
+    await startHardhat();
+  } else {
+    connect(rpcUrls(), (process.env.DEPLOYER_PRIVATE_KEY || '').trim(), (process.env.TRUSTLOGGER_ADDRESS || '').trim());
+  }
+  // a remote RPC may be down at boot; only the local nodes are asked for their chain id
+  chain.chainId = mode === 'rpc' ? null : Number((await provider.getNetwork()).chainId);
+  chain.contractAddress = contract ? contract.target || contract.address : null;
+  chain.signer = wallet ? wallet.address : null;
+  if (wallet) {
+    const local = mode !== 'rpc';
+    initTxManager({
+      confirmations: Number(process.env.TX_CONFIRMATIONS || (local ? 1 : 3)),
+      pollMs: local ? 500 : undefined,
+      fresh: mode === 'hardhat', // a new Hardhat node starts from block 0
+      ...txs,
+      wallet,
+      provider
+    });
+  }
+  console.log(`[blockchain] Chain backend: ${mode}${chain.contractAddress ? ` (TrustLogger ${chain.contractAddress})` : ''}`);
+  return getChain();
+}
+
+async function stopChain() {
+  stopTxManager();
+  if (provider && typeof provider.destroy === 'function') provider.destroy();
+  stopRpcPool();
+  provider = null;
+  wallet = null;
+  contract = null;
+  chain = { mode: null, rpcUrl: null, chainId: null, contractAddress: null, signer: null };
+  stopHardhat();
+  if (simulated) await simulated.close();
+  simulated = null;
+}
+
+// backend summary for the API / dashboard; onChain is false while writes are disabled
+function getChain() {
+  return { ...chain, onChain: !!(contract && wallet), abiLoaded: !!abi };
 }
 
 /* ------------------ Stable JSON stringify (deterministic) ------------------ */
@@ -123,6 +299,35 @@ function keccakHash(obj) {
   }
 }
 
+/* ------------------ TrustEvent arguments ------------------ */
+/**
+ * Normalized logTrustEvent arguments for a queue item. dataHash is the hash the gateway
+ * stored for the payload (evt.dataHash); items without one fall back to hashing evt itself.
+ * verification.js rebuilds the expected on-chain fields with the same function.
+ */
+function trustEventArgs(evt = {}) {
+  // basic validation & defaulting
+  const groupId = typeof evt.groupId === 'string' ? evt.groupId : (evt.deviceId || 'unknown-group');
+  const oldTS = Number(evt.oldTS !== undefined ? evt.oldTS : (evt.oldTrustA ?? 0));
+  const newTS = Number(evt.newTS !== undefined ? evt.newTS : (evt.newTrustA ?? 0));
+  const reason = typeof evt.reason === 'string' ? evt.reason : (evt.reason || 'no-reason');
+
+  // normalize ts to unix seconds
+  let tsRaw = evt.ts !== undefined ? evt.ts : (evt.timestamp !== undefined ? evt.timestamp : Date.now());
+  // if ts looks like milliseconds (greater than year 3000)
+  if (tsRaw > 1e12) {
+    tsRaw = Math.floor(tsRaw / 1000);
+  } else {
+    tsRaw = Math.floor(tsRaw);
+  }
+  const ts = tsRaw;
+
+  // the payload hash computed on receipt (what the Merkle batches and verification use)
+  const dataHash = /^0x[0-9a-fA-F]{64}$/.test(String(evt.dataHash || '')) ? evt.dataHash : keccakHash(evt);
+
+  return { groupId, oldTS, newTS, reason, dataHash, ts };
+}
+
 /* ------------------ Main function: processAndLog ------------------ */
 /**
  * evt expected shape (recommended):
@@ -134,78 +339,123 @@ function keccakHash(obj) {
  * }
  *
  * This function:
- *  - computes dataHash = keccak256(stableStringify(evt))
- *  - if contract+wallet present: calls contract.logTrustEvent(...)
+ *  - uses evt.dataHash (keccak256 of the stored payload), or keccak256(stableStringify(evt)) when absent
+ *  - if contract+wallet present: sends contract.logTrustEvent(...) through the tx manager and waits
+ *    until it is confirmed; throws when the tx cannot be sent, reverts or is dropped
  *  - returns structured info
  */
-async function processAndLog(evt = {}) {
+async function processAndLog(evt = {}, { ref = null } = {}) {
+  const { groupId, oldTS, newTS, reason, dataHash, ts } = trustEventArgs(evt);
+
+  // If no contract or wallet, skip on-chain call but return the hash
+  if (!contract || !wallet) {
+    console.log('[blockchain] Skipping on-chain write (contract or wallet missing). dataHash:', dataHash);
+    return { txHash: null, hash: dataHash, success: false, error: 'on-chain disabled' };
+  }
+
+  console.log('[blockchain] Calling contract.logTrustEvent with:', { groupId, oldTS, newTS, reason, dataHash, ts });
   try {
-    // basic validation & defaulting
-    const groupId = typeof evt.groupId === 'string' ? evt.groupId : (evt.deviceId || 'unknown-group');
-    const oldTS = Number(evt.oldTS !== undefined ? evt.oldTS : (evt.oldTrustA ?? 0));
-    const newTS = Number(evt.newTS !== undefined ? evt.newTS : (evt.newTrustA ?? 0));
-    const reason = typeof evt.reason === 'string' ? evt.reason : (evt.reason || 'no-reason');
-
-    // normalize ts to unix seconds
-    let tsRaw = evt.ts !== undefined ? evt.ts : (evt.timestamp !== undefined ? evt.timestamp : Date.now());
-    // if ts looks like milliseconds (greater than year 3000)
-    if (tsRaw > 1e12) {
-      tsRaw = Math.floor(tsRaw / 1000);
-    } else {
-      tsRaw = Math.floor(tsRaw);
-    }
-    const ts = tsRaw;
+    const data = contract.interface.encodeFunctionData('logTrustEvent', [groupId, oldTS, newTS, reason, dataHash, ts]);
+    const { tx, receipt } = await sendTx({ to: chain.contractAddress, data, kind: 'event', ref });
+    return { txHash: tx.hash, hash: dataHash, success: true, receipt };
+  } catch (err) {
+    console.error('[blockchain] processAndLog failed:', revertReason(err));
+    throw new Error(revertReason(err));
+  }
+}
 
-    // compute data hash
-    const dataHash = keccakHash(evt);
+/* ------------------ Batch anchoring: anchorBatch ------------------ */
+/**
+ * batch shape: { batchId, merkleRoot, count, fromTs, toTs } (see anchoring.js)
+ * Throws on failure so the write queue retries / dead-letters the batch.
+ */
+async function anchorBatch(batch = {}, { ref = null } = {}) {
+  const { batchId, merkleRoot, count, fromTs, toTs } = batch;
+  if (!contract || !wallet) {
+    console.log('[blockchain] Skipping batch anchor (contract or wallet missing). root:', merkleRoot);
+    return { txHash: null, merkleRoot, success: false, error: 'on-chain disabled' };
+  }
+  if (!contract.interface.getFunction('logTrustBatch')) {
+    throw new Error('deployed ABI has no logTrustBatch; redeploy TrustLogger');
+  }
 
-    // If no contract or wallet, skip on-chain call but return the hash
-    if (!contract || !wallet) {
-      console.log('[blockchain] Skipping on-chain write (contract or wallet missing). dataHash:', dataHash);
-      return { txHash: null, hash: dataHash, success: false, error: 'on-chain disabled' };
-    }
+  console.log('[blockchain] Calling contract.logTrustBatch with:', { merkleRoot, batchId, count, fromTs, toTs });
+  const data = contract.interface.encodeFunctionData('logTrustBatch', [merkleRoot, String(batchId), count, fromTs, toTs]);
+  let sent;
+  try {
+    sent = await sendTx({ to: chain.contractAddress, data, kind: 'batch', ref });
+  } catch (err) {
+    throw new Error(revertReason(err));
+  }
+  return { txHash: sent.tx.hash, merkleRoot, success: true, receipt: sent.receipt };
+}
 
-    // Call contract function logTrustEvent(groupId, oldTS, newTS, reason, dataHash, ts)
-    console.log('[blockchain] Calling contract.logTrustEvent with:', { groupId, oldTS, newTS, reason, dataHash, ts });
+// the contract's revert string when there is one, else the provider / tx manager message
+function revertReason(err) {
+  return err && (err.reason || err.shortMessage || err.message) ? (err.reason || err.shortMessage || err.message) : String(err);
+}
 
-    // Send tx (works with ethers v5/v6)
-    const tx = await contract.logTrustEvent(groupId, oldTS, newTS, reason, dataHash, ts);
+/* ------------------ Roles: owner, gateways, devices ------------------ */
+// owner / gateway writes; failures throw with the contract's revert reason
+async function sendRoleTx(method, args, ref = null) {
+  if (!contract || !wallet) throw new Error('on-chain disabled (contract or wallet missing)');
+  if (!contract.interface.getFunction(method)) throw new Error(`deployed ABI has no ${method}; redeploy TrustLogger`);
+  console.log(`[blockchain] Calling contract.${method} with:`, args);
+  let sent;
+  try {
+    sent = await sendTx({ to: chain.contractAddress, data: contract.interface.encodeFunctionData(method, args), kind: method, ref });
+  } catch (err) {
+    throw new Error(revertReason(err));
+  }
+  console.log(`[blockchain] ${method} confirmed:`, sent.tx.hash);
+  return { txHash: sent.tx.hash, success: true, receipt: sent.receipt };
+}
 
-    const txHash = tx.hash || tx.transactionHash || null;
-    console.log('[blockchain] Tx sent:', txHash || tx);
+const authorizeGateway = (address) => sendRoleTx('authorizeGateway', [ethers.getAddress(address)]);
+const revokeGateway = (address) => sendRoleTx('revokeGateway', [ethers.getAddress(address)]);
+const registerDeviceOnChain = (deviceId, groupId, { ref = null } = {}) => sendRoleTx('registerDevice', [String(deviceId), groupId ? String(groupId) : ''], ref);
+const revokeDeviceOnChain = (deviceId, { ref = null } = {}) => sendRoleTx('revokeDevice', [String(deviceId)], ref);
 
-    // wait for confirmation
-    let receipt;
-    try {
-      receipt = await tx.wait();
-    } catch (waitErr) {
-      // Some providers behave differently; try provider.waitForTransaction fallback
-      try {
-        const hash = txHash;
-        receipt = await provider.waitForTransaction(hash);
-      } catch (pwErr) {
-        // still failed
-        console.warn('[blockchain] tx.wait failed and waitForTransaction failed:', waitErr.message || waitErr, pwErr && pwErr.message ? pwErr.message : pwErr);
-      }
-    }
+async function isGatewayAuthorized(address) {
+  if (!contract) throw new Error('contract not configured');
+  return contract.authorizedGateways(ethers.getAddress(address));
+}
 
-    const confirmedHash = (receipt && (receipt.transactionHash || receipt.hash)) || txHash || null;
-    console.log('[blockchain] Tx confirmed:', confirmedHash);
+async function isDeviceRegistered(deviceId) {
+  if (!contract) throw new Error('contract not configured');
+  return contract.isDeviceRegistered(String(deviceId));
+}
 
-    return { txHash: confirmedHash, hash: dataHash, success: true, receipt };
-  } catch (err) {
-    console.error('[blockchain] processAndLog failed:', err && err.message ? err.message : String(err));
-    // If we computed the hash before fail, return it; else null
-    let maybeHash = null;
-    try { maybeHash = keccakHash(evt); } catch (e) {}
-    return { txHash: null, hash: maybeHash, success: false, error: (err && err.message) || String(err) };
-  }
+// who controls the contract and whether this gateway's signer may write to it
+async function getRoles() {
+  if (!contract) throw new Error('contract not configured');
+  const signer = wallet ? wallet.address : null;
+  const owner = await contract.owner();
+  return {
+    contractAddress: chain.contractAddress,
+    owner,
+    signer,
+    signerIsOwner: !!signer && owner.toLowerCase() === signer.toLowerCase(),
+    signerIsGateway: !!signer && await contract.authorizedGateways(signer)
+  };
 }
 
 module.exports = {
+  initChain,
+  stopChain,
+  getChain,
   processAndLog,
+  anchorBatch,
+  authorizeGateway,
+  revokeGateway,
+  registerDeviceOnChain,
+  revokeDeviceOnChain,
+  isGatewayAuthorized,
+  isDeviceRegistered,
+  getRoles,
+  trustEventArgs,
   keccakHash,
-  provider,
-  wallet,
-  contract
+  get provider() { return provider; },
+  get wallet() { return wallet; },
+  get contract() { return contract; }
 };
@@ -0,0 +1,163 @@
+// Gateway/src/crossValidation.js
+/**
+ * Gateway-side trust assessment from the raw sensor readings (distA, distB, speed/rpm)
+ * - The device's trustA / trustB are self-reported; this recomputes a score per sensor from:
+ *     echo timeouts (-1), out-of-range distances, A/B disagreement beyond a tolerance,
+ *     stuck-at values (one sensor frozen while the other moves) and distance vs. motor RPM
+ *     (the firmware stops the motor at <= 5 cm and runs it at full PWM from 50 cm)
+ * - Scores are averaged over the device's last few readings, then compared with the device's own;
+ *   a gap of at least CROSSVAL_DIVERGENCE points marks the reading as divergent (flagged)
+ *
+ * Exports:
+ *  - assessReading(payload, history, opts?) -> { gatewayTrustA, gatewayTrustB, instantA, instantB, issues, divergence, divergent, reason }
+ *  - recentReadings(deviceId, limit?) -> earlier 'received' records of the device, oldest first
+ *  - CROSSVAL_DEFAULTS
+ */
+
+const { queryEvents } = require('./storage');
+
+const CROSSVAL_DEFAULTS = {
+  minCm: Number(process.env.SENSOR_MIN_CM || 2),              // HC-SR04 usable range
+  maxCm: Number(process.env.SENSOR_MAX_CM || 400),
+  disagreeCm: Number(process.env.CROSSVAL_DISAGREE_CM || 10),  // A/B tolerance: max(disagreeCm, disagreePct * mean)
+  disagreePct: Number(process.env.CROSSVAL_DISAGREE_PCT || 0.15),
+  stuckWindow: Number(process.env.CROSSVAL_STUCK_WINDOW || 10),
+  stuckOtherCm: Number(process.env.CROSSVAL_STUCK_OTHER_CM || 5),
+  stopCm: 5,                                                   // firmware: motor off at <= 5 cm
+  fullCm: 50,                                                  // firmware: full PWM from 50 cm
+  stopRpm: Number(process.env.CROSSVAL_STOP_RPM || 60),        // one IR pulse per turn -> 60 rpm resolution
+  rpmFull: Number(process.env.CROSSVAL_RPM_FULL || 0),         // rpm at full PWM; 0 = only check run/stop
+  rpmTolerance: Number(process.env.CROSSVAL_RPM_TOLERANCE || 0.35),
+  smoothing: Number(process.env.CROSSVAL_SMOOTHING_WINDOW || 5),
+  divergence: Number(process.env.CROSSVAL_DIVERGENCE || 30),
+  penalties: { echo_timeout: 15, out_of_range: 25, disagreement: 20, stuck_at: 30, rpm_mismatch: 20 }
+};
+
+function isReading(v) {
+  return typeof v === 'number' && v >= 0;
+}
+
+function rpmOf(p) {
+  const v = p.rpm ?? p.speed;
+  return typeof v === 'number' ? v : null;
+}
+
+function controllerOf(p) {
+  if (p.controller === 'A' || p.controller === 'B') return p.controller;
+  return Number(p.trustA) >= Number(p.trustB) ? 'A' : 'B';
+}
+
+// ---- Individual checks (each returns issues: { check, sensor, penalty, detail }) ----
+function rangeChecks(payload, cfg) {
+  const issues = [];
+  for (const sensor of ['A', 'B']) {
+    const v = payload[`dist${sensor}`];
+    if (v === -1) {
+      issues.push({ check: 'echo_timeout', sensor, penalty: cfg.penalties.echo_timeout, detail: { value: v } });
+    } else if (typeof v === 'number' && (v < cfg.minCm || v > cfg.maxCm)) {
+      issues.push({ check: 'out_of_range', sensor, penalty: cfg.penalties.out_of_range, detail: { value: v, min: cfg.minCm, max: cfg.maxCm } });
+    }
+  }
+  return issues;
+}
+
+function disagreementCheck(payload, cfg) {
+  const { distA: a, distB: b } = payload;
+  if (!isReading(a) || !isReading(b)) return [];
+  const tolerance = Math.max(cfg.disagreeCm, cfg.disagreePct * ((a + b) / 2));
+  const diff = Math.abs(a - b);
+  if (diff <= tolerance) return [];
+  // two sensors cannot say which one is wrong: both lose trust
+  return ['A', 'B'].map(sensor => ({
+    check: 'disagreement', sensor, penalty: cfg.penalties.disagreement, detail: { distA: a, distB: b, diff, tolerance: Number(tolerance.toFixed(2)) }
+  }));
+}
+
+// one sensor repeating the exact same value while the other one moves (a static scene freezes both)
+function stuckChecks(payload, history, cfg) {
+  const window = [...history.slice(-(cfg.stuckWindow - 1)).map(h => h.payload || {}), payload];
+  if (window.length < cfg.stuckWindow) return [];
+  const issues = [];
+  for (const [sensor, other] of [['A', 'B'], ['B', 'A']]) {
+    const values = window.map(p => p[`dist${sensor}`]);
+    if (!values.every(v => isReading(v) && v === values[0])) continue;
+    const others = window.map(p => p[`dist${other}`]).filter(isReading);
+    const otherRange = others.length ? Math.max(...others) - Math.min(...others) : 0;
+    if (otherRange > cfg.stuckOtherCm) {
+      issues.push({ check: 'stuck_at', sensor, penalty: cfg.penalties.stuck_at, detail: { value: values[0], readings: window.length, otherRange } });
+    }
+  }
+  return issues;
+}
+
+// the motor follows the controlling sensor's distance; the measured rpm has to agree
+function rpmCheck(payload, cfg) {
+  const rpm = rpmOf(payload);
+  const sensor = controllerOf(payload);
+  const dist = payload[`dist${sensor}`];
+  if (rpm === null || !isReading(dist)) return [];
+  const fraction = Math.min(1, Math.max(0, (dist - cfg.stopCm) / (cfg.fullCm - cfg.stopCm)));
+  const detail = { rpm, distance: dist, controller: sensor };
+  let mismatch = false;
+  if (fraction === 0) {
+    mismatch = rpm > cfg.stopRpm;
+    detail.expected = 'stopped';
+  } else if (cfg.rpmFull > 0) {
+    const expected = fraction * cfg.rpmFull;
+    detail.expected = Math.round(expected);
+    mismatch = Math.abs(rpm - expected) > cfg.rpmTolerance * cfg.rpmFull;
+  } else if (fraction === 1) {
+    mismatch = rpm === 0;
+    detail.expected = 'running';
+  }
+  return mismatch ? [{ check: 'rpm_mismatch', sensor, penalty: cfg.penalties.rpm_mismatch, detail }] : [];
+}
+
+// ---- Assessment ----
+function instantScores(issues) {
+  const score = { A: 100, B: 100 };
+  for (const issue of issues) score[issue.sensor] = Math.max(0, score[issue.sensor] - issue.penalty);
+  return score;
+}
+
+function assessReading(payload, history = [], opts = {}) {
+  const cfg = { ...CROSSVAL_DEFAULTS, ...opts, penalties: { ...CROSSVAL_DEFAULTS.penalties, ...(opts.penalties || {}) } };
+  const issues = [
+    ...rangeChecks(payload, cfg),
+    ...disagreementCheck(payload, cfg),
+    ...stuckChecks(payload, history, cfg),
+    ...rpmCheck(payload, cfg)
+  ];
+  const instant = instantScores(issues);
+
+  // smooth with the scores stored on the device's previous readings
+  const previous = history
+    .map(h => h.crossValidation)
+    .filter(c => c && typeof c.instantA === 'number')
+    .slice(-(cfg.smoothing - 1));
+  const avg = (key, now) => Math.round([...previous.map(c => c[key]), now].reduce((s, v) => s + v, 0) / (previous.length + 1));
+  const gatewayTrustA = avg('instantA', instant.A);
+  const gatewayTrustB = avg('instantB', instant.B);
+
+  const gapA = Math.abs(Number(payload.trustA) - gatewayTrustA);
+  const gapB = Math.abs(Number(payload.trustB) - gatewayTrustB);
+  const divergence = Math.max(gapA, gapB);
+  const divergent = divergence >= cfg.divergence;
+
+  return {
+    gatewayTrustA,
+    gatewayTrustB,
+    instantA: instant.A,
+    instantB: instant.B,
+    issues,
+    divergence,
+    divergent,
+    reason: divergent ? 'TRUST_DIVERGENCE' : (issues.length ? issues[0].check.toUpperCase() : null)
+  };
+}
+
+function recentReadings(deviceId, limit = Math.max(CROSSVAL_DEFAULTS.stuckWindow, CROSSVAL_DEFAULTS.smoothing)) {
+  return queryEvents({ deviceId, stage: 'received', order: 'desc', limit }).reverse();
+}
+
+module.exports = { assessReading, recentReadings, CROSSVAL_DEFAULTS };
@@ -0,0 +1,156 @@
+// Gateway/src/fleet.js
+/**
+ * Fleet view over the device registry and the event store
+ * - One summary per device: registry data (group, label, status) merged with its latest reading
+ *   (trust, gateway trust, controller, last-seen time) and latest flag decision
+ * - Devices that sent readings but are not in the registry (legacy API-key senders) are listed as 'unregistered'
+ * - A device whose last reading is older than FLEET_STALE_SEC (default 120) is marked stale
+ * - Group summaries roll the device summaries up per groupId
+ *
+ * Exports:
+ *  - listFleet({ groupId, status, flagged, q }) -> { devices, groups }
+ *  - getDeviceDetail(deviceId, { limit }) -> { device, readings, flagged } | null
+ *  - telemetryView(record) -> the 'telemetry' shape emitted to the dashboard
+ *  - flaggedView(record) -> the /flagged-events shape
+ */
+
+const { queryEvents, listIndexKeys } = require('./storage');
+const { listDevices, getDevice } = require('./auth');
+const { getGroupThreshold } = require('./thresholds');
+
+const FLEET_STALE_SEC = Number(process.env.FLEET_STALE_SEC || 120);
+const DEVICE_HISTORY_LIMIT = 60; // readings returned with a device's detail view
+
+// ---- Record views ----
+function telemetryView(e) {
+  const p = e.payload || {};
+  const cross = e.crossValidation || null;
+  return {
+    eventId: e.eventId,
+    timestamp: p.ts || (e.receivedAt ? Math.floor(Date.parse(e.receivedAt) / 1000) : Math.floor(Date.now() / 1000)),
+    distA: p.distA ?? null,
+    distB: p.distB ?? null,
+    trustA: e.trustA,
+    trustB: e.trustB,
+    controller: p.controller || (e.trustA >= e.trustB ? 'A' : 'B'),
+    rpm: p.rpm ?? (p.speed ?? null),
+    hash: e.dataHash ?? null,
+    flagged: e.localFlagged || e.gatewayFlagged || false,
+    gatewayTrustA: cross ? cross.gatewayTrustA : null,
+    gatewayTrustB: cross ? cross.gatewayTrustB : null,
+    crossIssues: cross ? cross.issues.map(i => i.check) : [],
+    deviceId: e.deviceId,
+    groupId: e.groupId,
+    receivedAt: e.receivedAt || null
+  };
+}
+
+function flaggedView(e) {
+  return {
+    timestamp: e.payload && e.payload.ts ? e.payload.ts : (e.receivedAt ? new Date(e.receivedAt).getTime() : Date.now()),
+    eventId: e.eventId,
+    deviceId: e.deviceId,
+    groupId: e.groupId,
+    distA: e.payload && e.payload.distA,
+    distB: e.payload && e.payload.distB,
+    trustA: e.trustA,
+    trustB: e.trustB,
+    controller: e.payload && e.payload.controller ? e.payload.controller : (e.trustA >= e.trustB ? 'A' : 'B'),
+    rpm: e.payload && (e.payload.rpm || e.payload.speed),
+    reason: e.payload && e.payload.reason,
+    txHash: e.blockchain && (e.blockchain.txHash || e.blockchain.transactionHash),
+    systemDecision: e.systemDecision || null
+  };
+}
+
+// ---- Device summaries ----
+function latestRecord(deviceId, filter) {
+  return queryEvents({ deviceId, order: 'desc', limit: 1, ...filter })[0] || null;
+}
+
+function summarize(deviceId, registered, now = Date.now()) {
+  const reading = latestRecord(deviceId, { stage: 'received' });
+  const decided = latestRecord(deviceId, { stage: 'pre-chain' });
+  const lastFlagged = latestRecord(deviceId, { stage: 'pre-chain', flagged: true });
+  const lastSeenMs = reading && reading.receivedAt ? Date.parse(reading.receivedAt) : null;
+  const groupId = (registered && registered.groupId) || (reading && reading.groupId) || null;
+  const view = reading ? telemetryView(reading) : null;
+
+  return {
+    deviceId,
+    groupId,
+    label: registered ? registered.label : null,
+    status: registered ? registered.status : 'unregistered',
+    lastSeen: reading ? reading.receivedAt : null,
+    stale: lastSeenMs === null || now - lastSeenMs > FLEET_STALE_SEC * 1000,
+    trustA: view ? view.trustA : null,
+    trustB: view ? view.trustB : null,
+    gatewayTrustA: view ? view.gatewayTrustA : null,
+    gatewayTrustB: view ? view.gatewayTrustB : null,
+    controller: view ? view.controller : null,
+    rpm: view ? view.rpm : null,
+    // the pre-chain record carries the combined decision; fall back to the reading's own checks
+    flagged: decided && reading && String(decided.eventId) === String(reading.eventId) ? !!decided.flagged : !!(view && view.flagged),
+    lastFlaggedAt: lastFlagged ? lastFlagged.receivedAt : null,
+    threshold: groupId ? getGroupThreshold(groupId) : null
+  };
+}
+
+function allDevices(now) {
+  const registered = new Map(listDevices().map(d => [d.deviceId, d]));
+  const ids = new Set([...registered.keys(), ...listIndexKeys('deviceId')]);
+  return [...ids].map(id => summarize(id, registered.get(id), now));
+}
+
+function matches(device, { groupId, status, flagged, q }) {
+  if (groupId && device.groupId !== groupId) return false;
+  if (status === 'stale' && !device.stale) return false;
+  if (status && status !== 'stale' && device.status !== status) return false;
+  if (flagged !== undefined && flagged !== null && device.flagged !== flagged) return false;
+  if (q) {
+    const needle = String(q).toLowerCase();
+    const hay = [device.deviceId, device.groupId, device.label].filter(Boolean).join(' ').toLowerCase();
+    if (!hay.includes(needle)) return false;
+  }
+  return true;
+}
+
+function groupSummaries(devices) {
+  const groups = new Map();
+  for (const d of devices) {
+    const key = d.groupId || 'ungrouped';
+    if (!groups.has(key)) {
+      groups.set(key, { groupId: key, threshold: d.threshold, devices: 0, flagged: 0, stale: 0, minTrust: null, lastSeen: null });
+    }
+    const g = groups.get(key);
+    g.devices++;
+    if (d.flagged) g.flagged++;
+    if (d.stale) g.stale++;
+    for (const t of [d.trustA, d.trustB]) {
+      if (typeof t === 'number') g.minTrust = g.minTrust === null ? t : Math.min(g.minTrust, t);
+    }
+    if (d.lastSeen && (!g.lastSeen || d.lastSeen > g.lastSeen)) g.lastSeen = d.lastSeen;
+  }
+  return [...groups.values()].sort((a, b) => a.groupId.localeCompare(b.groupId));
+}
+
+// ---- Public API ----
+function listFleet(filter = {}) {
+  const devices = allDevices(Date.now())
+    .filter(d => matches(d, filter))
+    .sort((a, b) => String(b.lastSeen || '').localeCompare(String(a.lastSeen || '')) || a.deviceId.localeCompare(b.deviceId));
+  return { devices, groups: groupSummaries(devices) };
+}
+
+function getDeviceDetail(deviceId, { limit = DEVICE_HISTORY_LIMIT } = {}) {
+  const registered = getDevice(deviceId);
+  const readings = queryEvents({ deviceId, stage: 'received', order: 'desc', limit }).reverse();
+  if (!registered && readings.length === 0) return null;
+  return {
+    device: summarize(deviceId, registered),
+    readings: readings.map(telemetryView),
+    flagged: queryEvents({ deviceId, flagged: true, order: 'desc', limit: 50 }).map(flaggedView)
+  };
+}
+
+module.exports = { listFleet, getDeviceDetail, telemetryView, flaggedView };
@@ -0,0 +1,175 @@
+// Gateway/src/health.js
+/**
+ * Liveness / readiness for GET /health/live and GET /health/ready
+ * - live: the process answers (no dependency is touched)
+ * - ready: every dependency checked with details, each as { status: 'ok' | 'fail', critical, error?, ... }:
+ *     rpc (reachable, chain id, head; endpoint health in rpc mode), contract (code at TRUSTLOGGER_ADDRESS),
+ *     abi (abi.json loaded), wallet (present, balance >= HEALTH_MIN_BALANCE_ETH), store (event store
+ *     writable), queue (pending <= HEALTH_MAX_QUEUE_BACKLOG, oldest item younger than HEALTH_MAX_QUEUE_AGE_MS)
+ * - Overall status: down when a critical check fails (HEALTH_CRITICAL_CHECKS, default store), degraded when any
+ *   other fails, ok otherwise; ready is false only when down
+ * - Chain reads are capped at HEALTH_CHECK_TIMEOUT_MS each; reports are cached for HEALTH_CACHE_MS so probes and
+ *   dashboards polling together do not multiply RPC calls
+ *
+ * Exports:
+ *  - initHealth({ getChain, provider, storeHealth, queueStats, rpcStatus, minBalanceEth, maxQueueBacklog,
+ *      maxQueueAgeMs, critical, timeoutMs, cacheMs })   (provider is a getter: the backend can change)
+ *  - liveness() -> { status: 'ok', startedAt, uptimeSec }
+ *  - readiness({ refresh }) -> Promise<{ status, ready, failing, checkedAt, checks }> (failing: names of failed checks)
+ */
+
+const { ethers } = require('ethers');
+
+const CHECKS = ['rpc', 'contract', 'abi', 'wallet', 'store', 'queue'];
+const STARTED_AT = new Date();
+
+let opts = {};
+let cached = null; // { at, report }
+let running = null;
+
+function defaults() {
+  return {
+    getChain: () => ({}),
+    provider: () => null,
+    storeHealth: () => ({ writable: true }),
+    queueStats: () => ({ pending: 0, oldestEnqueuedAt: null }),
+    rpcStatus: () => null,
+    minBalanceEth: Number(process.env.HEALTH_MIN_BALANCE_ETH || 0.01),
+    maxQueueBacklog: Number(process.env.HEALTH_MAX_QUEUE_BACKLOG || 100),
+    maxQueueAgeMs: Number(process.env.HEALTH_MAX_QUEUE_AGE_MS || 600_000),
+    critical: (process.env.HEALTH_CRITICAL_CHECKS || 'store').split(',').map(c => c.trim()).filter(Boolean),
+    timeoutMs: Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 3000),
+    cacheMs: Number(process.env.HEALTH_CACHE_MS || 5000)
+  };
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const fail = (error, details = {}) => ({ status: 'fail', ...details, error });
+
+// ---- Checks ----
+async function checkRpc(chain, provider) {
+  if (!provider) return fail('chain backend not started', { mode: chain.mode || null });
+  const details = { mode: chain.mode };
+  const pool = chain.mode === 'rpc' ? opts.rpcStatus() : null;
+  if (pool) {
+    details.endpoints = pool.endpoints.length;
+    details.endpointsUp = pool.endpoints.filter(e => e.status === 'up').length;
+  }
+  try {
+    details.chainId = Number(await withTimeout(provider.send('eth_chainId', []), opts.timeoutMs, 'eth_chainId'));
+    details.head = await withTimeout(provider.getBlockNumber(), opts.timeoutMs, 'eth_blockNumber');
+  } catch (err) {
+    return fail(`RPC unreachable: ${err && err.message ? err.message : err}`, details);
+  }
+  return { status: 'ok', ...details };
+}
+
+async function checkContract(chain, provider) {
+  const address = chain.contractAddress || (process.env.TRUSTLOGGER_ADDRESS || '').trim() || null;
+  if (!address) return fail('TRUSTLOGGER_ADDRESS not set');
+  if (!provider) return fail('chain backend not started', { address });
+  try {
+    const code = await withTimeout(provider.getCode(address), opts.timeoutMs, 'eth_getCode');
+    if (!code || code === '0x') return fail(`no contract code at ${address}`, { address });
+    return { status: 'ok', address, codeBytes: (code.length - 2) / 2 };
+  } catch (err) {
+    return fail(`could not read contract code: ${err && err.message ? err.message : err}`, { address });
+  }
+}
+
+function checkAbi(chain) {
+  if (!chain.abiLoaded) return fail('abi.json could not be loaded; contract calls are disabled');
+  return { status: 'ok' };
+}
+
+async function checkWallet(chain, provider) {
+  if (!chain.signer) return fail('no wallet: DEPLOYER_PRIVATE_KEY missing or invalid, on-chain writes are disabled');
+  const details = { address: chain.signer, minBalanceEth: opts.minBalanceEth };
+  if (!provider) return fail('chain backend not started', details);
+  let balance;
+  try {
+    balance = await withTimeout(provider.getBalance(chain.signer), opts.timeoutMs, 'eth_getBalance');
+  } catch (err) {
+    return fail(`could not read balance: ${err && err.message ? err.message : err}`, details);
+  }
+  details.balanceEth = Number(ethers.formatEther(balance));
+  if (details.balanceEth < opts.minBalanceEth) {
+    return fail(`balance ${details.balanceEth} ETH below the ${opts.minBalanceEth} ETH floor`, details);
+  }
+  return { status: 'ok', ...details };
+}
+
+function checkStore() {
+  const store = opts.storeHealth();
+  if (!store.writable) return fail(`event store not writable: ${store.error}`, store);
+  if (store.lastWriteError) return fail(`last event store write failed: ${store.lastWriteError}`, store);
+  return { status: 'ok', ...store };
+}
+
+function checkQueue() {
+  const stats = opts.queueStats();
+  const oldestAgeMs = stats.oldestEnqueuedAt ? Math.max(0, Date.now() - Date.parse(stats.oldestEnqueuedAt)) : 0;
+  const details = {
+    pending: stats.pending,
+    inFlight: stats.inFlight,
+    deadLetter: stats.deadLetter,
+    oldestAgeMs,
+    maxBacklog: opts.maxQueueBacklog,
+    maxAgeMs: opts.maxQueueAgeMs
+  };
+  if (stats.pending > opts.maxQueueBacklog) return fail(`${stats.pending} queued writes (limit ${opts.maxQueueBacklog})`, details);
+  if (oldestAgeMs > opts.maxQueueAgeMs) return fail(`oldest queued write waiting ${Math.round(oldestAgeMs / 1000)}s (limit ${Math.round(opts.maxQueueAgeMs / 1000)}s)`, details);
+  return { status: 'ok', ...details };
+}
+
+const RUNNERS = { rpc: checkRpc, contract: checkContract, abi: checkAbi, wallet: checkWallet, store: checkStore, queue: checkQueue };
+
+async function runChecks() {
+  const chain = opts.getChain() || {};
+  const provider = opts.provider();
+  const results = await Promise.all(CHECKS.map(async (name) => {
+    try {
+      return await RUNNERS[name](chain, provider);
+    } catch (err) {
+      return fail(err && err.message ? err.message : String(err));
+    }
+  }));
+  const checks = {};
+  CHECKS.forEach((name, i) => { checks[name] = { ...results[i], critical: opts.critical.includes(name) }; });
+  const failed = CHECKS.filter(name => checks[name].status !== 'ok');
+  const status = failed.some(name => checks[name].critical) ? 'down' : failed.length ? 'degraded' : 'ok';
+  return { status, ready: status !== 'down', failing: failed, checkedAt: new Date().toISOString(), checks };
+}
+
+// ---- Public API ----
+function initHealth(options = {}) {
+  opts = { ...defaults(), ...options };
+  cached = null;
+}
+
+function liveness() {
+  return { status: 'ok', startedAt: STARTED_AT.toISOString(), uptimeSec: Math.round(process.uptime()) };
+}
+
+async function readiness({ refresh = false } = {}) {
+  if (!opts.getChain) initHealth();
+  if (!refresh && cached && Date.now() - cached.at < opts.cacheMs) return cached.report;
+  if (!running) {
+    running = runChecks()
+      .then((report) => {
+        cached = { at: Date.now(), report };
+        return report;
+      })
+      .finally(() => { running = null; });
+  }
+  return running;
+}
+
+module.exports = { initHealth, liveness, readiness };
@@ -0,0 +1,148 @@
+// Gateway/src/history.js
+/**
+ * Historical queries over the event store
+ * - queryHistory: filtered stage records (from/to, deviceId, groupId, stage, flagged) with cursor pagination;
+ *   the cursor is the seq of the last record returned, so pages stay stable while new records are appended
+ * - querySeries: server-side downsampling of 'received' readings into fixed time buckets with
+ *   min / max / avg per field, so a chart over hours or weeks stays a few hundred points
+ * - Times (from, to) accept ISO strings, unix seconds or milliseconds; bucket times are unix ms (record time)
+ *
+ * Exports:
+ *  - queryHistory(filter) -> { events: [{ seq, time, event }], nextCursor }
+ *  - querySeries(filter) -> { from, to, bucketMs, fields, count, buckets: [{ t, count, <field>: { min, max, avg } }] }
+ *  - SERIES_FIELDS
+ */
+
+const { scanEvents } = require('./storage');
+
+const HISTORY_PAGE_DEFAULT = 100;
+const HISTORY_PAGE_MAX = Number(process.env.HISTORY_PAGE_MAX || 1000);
+const SERIES_BUCKETS_DEFAULT = 200;
+const SERIES_BUCKETS_MAX = Number(process.env.SERIES_BUCKETS_MAX || 2000);
+
+// numeric reading fields that can be downsampled; distances of -1 (no echo) are skipped
+const SERIES_FIELDS = {
+  trustA: e => e.trustA,
+  trustB: e => e.trustB,
+  gatewayTrustA: e => e.crossValidation && e.crossValidation.gatewayTrustA,
+  gatewayTrustB: e => e.crossValidation && e.crossValidation.gatewayTrustB,
+  distA: e => e.payload && e.payload.distA,
+  distB: e => e.payload && e.payload.distB,
+  rpm: e => e.payload && (e.payload.rpm ?? e.payload.speed)
+};
+
+// ---- Helpers ----
+function toMillis(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isNaN(n)) return n < 1e12 ? n * 1000 : n;
+  const parsed = Date.parse(v);
+  if (Number.isNaN(parsed)) throw new Error(`invalid time: ${v}`);
+  return parsed;
+}
+
+function toBool(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  if (v === true || v === 'true' || v === '1') return true;
+  if (v === false || v === 'false' || v === '0') return false;
+  throw new Error(`invalid boolean: ${v}`);
+}
+
+function baseFilter({ deviceId, groupId, from, to }) {
+  const fromMs = toMillis(from);
+  const toMs = toMillis(to);
+  if (fromMs !== null && toMs !== null && fromMs > toMs) throw new Error('from must not be after to');
+  return { deviceId: deviceId || undefined, groupId: groupId || undefined, from: fromMs, to: toMs };
+}
+
+// ---- Raw records, paginated ----
+function queryHistory(filter = {}) {
+  const order = filter.order === 'asc' ? 'asc' : 'desc';
+  const limit = Math.min(Math.max(1, Number(filter.limit) || HISTORY_PAGE_DEFAULT), HISTORY_PAGE_MAX);
+  const stage = filter.stage ? String(filter.stage).split(',').map(s => s.trim()).filter(Boolean) : undefined;
+  const cursor = filter.cursor !== undefined && filter.cursor !== null && filter.cursor !== '' ? Number(filter.cursor) : null;
+  if (cursor !== null && (!Number.isInteger(cursor) || cursor < 0)) throw new Error('invalid cursor');
+
+  const query = {
+    ...baseFilter(filter),
+    stage,
+    flagged: toBool(filter.flagged),
+    order,
+    limit: limit + 1 // one extra tells us whether there is a next page
+  };
+  if (cursor !== null) query[order === 'asc' ? 'afterSeq' : 'beforeSeq'] = cursor;
+
+  const events = [];
+  scanEvents(query, (event, meta) => {
+    events.push({ ...meta, event });
+  });
+  const more = events.length > limit;
+  if (more) events.length = limit;
+  return { events, nextCursor: more ? String(events[events.length - 1].seq) : null };
+}
+
+// ---- Downsampled readings ----
+function parseFields(fields) {
+  if (!fields) return Object.keys(SERIES_FIELDS);
+  const list = (Array.isArray(fields) ? fields : String(fields).split(',')).map(f => f.trim()).filter(Boolean);
+  const unknown = list.filter(f => !SERIES_FIELDS[f]);
+  if (unknown.length) throw new Error(`unknown field(s): ${unknown.join(', ')}`);
+  return list;
+}
+
+function querySeries(filter = {}) {
+  const fields = parseFields(filter.fields);
+  const range = baseFilter(filter);
+  const to = range.to !== null ? range.to : Date.now();
+  let from = range.from;
+  if (from === null) {
+    // open start: begin at the first matching reading
+    scanEvents({ ...range, stage: 'received', limit: 1 }, (e, meta) => { from = meta.time; });
+    if (from === null) from = to;
+  }
+
+  let bucketMs;
+  if (filter.bucket) {
+    bucketMs = Number(filter.bucket) * 1000; // seconds
+    if (!(bucketMs > 0)) throw new Error('bucket must be a positive number of seconds');
+  } else {
+    const buckets = Math.min(Math.max(1, Number(filter.buckets) || SERIES_BUCKETS_DEFAULT), SERIES_BUCKETS_MAX);
+    bucketMs = Math.max(1000, Math.ceil((to - from + 1) / buckets));
+  }
+  if ((to - from) / bucketMs > SERIES_BUCKETS_MAX) throw new Error(`range needs more than ${SERIES_BUCKETS_MAX} buckets; use a larger bucket`);
+
+  const buckets = new Map(); // bucket start -> { t, count, sums }
+  let count = 0;
+  scanEvents({ ...range, from, to, stage: 'received' }, (e, meta) => {
+    const t = from + Math.floor((meta.time - from) / bucketMs) * bucketMs;
+    let b = buckets.get(t);
+    if (!b) {
+      b = { t, count: 0, stats: {} };
+      buckets.set(t, b);
+    }
+    b.count++;
+    count++;
+    for (const field of fields) {
+      const v = SERIES_FIELDS[field](e);
+      if (typeof v !== 'number' || Number.isNaN(v)) continue;
+      if ((field === 'distA' || field === 'distB') && v < 0) continue;
+      const s = b.stats[field] || (b.stats[field] = { min: v, max: v, sum: 0, n: 0 });
+      s.min = Math.min(s.min, v);
+      s.max = Math.max(s.max, v);
+      s.sum += v;
+      s.n++;
+    }
+  });
+
+  const out = [...buckets.values()].sort((a, b) => a.t - b.t).map(b => {
+    const point = { t: b.t, count: b.count };
+    for (const field of fields) {
+      const s = b.stats[field];
+      point[field] = s ? { min: s.min, max: s.max, avg: Number((s.sum / s.n).toFixed(2)) } : null;
+    }
+    return point;
+  });
+  return { from, to, bucketMs, fields, count, buckets: out };
+}
+
+module.exports = { queryHistory, querySeries, SERIES_FIELDS };
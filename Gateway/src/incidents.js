@@ -0,0 +1,320 @@
+// Gateway/src/incidents.js
+/**
+ * Incidents: system alerts grouped per device and cause, with an operator lifecycle
+ * - Sources: system-validation records with confirm_unreliable / flag_for_review (cause = the decision's reason,
+ *   i.e. the rule id) and received records whose cross-validation diverged (cause = trust_divergence)
+ * - One active incident per (deviceId, cause): repeats bump occurrences, lastSeenAt and lastEventId and may raise
+ *   the severity (flag_for_review -> confirm_unreliable); after it is resolved the next alert opens a new one
+ * - Lifecycle: open -> acknowledged -> resolved (open -> resolved is allowed); assignee and notes at any time,
+ *   every transition is kept in the incident's timeline
+ * - Auto-resolve: once the device's systemValidate decisions are no_action (and not divergent) for at least
+ *   INCIDENT_AUTO_RESOLVE_SEC (default 600) and INCIDENT_AUTO_RESOLVE_MIN_CLEAN decisions (default 3), its
+ *   active incidents are resolved by 'system'; any new alert restarts the clean period
+ * - Each incident keeps the ids of the alerts (alerts.js) raised by its records; acknowledging or resolving it
+ *   (auto-resolve included) acknowledges those alerts, so they stop escalating, and an alert linked to an
+ *   acknowledged incident is acknowledged right away
+ * - Stored in data/incidents.json (INCIDENTS_FILE); resolved incidents beyond INCIDENTS_MAX are pruned, oldest first.
+ *   Opening, escalating, acknowledging and resolving are written at once; repeat and clean-decision counters are
+ *   written every INCIDENTS_FLUSH_MS (default 5000)
+ *
+ * Exports:
+ *  - loadIncidents({ file }), stopIncidents() -> writes pending counter updates
+ *  - trackRecord(record, now?, { alertIds }) -> [{ type: opened|updated|resolved, incident }]
+ *      alertIds: the alerts raised for the same record
+ *  - listIncidents({ status, deviceId, groupId, assignee, limit }), getIncident(id)
+ *  - acknowledgeIncident(id, { actor, note }), assignIncident(id, { assignee, actor }),
+ *    addIncidentNote(id, { text, actor }), resolveIncident(id, { actor, note }) -> incident
+ *  - INCIDENT_STATUSES
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+const { getAlert, acknowledgeAlert } = require('./alerts');
+
+const DEFAULT_FILE = process.env.INCIDENTS_FILE || path.join(DATA_DIR, 'incidents.json');
+const AUTO_RESOLVE_SEC = Number(process.env.INCIDENT_AUTO_RESOLVE_SEC || 600);
+const AUTO_RESOLVE_MIN_CLEAN = Number(process.env.INCIDENT_AUTO_RESOLVE_MIN_CLEAN || 3);
+const INCIDENTS_MAX = Number(process.env.INCIDENTS_MAX || 2000);
+const NOTE_MAX = 2000;
+const FLUSH_MS = Number(process.env.INCIDENTS_FLUSH_MS || 5000);
+
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ACTIONS = ['flag_for_review', 'confirm_unreliable']; // ascending severity
+
+let file = DEFAULT_FILE;
+let incidents = {}; // id -> incident
+let flushTimer = null; // pending save of counter updates
+
+// ---- Persistence ----
+function loadIncidents(opts = {}) {
+  stopIncidents();
+  file = opts.file || DEFAULT_FILE;
+  incidents = {};
+  try {
+    if (fs.existsSync(file)) incidents = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+  } catch (e) {
+    console.warn('[incidents] load failed', e.message);
+    incidents = {};
+  }
+  // incidents stored before alerts were linked
+  for (const i of Object.values(incidents)) i.alertIds = i.alertIds || [];
+}
+
+function saveIncidents() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  const all = Object.values(incidents);
+  if (all.length > INCIDENTS_MAX) {
+    const prunable = all.filter(i => i.status === 'resolved').sort((a, b) => a.resolvedAt.localeCompare(b.resolvedAt));
+    for (const i of prunable.slice(0, all.length - INCIDENTS_MAX)) delete incidents[i.id];
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(incidents, null, 2), 'utf8');
+}
+
+// repeats and clean decisions only move counters: batch them into one write instead of one per reading
+function scheduleSave() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    try {
+      saveIncidents();
+    } catch (err) {
+      console.error('[incidents] save failed:', err && err.message ? err.message : err);
+    }
+  }, FLUSH_MS);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+function stopIncidents() {
+  if (flushTimer) saveIncidents();
+}
+
+// ---- Linked alerts ----
+// acknowledge the incident's open alerts so their escalation stops; an alert that is gone is skipped
+function acknowledgeAlerts(incident, { actor, note }) {
+  for (const id of incident.alertIds) {
+    const alert = getAlert(id);
+    if (!alert || alert.status !== 'open') continue;
+    try {
+      acknowledgeAlert(id, { actor, note });
+    } catch (err) {
+      console.warn(`[incidents] could not acknowledge alert ${id}:`, err && err.message ? err.message : err);
+    }
+  }
+}
+
+function linkAlerts(incident, alertIds) {
+  const added = alertIds.filter(id => !incident.alertIds.includes(id));
+  incident.alertIds.push(...added);
+  if (added.length && incident.status === 'acknowledged') {
+    acknowledgeAlerts(incident, { actor: 'system', note: `incident ${incident.id} already acknowledged by ${incident.acknowledgedBy}` });
+  }
+}
+
+// ---- Tracking ----
+function isActive(incident) {
+  return incident.status !== 'resolved';
+}
+
+function activeFor(deviceId) {
+  return Object.values(incidents).filter(i => i.deviceId === deviceId && isActive(i));
+}
+
+// { cause, action, evidence } when the record is a system alert
+function alertOf(record) {
+  if (record.stage === 'system-validation' && record.systemDecision && ACTIONS.includes(record.systemDecision.action)) {
+    const d = record.systemDecision;
+    return { cause: d.reason || d.action, action: d.action, evidence: d.evidence || null };
+  }
+  if (record.stage === 'received' && record.crossValidation && record.crossValidation.divergent) {
+    return { cause: 'trust_divergence', action: 'flag_for_review', evidence: record.crossValidation };
+  }
+  return null;
+}
+
+function isClean(record) {
+  return record.stage === 'system-validation' && record.systemDecision && record.systemDecision.action === 'no_action' &&
+    !(record.crossValidation && record.crossValidation.divergent);
+}
+
+function open(record, alert, at) {
+  const incident = {
+    id: crypto.randomUUID(),
+    deviceId: record.deviceId,
+    groupId: record.groupId ?? null,
+    cause: alert.cause,
+    action: alert.action,
+    status: 'open',
+    occurrences: 1,
+    firstEventId: record.eventId ?? null,
+    lastEventId: record.eventId ?? null,
+    evidence: alert.evidence,
+    openedAt: at,
+    lastSeenAt: at,
+    assignee: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null,
+    resolution: null,
+    cleanSince: null,
+    cleanCount: 0,
+    alertIds: [],
+    notes: [],
+    timeline: [{ at, actor: 'system', type: 'opened', detail: alert.action }]
+  };
+  incidents[incident.id] = incident;
+  console.log(`[incidents] opened ${incident.id}: ${incident.deviceId} ${incident.cause} (${incident.action})`);
+  return incident;
+}
+
+function resolve(incident, { actor, at, resolution, note }) {
+  incident.status = 'resolved';
+  incident.resolvedAt = at;
+  incident.resolvedBy = actor;
+  incident.resolution = resolution;
+  incident.timeline.push({ at, actor, type: 'resolved', detail: note || resolution });
+  if (note) incident.notes.push({ id: crypto.randomUUID(), at, author: actor, text: note });
+  acknowledgeAlerts(incident, { actor, note: `incident ${incident.id} resolved (${resolution})` });
+}
+
+function trackRecord(record, now = Date.now(), { alertIds = [] } = {}) {
+  if (!record || record.deviceId === undefined || record.deviceId === null) return [];
+  const at = new Date(now).toISOString();
+  const changes = [];
+  let transition = false; // opened, escalated or resolved: written at once
+  let touched = false;    // counters only: written with the next flush
+
+  const alert = alertOf(record);
+  if (alert) {
+    // any alert restarts the device's clean period
+    for (const i of activeFor(record.deviceId)) {
+      i.cleanSince = null;
+      i.cleanCount = 0;
+    }
+    const existing = activeFor(record.deviceId).find(i => i.cause === alert.cause);
+    if (existing) {
+      existing.occurrences++;
+      existing.lastSeenAt = at;
+      existing.lastEventId = record.eventId ?? existing.lastEventId;
+      existing.evidence = alert.evidence;
+      if (ACTIONS.indexOf(alert.action) > ACTIONS.indexOf(existing.action)) {
+        existing.timeline.push({ at, actor: 'system', type: 'escalated', detail: `${existing.action} -> ${alert.action}` });
+        existing.action = alert.action;
+        transition = true;
+      }
+      linkAlerts(existing, alertIds);
+      touched = true;
+      changes.push({ type: 'updated', incident: existing });
+    } else {
+      const incident = open(record, alert, at);
+      linkAlerts(incident, alertIds);
+      transition = true;
+      changes.push({ type: 'opened', incident });
+    }
+  } else if (isClean(record)) {
+    for (const i of activeFor(record.deviceId)) {
+      touched = true;
+      if (!i.cleanSince) i.cleanSince = at;
+      i.cleanCount++;
+      if (i.cleanCount >= AUTO_RESOLVE_MIN_CLEAN && now - Date.parse(i.cleanSince) >= AUTO_RESOLVE_SEC * 1000) {
+        resolve(i, { actor: 'system', at, resolution: 'auto' });
+        transition = true;
+        console.log(`[incidents] auto-resolved ${i.id}: ${i.deviceId} ${i.cause} (${i.cleanCount} clean decisions since ${i.cleanSince})`);
+        changes.push({ type: 'resolved', incident: i });
+      }
+    }
+  }
+  if (transition) saveIncidents();
+  else if (touched) scheduleSave();
+  return changes;
+}
+
+// ---- Operator actions ----
+function find(id) {
+  const incident = incidents[id];
+  if (!incident) throw new Error('incident not found');
+  return incident;
+}
+
+function noteText(text) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('note text is required');
+  if (text.length > NOTE_MAX) throw new Error(`note text is limited to ${NOTE_MAX} characters`);
+  return text.trim();
+}
+
+function acknowledgeIncident(id, { actor, note } = {}) {
+  const incident = find(id);
+  if (incident.status !== 'open') throw new Error(`incident already ${incident.status}`);
+  const text = note ? noteText(note) : null;
+  const at = new Date().toISOString();
+  incident.status = 'acknowledged';
+  incident.acknowledgedAt = at;
+  incident.acknowledgedBy = actor || 'unknown';
+  incident.timeline.push({ at, actor: incident.acknowledgedBy, type: 'acknowledged', detail: null });
+  if (text) incident.notes.push({ id: crypto.randomUUID(), at, author: incident.acknowledgedBy, text });
+  acknowledgeAlerts(incident, { actor: incident.acknowledgedBy, note: `incident ${incident.id} acknowledged` });
+  saveIncidents();
+  return incident;
+}
+
+function assignIncident(id, { assignee, actor } = {}) {
+  const incident = find(id);
+  if (!isActive(incident)) throw new Error('incident already resolved');
+  if (assignee !== null && (typeof assignee !== 'string' || !assignee.trim())) throw new Error('assignee must be a username or null');
+  const at = new Date().toISOString();
+  const next = assignee ? assignee.trim() : null;
+  incident.timeline.push({ at, actor: actor || 'unknown', type: 'assigned', detail: `${incident.assignee || 'nobody'} -> ${next || 'nobody'}` });
+  incident.assignee = next;
+  saveIncidents();
+  return incident;
+}
+
+function addIncidentNote(id, { text, actor } = {}) {
+  const incident = find(id);
+  incident.notes.push({ id: crypto.randomUUID(), at: new Date().toISOString(), author: actor || 'unknown', text: noteText(text) });
+  saveIncidents();
+  return incident;
+}
+
+function resolveIncident(id, { actor, note } = {}) {
+  const incident = find(id);
+  if (!isActive(incident)) throw new Error('incident already resolved');
+  resolve(incident, { actor: actor || 'unknown', at: new Date().toISOString(), resolution: 'manual', note: note ? noteText(note) : null });
+  saveIncidents();
+  return incident;
+}
+
+// ---- Queries ----
+function listIncidents({ status, deviceId, groupId, assignee, limit = 200 } = {}) {
+  const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : null;
+  if (statuses && statuses.some(s => !INCIDENT_STATUSES.includes(s))) {
+    throw new Error(`status must be one of ${INCIDENT_STATUSES.join(', ')}`);
+  }
+  return Object.values(incidents)
+    .filter(i => !statuses || statuses.includes(i.status))
+    .filter(i => !deviceId || i.deviceId === deviceId)
+    .filter(i => !groupId || i.groupId === groupId)
+    .filter(i => !assignee || i.assignee === assignee)
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    .slice(0, Number(limit) || 200);
+}
+
+function getIncident(id) {
+  return incidents[id] || null;
+}
+
+module.exports = {
+  loadIncidents,
+  stopIncidents,
+  trackRecord,
+  listIncidents,
+  getIncident,
+  acknowledgeIncident,
+  assignIncident,
+  addIncidentNote,
+  resolveIncident,
+  INCIDENT_STATUSES
+};
@@ -1,385 +1,785 @@
 // Gateway/src/index.js
 require('dotenv').config();
 
-const fs = require('fs');
-const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { Server } = require('socket.io');
+const { ethers } = require('ethers');
 
-// system-level validator (your helper)
-const { systemValidate } = require('./systemValidation');
+// reading pipeline shared by POST /data and MQTT (validation, hashing, decisions, chain queue)
+const { initIngest, ingestReading, ingestBatch } = require('./ingest');
 
-// blockchain helper (must export provider, processAndLog, keccakHash, contract, wallet)
+// MQTT ingestion: external broker (MQTT_URL) or embedded aedes broker (MQTT_EMBEDDED_PORT)
+const { initMqtt, getMqttStatus } = require('./mqtt');
+
+// rule sets + detectors behind systemValidate (config/rules.json or RULES_FILE)
+const { loadRules, getRulesConfig, resolveRules } = require('./ruleEngine');
+
+// append-only event store (NDJSON segments + in-memory indexes)
+const { openStore, appendEvent, queryEvents, storeHealth } = require('./storage');
+
+// durable on-chain write queue (journaled, with dead-letter store)
+const {
+  initQueue, enqueue, queueStats,
+  listDeadLetters, getDeadLetter, retryDeadLetter, discardDeadLetter
+} = require('./queue');
+
+// blockchain helper: backend chosen by CHAIN_MODE, provider / contract read through its getters
 const blockchain = require('./blockchain');
-const { provider, processAndLog, keccakHash, contract, wallet } = blockchain;
+const {
+  initChain, getChain, processAndLog, anchorBatch,
+  authorizeGateway, revokeGateway, registerDeviceOnChain, revokeDeviceOnChain, isDeviceRegistered, getRoles
+} = blockchain;
 
-// ---- Config & paths ----
-const PORT = process.env.PORT || 3000;
-const GATEWAY_API_KEY = process.env.GATEWAY_API_KEY || 'dhanushharini03080411';
-const DEFAULT_THRESHOLD = Number(process.env.TRUST_THRESHOLD || 60);
-const TRUSTLOGGER_ADDRESS = process.env.TRUSTLOGGER_ADDRESS || null;
+// anchoring tx lifecycle (pending / mined / confirmed, fee bumps) behind every blockchain write
+const { listTxs, txStats } = require('./txManager');
 
-const ROOT = path.join(__dirname, '..');
-const EVENTS_FILE = path.join(ROOT, 'events.json');
-const THRESHOLDS_FILE = path.join(ROOT, 'thresholds.json');
+// health-checked RPC endpoints behind the provider (RPC_URLS)
+const { getRpcStatus, checkRpcHealth } = require('./rpcPool');
 
-// ---- Minimal persistence helpers ----
-function ensureEventsFile() {
-  if (!fs.existsSync(EVENTS_FILE)) {
-    fs.writeFileSync(EVENTS_FILE, '[]', 'utf8');
-  }
-}
-function readEventsRaw() {
-  ensureEventsFile();
-  try {
-    const raw = fs.readFileSync(EVENTS_FILE, 'utf8') || '[]';
-    return JSON.parse(raw);
-  } catch (e) {
-    console.error('[storage] readEventsRaw failed:', e.message || e);
-    return [];
-  }
-}
-function appendEvent(evt) {
-  try {
-    ensureEventsFile();
-    const arr = readEventsRaw();
-    arr.push(evt);
-    fs.writeFileSync(EVENTS_FILE, JSON.stringify(arr, null, 2), 'utf8');
-    return true;
-  } catch (err) {
-    console.error('[storage] appendEvent failed:', err && err.message ? err.message : err);
-    return false;
-  }
-}
+// Prometheus metrics (GET /metrics): HTTP, readings, decisions, queue, chain writes, sockets, wallet
+const { initMetrics, httpMetrics, countTx, renderMetrics } = require('./metrics');
+
+// dependency checks behind GET /health/live and /health/ready
+const { initHealth, liveness, readiness } = require('./health');
+
+// background TrustEvent index (deploy block -> head, checkpointed) behind systemValidate history
+const { initIndexer, indexerStatus } = require('./indexer');
+const { readIndexedTrustEvents } = require('./systemValidation');
+
+// Merkle-batched anchoring of every reading (roots go through the write queue)
+const { initAnchoring, markAnchored, getEventProof } = require('./anchoring');
+
+// per-device identities + HMAC-signed payloads
+const {
+  loadDevices, authenticateDeviceRequest,
+  registerDevice, rotateDeviceKey, revokeDevice, listDevices, getDevice
+} = require('./auth');
+
+// operator users (viewer/admin) and gateway-issued session tokens
+const {
+  initOperatorAuth, login, requireRole,
+  createUser, updateUser, deleteUser, listUsers
+} = require('./operatorAuth');
+
+// versioned payload schemas (structured 400s, per-device rejection counters)
+const { getRejectionStats, SCHEMAS, CURRENT_SCHEMA_VERSION } = require('./validator');
+
+// recompute payload hashes and compare them with the anchored TrustEvent / TrustBatch logs
+const { verifyEvent, auditGroup } = require('./verification');
+
+// fleet overview: registry + latest reading per device
+const { listFleet, getDeviceDetail, flaggedView } = require('./fleet');
+
+// Socket.io rooms, handshake auth and backfill
+const { initSocket, publishRecord, broadcast, clientCount } = require('./socket');
+
+// time-range queries with cursor pagination and downsampled series
+const { queryHistory, querySeries } = require('./history');
+
+// alert routing to webhooks / email with dedupe, cooldowns and escalation
+const {
+  initAlerts, alertsForRecord, raiseAlert, acknowledgeAlert, listAlerts, getAlert, listDeliveries,
+  loadAlertConfig, getAlertConfig
+} = require('./alerts');
+
+// system alerts grouped into incidents per device and cause (open / acknowledged / resolved)
+const {
+  loadIncidents, trackRecord, listIncidents, getIncident,
+  acknowledgeIncident, assignIncident, addIncidentNote, resolveIncident
+} = require('./incidents');
+
+// per-group thresholds, their change history and system-proposed changes awaiting approval
+const {
+  loadThresholds, getThresholds, setThreshold, clearThreshold, getHistory,
+  listProposals, approveProposal, rejectProposal, DEFAULT_THRESHOLD
+} = require('./thresholds');
+
+// ---- Config & paths ----
+const PORT = process.env.PORT || 3000;
+// browser origins allowed to call the gateway (REST + Socket.io)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3001,http://127.0.0.1:3001')
+  .split(',').map(o => o.trim()).filter(Boolean);
+// flagged events also get their own logTrustEvent tx (their TrustEvents feed systemValidate history)
+const ANCHOR_FLAGGED_EVENTS = process.env.ANCHOR_FLAGGED_EVENTS !== 'false';
 
-// per-group thresholds (simple file-backed map)
-let thresholds = {};
-function loadThresholds() {
-  try {
-    if (fs.existsSync(THRESHOLDS_FILE)) {
-      thresholds = JSON.parse(fs.readFileSync(THRESHOLDS_FILE, 'utf8') || '{}');
-    }
-  } catch (e) {
-    console.warn('[thresholds] load failed, using defaults', e.message);
-    thresholds = {};
-  }
-}
-function saveThresholds() {
-  try {
-    fs.writeFileSync(THRESHOLDS_FILE, JSON.stringify(thresholds, null, 2), 'utf8');
-  } catch (e) {
-    console.error('[thresholds] save failed', e.message);
-  }
-}
 loadThresholds();
+loadRules();
+openStore();
+loadDevices();
+initOperatorAuth();
+loadIncidents();
 
 // ---- Express + Socket.io setup ----
 const app = express();
-app.use(express.json());
-app.use(cors());
+app.use(httpMetrics);
+// keep the exact request bytes: device signatures are computed over the raw body
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(cors({ origin: CORS_ORIGINS }));
 
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Gateway running on port ${PORT}`);
 });
-const io = new Server(server, { cors: { origin: '*' } });
-io.on('connection', (socket) => {
-  console.log('[socket] Dashboard connected:', socket.id);
-});
+// realtime layer: every record message goes through storeAndPublish below
+initSocket(server, { corsOrigins: CORS_ORIGINS });
+initAlerts({ onEvent: (type, alert) => broadcast('alert', { type, alert }) });
 
 // ---- Utilities ----
-function verifyApiKey(key) {
-  if (!GATEWAY_API_KEY) return false;
-  return key && key === GATEWAY_API_KEY;
-}
-function computeGroupThreshold(groupId) {
-  return Number(thresholds[groupId] ?? DEFAULT_THRESHOLD);
+// role guards for operator routes (Authorization: Bearer <token> from POST /auth/login)
+const requireViewer = requireRole('viewer');
+const requireAdmin = requireRole('admin');
+
+// persist a stage record, push its realtime messages to the device / group / fleet rooms,
+// then raise alerts and update incidents (which link the alerts raised for the record)
+function storeAndPublish(record) {
+  const seq = appendEvent(record);
+  publishRecord(record, seq);
+  const alertIds = [];
+  for (const alert of alertsForRecord(record)) {
+    try {
+      const raised = raiseAlert(alert);
+      alertIds.push(raised.alert.id);
+      raised.delivered.catch(err => console.error('[alerts] delivery failed:', err && err.message ? err.message : err));
+    } catch (err) {
+      console.error('[alerts] raise failed:', err && err.message ? err.message : err);
+    }
+  }
+  try {
+    for (const change of trackRecord(record, Date.now(), { alertIds })) broadcast('incident', change);
+  } catch (err) {
+    console.error('[incidents] tracking failed:', err && err.message ? err.message : err);
+  }
+  return seq;
 }
 
-// ---- Write queue for background on-chain logging ----
-const writeQueue = [];
-let processingQueue = false;
-
+// ---- Durable write queue for background on-chain logging ----
 // Simple enqueue function
 function enqueueChainLog(evt) {
-  // push a shallow clone with attempt counter
-  writeQueue.push({ item: evt, attempts: 0 });
-  // persist queue entry for dev/audit
-  appendEvent({ ...evt, queuedAt: new Date().toISOString(), stage: 'queued' });
-  if (!processingQueue) {
-    processQueue().catch(err => {
-      console.error('[queue] processQueue top-level error:', err && err.message ? err.message : err);
-    });
-  }
+  // journal the item first so it survives a restart, then persist queue entry for dev/audit
+  const queueId = enqueue(evt);
+  storeAndPublish({ ...evt, queueId, queuedAt: new Date().toISOString(), stage: 'queued' });
 }
 
-// processQueue: sequential worker with retry/backoff
-async function processQueue() {
-  processingQueue = true;
-  while (writeQueue.length > 0) {
-    const wrapper = writeQueue.shift();
-    const { item, attempts } = wrapper;
-    const maxAttempts = 4;
-    const nextAttempt = attempts + 1;
-    try {
-      console.log('[queue] Processing queued event:', item.eventId || item.payload && item.payload.eventId);
-      // call processAndLog and wait for confirmation
-      const result = await processAndLog(item);
-      // append result to events and emit updates
-      appendEvent({ ...item, blockchain: result, stage: 'post-chain', processedAt: new Date().toISOString() });
-      io.emit('event_update', { ...item, blockchain: result, stage: 'final' });
-
-      // emit flaggedEvent if flagged
-      if (item.flagged) {
-        const flaggedEventObj = {
-          timestamp: item.payload.ts || Math.floor(Date.now() / 1000),
-          eventId: item.eventId,
-          deviceId: item.deviceId,
-          groupId: item.groupId,
-          distA: item.payload.distA ?? null,
-          distB: item.payload.distB ?? null,
-          trustA: item.oldTS ?? item.trustA ?? null,
-          trustB: item.newTS ?? item.trustB ?? null,
-          controller: item.payload.controller || (item.trustA >= item.trustB ? 'A' : 'B'),
-          rpm: item.payload.rpm ?? (item.payload.speed ?? null),
-          reason: item.reason || (item.payload && item.payload.reason) || 'LOW_TRUST',
-          txHash: (result && (result.txHash || result.transactionHash)) || null,
-          systemDecision: item.systemDecision || null
-        };
-        io.emit('flaggedEvent', flaggedEventObj);
-      }
-
-      console.log('[queue] Processed event', item.eventId, 'result:', result && result.success ? 'success' : 'failed');
-      // small delay to avoid hammering the provider
-      await new Promise(r => setTimeout(r, 500));
-    } catch (err) {
-      console.error('[queue] processing failed for event', item.eventId, 'attempt', nextAttempt, err && err.message ? err.message : err);
-      if (nextAttempt < maxAttempts) {
-        // exponential backoff before retrying: re-queue with incremented attempts
-        const backoffMs = 1000 * Math.pow(2, nextAttempt); // 2s, 4s, 8s...
-        console.log(`[queue] Re-queueing event ${item.eventId} after ${backoffMs}ms (attempt ${nextAttempt}/${maxAttempts})`);
-        // push back to queue end with incremented attempts counter
-        writeQueue.push({ item, attempts: nextAttempt });
-        // wait backoff before continuing loop (prevents busy spin)
-        await new Promise(r => setTimeout(r, backoffMs));
-      } else {
-        // give up after maxAttempts - persist failure and notify dashboard
-        console.error(`[queue] Giving up on event ${item.eventId} after ${nextAttempt} attempts`);
-        appendEvent({ ...item, stage: 'post-chain-failed', error: err && err.message ? err.message : String(err), processedAt: new Date().toISOString() });
-        io.emit('event_update', { ...item, stage: 'post-chain-failed', error: err && err.message ? err.message : String(err) });
-      }
-    }
-  } // while queue
-  processingQueue = false;
+// queue worker: anchor one item, then record and broadcast the result (throw to retry)
+// the queue id is the tx ref, so a retry waits for a tx that is still in flight instead of sending another
+async function processQueuedItem(item, { id } = {}) {
+  await chainReady;
+  const ref = id ? `queue:${id}` : null;
+  if (item.kind === 'batch') return processBatchItem(item, ref);
+  if (item.kind === 'device') return processDeviceItem(item, ref);
+  console.log('[queue] Processing queued event:', item.eventId || item.payload && item.payload.eventId);
+  // call processAndLog and wait for confirmation (throws when the tx fails)
+  const result = await processAndLog(item, { ref });
+  // store the result; flagged items also reach the dashboards as flaggedEvent
+  storeAndPublish({ ...item, blockchain: result, stage: 'post-chain', processedAt: new Date().toISOString() });
+
+  console.log('[queue] Processed event', item.eventId, 'result:', result && result.success ? 'success' : 'failed');
 }
 
-// ---- Health route ----
-app.get('/', (req, res) => res.send('Gateway is running...'));
+// batch items carry a sealed Merkle root: { kind: 'batch', batchId, merkleRoot, count, fromTs, toTs }
+async function processBatchItem(item, ref) {
+  console.log('[queue] Anchoring batch:', item.batchId, `(${item.count} readings)`);
+  const result = await anchorBatch(item, { ref });
+  if (result && result.success) {
+    markAnchored(item.batchId, result);
+    broadcast('batch_anchored', { batchId: item.batchId, merkleRoot: item.merkleRoot, count: item.count, txHash: result.txHash });
+  }
+  console.log('[queue] Processed batch', item.batchId, 'result:', result && result.success ? 'success' : 'failed');
+}
 
-// ---- Main /data handler ----
-app.post('/data', async (req, res) => {
-  try {
-    // 1) API key check
-    const apiKey = req.headers['x-api-key'] || req.headers['X-API-KEY'];
-    if (!verifyApiKey(apiKey)) {
-      return res.status(401).json({ error: 'invalid api key' });
-    }
+// device items mirror the device registry into TrustLogger: { kind: 'device', action: 'register' | 'revoke', deviceId, groupId }
+async function processDeviceItem(item, ref) {
+  const result = item.action === 'revoke'
+    ? await revokeDeviceOnChain(item.deviceId, { ref })
+    : await registerDeviceOnChain(item.deviceId, item.groupId, { ref });
+  broadcast('device_registry', { action: item.action, deviceId: item.deviceId, groupId: item.groupId || null, txHash: result.txHash });
+  console.log('[queue] Processed device', item.action, item.deviceId, 'tx:', result.txHash);
+}
 
-    // 2) Payload & basic logging
-    const payload = req.body || {};
-    console.log('[event] received payload:', payload);
+// queue an on-chain device registry write (only while the gateway can write to the contract)
+function mirrorDevice(action, deviceId, groupId) {
+  if (!getChain().onChain) return null;
+  return enqueue({ kind: 'device', action, deviceId, groupId: groupId || null });
+}
 
-    // 3) Compute data hash (keccak256 of JSON string)
-    let dataHash = null;
-    try {
-      dataHash = keccakHash(payload);
-    } catch (e) {
-      // fallback to ethers utils if needed
-      try {
-        const { keccak256, toUtf8Bytes } = require('ethers/lib/utils');
-        dataHash = keccak256(toUtf8Bytes(JSON.stringify(payload)));
-      } catch (ee) {
-        console.error('[hash] hash compute failed', ee.message || ee);
-      }
-    }
-    console.log('[event] dataHash:', dataHash);
-
-    // 4) Local threshold check
-    const groupId = (payload.groupId && String(payload.groupId)) || (payload.deviceId && String(payload.deviceId)) || 'group-1';
-    const deviceId = payload.deviceId || 'unknown';
-
-    const trustA = (payload.trustA !== undefined) ? Number(payload.trustA) : 100;
-    const trustB = (payload.trustB !== undefined) ? Number(payload.trustB) : 100;
-    const groupThreshold = computeGroupThreshold(groupId);
-
-    const localFlagged = (trustA < groupThreshold) || (trustB < groupThreshold);
-
-    // 5) Build storedEvent and persist initial record
-    const eventId = payload.eventId || `evt-${Date.now()}`;
-    let storedEvent = {
-      eventId,
-      deviceId,
-      groupId,
-      payload,
-      dataHash,
-      trustA,
-      trustB,
-      localFlagged,
-      receivedAt: new Date().toISOString()
-    };
-    appendEvent({ ...storedEvent, stage: 'received' });
-
-    // 6) Emit arrival to frontend/dashboard (telemetry)
-    io.emit('event_update', { ...storedEvent, stage: 'received' });
-    const telemetryPayload = {
-      timestamp: storedEvent.payload.ts || Math.floor(Date.now()/1000),
-      distA: storedEvent.payload.distA ?? null,
-      distB: storedEvent.payload.distB ?? null,
-      trustA: storedEvent.trustA,
-      trustB: storedEvent.trustB,
-      controller: storedEvent.payload.controller || (storedEvent.trustA >= storedEvent.trustB ? 'A' : 'B'),
-      rpm: storedEvent.payload.rpm ?? (storedEvent.payload.speed ?? null),
-      hash: storedEvent.dataHash ?? null,
-      flagged: storedEvent.localFlagged || false,
-      deviceId: storedEvent.deviceId,
-      groupId: storedEvent.groupId
-    };
-    io.emit('telemetry', telemetryPayload);
-
-    // 7) SYSTEM-LEVEL VALIDATION (historical analysis + decision)
-    let systemDecision = { action: 'no_action' };
-    try {
-      // pass provider + contract address to validation helper
-      systemDecision = await systemValidate(provider, TRUSTLOGGER_ADDRESS, groupId, deviceId);
-      storedEvent.systemDecision = systemDecision;
-      appendEvent({ ...storedEvent, stage: 'system-validation' });
-      io.emit('event_update', { ...storedEvent, stage: 'system-validation' });
-
-      // act on systemDecision (affects storedEvent metadata)
-      if (systemDecision.action === 'confirm_unreliable') {
-        storedEvent.systemFlag = 'confirmed_unreliable';
-        storedEvent.flagged = true;
-        io.emit('system_alert', { deviceId, groupId, decision: systemDecision });
-      } else if (systemDecision.action === 'adjust_threshold_lower') {
-        const newThreshold = Number(systemDecision.newThreshold || groupThreshold);
-        thresholds[groupId] = newThreshold;
-        saveThresholds();
-        storedEvent.thresholdChanged = newThreshold;
-        io.emit('threshold_update', { groupId, newThreshold });
-      } else if (systemDecision.action === 'flag_for_review') {
-        io.emit('system_alert', { deviceId, groupId, decision: systemDecision });
-      }
-    } catch (err) {
-      console.warn('[systemValidation] error (continuing):', err && err.message ? err.message : err);
-      systemDecision = { action: 'validation_error', error: err && err.message ? err.message : String(err) };
-      storedEvent.systemDecision = systemDecision;
-      appendEvent({ ...storedEvent, stage: 'system-validation-error' });
-    }
+// dead-letter transitions: persist for audit and notify the dashboard
+function handleDeadLetter(type, entry) {
+  const { item } = entry;
+  const at = new Date().toISOString();
+  if (type === 'added' && item.kind === 'batch') {
+    storeAndPublish({ ...item, stage: 'batch-anchor-failed', error: entry.error, attempts: entry.attempts, processedAt: at });
+  } else if (type === 'added' && item.kind === 'device') {
+    storeAndPublish({ ...item, stage: 'device-registry-failed', error: entry.error, attempts: entry.attempts, processedAt: at });
+  } else if (type === 'added') {
+    storeAndPublish({ ...item, stage: 'post-chain-failed', error: entry.error, attempts: entry.attempts, processedAt: at });
+  } else {
+    storeAndPublish({ ...item, stage: `dead-letter-${type}`, processedAt: at });
+  }
+  broadcast('dead_letter', {
+    type,
+    id: entry.id,
+    eventId: item.eventId,
+    deviceId: item.deviceId,
+    groupId: item.groupId,
+    batchId: item.batchId,
+    error: entry.error || null,
+    deadLetterCount: queueStats().deadLetter
+  });
+}
 
-    // 8) Combine decisions (local OR system-confirmed unreliable)
-    const finalFlagged = storedEvent.flagged || localFlagged || (systemDecision && systemDecision.action === 'confirm_unreliable');
-    storedEvent.flagged = !!finalFlagged;
-
-    // persist pre-chain record
-    appendEvent({ ...storedEvent, stage: 'pre-chain' });
-    io.emit('event_update', { ...storedEvent, stage: 'pre-chain' });
-
-    // 9) If not flagged by any logic -> return early with systemDecision for transparency
-    if (!finalFlagged) {
-      return res.json({
-        message: 'Data received (not flagged)',
-        hash: dataHash,
-        flagged: false,
-        systemDecision
+// chain backend (CHAIN_MODE); queued writes wait for it, reads see no provider until it is up
+// tx status changes reach the dashboard as tx_status; final ones feed the chain write metrics
+// newly indexed (or reorged-out) TrustEvents reach the dashboard as trust_events
+const chainReady = initChain({
+  txs: {
+    onStatus: (tx) => {
+      countTx(tx);
+      broadcast('tx_status', tx);
+    }
+  }
+})
+  .then((chain) => {
+    if (chain.contractAddress) {
+      initIndexer({
+        provider: blockchain.provider,
+        contractAddress: chain.contractAddress,
+        onChange: ({ added, removed, block }) => broadcast('trust_events', {
+          groups: [...new Set(added.concat(removed).map(e => e.groupId).filter(Boolean))],
+          added: added.length,
+          removed: removed.length,
+          block
+        })
       });
     }
+    initIngest({ provider: blockchain.provider, trustloggerAddress: chain.contractAddress });
+  })
+  .catch(err => console.error('[blockchain] chain backend failed to start:', err && err.message ? err.message : err));
+
+// several lanes so chain writes pipeline (txManager hands out the nonces)
+initQueue({ worker: processQueuedItem, onDeadLetter: handleDeadLetter, concurrency: Number(process.env.QUEUE_CONCURRENCY || 4) });
+initAnchoring({ onSeal: (batch) => enqueue({ kind: 'batch', ...batch }) });
+
+// every transport feeds the same pipeline
+initIngest({
+  store: storeAndPublish,
+  enqueueChainLog,
+  broadcast,
+  anchorFlaggedEvents: ANCHOR_FLAGGED_EVENTS
+});
+initMqtt({ onReading: ingestReading })
+  .catch(err => console.error('[mqtt] could not start:', err && err.message ? err.message : err));
+
+// scrape-time gauges read these; the wallet balance is only asked for while a signer is loaded
+initMetrics({
+  queueStats,
+  socketClients: clientCount,
+  walletBalance: async () => {
+    const { wallet, provider } = blockchain;
+    if (!wallet || !provider) return null;
+    return { address: wallet.address, wei: await provider.getBalance(wallet.address) };
+  },
+  indexerStatus
+});
 
-    // 10) Prepare contract arguments (map fields)
-    const oldTS = Number(payload.oldTS ?? payload.oldTrustA ?? trustA);
-    const newTS = Number(payload.newTS ?? payload.newTrustA ?? trustB);
-    const reason = String(payload.reason || (systemDecision && systemDecision.reason) || 'LOW_TRUST');
-    const ts = Math.floor((payload.ts || payload.timestamp || Date.now()) / 1000);
-
-    // 11) ENQUEUE for background on-chain logging and respond immediately
-    const queueItem = {
-      eventId,
-      deviceId,
-      groupId,
-      oldTS,
-      newTS,
-      reason,
-      dataHash,
-      ts,
-      payload,
-      trustA,
-      trustB,
-      flagged: true,
-      systemDecision
-    };
-
-    enqueueChainLog(queueItem);
-
-    // immediate response (fast)
-    const feedback = {
-      action: systemDecision && systemDecision.action ? systemDecision.action : 'no_action',
-      reason: systemDecision && systemDecision.reason ? systemDecision.reason : null,
-      adjustThreshold: systemDecision && systemDecision.newThreshold ? systemDecision.newThreshold : null
-    };
-
-    return res.json({
-      message: 'Flagged event accepted and queued for on-chain logging',
-      hash: dataHash,
-      flagged: true,
-      systemDecision,
-      feedback
-    });
+// ---- Health routes ----
+app.get('/', (req, res) => res.send('Gateway is running...'));
+
+// liveness: the process answers; readiness: every dependency with details (503 only when a critical one fails)
+initHealth({
+  getChain,
+  provider: () => blockchain.provider,
+  storeHealth,
+  queueStats,
+  rpcStatus: getRpcStatus
+});
+app.get('/health/live', (req, res) => res.json(liveness()));
+app.get('/health/ready', async (req, res) => {
+  try {
+    const report = await readiness({ refresh: req.query.refresh === 'true' });
+    return res.status(report.ready ? 200 : 503).json(report);
+  } catch (err) {
+    console.error('[/health/ready] check error:', err && err.message ? err.message : err);
+    return res.status(503).json({ status: 'down', ready: false, error: err && err.message ? err.message : String(err) });
+  }
+});
 
+// Prometheus scrape target; METRICS_TOKEN (when set) must come as Authorization: Bearer <token>
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) return res.status(401).json({ error: 'metrics token required' });
+  try {
+    const { contentType, body } = await renderMetrics();
+    return res.type(contentType).send(body);
+  } catch (err) {
+    console.error('[/metrics] render error:', err && err.message ? err.message : err);
+    return res.status(500).json({ error: 'could not render metrics', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// ---- Operator sessions ----
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const session = login(String(username || ''), String(password || ''));
+  if (!session) return res.status(401).json({ error: 'invalid username or password' });
+  return res.json(session);
+});
+
+app.get('/auth/me', requireViewer, (req, res) => res.json({ user: req.user }));
+
+// ---- Main /data handler ----
+app.post('/data', async (req, res) => {
+  // device authentication (per-device HMAC signature + replay window), then the shared pipeline (src/ingest.js)
+  try {
+    const auth = authenticateDeviceRequest(req);
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { status, body } = await ingestReading(req.body || {}, { auth, transport: 'http' });
+    return res.status(status).json(body);
   } catch (err) {
     console.error('[/data] handler error:', err && err.stack ? err.stack : err);
     return res.status(500).json({ error: 'server error', details: err && err.message ? err.message : String(err) });
   }
 });
 
+// readings a device buffered while offline: { readings: [ ...payloads, oldest first ] }, signed like /data;
+// every item gets its own outcome and already processed eventIds return their original result
+app.post('/data/batch', async (req, res) => {
+  try {
+    const auth = authenticateDeviceRequest(req);
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { status, body } = await ingestBatch(req.body && req.body.readings, { auth, transport: 'batch' });
+    return res.status(status).json(body);
+  } catch (err) {
+    console.error('[/data/batch] handler error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'server error', details: err && err.message ? err.message : String(err) });
+  }
+});
+
 // ---- Optional: expose simple admin endpoints ----
 // Get recent events (read-only)
-app.get('/events/recent', (req, res) => {
+app.get('/events/recent', requireViewer, (req, res) => {
   try {
-    const arr = readEventsRaw();
-    const recent = arr.slice(-200).reverse(); // last 200 entries, newest first
+    const recent = queryEvents({ order: 'desc', limit: 200 }); // last 200 entries, newest first
     return res.json({ count: recent.length, events: recent });
   } catch (e) {
     return res.status(500).json({ error: 'could not read events', details: e.message });
   }
 });
 
+// Stage records by time range / device / group / stage / flagged, newest first by default
+// ?from=&to=&deviceId=&groupId=&stage=received,post-chain&flagged=&order=asc|desc&limit=&cursor=<nextCursor>
+app.get('/events', requireViewer, (req, res) => {
+  try {
+    return res.json(queryHistory(req.query));
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid query', details: err.message });
+  }
+});
+
+// Readings downsampled into min/max/avg buckets for charts
+// ?from=&to=&deviceId=&groupId=&buckets=200 | bucket=<seconds>&fields=trustA,trustB,distA,distB,rpm
+app.get('/events/series', requireViewer, (req, res) => {
+  try {
+    return res.json(querySeries(req.query));
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid query', details: err.message });
+  }
+});
+
 // Get flagged events (recent)
-app.get('/flagged-events', (req, res) => {
+app.get('/flagged-events', requireViewer, (req, res) => {
   try {
-    const arr = readEventsRaw();
-    const flagged = arr
-      .filter(e => e.flagged)
-      .slice(-200)
-      .reverse()
-      .map(e => ({
-        timestamp: e.payload && e.payload.ts ? e.payload.ts : (e.receivedAt ? new Date(e.receivedAt).getTime() : Date.now()),
-        eventId: e.eventId,
-        deviceId: e.deviceId,
-        groupId: e.groupId,
-        distA: e.payload && e.payload.distA,
-        distB: e.payload && e.payload.distB,
-        trustA: e.trustA,
-        trustB: e.trustB,
-        controller: e.payload && e.payload.controller ? e.payload.controller : (e.trustA >= e.trustB ? 'A' : 'B'),
-        rpm: e.payload && (e.payload.rpm || e.payload.speed),
-        reason: e.payload && e.payload.reason,
-        txHash: e.blockchain && (e.blockchain.txHash || e.blockchain.transactionHash),
-        systemDecision: e.systemDecision || null
-      }));
+    const { deviceId, groupId } = req.query;
+    const flagged = queryEvents({ flagged: true, deviceId, groupId, order: 'desc', limit: 200 }).map(flaggedView);
     res.json(flagged);
   } catch (err) {
     res.status(500).json({ error: 'could not read events', details: err.message });
   }
 });
 
+// Fleet overview: every known device with its latest reading, plus per-group rollups
+// ?groupId=&status=active|revoked|unregistered|stale&flagged=true|false&q=<search>
+app.get('/devices', requireViewer, (req, res) => {
+  try {
+    const { groupId, status, flagged, q } = req.query;
+    const flaggedFilter = flagged === undefined ? undefined : flagged === 'true';
+    return res.json(listFleet({ groupId, status, flagged: flaggedFilter, q }));
+  } catch (err) {
+    return res.status(500).json({ error: 'could not list devices', details: err.message });
+  }
+});
+
+// One device: summary, recent readings (oldest first) and its flagged events
+app.get('/devices/:deviceId', requireViewer, (req, res) => {
+  try {
+    const detail = getDeviceDetail(req.params.deviceId, { limit: req.query.limit ? Math.min(Number(req.query.limit) || 60, 500) : undefined });
+    if (!detail) return res.status(404).json({ error: 'device not found' });
+    return res.json(detail);
+  } catch (err) {
+    return res.status(500).json({ error: 'could not read device', details: err.message });
+  }
+});
+
+// Merkle inclusion proof of one reading against its anchored batch root (?deviceId= names the reading's device)
+app.get('/events/:eventId/proof', requireViewer, (req, res) => {
+  if (!req.query.deviceId) return res.status(400).json({ error: 'deviceId query parameter required' });
+  const proof = getEventProof(String(req.query.deviceId), req.params.eventId);
+  if (!proof) return res.status(404).json({ error: 'event not found in any batch' });
+  return res.json(proof);
+});
+
+// active chain backend (CHAIN_MODE), contract address and signer
+app.get('/chain', requireViewer, (req, res) => res.json(getChain()));
+
+// per-endpoint RPC health (status, latency, head, lag, errors); ?refresh=true runs a health round first
+app.get('/chain/rpc', requireViewer, async (req, res) => {
+  try {
+    if (req.query.refresh === 'true') await checkRpcHealth();
+    return res.json(getRpcStatus());
+  } catch (err) {
+    return res.status(502).json({ error: 'rpc health check failed', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// TrustEvent index progress (deploy block, checkpoint, head, lag, reorgs)
+app.get('/chain/indexer', requireViewer, (req, res) => res.json(indexerStatus()));
+
+// a group's on-chain TrustEvents from the index (authorized emitters only, oldest first; ?limit=)
+app.get('/groups/:groupId/trust-events', requireViewer, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const events = readIndexedTrustEvents(getChain().contractAddress, req.params.groupId, limit);
+  if (!events) return res.status(503).json({ error: 'TrustEvent index is not running', indexer: indexerStatus() });
+  return res.json({ groupId: req.params.groupId, indexer: indexerStatus(), events });
+});
+
+// recent chain writes with their lifecycle status (?status=pending|mined|confirmed|failed|dropped&limit=)
+app.get('/chain/txs', requireViewer, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  return res.json({ stats: txStats(), txs: listTxs({ status: req.query.status, limit }) });
+});
+
+// End-to-end check of one reading: stored payload -> dataHash -> on-chain TrustEvent / batch root (?deviceId= required)
+app.get('/events/:eventId/verify', requireViewer, async (req, res) => {
+  if (!req.query.deviceId) return res.status(400).json({ error: 'deviceId query parameter required' });
+  try {
+    const result = await verifyEvent(blockchain.provider, getChain().contractAddress, String(req.query.deviceId), req.params.eventId);
+    if (result.status === 'not_found') return res.status(404).json({ error: 'event not found', ...result });
+    return res.json(result);
+  } catch (err) {
+    return res.status(502).json({ error: 'verification failed', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Bulk audit of a group's readings over a time range (?from=&to= ISO or unix time, ?limit=)
+app.get('/groups/:groupId/audit', requireViewer, async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    return res.json(await auditGroup(blockchain.provider, getChain().contractAddress, { groupId: req.params.groupId, from, to, limit }));
+  } catch (err) {
+    return res.status(502).json({ error: 'audit failed', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// ---- Thresholds ----
 // Get current thresholds
-app.get('/thresholds', (req, res) => res.json({ thresholds, default: DEFAULT_THRESHOLD }));
+app.get('/thresholds', requireViewer, (req, res) => res.json({ thresholds: getThresholds(), default: DEFAULT_THRESHOLD }));
+
+app.get('/thresholds/history', requireViewer, (req, res) => {
+  const history = getHistory({ groupId: req.query.groupId, limit: req.query.limit });
+  res.json({ count: history.length, history });
+});
+
+app.get('/thresholds/proposals', requireViewer, (req, res) => {
+  const proposals = listProposals({ status: req.query.status, groupId: req.query.groupId });
+  res.json({ count: proposals.length, proposals });
+});
+
+app.post('/thresholds/proposals/:id/approve', requireAdmin, (req, res) => {
+  try {
+    const { proposal, change } = approveProposal(req.params.id, { actor: req.user.username, reason: req.body && req.body.reason });
+    broadcast('threshold_proposal', { type: 'approved', proposal });
+    broadcast('threshold_update', { groupId: change.groupId, newThreshold: change.after, previous: change.before, actor: change.actor });
+    return res.json({ proposal, change });
+  } catch (err) {
+    return res.status(err.message === 'proposal not found' ? 404 : 409).json({ error: err.message });
+  }
+});
+
+app.post('/thresholds/proposals/:id/reject', requireAdmin, (req, res) => {
+  try {
+    const proposal = rejectProposal(req.params.id, { actor: req.user.username, reason: req.body && req.body.reason });
+    broadcast('threshold_proposal', { type: 'rejected', proposal });
+    return res.json({ proposal });
+  } catch (err) {
+    return res.status(err.message === 'proposal not found' ? 404 : 409).json({ error: err.message });
+  }
+});
+
+app.put('/thresholds/:groupId', requireAdmin, (req, res) => {
+  try {
+    const { threshold, reason } = req.body || {};
+    const change = setThreshold(req.params.groupId, threshold, { actor: req.user.username, reason });
+    broadcast('threshold_update', { groupId: change.groupId, newThreshold: change.after, previous: change.before, actor: change.actor });
+    return res.json(change);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// remove a group override (the group falls back to the default threshold)
+app.delete('/thresholds/:groupId', requireAdmin, (req, res) => {
+  const reason = (req.body && req.body.reason) || req.query.reason;
+  const change = clearThreshold(req.params.groupId, { actor: req.user.username, reason });
+  if (!change) return res.status(404).json({ error: 'no threshold override for this group' });
+  broadcast('threshold_update', { groupId: change.groupId, newThreshold: DEFAULT_THRESHOLD, previous: change.before, actor: change.actor });
+  return res.json(change);
+});
+
+// ---- Validation rules ----
+// loaded rule config, or the effective rule set of one group with ?groupId=
+app.get('/rules', requireViewer, (req, res) => {
+  if (req.query.groupId) return res.json({ groupId: req.query.groupId, ...resolveRules(String(req.query.groupId)) });
+  return res.json(getRulesConfig());
+});
+
+// re-read the rules file; an invalid file is rejected and the current rules stay active
+app.post('/admin/rules/reload', requireAdmin, (req, res) => {
+  try {
+    loadRules();
+    return res.json({ message: 'Rules reloaded', ...getRulesConfig() });
+  } catch (err) {
+    return res.status(400).json({ error: 'rules file rejected', details: err.message });
+  }
+});
+
+// ---- Alerts ----
+app.get('/alerts', requireViewer, (req, res) => {
+  const { status, severity, deviceId, groupId, limit } = req.query;
+  res.json({ alerts: listAlerts({ status, severity, deviceId, groupId, limit }) });
+});
+
+// delivery attempts (sent | failed | suppressed), newest first
+app.get('/alerts/deliveries', requireViewer, (req, res) => {
+  const { alertId, status, channel, limit } = req.query;
+  res.json({ deliveries: listDeliveries({ alertId, status, channel, limit }) });
+});
+
+app.get('/alerts/:id', requireViewer, (req, res) => {
+  const alert = getAlert(req.params.id);
+  if (!alert) return res.status(404).json({ error: 'alert not found' });
+  return res.json({ alert, deliveries: listDeliveries({ alertId: alert.id }) });
+});
+
+// acknowledging stops further escalation
+app.post('/alerts/:id/ack', requireAdmin, (req, res) => {
+  try {
+    const alert = acknowledgeAlert(req.params.id, { actor: req.user.username, note: req.body && req.body.note });
+    return res.json({ message: 'Acknowledged', alert });
+  } catch (err) {
+    return res.status(err.message === 'alert not found' ? 404 : 409).json({ error: err.message });
+  }
+});
+
+app.get('/admin/alerts/config', requireAdmin, (req, res) => res.json(getAlertConfig()));
+
+// re-read the alerts file; an invalid file is rejected and the current routing stays active
+app.post('/admin/alerts/reload', requireAdmin, (req, res) => {
+  try {
+    loadAlertConfig();
+    return res.json({ message: 'Alert config reloaded', ...getAlertConfig() });
+  } catch (err) {
+    return res.status(400).json({ error: 'alerts file rejected', details: err.message });
+  }
+});
+
+// ---- Incidents ----
+// ?status=open,acknowledged (comma-separated) &deviceId= &groupId= &assignee= &limit=
+app.get('/incidents', requireViewer, (req, res) => {
+  try {
+    const { status, deviceId, groupId, assignee, limit } = req.query;
+    return res.json({ incidents: listIncidents({ status, deviceId, groupId, assignee, limit }) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/incidents/:id', requireViewer, (req, res) => {
+  const incident = getIncident(req.params.id);
+  if (!incident) return res.status(404).json({ error: 'incident not found' });
+  return res.json(incident);
+});
+
+// lifecycle actions; every change is pushed to the dashboards as 'incident'
+function incidentAction(type, fn) {
+  return (req, res) => {
+    try {
+      const incident = fn(req.params.id, req.body || {}, req.user.username);
+      broadcast('incident', { type, incident });
+      return res.json(incident);
+    } catch (err) {
+      if (err.message === 'incident not found') return res.status(404).json({ error: err.message });
+      return res.status(/already/.test(err.message) ? 409 : 400).json({ error: err.message });
+    }
+  };
+}
+
+app.post('/incidents/:id/ack', requireAdmin,
+  incidentAction('acknowledged', (id, body, actor) => acknowledgeIncident(id, { actor, note: body.note })));
+app.post('/incidents/:id/assign', requireAdmin,
+  incidentAction('assigned', (id, body, actor) => assignIncident(id, { assignee: body.assignee ?? null, actor })));
+app.post('/incidents/:id/notes', requireAdmin,
+  incidentAction('note', (id, body, actor) => addIncidentNote(id, { text: body.text, actor })));
+app.post('/incidents/:id/resolve', requireAdmin,
+  incidentAction('resolved', (id, body, actor) => resolveIncident(id, { actor, note: body.note })));
+
+// ---- Admin: payload validation ----
+app.get('/admin/validation', requireAdmin, (req, res) => res.json({
+  currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+  supportedVersions: Object.keys(SCHEMAS).map(Number),
+  rejections: getRejectionStats()
+}));
+
+// ---- Admin: write queue & dead-letter store ----
+app.get('/admin/queue', requireAdmin, (req, res) => res.json(queueStats()));
+
+app.get('/admin/mqtt', requireAdmin, (req, res) => res.json(getMqttStatus()));
+
+app.get('/admin/dead-letter', requireAdmin, (req, res) => {
+  const items = listDeadLetters();
+  res.json({ count: items.length, items });
+});
+
+app.get('/admin/dead-letter/:id', requireAdmin, (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'dead-letter item not found' });
+  return res.json(entry);
+});
+
+app.post('/admin/dead-letter/:id/retry', requireAdmin, (req, res) => {
+  const entry = retryDeadLetter(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'dead-letter item not found' });
+  return res.json({ message: 'Re-queued for on-chain logging', item: entry });
+});
+
+app.delete('/admin/dead-letter/:id', requireAdmin, (req, res) => {
+  const entry = discardDeadLetter(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'dead-letter item not found' });
+  return res.json({ message: 'Discarded', item: entry });
+});
+
+// ---- Admin: device registry ----
+app.get('/admin/devices', requireAdmin, (req, res) => res.json({ devices: listDevices() }));
+
+app.get('/admin/devices/:deviceId', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) return res.status(404).json({ error: 'device not registered' });
+  return res.json(device);
+});
+
+// the secret is only ever returned here and by /rotate: provision it onto the device
+app.post('/admin/devices', requireAdmin, (req, res) => {
+  try {
+    const { deviceId, groupId, label } = req.body || {};
+    const result = registerDevice({ deviceId, groupId, label });
+    mirrorDevice('register', deviceId, groupId);
+    return res.status(201).json(result);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/admin/devices/:deviceId/rotate', requireAdmin, (req, res) => {
+  try {
+    const graceSec = req.body && req.body.graceSec !== undefined ? Number(req.body.graceSec) : undefined;
+    return res.json(rotateDeviceKey(req.params.deviceId, graceSec !== undefined ? { graceSec } : undefined));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/admin/devices/:deviceId/revoke', requireAdmin, (req, res) => {
+  try {
+    const device = revokeDevice(req.params.deviceId, req.body && req.body.reason);
+    mirrorDevice('revoke', device.deviceId);
+    return res.json(device);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ---- Admin: TrustLogger roles ----
+app.get('/admin/chain/roles', requireAdmin, async (req, res) => {
+  try {
+    return res.json(await getRoles());
+  } catch (err) {
+    return res.status(502).json({ error: 'could not read roles', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// owner only: gateways may log events and manage devices
+app.post('/admin/chain/gateways', requireAdmin, async (req, res) => {
+  const address = req.body && req.body.address;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: 'address must be an Ethereum address' });
+  try {
+    const { txHash, receipt } = await authorizeGateway(address);
+    return res.json({ address, authorized: true, txHash, blockNumber: receipt.blockNumber });
+  } catch (err) {
+    return res.status(502).json({ error: 'authorize failed', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+app.delete('/admin/chain/gateways/:address', requireAdmin, async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'address must be an Ethereum address' });
+  try {
+    const { txHash, receipt } = await revokeGateway(req.params.address);
+    return res.json({ address: req.params.address, authorized: false, txHash, blockNumber: receipt.blockNumber });
+  } catch (err) {
+    return res.status(502).json({ error: 'revoke failed', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+app.get('/admin/chain/devices/:deviceId', requireAdmin, async (req, res) => {
+  try {
+    return res.json({ deviceId: req.params.deviceId, registered: await isDeviceRegistered(req.params.deviceId) });
+  } catch (err) {
+    return res.status(502).json({ error: 'could not read device', details: err && err.message ? err.message : String(err) });
+  }
+});
+
+// re-queue the on-chain registry write for a device (devices registered before the contract had a registry)
+app.post('/admin/chain/devices/:deviceId/sync', requireAdmin, (req, res) => {
+  const device = getDevice(req.params.deviceId);
+  if (!device) return res.status(404).json({ error: 'device not registered' });
+  const action = device.status === 'revoked' ? 'revoke' : 'register';
+  const queueId = mirrorDevice(action, device.deviceId, device.groupId);
+  if (!queueId) return res.status(409).json({ error: 'on-chain writes are disabled' });
+  return res.status(202).json({ queueId, action, deviceId: device.deviceId });
+});
+
+// ---- Admin: operator users ----
+app.get('/admin/users', requireAdmin, (req, res) => res.json({ users: listUsers() }));
+
+app.post('/admin/users', requireAdmin, (req, res) => {
+  try {
+    return res.status(201).json(createUser(req.body || {}));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/admin/users/:username', requireAdmin, (req, res) => {
+  try {
+    const { password, role } = req.body || {};
+    return res.json(updateUser(req.params.username, { password, role }));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/admin/users/:username', requireAdmin, (req, res) => {
+  if (req.params.username === req.user.username) return res.status(400).json({ error: 'cannot delete your own account' });
+  if (!deleteUser(req.params.username)) return res.status(404).json({ error: 'user not found' });
+  return res.json({ message: 'Deleted', username: req.params.username });
+});
@@ -0,0 +1,467 @@
+// Gateway/src/indexer.js
+/**
+ * Background TrustEvent indexer for the TrustLogger contract
+ * - Follows the contract from its deploy block (opts.deployBlock / TRUSTLOGGER_DEPLOY_BLOCK, otherwise found
+ *   with a binary search over eth_getCode) in getLogs ranges of INDEXER_BATCH_BLOCKS, then every INDEXER_POLL_MS
+ * - Indexes TrustEvent (with the emitter, and the groupId string decoded from the logTrustEvent calldata) and
+ *   GatewayAuthorized / GatewayRevoked, so the set of authorized gateways is known without calling the contract
+ * - Events are journaled to data/trust-index.ndjson; the last processed block, its hash and a ring of recent
+ *   block hashes are checkpointed to data/trust-index.checkpoint.json (written atomically after the journal)
+ * - Reorgs: when the checkpointed block hash is no longer canonical the index rewinds to the newest recent block
+ *   still on the chain and re-reads from there; with no common ancestor (chain reset) it starts over
+ * - A checkpoint of another contract is discarded; events journaled past the checkpoint (crash between the two
+ *   writes) are dropped on replay and read again
+ *
+ * Exports:
+ *  - initIndexer({ provider, contractAddress, deployBlock, journalFile, checkpointFile, batchBlocks, pollMs, onChange,
+ *      trustedEmitters })
+ *      onChange({ added, removed, block }) -> after each batch with new TrustEvents and after a rewind
+ *  - stopIndexer(); syncIndexer() -> runs one pass now (resolves when it is done)
+ *  - getIndexedTrustEvents(contractAddress, groupId, { limit }) -> TrustEvents of the group, oldest first
+ *      (null while the index does not follow that contract)
+ *  - getAuthorizedTrustEvents(contractAddress, groupId, { limit }) -> { events, ignored }: the group's TrustEvents
+ *      sent by a gateway the role events leave authorized (or a CHAIN_TRUSTED_EMITTERS address), by ts; the view
+ *      is kept per group until the group gets new events or the gateway set changes (null while not following)
+ *  - indexedGateways(contractAddress) -> Set of lower-case gateway addresses authorized per the indexed role events
+ *  - indexerStatus() -> { contract, fromBlock, block, head, lag, events, groups, reorgs, lastError, lastRunAt, running }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DATA_DIR } = require('./storage');
+
+const CONTRACT = require('../abi.json');
+
+const DEFAULT_JOURNAL_FILE = process.env.INDEXER_JOURNAL_FILE || path.join(DATA_DIR, 'trust-index.ndjson');
+const DEFAULT_CHECKPOINT_FILE = process.env.INDEXER_CHECKPOINT_FILE || path.join(DATA_DIR, 'trust-index.checkpoint.json');
+const DEFAULT_BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+const DEFAULT_POLL_MS = Number(process.env.INDEXER_POLL_MS || 5000);
+const FALLBACK_LOOKBACK_BLOCKS = 50_000; // start when the deploy block cannot be found (no archive node)
+const RECENT_BLOCKS = 64;                 // checkpointed block hashes kept for finding a reorg's common ancestor
+const EVENTS_PER_LINE = 500;              // journal lines written by a compaction
+// emitters trusted without role events (deployments from before TrustLogger had access control)
+const DEFAULT_TRUSTED_EMITTERS = (process.env.CHAIN_TRUSTED_EMITTERS || '').split(',');
+
+const iface = new ethers.Interface(CONTRACT);
+const TOPICS = {
+  TrustEvent: iface.getEvent('TrustEvent').topicHash,
+  GatewayAuthorized: iface.getEvent('GatewayAuthorized').topicHash,
+  GatewayRevoked: iface.getEvent('GatewayRevoked').topicHash
+};
+
+let journalFile = DEFAULT_JOURNAL_FILE;
+let checkpointFile = DEFAULT_CHECKPOINT_FILE;
+let provider = null;
+let contractAddress = null; // lower-case
+let deployBlock = null;
+let batchBlocks = DEFAULT_BATCH_BLOCKS;
+let onChange = () => {};
+let trustedEmitters = new Set();
+let timer = null;
+// bumped by stopIndexer: a sync pass that started before it must not add the old provider's logs to the index,
+// nor write the journal / checkpoint of the contract that is followed now
+let generation = 0;
+
+let checkpoint = null; // { contract, fromBlock, block, hash, recent: [{ number, hash }] }
+let events = [];       // indexed logs in chain order
+const keys = new Set(); // `${txHash}:${logIndex}`
+const groups = new Map();          // groupKey -> TrustEvents in chain order
+const gateways = new Set();        // lower-case addresses the role events leave authorized
+const authorizedViews = new Map(); // groupKey -> { events, ignored }, built on first read
+let head = null;
+let reorgs = 0;
+let lastError = null;
+let lastRunAt = null;
+let syncing = null;
+let syncAgain = false;
+
+const eventKey = (e) => `${e.txHash}:${e.logIndex}`;
+const toNumber = (v) => Number(v);
+
+// ---- Journal / checkpoint ----
+function writeCheckpoint() {
+  const tmp = `${checkpointFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...checkpoint, at: new Date().toISOString() }), 'utf8');
+  fs.renameSync(tmp, checkpointFile);
+}
+
+function readCheckpoint() {
+  if (!fs.existsSync(checkpointFile)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+  } catch (e) {
+    console.warn('[indexer] unreadable checkpoint, indexing from the deploy block again:', e.message || e);
+    return null;
+  }
+}
+
+// keep the per-group lists and the gateway set in step with `events` (role events in chain order)
+function indexEvent(e) {
+  if (e.kind === 'role') {
+    if (e.event === 'GatewayAuthorized') gateways.add(e.gateway);
+    else gateways.delete(e.gateway);
+    authorizedViews.clear();
+    return;
+  }
+  if (!groups.has(e.groupKey)) groups.set(e.groupKey, []);
+  groups.get(e.groupKey).push(e);
+  authorizedViews.delete(e.groupKey);
+}
+
+function rebuildViews() {
+  groups.clear();
+  gateways.clear();
+  authorizedViews.clear();
+  for (const e of events) indexEvent(e);
+}
+
+function addEvents(list) {
+  const added = [];
+  for (const e of list) {
+    if (keys.has(eventKey(e))) continue;
+    keys.add(eventKey(e));
+    events.push(e);
+    indexEvent(e);
+    added.push(e);
+  }
+  return added;
+}
+
+function replayJournal() {
+  events = [];
+  keys.clear();
+  rebuildViews();
+  if (!fs.existsSync(journalFile)) return;
+  for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const op = JSON.parse(line);
+      if (op.op === 'add' && Array.isArray(op.events)) addEvents(op.events);
+    } catch (e) {
+      console.warn('[indexer] skipping unreadable journal line:', e.message || e);
+    }
+  }
+}
+
+function compactJournal() {
+  const tmp = `${journalFile}.tmp`;
+  const at = new Date().toISOString();
+  const lines = [];
+  for (let i = 0; i < events.length; i += EVENTS_PER_LINE) {
+    lines.push(JSON.stringify({ op: 'add', events: events.slice(i, i + EVENTS_PER_LINE), at }));
+  }
+  fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+  fs.renameSync(tmp, journalFile);
+}
+
+// drop everything above `block` (rewind after a reorg); returns the removed events
+function truncate(block) {
+  const removed = events.filter(e => e.blockNumber > block);
+  if (!removed.length) return removed;
+  events = events.filter(e => e.blockNumber <= block);
+  for (const e of removed) keys.delete(eventKey(e));
+  rebuildViews();
+  compactJournal();
+  return removed;
+}
+
+function reset() {
+  checkpoint = null;
+  events = [];
+  keys.clear();
+  rebuildViews();
+  fs.rmSync(checkpointFile, { force: true });
+  fs.rmSync(journalFile, { force: true });
+}
+
+// ---- Chain reads ----
+// the lowest block with code at the contract address; the last FALLBACK_LOOKBACK_BLOCKS when the node has no old state
+async function findDeployBlock(latest) {
+  const codeAt = (block) => provider.getCode(contractAddress, block);
+  if ((await codeAt(latest)) === '0x') throw new Error(`no contract at ${contractAddress}`);
+  try {
+    let lo = 0;
+    let hi = latest;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if ((await codeAt(mid)) !== '0x') hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  } catch (err) {
+    console.warn(`[indexer] could not search for the deploy block (${err && err.message ? err.message : err}); indexing the last ${FALLBACK_LOOKBACK_BLOCKS} blocks, set TRUSTLOGGER_DEPLOY_BLOCK for the full history`);
+    return Math.max(0, latest - FALLBACK_LOOKBACK_BLOCKS);
+  }
+}
+
+async function blockHash(number) {
+  const block = await provider.getBlock(number);
+  return block ? block.hash : null;
+}
+
+// decode logs into index records; TrustEvents get their emitter and, for direct logTrustEvent calls, the groupId
+async function decodeLogs(logs) {
+  const txs = new Map();
+  const out = [];
+  for (const log of logs) {
+    const base = { blockNumber: log.blockNumber, blockHash: log.blockHash, txHash: log.transactionHash, logIndex: log.index };
+    const topic = String(log.topics[0]).toLowerCase();
+    if (topic === TOPICS.GatewayAuthorized || topic === TOPICS.GatewayRevoked) {
+      const decoded = iface.parseLog(log);
+      out.push({ ...base, kind: 'role', event: decoded.name, gateway: decoded.args.gateway.toLowerCase() });
+      continue;
+    }
+    if (!txs.has(log.transactionHash)) txs.set(log.transactionHash, await provider.getTransaction(log.transactionHash));
+    const tx = txs.get(log.transactionHash);
+    const decoded = iface.parseLog(log);
+    const groupKey = String(log.topics[1]).toLowerCase();
+    let groupId = null;
+    try {
+      const call = tx && tx.to && tx.to.toLowerCase() === contractAddress ? iface.parseTransaction({ data: tx.data }) : null;
+      if (call && call.name === 'logTrustEvent' && ethers.id(call.args[0]) === groupKey) groupId = call.args[0];
+    } catch (e) {
+      // not a call we can decode (e.g. through another contract): the group is only known by its hash
+    }
+    out.push({
+      ...base,
+      kind: 'trust',
+      groupKey,
+      groupId,
+      oldTS: toNumber(decoded.args.oldTS),
+      newTS: toNumber(decoded.args.newTS),
+      reason: decoded.args.reason,
+      dataHash: decoded.args.dataHash,
+      ts: toNumber(decoded.args.ts),
+      emitter: tx && tx.from ? tx.from.toLowerCase() : null
+    });
+  }
+  return out;
+}
+
+// ---- Sync ----
+// the checkpointed block is no longer canonical: rewind to the newest recent block that still is
+async function rewind(gen) {
+  let ancestor = null;
+  for (const entry of checkpoint.recent.slice().reverse()) {
+    if (entry.number > head) continue;
+    if ((await blockHash(entry.number)) === entry.hash) {
+      ancestor = entry;
+      break;
+    }
+    if (gen !== generation) return;
+  }
+  if (gen !== generation) return;
+  reorgs++;
+  if (!ancestor) {
+    console.warn(`[indexer] block ${checkpoint.block} is gone and no recent block is still canonical; indexing again from the deploy block`);
+    const removed = events.filter(e => e.kind === 'trust');
+    reset();
+    onChange({ added: [], removed, block: null });
+    return;
+  }
+  const removed = truncate(ancestor.number).filter(e => e.kind === 'trust');
+  checkpoint = { ...checkpoint, block: ancestor.number, hash: ancestor.hash, recent: checkpoint.recent.filter(r => r.number <= ancestor.number) };
+  writeCheckpoint();
+  console.warn(`[indexer] reorg: rewound to block ${ancestor.number}, ${removed.length} event(s) dropped`);
+  onChange({ added: [], removed, block: ancestor.number });
+}
+
+async function fetchRange(from, to) {
+  const filter = {
+    address: contractAddress,
+    topics: [[TOPICS.TrustEvent, TOPICS.GatewayAuthorized, TOPICS.GatewayRevoked]],
+    fromBlock: from,
+    toBlock: to
+  };
+  try {
+    return await provider.getLogs(filter);
+  } catch (err) {
+    // providers cap getLogs ranges / result sizes: retry with smaller ranges
+    if (to <= from) throw err;
+    batchBlocks = Math.max(1, Math.floor((to - from + 1) / 2));
+    console.warn(`[indexer] getLogs ${from}-${to} failed (${err && err.message ? err.message : err}); using ${batchBlocks}-block ranges`);
+    return null;
+  }
+}
+
+async function sync() {
+  const gen = generation;
+  head = await provider.getBlockNumber();
+  if (gen !== generation) return;
+
+  if (checkpoint && checkpoint.hash && (checkpoint.block > head || (await blockHash(checkpoint.block)) !== checkpoint.hash)) {
+    await rewind(gen);
+    if (gen !== generation) return;
+  }
+  if (!checkpoint) {
+    const fromBlock = deployBlock !== null ? deployBlock : await findDeployBlock(head);
+    if (gen !== generation) return;
+    checkpoint = { contract: contractAddress, fromBlock, block: fromBlock - 1, hash: null, recent: [] };
+    console.log(`[indexer] indexing ${contractAddress} from block ${fromBlock}`);
+  }
+
+  while (checkpoint.block < head) {
+    const from = checkpoint.block + 1;
+    const to = Math.min(from + batchBlocks - 1, head);
+    const first = await provider.getBlock(from);
+    const last = to === from ? first : await provider.getBlock(to);
+    if (gen !== generation) return;
+    if (!first || !last) return; // the head moved back under us: the next pass rewinds
+    if (checkpoint.hash && first.parentHash !== checkpoint.hash) return;
+
+    const logs = await fetchRange(from, to);
+    if (gen !== generation) return;
+    if (!logs) continue;
+    // the range must not have been reorged while it was read
+    if ((await blockHash(to)) !== last.hash) return;
+    if (logs.some(l => l.blockNumber === to && l.blockHash !== last.hash)) return;
+    const decoded = await decodeLogs(logs);
+    if (gen !== generation) return;
+
+    const added = addEvents(decoded);
+    if (added.length) fs.appendFileSync(journalFile, JSON.stringify({ op: 'add', events: added, at: new Date().toISOString() }) + '\n', 'utf8');
+    checkpoint = {
+      ...checkpoint,
+      block: to,
+      hash: last.hash,
+      recent: checkpoint.recent.concat({ number: to, hash: last.hash }).slice(-RECENT_BLOCKS)
+    };
+    writeCheckpoint();
+    const trust = added.filter(e => e.kind === 'trust');
+    if (trust.length) onChange({ added: trust, removed: [], block: to });
+  }
+}
+
+function syncIndexer() {
+  if (!provider) return Promise.resolve();
+  if (syncing) {
+    syncAgain = true;
+    return syncing;
+  }
+  const gen = generation;
+  const run = sync()
+    .then(() => { lastError = null; })
+    .catch(err => {
+      if (gen !== generation) return; // the provider went away with a re-init / stop
+      const message = err && err.message ? err.message : String(err);
+      if (message !== lastError) console.warn('[indexer] sync failed:', message);
+      lastError = message;
+    })
+    .finally(() => {
+      if (syncing !== run) return; // a pass from before a re-init
+      lastRunAt = new Date().toISOString();
+      syncing = null;
+      if (syncAgain) {
+        syncAgain = false;
+        syncIndexer();
+      }
+    });
+  syncing = run;
+  return run;
+}
+
+// ---- Public API ----
+function initIndexer(opts = {}) {
+  stopIndexer();
+  if (!opts.provider || !opts.contractAddress) throw new Error('initIndexer needs a provider and a contract address');
+  provider = opts.provider;
+  contractAddress = String(opts.contractAddress).toLowerCase();
+  const envDeployBlock = process.env.TRUSTLOGGER_DEPLOY_BLOCK;
+  deployBlock = opts.deployBlock !== undefined ? Number(opts.deployBlock) : envDeployBlock ? Number(envDeployBlock) : null;
+  journalFile = opts.journalFile || DEFAULT_JOURNAL_FILE;
+  checkpointFile = opts.checkpointFile || DEFAULT_CHECKPOINT_FILE;
+  batchBlocks = Number(opts.batchBlocks || DEFAULT_BATCH_BLOCKS);
+  onChange = opts.onChange || (() => {});
+  trustedEmitters = new Set((opts.trustedEmitters || DEFAULT_TRUSTED_EMITTERS).map(a => String(a).trim().toLowerCase()).filter(Boolean));
+  authorizedViews.clear();
+  fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+  fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+
+  checkpoint = readCheckpoint();
+  if (checkpoint && checkpoint.contract !== contractAddress) {
+    console.log(`[indexer] checkpoint belongs to ${checkpoint.contract}; indexing ${contractAddress} from scratch`);
+    reset();
+  }
+  if (!checkpoint) reset();
+  replayJournal();
+  if (checkpoint && truncate(checkpoint.block).length) console.log('[indexer] dropped events journaled past the checkpoint');
+  console.log(`[indexer] ${events.length} indexed log(s), checkpoint ${checkpoint ? `block ${checkpoint.block}` : 'none'}`);
+
+  timer = setInterval(syncIndexer, Number(opts.pollMs || DEFAULT_POLL_MS));
+  if (timer.unref) timer.unref();
+  syncIndexer();
+}
+
+function stopIndexer() {
+  generation++;
+  if (timer) clearInterval(timer);
+  timer = null;
+  provider = null;
+  contractAddress = null;
+  syncing = null;
+  syncAgain = false;
+  head = null;
+  reorgs = 0;
+  lastError = null;
+}
+
+const follows = (address) => !!contractAddress && !!address && String(address).toLowerCase() === contractAddress;
+
+function getIndexedTrustEvents(address, groupId, { limit } = {}) {
+  if (!follows(address)) return null;
+  const list = (groups.get(ethers.id(String(groupId))) || [])
+    .map(({ kind, groupKey, ...e }) => ({ ...e, groupId: String(groupId) }));
+  return limit ? list.slice(-Number(limit)) : list;
+}
+
+function getAuthorizedTrustEvents(address, groupId, { limit } = {}) {
+  if (!follows(address)) return null;
+  const groupKey = ethers.id(String(groupId));
+  let view = authorizedViews.get(groupKey);
+  if (!view) {
+    const all = groups.get(groupKey) || [];
+    const authorized = all.filter(e => e.emitter && (trustedEmitters.has(e.emitter) || gateways.has(e.emitter)));
+    view = {
+      events: authorized
+        .map(({ kind, groupKey: key, blockHash, logIndex, ...e }) => ({ ...e, groupId: String(groupId) }))
+        .sort((a, b) => a.ts - b.ts),
+      ignored: all.length - authorized.length
+    };
+    authorizedViews.set(groupKey, view);
+  }
+  return { events: limit ? view.events.slice(-Number(limit)) : view.events.slice(), ignored: view.ignored };
+}
+
+function indexedGateways(address) {
+  return follows(address) ? new Set(gateways) : new Set();
+}
+
+function indexerStatus() {
+  const block = checkpoint ? checkpoint.block : null;
+  let trust = 0;
+  for (const list of groups.values()) trust += list.length;
+  return {
+    contract: contractAddress,
+    fromBlock: checkpoint ? checkpoint.fromBlock : deployBlock,
+    block,
+    head,
+    lag: head !== null && block !== null ? Math.max(0, head - block) : null,
+    events: trust,
+    groups: groups.size,
+    reorgs,
+    lastError,
+    lastRunAt,
+    running: !!provider
+  };
+}
+
+module.exports = {
+  initIndexer,
+  stopIndexer,
+  syncIndexer,
+  getIndexedTrustEvents,
+  getAuthorizedTrustEvents,
+  indexedGateways,
+  indexerStatus
+};
@@ -0,0 +1,324 @@
+// Gateway/src/ingest.js
+/**
+ * Reading pipeline shared by every transport (POST /data, MQTT)
+ * - schema validation -> payload hash -> local threshold + gateway cross-validation -> 'received' record + Merkle batch
+ *   -> systemValidate (decision, threshold proposal) -> 'pre-chain' record -> on-chain write queue for flagged readings
+ * - Transports authenticate the device first and pass the result in: { deviceId, groupId, legacy }
+ * - The result is HTTP-shaped ({ status, body }) so POST /data returns it as is and MQTT publishes body
+ *   (with status) on the device's response topic
+ * - Idempotent per (deviceId, eventId): once a reading reached its 'pre-chain' record, a repeat returns that
+ *   original result (duplicate: true) without validating, storing or queueing anything again; a repeat with a
+ *   different payload gets 409; a repeat that arrives while the original is still running waits for it, and if the
+ *   original failed only one waiting repeat re-runs the reading
+ * - ingestBatch runs an ordered array of buffered readings through the same path and reports each outcome
+ *
+ * Exports:
+ *  - initIngest({ store, enqueueChainLog, broadcast, provider, trustloggerAddress, anchorFlaggedEvents })
+ *  - ingestReading(payload, { auth, transport, groupId }) -> Promise<{ status, body }>
+ *  - ingestBatch(readings, { auth, transport }) -> Promise<{ status, body: { count, accepted, duplicates, rejected, results } }>
+ *  - BATCH_MAX_READINGS
+ */
+
+const { systemValidate } = require('./systemValidation');
+const { validatePayload, recordRejection } = require('./validator');
+const { assessReading, recentReadings } = require('./crossValidation');
+const { addToBatch } = require('./anchoring');
+const { getGroupThreshold, proposeThreshold } = require('./thresholds');
+const { keccakHash } = require('./blockchain');
+const { queryEvents } = require('./storage');
+const { countReading, countDecision, countFlagged } = require('./metrics');
+
+const BATCH_MAX_READINGS = Number(process.env.BATCH_MAX_READINGS || 100);
+
+const inFlight = new Map(); // `${deviceId}|${eventId}` -> promise of the first run
+
+let deps = {
+  store: () => {},
+  enqueueChainLog: () => {},
+  broadcast: () => {},
+  provider: null,
+  trustloggerAddress: null,
+  anchorFlaggedEvents: true
+};
+
+function initIngest(opts = {}) {
+  deps = { ...deps, ...opts };
+}
+
+function hashOf(payload) {
+  try {
+    return keccakHash(payload);
+  } catch (e) {
+    return null;
+  }
+}
+
+// the response for a reading whose pre-chain record is stored (first run and every duplicate)
+function resultFor(record) {
+  const systemDecision = record.systemDecision || { action: 'no_action' };
+  if (!record.flagged) {
+    return {
+      status: 200,
+      body: {
+        message: 'Data received (not flagged)',
+        hash: record.dataHash,
+        flagged: false,
+        systemDecision
+      }
+    };
+  }
+  // immediate response (fast)
+  const feedback = {
+    action: systemDecision.action ? systemDecision.action : 'no_action',
+    reason: systemDecision.reason ? systemDecision.reason : null,
+    adjustThreshold: systemDecision.newThreshold ? systemDecision.newThreshold : null
+  };
+  return {
+    status: 200,
+    body: {
+      message: deps.anchorFlaggedEvents
+        ? 'Flagged event accepted and queued for on-chain logging'
+        : 'Flagged event accepted (anchored with the next Merkle batch)',
+      hash: record.dataHash,
+      flagged: true,
+      systemDecision,
+      feedback
+    }
+  };
+}
+
+function serverError(transport, err) {
+  console.error(`[ingest] ${transport} handler error:`, err && err.stack ? err.stack : err);
+  return { status: 500, body: { error: 'server error', details: err && err.message ? err.message : String(err) } };
+}
+
+function processedRecord(deviceId, eventId) {
+  return queryEvents({ eventId, deviceId, stage: 'pre-chain', order: 'desc', limit: 1 })[0] || null;
+}
+
+// auth: { deviceId, groupId, legacy } of the authenticated sender; groupId: the transport's group (MQTT topic), if any
+// every outcome (accepted, duplicate, rejected) is counted for /metrics; never rejects: a failure (e.g. an event
+// store read in the duplicate lookup) is answered with a 500 result
+async function ingestReading(payload, ctx = {}) {
+  let result;
+  try {
+    result = await ingestOnce(payload, ctx);
+  } catch (err) {
+    result = serverError(ctx.transport || 'http', err);
+  }
+  const auth = ctx.auth || {};
+  countReading({
+    deviceId: auth.legacy || !auth.deviceId ? payload && payload.deviceId : auth.deviceId,
+    groupId: (payload && payload.groupId) || ctx.groupId || auth.groupId,
+    transport: ctx.transport || 'http',
+    status: result.status,
+    duplicate: !!(result.body && result.body.duplicate)
+  });
+  return result;
+}
+
+async function ingestOnce(payload, ctx = {}) {
+  const auth = ctx.auth || {};
+  const deviceId = auth.legacy ? payload && payload.deviceId : auth.deviceId;
+  const eventId = payload && payload.eventId;
+  const keyable = (typeof deviceId === 'string' && deviceId) && ((typeof eventId === 'string' && eventId) || Number.isFinite(eventId));
+  if (!keyable) return processReading(payload, ctx);
+
+  const key = `${deviceId}|${eventId}`;
+  while (inFlight.has(key)) {
+    // the same reading is still being processed (e.g. a retry after a timeout): answer once it is done. If that
+    // run failed, the first waiter to wake up becomes the retry and the others wait for it in turn
+    await inFlight.get(key).catch(() => {});
+  }
+  const original = processedRecord(deviceId, eventId);
+  if (original) {
+    if (original.dataHash && hashOf(payload) !== original.dataHash) {
+      return { status: 409, body: { error: 'eventId already processed with a different payload', eventId, hash: original.dataHash } };
+    }
+    console.log(`[ingest] duplicate ${deviceId}/${eventId} (${ctx.transport || 'http'}): returning the original result`);
+    const result = resultFor(original);
+    return { status: result.status, body: { ...result.body, duplicate: true, receivedAt: original.receivedAt } };
+  }
+
+  const run = processReading(payload, ctx);
+  inFlight.set(key, run);
+  try {
+    return await run;
+  } finally {
+    if (inFlight.get(key) === run) inFlight.delete(key);
+  }
+}
+
+async function processReading(payload, { auth = {}, transport = 'http', groupId: transportGroupId } = {}) {
+  const { store, enqueueChainLog, broadcast, provider, trustloggerAddress, anchorFlaggedEvents } = deps;
+  try {
+    console.log(`[event] received payload (${transport}):`, payload);
+
+    // schema check before anything is hashed, stored or broadcast
+    const validation = validatePayload(payload);
+    if (!validation.ok) {
+      const rejectedBy = auth.deviceId || (payload && typeof payload.deviceId === 'string' ? payload.deviceId : null);
+      const stats = recordRejection(rejectedBy, validation.errors);
+      console.warn(`[validator] rejected payload from ${stats.deviceId} (schema v${validation.version}, ${stats.count} rejected so far):`, validation.errors);
+      return { status: 400, body: { error: 'invalid payload', schemaVersion: validation.version, errors: validation.errors } };
+    }
+
+    // the signing device may only report for itself
+    if (!auth.legacy && String(payload.deviceId ?? '') !== auth.deviceId) {
+      return { status: 403, body: { error: 'payload deviceId does not match signing device', signedBy: auth.deviceId } };
+    }
+    if (transportGroupId && payload.groupId !== undefined && String(payload.groupId) !== transportGroupId) {
+      return { status: 400, body: { error: 'payload groupId does not match topic', groupId: transportGroupId } };
+    }
+
+    // 1) Compute data hash (keccak256 of JSON string)
+    let dataHash = null;
+    try {
+      dataHash = keccakHash(payload);
+    } catch (e) {
+      // fallback to ethers utils if needed
+      try {
+        const { keccak256, toUtf8Bytes } = require('ethers/lib/utils');
+        dataHash = keccak256(toUtf8Bytes(JSON.stringify(payload)));
+      } catch (ee) {
+        console.error('[hash] hash compute failed', ee.message || ee);
+      }
+    }
+    console.log('[event] dataHash:', dataHash);
+
+    // 2) Local threshold check
+    const groupId = (payload.groupId && String(payload.groupId)) || transportGroupId || auth.groupId || (payload.deviceId && String(payload.deviceId)) || 'group-1';
+    const deviceId = payload.deviceId;
+
+    const trustA = payload.trustA;
+    const trustB = payload.trustB;
+    const groupThreshold = getGroupThreshold(groupId);
+
+    const localFlagged = (trustA < groupThreshold) || (trustB < groupThreshold);
+
+    // gateway-side assessment: never rely on the device's self-reported trust alone
+    const crossCheck = assessReading(payload, recentReadings(deviceId));
+    const gatewayFlagged = crossCheck.divergent || crossCheck.gatewayTrustA < groupThreshold || crossCheck.gatewayTrustB < groupThreshold;
+    if (crossCheck.issues.length) {
+      console.log(`[crossValidation] ${deviceId}: gateway trust A=${crossCheck.gatewayTrustA} B=${crossCheck.gatewayTrustB}`, crossCheck.issues.map(i => `${i.check}(${i.sensor})`).join(', '));
+    }
+
+    // 3) Build storedEvent and persist initial record
+    const eventId = payload.eventId;
+    const storedEvent = {
+      eventId,
+      deviceId,
+      groupId,
+      payload,
+      dataHash,
+      trustA,
+      trustB,
+      localFlagged,
+      crossValidation: crossCheck,
+      gatewayFlagged,
+      transport,
+      receivedAt: new Date().toISOString()
+    };
+    // 4) Persist and emit arrival to the dashboards (event_update + telemetry, system_alert when divergent)
+    store({ ...storedEvent, stage: 'received' });
+    addToBatch(storedEvent);
+
+    // 5) SYSTEM-LEVEL VALIDATION (historical analysis + decision)
+    let systemDecision = { action: 'no_action' };
+    try {
+      // pass provider + contract address to validation helper
+      systemDecision = await systemValidate(provider, trustloggerAddress, groupId, deviceId, { threshold: groupThreshold });
+      storedEvent.systemDecision = systemDecision;
+      // confirm_unreliable / flag_for_review decisions also go out as system_alert
+      store({ ...storedEvent, stage: 'system-validation' });
+
+      // act on systemDecision (affects storedEvent metadata)
+      if (systemDecision.action === 'confirm_unreliable') {
+        storedEvent.systemFlag = 'confirmed_unreliable';
+        storedEvent.flagged = true;
+      } else if (systemDecision.action === 'adjust_threshold_lower') {
+        // never applied directly: an admin approves or rejects the proposal
+        const proposal = proposeThreshold({
+          groupId,
+          deviceId,
+          proposed: Number(systemDecision.newThreshold || groupThreshold),
+          reason: systemDecision.reason || 'system validation',
+          decision: systemDecision
+        });
+        storedEvent.thresholdProposal = proposal.id;
+        broadcast('threshold_proposal', { type: 'proposed', proposal });
+      }
+    } catch (err) {
+      console.warn('[systemValidation] error (continuing):', err && err.message ? err.message : err);
+      systemDecision = { action: 'validation_error', error: err && err.message ? err.message : String(err) };
+      storedEvent.systemDecision = systemDecision;
+      store({ ...storedEvent, stage: 'system-validation-error' });
+    }
+
+    // 6) Combine decisions (local OR gateway cross-check OR system-confirmed unreliable)
+    const finalFlagged = storedEvent.flagged || localFlagged || gatewayFlagged || (systemDecision && systemDecision.action === 'confirm_unreliable');
+    storedEvent.flagged = !!finalFlagged;
+    countDecision(systemDecision.action);
+    if (finalFlagged) countFlagged(deviceId, groupId);
+
+    // persist pre-chain record (it also marks the reading as processed for idempotency)
+    store({ ...storedEvent, stage: 'pre-chain' });
+
+    // 7) Flagged readings are queued for on-chain logging; either way respond immediately
+    if (finalFlagged && anchorFlaggedEvents) {
+      // 8) Prepare contract arguments (map fields)
+      const oldTS = Number(payload.oldTS ?? payload.oldTrustA ?? trustA);
+      const newTS = Number(payload.newTS ?? payload.newTrustA ?? trustB);
+      // the gateway's own finding outranks the reason the device reported
+      const reason = String((gatewayFlagged && !localFlagged && crossCheck.reason) || (crossCheck.divergent && crossCheck.reason) || payload.reason || (systemDecision && systemDecision.reason) || 'LOW_TRUST');
+      // current firmware sends unix seconds, older builds sent milliseconds
+      const rawTs = payload.ts || payload.timestamp || Date.now();
+      const ts = Math.floor(rawTs < 1e12 ? rawTs : rawTs / 1000);
+
+      // 9) ENQUEUE for background on-chain logging
+      enqueueChainLog({
+        eventId,
+        deviceId,
+        groupId,
+        oldTS,
+        newTS,
+        reason,
+        dataHash,
+        ts,
+        payload,
+        trustA,
+        trustB,
+        flagged: true,
+        systemDecision
+      });
+    }
+    return resultFor(storedEvent);
+  } catch (err) {
+    return serverError(transport, err);
+  }
+}
+
+// ordered readings buffered offline by one device; each one goes through ingestReading in turn
+async function ingestBatch(readings, ctx = {}) {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return { status: 400, body: { error: 'readings must be a non-empty array' } };
+  }
+  if (readings.length > BATCH_MAX_READINGS) {
+    return { status: 413, body: { error: `at most ${BATCH_MAX_READINGS} readings per batch`, count: readings.length } };
+  }
+  const results = [];
+  for (let index = 0; index < readings.length; index++) {
+    const payload = readings[index] && typeof readings[index] === 'object' ? readings[index] : {};
+    const { status, body } = await ingestReading(payload, ctx);
+    results.push({ index, eventId: payload.eventId ?? null, status, ...body });
+  }
+  const duplicates = results.filter(r => r.status === 200 && r.duplicate).length;
+  const accepted = results.filter(r => r.status === 200).length - duplicates;
+  console.log(`[ingest] batch from ${ctx.auth && ctx.auth.deviceId}: ${accepted} accepted, ${duplicates} duplicate(s), ${results.length - accepted - duplicates} rejected`);
+  return {
+    status: 200,
+    body: { count: results.length, accepted, duplicates, rejected: results.length - accepted - duplicates, results }
+  };
+}
+
+module.exports = { initIngest, ingestReading, ingestBatch, BATCH_MAX_READINGS };
@@ -0,0 +1,69 @@
+// Gateway/src/merkle.js
+/**
+ * Keccak-256 Merkle tree over bytes32 leaves (the events' keccakHash values)
+ * - Parent = keccak256(min(a, b) ++ max(a, b)) — sorted pairs, so a proof is just the sibling list
+ *   and is compatible with OpenZeppelin's MerkleProof.verify
+ * - An odd node at the end of a layer is promoted unchanged to the next layer
+ *
+ * Exports:
+ *  - buildTree(leaves) -> layers (layers[0] = leaves, last layer = [root])
+ *  - merkleRoot(layers)
+ *  - merkleProof(layers, index) -> [bytes32...]
+ *  - verifyProof(leaf, proof, root) -> boolean
+ */
+
+const { ethers } = require('ethers');
+
+function normalize(hash) {
+  const hex = String(hash).toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(hex)) throw new Error(`not a bytes32 hash: ${hash}`);
+  return hex;
+}
+
+function hashPair(a, b) {
+  const [lo, hi] = a <= b ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([lo, hi]));
+}
+
+function buildTree(leaves) {
+  if (!leaves || leaves.length === 0) throw new Error('cannot build a Merkle tree without leaves');
+  const layers = [leaves.map(normalize)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function merkleRoot(layers) {
+  return layers[layers.length - 1][0];
+}
+
+function merkleProof(layers, index) {
+  if (index < 0 || index >= layers[0].length) throw new Error(`leaf index ${index} out of range`);
+  const proof = [];
+  let idx = index;
+  for (let l = 0; l < layers.length - 1; l++) {
+    const layer = layers[l];
+    const sibling = idx % 2 === 0 ? idx + 1 : idx - 1;
+    if (sibling < layer.length) proof.push(layer[sibling]);
+    idx = Math.floor(idx / 2);
+  }
+  return proof;
+}
+
+function verifyProof(leaf, proof, root) {
+  try {
+    let node = normalize(leaf);
+    for (const p of proof || []) node = hashPair(node, normalize(p));
+    return node === normalize(root);
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { buildTree, merkleRoot, merkleProof, verifyProof };
@@ -0,0 +1,209 @@
+// Gateway/src/metrics.js
+/**
+ * Prometheus metrics for the gateway pipeline (prom-client, text exposition on GET /metrics)
+ * - Counters / histograms are updated where things happen: HTTP responses (httpMetrics middleware), readings,
+ *   systemValidate decisions and flagged readings (ingest.js), final chain tx states (countTx)
+ * - Gauges that mirror state (write queue, socket clients, wallet balance, TrustEvent index) are read at
+ *   scrape time from the sources passed to initMetrics
+ * - Node process metrics (CPU, memory, event loop lag, ...) come from prom-client's defaults, prefixed gateway_
+ *
+ * Exports:
+ *  - initMetrics({ queueStats, socketClients, walletBalance, indexerStatus })
+ *      walletBalance() -> Promise<{ address, wei } | null>; read with a METRICS_BALANCE_TIMEOUT_MS (default 3000) limit
+ *  - httpMetrics (express middleware), countReading(...), countDecision(action), countFlagged(deviceId, groupId),
+ *    countTx(tx)
+ *  - renderMetrics() -> Promise<{ contentType, body }>
+ */
+
+const client = require('prom-client');
+const { ethers } = require('ethers');
+
+const BALANCE_TIMEOUT_MS = Number(process.env.METRICS_BALANCE_TIMEOUT_MS || 3000);
+const FINAL_TX_STATUSES = ['confirmed', 'failed', 'dropped'];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'gateway_' });
+
+let sources = {
+  queueStats: () => null,
+  socketClients: () => 0,
+  walletBalance: async () => null,
+  indexerStatus: () => null
+};
+
+// ---- HTTP ----
+const httpRequests = new client.Counter({
+  name: 'gateway_http_requests_total',
+  help: 'HTTP responses by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'gateway_http_request_duration_seconds',
+  help: 'HTTP request latency by method and route (POST /data is the device ingest path)',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// route label: the matched express route (never the raw URL, which carries ids); 'unmatched' for 404s
+function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route };
+    end(labels);
+    httpRequests.inc({ ...labels, status: String(res.statusCode) });
+  });
+  next();
+}
+
+// ---- Pipeline ----
+const readings = new client.Counter({
+  name: 'gateway_readings_total',
+  help: 'Readings by device, group, transport and outcome (accepted | duplicate | rejected)',
+  labelNames: ['device', 'group', 'transport', 'outcome'],
+  registers: [register]
+});
+
+const decisions = new client.Counter({
+  name: 'gateway_validation_decisions_total',
+  help: 'systemValidate decisions by action',
+  labelNames: ['action'],
+  registers: [register]
+});
+
+const flagged = new client.Counter({
+  name: 'gateway_flagged_events_total',
+  help: 'Readings flagged (local threshold, cross-check or system validation) by device and group',
+  labelNames: ['device', 'group'],
+  registers: [register]
+});
+
+const label = (v) => (v === undefined || v === null || v === '' ? 'unknown' : String(v));
+
+function countReading({ deviceId, groupId, transport = 'http', status, duplicate = false }) {
+  const outcome = status >= 300 ? 'rejected' : duplicate ? 'duplicate' : 'accepted';
+  readings.inc({ device: label(deviceId), group: label(groupId), transport, outcome });
+}
+
+function countDecision(action) {
+  decisions.inc({ action: label(action) });
+}
+
+function countFlagged(deviceId, groupId) {
+  flagged.inc({ device: label(deviceId), group: label(groupId) });
+}
+
+// ---- Chain writes ----
+const txs = new client.Counter({
+  name: 'gateway_chain_txs_total',
+  help: 'Chain writes that reached a final state, by kind (event | batch | roles / registry) and status',
+  labelNames: ['kind', 'status'],
+  registers: [register]
+});
+
+const txDuration = new client.Histogram({
+  name: 'gateway_chain_tx_duration_seconds',
+  help: 'Time from first broadcast to the required confirmations, by kind',
+  labelNames: ['kind'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register]
+});
+
+// tx is the txManager record passed to onStatus; only final states count
+function countTx(tx) {
+  if (!tx || !FINAL_TX_STATUSES.includes(tx.status)) return;
+  txs.inc({ kind: label(tx.kind), status: tx.status });
+  if (tx.status === 'confirmed' && tx.createdAt && tx.updatedAt) {
+    txDuration.observe({ kind: label(tx.kind) }, Math.max(0, Date.parse(tx.updatedAt) - Date.parse(tx.createdAt)) / 1000);
+  }
+}
+
+// ---- Scrape-time gauges ----
+new client.Gauge({
+  name: 'gateway_queue_depth',
+  help: 'On-chain write queue: items by state (pending | in_flight | dead_letter)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    const stats = sources.queueStats();
+    if (!stats) return;
+    this.set({ state: 'pending' }, stats.pending);
+    this.set({ state: 'in_flight' }, stats.inFlight);
+    this.set({ state: 'dead_letter' }, stats.deadLetter);
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_queue_oldest_age_seconds',
+  help: 'Age of the oldest pending write queue item (0 when the queue is empty)',
+  registers: [register],
+  collect() {
+    const stats = sources.queueStats();
+    const oldest = stats && stats.oldestEnqueuedAt ? Date.parse(stats.oldestEnqueuedAt) : null;
+    this.set(oldest ? Math.max(0, Date.now() - oldest) / 1000 : 0);
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_socket_clients',
+  help: 'Connected dashboard (Socket.io) clients',
+  registers: [register],
+  collect() {
+    this.set(sources.socketClients());
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_wallet_balance_eth',
+  help: 'Balance of the gateway signer (absent while on-chain writes are disabled or the RPC does not answer)',
+  labelNames: ['address'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(null), BALANCE_TIMEOUT_MS); });
+    try {
+      const balance = await Promise.race([sources.walletBalance(), timeout]);
+      if (balance) this.set({ address: balance.address }, Number(ethers.formatEther(balance.wei)));
+    } catch (err) {
+      // leave the gauge empty: the scrape must not fail because the RPC is down
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_indexer_lag_blocks',
+  help: 'Blocks the TrustEvent index is behind the chain head, by contract',
+  labelNames: ['contract'],
+  registers: [register],
+  collect() {
+    this.reset();
+    const status = sources.indexerStatus();
+    if (status && status.contract && status.lag !== null && status.lag !== undefined) this.set({ contract: status.contract }, status.lag);
+  }
+});
+
+// ---- Public API ----
+function initMetrics(opts = {}) {
+  sources = { ...sources, ...opts };
+}
+
+async function renderMetrics() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+  initMetrics,
+  httpMetrics,
+  countReading,
+  countDecision,
+  countFlagged,
+  countTx,
+  renderMetrics
+};
@@ -0,0 +1,289 @@
+// Gateway/src/mqtt.js
+/**
+ * MQTT ingestion (alongside POST /data)
+ * - Either connects to a broker (MQTT_URL, MQTT_USERNAME / MQTT_PASSWORD) or embeds one (aedes) listening on
+ *   MQTT_EMBEDDED_PORT; with neither set MQTT stays off
+ * - Subscribes to MQTT_TELEMETRY_TOPIC (default trust/{groupId}/{deviceId}/telemetry; {groupId} and {deviceId}
+ *   become + wildcards) and hands each reading to the same pipeline as POST /data
+ * - Messages are signed envelopes, the MQTT form of the x-* headers:
+ *     { "timestamp": <unix s>, "nonce": "<hex>", "signature": "<hex>", "body": "<payload JSON as a string>" }
+ *   signature = hex HMAC-SHA256(device secret, "<timestamp>.<nonce>.<body>"), verified against the topic's deviceId
+ * - The pipeline result (feedback / decision, or the error) is published to MQTT_RESPONSE_TOPIC
+ *   (default trust/{groupId}/{deviceId}/feedback) as { status, eventId, ...body }
+ * - Readings of one device are processed in arrival order
+ * - The embedded broker only accepts registered devices: CONNECT username = deviceId, password =
+ *   "<timestamp>.<nonce>.<signature>" with signature = hex HMAC-SHA256(device secret, "<timestamp>.<nonce>.mqtt-connect")
+ *   (same key, time window and nonce check as a signed POST). A device may then only publish on its own telemetry
+ *   topic and subscribe to its own response topic, so responses can neither be spoofed nor read by other devices
+ *
+ * Exports:
+ *  - initMqtt({ onReading, url, embeddedPort, host, telemetryTopic, responseTopic, qos }) -> Promise<status | null>
+ *  - stopMqtt() -> Promise
+ *  - getMqttStatus() -> { enabled, mode, url, port, connected, received, rejected, refused }
+ *  - topicMatcher(template), formatTopic(template, vars)
+ *  - connectCredentials(deviceId, secret) -> { username, password } for the embedded broker
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const { verifySignature, signPayload } = require('./auth');
+
+const DEFAULT_TELEMETRY_TOPIC = process.env.MQTT_TELEMETRY_TOPIC || 'trust/{groupId}/{deviceId}/telemetry';
+const DEFAULT_RESPONSE_TOPIC = process.env.MQTT_RESPONSE_TOPIC || 'trust/{groupId}/{deviceId}/feedback';
+const MAX_MESSAGE_BYTES = Number(process.env.MQTT_MAX_MESSAGE_BYTES || 16 * 1024);
+const CONNECT_BODY = 'mqtt-connect';
+
+let transport = null;
+let settings = null;
+let onReading = async () => ({ status: 503, body: { error: 'ingest not ready' } });
+const chains = new Map(); // deviceId -> tail of its processing chain
+const stats = { received: 0, rejected: 0, refused: 0 };
+
+// ---- Topics ----
+// 'trust/{groupId}/{deviceId}/telemetry' -> { filter: 'trust/+/+/telemetry', parse(topic) -> { groupId, deviceId } | null }
+function topicMatcher(template) {
+  const levels = template.split('/');
+  const filter = levels.map(l => (/^\{\w+\}$/.test(l) ? '+' : l)).join('/');
+  const parse = (topic) => {
+    const parts = String(topic).split('/');
+    if (parts.length !== levels.length) return null;
+    const vars = {};
+    for (let i = 0; i < levels.length; i++) {
+      const m = /^\{(\w+)\}$/.exec(levels[i]);
+      if (m) {
+        if (!parts[i]) return null;
+        vars[m[1]] = parts[i];
+      } else if (levels[i] !== parts[i]) {
+        return null;
+      }
+    }
+    return vars;
+  };
+  return { filter, parse };
+}
+
+function formatTopic(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? '');
+}
+
+// ---- Device login (embedded broker) ----
+function connectCredentials(deviceId, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const nonce = crypto.randomBytes(8).toString('hex');
+  return { username: deviceId, password: `${timestamp}.${nonce}.${signPayload(secret, timestamp, nonce, CONNECT_BODY)}` };
+}
+
+function verifyConnect(username, password) {
+  const [timestamp, nonce, signature] = String(password || '').split('.');
+  return verifySignature({ deviceId: username, timestamp, nonce, signature, rawBody: CONNECT_BODY });
+}
+
+// a topic belongs to the client when its {deviceId} (and {groupId}, if the template has one) are the client's
+function ownsTopic(client, vars) {
+  return Boolean(vars && vars.deviceId === client.deviceId && (vars.groupId === undefined || vars.groupId === client.groupId));
+}
+
+// ---- Transports ----
+// in-process aedes broker; the gateway subscribes / publishes without a network client (client === null)
+function embeddedTransport({ port, host, telemetry, response }) {
+  const aedes = require('aedes')();
+  aedes.authenticate = (client, username, password, cb) => {
+    const result = verifyConnect(username, password);
+    if (!result.ok) {
+      stats.refused++;
+      console.warn(`[mqtt] refused connection from ${username || '(anonymous)'}: ${result.error}`);
+      return cb(Object.assign(new Error(result.error), { returnCode: 4 }), false);
+    }
+    client.deviceId = result.deviceId;
+    client.groupId = result.groupId;
+    return cb(null, true);
+  };
+  aedes.authorizePublish = (client, packet, cb) => {
+    if (client && !ownsTopic(client, telemetry.parse(packet.topic))) {
+      return cb(new Error('clients may only publish on their own telemetry topic'));
+    }
+    return cb(null);
+  };
+  aedes.authorizeSubscribe = (client, sub, cb) => {
+    // null -> negative suback (granted 128); wildcards never match a single device's topic
+    if (client && !ownsTopic(client, response.parse(sub.topic))) return cb(null, null);
+    return cb(null, sub);
+  };
+  const server = net.createServer(aedes.handle);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const actualPort = server.address().port;
+      console.log(`[mqtt] embedded broker listening on ${host}:${actualPort}`);
+      resolve({
+        mode: 'embedded',
+        port: actualPort,
+        connected: () => !aedes.closed,
+        subscribe: (filter, handler) => new Promise((done) => {
+          aedes.subscribe(filter, (packet, cb) => {
+            handler(packet.topic, packet.payload);
+            cb();
+          }, done);
+        }),
+        publish: (topic, payload, qos) => new Promise((done, fail) => {
+          aedes.publish({ cmd: 'publish', topic, payload: Buffer.from(payload), qos, retain: false, dup: false }, (err) => (err ? fail(err) : done()));
+        }),
+        close: () => new Promise((done) => aedes.close(() => server.close(() => done())))
+      });
+    });
+  });
+}
+
+function clientTransport({ url, username, password, clientId }) {
+  const mqtt = require('mqtt');
+  const client = mqtt.connect(url, {
+    username: username || undefined,
+    password: password || undefined,
+    clientId: clientId || `trust-gateway-${crypto.randomBytes(4).toString('hex')}`,
+    reconnectPeriod: 2000
+  });
+  let handler = null;
+  client.on('message', (topic, payload) => handler && handler(topic, payload));
+  client.on('error', (err) => console.warn('[mqtt] client error:', err && err.message ? err.message : err));
+  client.on('reconnect', () => console.log('[mqtt] reconnecting to', url));
+  return new Promise((resolve, reject) => {
+    client.once('connect', () => {
+      console.log('[mqtt] connected to', url);
+      resolve({
+        mode: 'client',
+        url,
+        connected: () => client.connected,
+        subscribe: (filter, onMessage, qos) => {
+          handler = onMessage;
+          return client.subscribeAsync(filter, { qos });
+        },
+        publish: (topic, payload, qos) => client.publishAsync(topic, payload, { qos }),
+        close: () => client.endAsync()
+      });
+    });
+    client.once('error', (err) => {
+      if (!client.connected) {
+        client.end(true);
+        reject(err);
+      }
+    });
+  });
+}
+
+// ---- Messages ----
+function reply(vars, result) {
+  const topic = formatTopic(settings.responseTopic, vars);
+  const message = JSON.stringify({ status: result.status, eventId: result.eventId ?? null, ...result.body });
+  return transport.publish(topic, message, settings.qos)
+    .catch(err => console.warn(`[mqtt] could not publish to ${topic}:`, err && err.message ? err.message : err));
+}
+
+// envelope -> { auth, payload } or { status, body } when it cannot be accepted
+function openEnvelope(vars, buffer) {
+  if (buffer.length > MAX_MESSAGE_BYTES) return { status: 413, body: { error: 'message too large' } };
+  let envelope;
+  try {
+    envelope = JSON.parse(buffer.toString('utf8'));
+  } catch (e) {
+    return { status: 400, body: { error: 'message is not JSON' } };
+  }
+  if (!envelope || typeof envelope.body !== 'string' || !envelope.timestamp || !envelope.nonce || !envelope.signature) {
+    return { status: 400, body: { error: 'envelope needs timestamp, nonce, signature and body (payload JSON string)' } };
+  }
+  const auth = verifySignature({
+    deviceId: vars.deviceId,
+    timestamp: envelope.timestamp,
+    nonce: envelope.nonce,
+    signature: envelope.signature,
+    rawBody: envelope.body
+  });
+  if (!auth.ok) return { status: auth.status, body: { error: auth.error } };
+  try {
+    return { auth, payload: JSON.parse(envelope.body) };
+  } catch (e) {
+    return { status: 400, body: { error: 'body is not JSON' } };
+  }
+}
+
+async function handleMessage(topic, buffer) {
+  const vars = settings.telemetry.parse(topic);
+  if (!vars) return;
+  stats.received++;
+  const opened = openEnvelope(vars, Buffer.from(buffer));
+  if (!opened.auth) {
+    stats.rejected++;
+    console.warn(`[mqtt] rejected message on ${topic}: ${opened.body.error}`);
+    return reply(vars, opened);
+  }
+  const result = await onReading(opened.payload, { auth: opened.auth, transport: 'mqtt', groupId: vars.groupId });
+  if (result.status >= 400) stats.rejected++;
+  return reply(vars, { ...result, eventId: opened.payload && opened.payload.eventId });
+}
+
+// one device's readings run one after another (cross-validation and systemValidate look at its history)
+function enqueueMessage(topic, payload) {
+  const vars = settings.telemetry.parse(topic);
+  const key = vars ? vars.deviceId : '';
+  const next = (chains.get(key) || Promise.resolve())
+    .then(() => handleMessage(topic, payload))
+    .catch(err => console.error('[mqtt] message handling failed:', err && err.message ? err.message : err));
+  chains.set(key, next);
+  next.then(() => {
+    if (chains.get(key) === next) chains.delete(key);
+  });
+}
+
+// ---- Public API ----
+async function initMqtt(opts = {}) {
+  const url = opts.url !== undefined ? opts.url : process.env.MQTT_URL;
+  const embeddedPort = opts.embeddedPort !== undefined ? opts.embeddedPort : process.env.MQTT_EMBEDDED_PORT;
+  if (opts.onReading) onReading = opts.onReading;
+  if (!url && (embeddedPort === undefined || embeddedPort === '')) {
+    console.log('[mqtt] disabled (set MQTT_URL or MQTT_EMBEDDED_PORT)');
+    return null;
+  }
+  await stopMqtt();
+  stats.received = 0;
+  stats.rejected = 0;
+  stats.refused = 0;
+  settings = {
+    telemetryTopic: opts.telemetryTopic || DEFAULT_TELEMETRY_TOPIC,
+    responseTopic: opts.responseTopic || DEFAULT_RESPONSE_TOPIC,
+    qos: Number(opts.qos ?? process.env.MQTT_QOS ?? 1)
+  };
+  settings.telemetry = topicMatcher(settings.telemetryTopic);
+  settings.response = topicMatcher(settings.responseTopic);
+
+  transport = url
+    ? await clientTransport({ url, username: process.env.MQTT_USERNAME, password: process.env.MQTT_PASSWORD, clientId: process.env.MQTT_CLIENT_ID })
+    : await embeddedTransport({ port: Number(embeddedPort), host: opts.host || process.env.MQTT_EMBEDDED_HOST || '0.0.0.0', telemetry: settings.telemetry, response: settings.response });
+  await transport.subscribe(settings.telemetry.filter, enqueueMessage, settings.qos);
+  console.log(`[mqtt] subscribed to ${settings.telemetry.filter}, responses on ${settings.responseTopic}`);
+  return getMqttStatus();
+}
+
+async function stopMqtt() {
+  if (!transport) return;
+  const t = transport;
+  transport = null;
+  await Promise.all([...chains.values()]);
+  await t.close();
+}
+
+function getMqttStatus() {
+  if (!transport) return { enabled: false };
+  return {
+    enabled: true,
+    mode: transport.mode,
+    url: transport.url || null,
+    port: transport.port || null,
+    connected: transport.connected(),
+    telemetryTopic: settings.telemetryTopic,
+    responseTopic: settings.responseTopic,
+    received: stats.received,
+    rejected: stats.rejected,
+    refused: stats.refused
+  };
+}
+
+module.exports = { initMqtt, stopMqtt, getMqttStatus, topicMatcher, formatTopic, connectCredentials };
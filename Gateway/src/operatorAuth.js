@@ -0,0 +1,202 @@
+// Gateway/src/operatorAuth.js
+/**
+ * Operator (dashboard / API user) authentication
+ * - Local user store (data/users.json, OPERATOR_USERS_FILE) with scrypt password hashes
+ * - Roles: 'viewer' (read routes + live stream) and 'admin' (everything, including management routes)
+ * - Stateless HS256 JWTs issued by the gateway (OPERATOR_JWT_SECRET, OPERATOR_TOKEN_TTL_SEC);
+ *   the role is re-read from the store on every check, so deleting or demoting a user takes effect at once
+ * - An empty store is bootstrapped with an admin from ADMIN_USERNAME / ADMIN_PASSWORD
+ *
+ * Exports:
+ *  - initOperatorAuth({ usersFile, secret, ttlSec })
+ *  - login(username, password) -> { token, expiresAt, user } | null
+ *  - verifyToken(token) -> { username, role } | null
+ *  - requireRole(role) -> express middleware (Authorization: Bearer <token>)
+ *  - createUser({ username, password, role }), updateUser(username, { password, role }), deleteUser(username), listUsers()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+
+const DEFAULT_USERS_FILE = process.env.OPERATOR_USERS_FILE || path.join(DATA_DIR, 'users.json');
+const DEFAULT_TTL_SEC = Number(process.env.OPERATOR_TOKEN_TTL_SEC || 12 * 3600);
+const ROLES = ['viewer', 'admin']; // ascending privilege
+
+let usersFile = DEFAULT_USERS_FILE;
+let jwtSecret = null;
+let ttlSec = DEFAULT_TTL_SEC;
+let users = {}; // username -> { username, role, passwordHash, createdAt }
+
+// ---- User store ----
+function loadUsers() {
+  try {
+    users = fs.existsSync(usersFile) ? JSON.parse(fs.readFileSync(usersFile, 'utf8') || '{}') : {};
+  } catch (e) {
+    console.error('[operatorAuth] user store load failed:', e.message || e);
+    users = {};
+  }
+}
+
+function saveUsers() {
+  fs.mkdirSync(path.dirname(usersFile), { recursive: true });
+  const tmp = `${usersFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmp, usersFile);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function publicUser(u) {
+  return u ? { username: u.username, role: u.role, createdAt: u.createdAt } : null;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+}
+
+function createUser({ username, password, role = 'viewer' } = {}) {
+  if (!username || typeof username !== 'string') throw new Error('username is required');
+  if (!password || String(password).length < 8) throw new Error('password must be at least 8 characters');
+  validateRole(role);
+  if (users[username]) throw new Error(`user ${username} already exists`);
+  users[username] = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+  saveUsers();
+  return publicUser(users[username]);
+}
+
+function updateUser(username, { password, role } = {}) {
+  const u = users[username];
+  if (!u) throw new Error(`user ${username} not found`);
+  if (role !== undefined) {
+    validateRole(role);
+    u.role = role;
+  }
+  if (password !== undefined) {
+    if (String(password).length < 8) throw new Error('password must be at least 8 characters');
+    u.passwordHash = hashPassword(password);
+  }
+  saveUsers();
+  return publicUser(u);
+}
+
+function deleteUser(username) {
+  if (!users[username]) return false;
+  delete users[username];
+  saveUsers();
+  return true;
+}
+
+function listUsers() {
+  return Object.values(users).map(publicUser);
+}
+
+// ---- Tokens (HS256 JWT) ----
+function signToken(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const sig = crypto.createHmac('sha256', jwtSecret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${sig}`;
+}
+
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, sig] = parts;
+  const expected = crypto.createHmac('sha256', jwtSecret).update(`${header}.${body}`).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+    const u = users[claims.sub];
+    if (!u) return null;
+    return { username: u.username, role: u.role };
+  } catch (e) {
+    return null;
+  }
+}
+
+// hash checked for unknown usernames too, so response time does not reveal which users exist
+let dummyHash = null;
+
+function login(username, password) {
+  const u = users[username];
+  if (!u) {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    checkPassword(password, dummyHash);
+    return null;
+  }
+  if (!checkPassword(password, u.passwordHash)) return null;
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + ttlSec;
+  return {
+    token: signToken({ sub: u.username, role: u.role, iat: now, exp }),
+    expiresAt: new Date(exp * 1000).toISOString(),
+    user: publicUser(u)
+  };
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = verifyToken(bearerToken(req));
+    if (!user) return res.status(401).json({ error: 'authentication required' });
+    if (!hasRole(user, role)) return res.status(403).json({ error: `${role} role required` });
+    req.user = user;
+    return next();
+  };
+}
+
+function initOperatorAuth(opts = {}) {
+  usersFile = opts.usersFile || DEFAULT_USERS_FILE;
+  ttlSec = Number(opts.ttlSec || DEFAULT_TTL_SEC);
+  jwtSecret = opts.secret || process.env.OPERATOR_JWT_SECRET || null;
+  if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[operatorAuth] OPERATOR_JWT_SECRET not set; using a random secret (sessions end on restart)');
+  }
+  loadUsers();
+  if (Object.keys(users).length === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+    console.log(`[operatorAuth] bootstrapped admin user ${process.env.ADMIN_USERNAME}`);
+  }
+  if (Object.keys(users).length === 0) {
+    console.warn('[operatorAuth] no operator users; set ADMIN_USERNAME / ADMIN_PASSWORD to create the first admin');
+  }
+}
+
+module.exports = {
+  initOperatorAuth,
+  login,
+  verifyToken,
+  requireRole,
+  hasRole,
+  createUser,
+  updateUser,
+  deleteUser,
+  listUsers,
+  ROLES
+};
@@ -0,0 +1,278 @@
+// Gateway/src/queue.js
+/**
+ * Durable write queue for background on-chain logging
+ * - Every queue transition is appended to a journal (data/queue-journal.ndjson) and replayed on boot,
+ *   so items still queued when the gateway stops are picked up again on the next start
+ * - Delivery is at-least-once: an item whose result was not journaled before a crash is retried
+ * - Items that exhaust maxAttempts move to the dead-letter store (kept in the same journal)
+ *   where they can be listed, inspected, retried or discarded
+ * - Up to `concurrency` items (QUEUE_CONCURRENCY, default 1) are worked on at once; each lane takes the
+ *   oldest item not already in flight, and an item keeps its lane through its retry backoff
+ *
+ * Exports:
+ *  - initQueue({ worker, onDeadLetter, maxAttempts, journalFile, concurrency })
+ *      worker(item, { id, attempts }) -> async; throw to signal a failed attempt (id is stable across retries)
+ *      onDeadLetter(type, entry)  -> type is 'added' | 'retried' | 'discarded'
+ *  - enqueue(item) -> queue id
+ *  - queueStats()
+ *  - listDeadLetters(), getDeadLetter(id), retryDeadLetter(id), discardDeadLetter(id)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+
+const DEFAULT_JOURNAL_FILE = process.env.QUEUE_JOURNAL_FILE || path.join(DATA_DIR, 'queue-journal.ndjson');
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS || 4);
+const DEFAULT_CONCURRENCY = Number(process.env.QUEUE_CONCURRENCY || 1);
+const COMPACT_AFTER_OPS = 1000; // rewrite the journal once this many ops are superseded
+
+let journalFile = DEFAULT_JOURNAL_FILE;
+let maxAttempts = DEFAULT_MAX_ATTEMPTS;
+let concurrency = DEFAULT_CONCURRENCY;
+let worker = null;
+let onDeadLetter = () => {};
+
+const pending = new Map();    // id -> { id, item, attempts, enqueuedAt, lastError }
+const deadLetters = new Map(); // id -> { id, item, attempts, enqueuedAt, deadAt, error }
+const inFlight = new Set();      // ids a lane is working on (including their backoff wait)
+let journalOps = 0;
+let lanes = 0;
+
+// ---- Journal ----
+function writeOp(op) {
+  fs.appendFileSync(journalFile, JSON.stringify({ ...op, at: new Date().toISOString() }) + '\n', 'utf8');
+  journalOps++;
+}
+
+function applyOp(op) {
+  switch (op.op) {
+    case 'enqueue':
+      pending.set(op.id, { id: op.id, item: op.item, attempts: op.attempts || 0, enqueuedAt: op.enqueuedAt || op.at, lastError: null });
+      break;
+    case 'failed': {
+      const entry = pending.get(op.id);
+      if (!entry) break;
+      // failed attempts go to the back of the queue
+      pending.delete(op.id);
+      pending.set(op.id, { ...entry, attempts: op.attempts, lastError: op.error });
+      break;
+    }
+    case 'done':
+      pending.delete(op.id);
+      break;
+    case 'dead': {
+      const entry = pending.get(op.id) || (op.item ? { id: op.id, item: op.item, enqueuedAt: op.enqueuedAt } : null);
+      pending.delete(op.id);
+      if (entry) {
+        deadLetters.set(op.id, { id: op.id, item: entry.item, attempts: op.attempts, enqueuedAt: entry.enqueuedAt, deadAt: op.deadAt || op.at, error: op.error });
+      }
+      break;
+    }
+    case 'retry': {
+      const entry = deadLetters.get(op.id);
+      if (!entry) break;
+      deadLetters.delete(op.id);
+      pending.set(op.id, { id: op.id, item: entry.item, attempts: 0, enqueuedAt: entry.enqueuedAt, lastError: null });
+      break;
+    }
+    case 'discard':
+      deadLetters.delete(op.id);
+      break;
+    default:
+      console.warn('[queue] unknown journal op', op.op);
+  }
+}
+
+function replayJournal() {
+  pending.clear();
+  deadLetters.clear();
+  journalOps = 0;
+  if (!fs.existsSync(journalFile)) return;
+  const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      applyOp(JSON.parse(line));
+      journalOps++;
+    } catch (e) {
+      console.warn('[queue] skipping unreadable journal line:', e.message || e);
+    }
+  }
+}
+
+// rewrite the journal so it only holds live entries (pending + dead-lettered)
+function compactJournal() {
+  const tmp = `${journalFile}.tmp`;
+  const at = new Date().toISOString();
+  const lines = [];
+  for (const e of pending.values()) {
+    lines.push(JSON.stringify({ op: 'enqueue', id: e.id, item: e.item, attempts: e.attempts, enqueuedAt: e.enqueuedAt, at }));
+  }
+  for (const e of deadLetters.values()) {
+    lines.push(JSON.stringify({ op: 'dead', id: e.id, item: e.item, attempts: e.attempts, enqueuedAt: e.enqueuedAt, deadAt: e.deadAt, error: e.error, at }));
+  }
+  fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+  fs.renameSync(tmp, journalFile);
+  journalOps = lines.length;
+}
+
+function maybeCompact() {
+  const live = pending.size + deadLetters.size;
+  if (journalOps - live < COMPACT_AFTER_OPS) return;
+  try {
+    compactJournal();
+  } catch (e) {
+    console.warn('[queue] journal compaction failed:', e.message || e);
+  }
+}
+
+// ---- Worker loop ----
+function kick() {
+  while (worker && lanes < concurrency && nextEntry()) {
+    processQueue().catch(err => {
+      console.error('[queue] processQueue top-level error:', err && err.message ? err.message : err);
+    });
+  }
+}
+
+// oldest pending entry no other lane is working on
+function nextEntry() {
+  for (const entry of pending.values()) {
+    if (!inFlight.has(entry.id)) return entry;
+  }
+  return null;
+}
+
+// one lane: sequential worker with retry/backoff
+async function processQueue() {
+  lanes++;
+  try {
+    let entry;
+    while (worker && (entry = nextEntry())) {
+      inFlight.add(entry.id);
+      try {
+        await processEntry(entry);
+      } finally {
+        inFlight.delete(entry.id);
+      }
+      maybeCompact();
+    }
+  } finally {
+    lanes--;
+  }
+}
+
+// event items carry no kind; batch and device items are named by batchId / deviceId
+const itemLabel = (item) => `${item.kind || 'event'} ${item.eventId || item.batchId || item.deviceId}`;
+
+async function processEntry(entry) {
+  const nextAttempt = entry.attempts + 1;
+  try {
+    await worker(entry.item, { id: entry.id, attempts: entry.attempts });
+    writeOp({ op: 'done', id: entry.id });
+    applyOp({ op: 'done', id: entry.id });
+    // small delay to avoid hammering the provider
+    await new Promise(r => setTimeout(r, 500));
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    console.error(`[queue] processing failed for ${itemLabel(entry.item)} (attempt ${nextAttempt}):`, error);
+    if (nextAttempt < maxAttempts) {
+      // exponential backoff before retrying: re-queue with incremented attempts
+      const backoffMs = 1000 * Math.pow(2, nextAttempt); // 2s, 4s, 8s...
+      console.log(`[queue] Re-queueing ${itemLabel(entry.item)} after ${backoffMs}ms (attempt ${nextAttempt}/${maxAttempts})`);
+      writeOp({ op: 'failed', id: entry.id, attempts: nextAttempt, error });
+      applyOp({ op: 'failed', id: entry.id, attempts: nextAttempt, error });
+      // wait backoff before continuing loop (prevents busy spin)
+      await new Promise(r => setTimeout(r, backoffMs));
+    } else {
+      console.error(`[queue] Giving up on ${itemLabel(entry.item)} after ${nextAttempt} attempts; moved to dead-letter store`);
+      writeOp({ op: 'dead', id: entry.id, attempts: nextAttempt, error });
+      applyOp({ op: 'dead', id: entry.id, attempts: nextAttempt, error });
+      notifyDeadLetter('added', deadLetters.get(entry.id));
+    }
+  }
+}
+
+function notifyDeadLetter(type, entry) {
+  try {
+    onDeadLetter(type, entry);
+  } catch (e) {
+    console.warn('[queue] onDeadLetter handler failed:', e.message || e);
+  }
+}
+
+// ---- Public API ----
+function initQueue(opts = {}) {
+  journalFile = opts.journalFile || DEFAULT_JOURNAL_FILE;
+  maxAttempts = Number(opts.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  concurrency = Math.max(1, Number(opts.concurrency || DEFAULT_CONCURRENCY));
+  worker = opts.worker || null;
+  onDeadLetter = opts.onDeadLetter || (() => {});
+  fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+  replayJournal();
+  console.log(`[queue] journal replayed: ${pending.size} pending, ${deadLetters.size} dead-lettered`);
+  kick();
+}
+
+function enqueue(item) {
+  const id = crypto.randomUUID();
+  const op = { op: 'enqueue', id, item, attempts: 0, enqueuedAt: new Date().toISOString() };
+  writeOp(op);
+  applyOp(op);
+  kick();
+  return id;
+}
+
+function queueStats() {
+  let oldest = null;
+  for (const e of pending.values()) {
+    if (!oldest || e.enqueuedAt < oldest) oldest = e.enqueuedAt;
+  }
+  return {
+    pending: pending.size,
+    deadLetter: deadLetters.size,
+    processing: lanes > 0,
+    inFlight: inFlight.size,
+    oldestEnqueuedAt: oldest
+  };
+}
+
+function listDeadLetters() {
+  return Array.from(deadLetters.values());
+}
+
+function getDeadLetter(id) {
+  return deadLetters.get(id) || null;
+}
+
+function retryDeadLetter(id) {
+  const entry = deadLetters.get(id);
+  if (!entry) return null;
+  writeOp({ op: 'retry', id });
+  applyOp({ op: 'retry', id });
+  notifyDeadLetter('retried', entry);
+  kick();
+  return pending.get(id);
+}
+
+function discardDeadLetter(id) {
+  const entry = deadLetters.get(id);
+  if (!entry) return null;
+  writeOp({ op: 'discard', id });
+  applyOp({ op: 'discard', id });
+  notifyDeadLetter('discarded', entry);
+  maybeCompact();
+  return entry;
+}
+
+module.exports = {
+  initQueue,
+  enqueue,
+  queueStats,
+  listDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+  discardDeadLetter
+};
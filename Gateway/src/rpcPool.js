@@ -0,0 +1,288 @@
+// Gateway/src/rpcPool.js
+/**
+ * Health-checked pool of JSON-RPC endpoints behind one ethers provider
+ * - Endpoints from RPC_URLS (comma-separated), else SEPOLIA_RPC_URL / RPC_URL as before
+ * - Every RPC_HEALTH_INTERVAL_MS each endpoint is asked for eth_chainId + eth_blockNumber:
+ *   up | lagging (more than RPC_MAX_LAG_BLOCKS behind the best head) | down (unreachable, throttled,
+ *   erroring or on another chain); a down endpoint comes back with its next good check
+ * - Requests go to the fastest up endpoint (latency average) and fail over to the next one on network
+ *   errors, timeouts (RPC_TIMEOUT_MS), HTTP errors / 429 and rate-limit replies; other JSON-RPC errors
+ *   (reverts, bad params) are answers and are returned as they are
+ * - eth_getLogs is a quorum read: RPC_LOG_QUORUM endpoints (default 2 when there are several, capped at
+ *   the endpoints not down) must return the same logs; 'latest' is pinned to the lowest of their heads
+ *   first, so a node a block behind does not count as disagreeing
+ *
+ * Exports:
+ *  - initRpcPool({ urls, chainId, quorum, timeoutMs, healthIntervalMs, maxLagBlocks, providerOpts }) -> ethers provider
+ *  - checkRpcHealth() -> one health round now (also runs at init)
+ *  - getRpcStatus() -> { quorum, preferred, endpoints: [{ id, url, status, latencyMs, head, lag, lastError, ... }] }
+ *  - stopRpcPool()
+ *  - rpcUrls() -> the configured endpoint list
+ */
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.RPC_TIMEOUT_MS || 10_000);
+const DEFAULT_HEALTH_INTERVAL_MS = Number(process.env.RPC_HEALTH_INTERVAL_MS || 15_000);
+const DEFAULT_MAX_LAG_BLOCKS = Number(process.env.RPC_MAX_LAG_BLOCKS || 3);
+const STATUS_RANK = { up: 0, unknown: 0, lagging: 1, down: 2 };
+// JSON-RPC replies that mean "this endpoint won't serve us right now" rather than an answer
+const THROTTLED = /rate limit|too many requests|exceeded|capacity|throttl/i;
+
+let endpoints = [];
+let quorum = 1;
+let timeoutMs = DEFAULT_TIMEOUT_MS;
+let maxLagBlocks = DEFAULT_MAX_LAG_BLOCKS;
+let expectedChainId = null;
+let timer = null;
+let provider = null;
+
+function rpcUrls() {
+  const list = (process.env.RPC_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+  if (list.length) return list;
+  return [process.env.SEPOLIA_RPC_URL || process.env.RPC_URL || 'http://localhost:8545'];
+}
+
+// provider URLs often carry an API key in the path: only show scheme and host
+function redact(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname.length > 1 || u.search ? '/…' : ''}`;
+  } catch (e) {
+    return 'invalid url';
+  }
+}
+
+// ---- Endpoint state ----
+function setStatus(endpoint, status, reason) {
+  if (endpoint.status !== status) {
+    const log = status === 'down' || status === 'lagging' ? console.warn : console.log;
+    log(`[rpc] ${endpoint.url}: ${endpoint.status} -> ${status}${reason ? ` (${reason})` : ''}`);
+  }
+  endpoint.status = status;
+}
+
+function markFailed(endpoint, reason) {
+  endpoint.failures++;
+  endpoint.errors++;
+  endpoint.lastError = reason;
+  endpoint.lastErrorAt = new Date().toISOString();
+  setStatus(endpoint, 'down', reason);
+}
+
+function noteLatency(endpoint, ms) {
+  endpoint.latencyMs = endpoint.latencyMs === null ? ms : Math.round(endpoint.latencyMs * 0.7 + ms * 0.3);
+}
+
+// up first, then lagging, then down (as a last resort); fastest first within a status
+function ranked() {
+  return endpoints
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => (STATUS_RANK[a.e.status] - STATUS_RANK[b.e.status])
+      || ((a.e.latencyMs ?? 0) - (b.e.latencyMs ?? 0))
+      || (a.i - b.i))
+    .map(x => x.e);
+}
+
+function transportError(endpoint, reason) {
+  markFailed(endpoint, reason);
+  const err = new Error(`${endpoint.url}: ${reason}`);
+  err.transport = true;
+  return err;
+}
+
+// one JSON-RPC round trip; throws (transport: true) when the endpoint did not answer usefully
+async function call(endpoint, payload) {
+  const started = Date.now();
+  endpoint.requests++;
+  let res;
+  try {
+    res = await axios.post(endpoint.rawUrl, payload, { timeout: timeoutMs, validateStatus: () => true });
+  } catch (err) {
+    throw transportError(endpoint, err.code === 'ECONNABORTED' ? `timeout after ${timeoutMs}ms` : (err.code || err.message));
+  }
+  if (res.status !== 200) throw transportError(endpoint, `HTTP ${res.status}`);
+  const body = res.data;
+  if (!body || typeof body !== 'object' || (!('result' in body) && !body.error)) throw transportError(endpoint, 'malformed JSON-RPC response');
+  if (body.error && (body.error.code === -32005 || THROTTLED.test(String(body.error.message)))) {
+    throw transportError(endpoint, `rate limited: ${body.error.message}`);
+  }
+  noteLatency(endpoint, Date.now() - started);
+  endpoint.failures = 0;
+  return body;
+}
+
+// ---- Requests ----
+async function request(payload) {
+  if (payload.method === 'eth_getLogs' && logQuorum() > 1) return quorumRequest(payload);
+  let last = null;
+  for (const endpoint of ranked()) {
+    try {
+      return await call(endpoint, payload);
+    } catch (err) {
+      if (!err.transport) throw err;
+      last = err;
+      console.warn(`[rpc] ${payload.method} failed on ${err.message}; trying the next endpoint`);
+    }
+  }
+  throw new Error(`all RPC endpoints failed (last: ${last ? last.message : 'none configured'})`);
+}
+
+// endpoints known to be down do not count against the quorum
+function logQuorum() {
+  const live = endpoints.filter(e => e.status !== 'down').length;
+  return Math.max(1, Math.min(quorum, live));
+}
+
+const voteKey = (body) => JSON.stringify(body.error ? { error: body.error.message } : body.result);
+
+async function quorumRequest(payload) {
+  const need = logQuorum();
+  const order = ranked();
+  const filter = { ...((payload.params && payload.params[0]) || {}) };
+
+  if (!filter.blockHash && (filter.toBlock === undefined || filter.toBlock === 'latest')) {
+    const heads = await Promise.all(order.slice(0, need).map(e => call(e, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] })
+      .then(body => (body.result ? Number(body.result) : null), () => null)));
+    const known = heads.filter(h => h !== null);
+    if (known.length) filter.toBlock = ethers.toQuantity(Math.min(...known));
+  }
+
+  const query = { ...payload, params: [filter] };
+  const votes = new Map(); // answer -> { body, endpoints }
+  const ask = async (endpoint) => {
+    try {
+      const body = await call(endpoint, query);
+      const key = voteKey(body);
+      if (!votes.has(key)) votes.set(key, { body, endpoints: [] });
+      votes.get(key).endpoints.push(endpoint);
+    } catch (err) {
+      if (!err.transport) throw err;
+    }
+  };
+
+  await Promise.all(order.slice(0, need).map(ask));
+  for (let next = need; ; next++) {
+    const winner = Array.from(votes.values()).find(v => v.endpoints.length >= need);
+    if (winner) {
+      for (const [, v] of votes) {
+        if (v === winner) continue;
+        for (const e of v.endpoints) {
+          e.disagreements++;
+          console.warn(`[rpc] ${e.url} disagreed with the eth_getLogs quorum`);
+        }
+      }
+      return { ...winner.body, id: payload.id };
+    }
+    if (next >= order.length) break;
+    await ask(order[next]);
+  }
+  const answers = Array.from(votes.values(), v => v.endpoints.length);
+  throw new Error(`eth_getLogs quorum not reached: ${need} matching answers needed, got ${answers.length ? answers.join(' / ') : 'none'}`);
+}
+
+// ethers provider whose requests go through the pool (one payload per request, see batchMaxCount)
+class PooledProvider extends ethers.JsonRpcProvider {
+  async _send(payload) {
+    const list = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(list.map(p => request(p).then(body => ({ ...body, id: p.id }))));
+  }
+}
+
+// ---- Health checks ----
+async function checkEndpoint(endpoint) {
+  try {
+    const chainBody = await call(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+    const headBody = await call(endpoint, { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] });
+    if (chainBody.error || headBody.error) throw transportError(endpoint, (chainBody.error || headBody.error).message);
+    const chainId = Number(chainBody.result);
+    if (expectedChainId === null) expectedChainId = chainId;
+    endpoint.chainId = chainId;
+    endpoint.lastCheckedAt = new Date().toISOString();
+    if (chainId !== expectedChainId) {
+      markFailed(endpoint, `chain id ${chainId}, expected ${expectedChainId}`);
+      return;
+    }
+    endpoint.head = Number(headBody.result);
+    endpoint.lastOkAt = endpoint.lastCheckedAt;
+    if (endpoint.status === 'down' || endpoint.status === 'unknown') setStatus(endpoint, 'up');
+  } catch (err) {
+    endpoint.lastCheckedAt = new Date().toISOString();
+    if (!err.transport) markFailed(endpoint, err.message || String(err));
+  }
+}
+
+async function checkRpcHealth() {
+  await Promise.all(endpoints.map(checkEndpoint));
+  const heads = endpoints.filter(e => e.status !== 'down' && e.head !== null).map(e => e.head);
+  const best = heads.length ? Math.max(...heads) : null;
+  for (const e of endpoints) {
+    if (e.status === 'down' || e.head === null) continue;
+    e.lag = best - e.head;
+    setStatus(e, e.lag > maxLagBlocks ? 'lagging' : 'up', e.lag > maxLagBlocks ? `${e.lag} blocks behind` : null);
+  }
+  return getRpcStatus();
+}
+
+// ---- Public API ----
+function initRpcPool(opts = {}) {
+  stopRpcPool();
+  const urls = opts.urls && opts.urls.length ? opts.urls : rpcUrls();
+  endpoints = urls.map((url, i) => ({
+    id: i,
+    rawUrl: url,
+    url: redact(url),
+    status: 'unknown',
+    latencyMs: null,
+    head: null,
+    lag: null,
+    chainId: null,
+    failures: 0,
+    requests: 0,
+    errors: 0,
+    disagreements: 0,
+    lastError: null,
+    lastErrorAt: null,
+    lastCheckedAt: null,
+    lastOkAt: null
+  }));
+  quorum = Number(opts.quorum || process.env.RPC_LOG_QUORUM || Math.min(2, endpoints.length));
+  timeoutMs = Number(opts.timeoutMs || DEFAULT_TIMEOUT_MS);
+  maxLagBlocks = Number(opts.maxLagBlocks ?? DEFAULT_MAX_LAG_BLOCKS);
+  expectedChainId = opts.chainId ? Number(opts.chainId) : null;
+  provider = new PooledProvider(urls[0], undefined, { ...opts.providerOpts, batchMaxCount: 1 });
+  console.log(`[rpc] pool of ${endpoints.length} endpoint(s): ${endpoints.map(e => e.url).join(', ')} (getLogs quorum ${quorum})`);
+
+  checkRpcHealth().catch(err => console.warn('[rpc] health check failed:', err && err.message ? err.message : err));
+  timer = setInterval(() => {
+    checkRpcHealth().catch(err => console.warn('[rpc] health check failed:', err && err.message ? err.message : err));
+  }, Number(opts.healthIntervalMs || DEFAULT_HEALTH_INTERVAL_MS));
+  if (timer.unref) timer.unref();
+  return provider;
+}
+
+function getRpcStatus() {
+  const [preferred] = ranked();
+  return {
+    quorum: logQuorum(),
+    chainId: expectedChainId,
+    preferred: preferred ? preferred.id : null,
+    endpoints: endpoints.map(({ rawUrl, ...e }) => ({ ...e }))
+  };
+}
+
+function stopRpcPool() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  provider = null;
+  endpoints = [];
+}
+
+module.exports = {
+  initRpcPool,
+  checkRpcHealth,
+  getRpcStatus,
+  stopRpcPool,
+  rpcUrls
+};
@@ -0,0 +1,319 @@
+// Gateway/src/ruleEngine.js
+/**
+ * Rule engine behind systemValidate
+ * - Rules live in config/rules.json (or a .yaml/.yml file, RULES_FILE): `defaults` plus per-group overrides
+ *   under `groups.<groupId>` (detector params are merged, rules are overridden by id, new ids appended,
+ *   `enabled: false` switches a default rule off for that group)
+ * - Detectors turn the trust series into metrics: drops, instability, slope (the original checks),
+ *   ewma and cusum (trust shifts against a baseline) and distanceZScore (latest distA/distB vs. the window);
+ *   more can be plugged in with registerDetector(name, fn)
+ * - Rules are checked in order and the first one that fires decides the action; the decision names the
+ *   rule and carries the detector evidence it fired on
+ *
+ * Exports:
+ *  - loadRules(file?) -> config (throws on an invalid file, keeping the previous config)
+ *  - resolveRules(groupId) -> effective { windowEvents, minSamples, detectors, rules }
+ *  - runDetectors(series, detectorParams) -> { [detector]: metrics }
+ *  - evaluate(series, { groupId, currentThreshold }) -> decision
+ *  - registerDetector(name, fn), getRulesConfig(), ACTIONS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_RULES_FILE = process.env.RULES_FILE || path.join(__dirname, '..', 'config', 'rules.json');
+const DEFAULT_THRESHOLD = Number(process.env.TRUST_THRESHOLD || 60);
+const ACTIONS = ['confirm_unreliable', 'flag_for_review', 'adjust_threshold_lower', 'no_action'];
+const OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+let config = { version: 1, defaults: { windowEvents: 20, minSamples: 2, detectors: {}, rules: [] }, groups: {} };
+let rulesFile = DEFAULT_RULES_FILE;
+
+// ---- Series helpers ----
+function trustValue(p) {
+  const v = (p.newTS !== undefined && p.newTS !== null) ? Number(p.newTS) : Number(p.oldTS);
+  return Number.isNaN(v) ? null : v;
+}
+
+function trustValues(series) {
+  return series.map(trustValue).filter(v => v !== null);
+}
+
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+function stdDev(xs, m = mean(xs)) {
+  if (xs.length < 2) return 0;
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+function round(x, digits = 4) {
+  return Number.isFinite(x) ? Number(x.toFixed(digits)) : x;
+}
+
+// first `fraction` of the window is the baseline the later readings are compared against
+function splitBaseline(values, fraction = 0.5) {
+  const n = Math.min(values.length - 1, Math.max(2, Math.floor(values.length * fraction)));
+  return { base: values.slice(0, n), rest: values.slice(n) };
+}
+
+// ---- Detectors ----
+const detectors = {
+  // readings that fell by at least `delta` from the previous one
+  drops(series, { delta = 10 } = {}) {
+    const values = trustValues(series);
+    let count = 0;
+    let worst = 0;
+    for (let i = 1; i < values.length; i++) {
+      const d = values[i] - values[i - 1];
+      if (d <= -delta) count++;
+      worst = Math.min(worst, d);
+    }
+    return { count, worst, delta };
+  },
+
+  // share of steps (up or down) of at least `delta`
+  instability(series, { delta = 8 } = {}) {
+    const values = trustValues(series);
+    let count = 0;
+    for (let i = 1; i < values.length; i++) {
+      if (Math.abs(values[i] - values[i - 1]) >= delta) count++;
+    }
+    const steps = Math.max(1, values.length - 1);
+    return { count, fraction: round(count / steps), delta };
+  },
+
+  // least-squares slope of trust per reading
+  slope(series) {
+    const values = trustValues(series);
+    if (values.length < 2) return { slope: 0, samples: values.length };
+    const xs = values.map((_, i) => i);
+    const mx = mean(xs);
+    const my = mean(values);
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < values.length; i++) {
+      num += (xs[i] - mx) * (values[i] - my);
+      den += (xs[i] - mx) ** 2;
+    }
+    return { slope: round(den ? num / den : 0), samples: values.length };
+  },
+
+  // EWMA control chart: score is the EWMA's distance from the baseline mean in control-limit sigmas
+  ewma(series, { lambda = 0.3, baseline = 0.5, minSigma = 1 } = {}) {
+    const values = trustValues(series);
+    if (values.length < 3) return { insufficient: true };
+    const { base, rest } = splitBaseline(values, baseline);
+    const m = mean(base);
+    const sigma = Math.max(minSigma, stdDev(base, m));
+    let z = m;
+    for (const x of rest) z = lambda * x + (1 - lambda) * z;
+    const sigmaZ = sigma * Math.sqrt(lambda / (2 - lambda));
+    return { ewma: round(z), mean: round(m), sigma: round(sigma), score: round((z - m) / sigmaZ), lambda, baselineSamples: base.length };
+  },
+
+  // tabular CUSUM: accumulated shift below / above the baseline mean beyond the slack k
+  cusum(series, { k = 2, baseline = 0.5 } = {}) {
+    const values = trustValues(series);
+    if (values.length < 3) return { insufficient: true };
+    const { base, rest } = splitBaseline(values, baseline);
+    const m = mean(base);
+    let lower = 0;
+    let upper = 0;
+    let maxLower = 0;
+    for (const x of rest) {
+      lower = Math.max(0, lower + (m - x) - k);
+      upper = Math.max(0, upper + (x - m) - k);
+      maxLower = Math.max(maxLower, lower);
+    }
+    return { lower: round(lower), upper: round(upper), maxLower: round(maxLower), mean: round(m), k, baselineSamples: base.length };
+  },
+
+  // z-score of the newest distA / distB against the earlier readings (-1 = no echo, ignored)
+  // sigma is floored at minSigma cm or minSigmaFraction of the mean: a steady history must not turn ordinary
+  // movement of a few cm into an outlier
+  distanceZScore(series, { minSamples = 5, minSigma = 5, minSigmaFraction = 0.05 } = {}) {
+    const out = { maxAbsZ: undefined, sensor: null };
+    if (series.length < 2) return { ...out, insufficient: true };
+    const latest = series[series.length - 1];
+    for (const key of ['distA', 'distB']) {
+      const history = series.slice(0, -1).map(p => p[key]).filter(v => typeof v === 'number' && v >= 0);
+      const value = latest[key];
+      if (typeof value !== 'number' || value < 0 || history.length < minSamples) continue;
+      const m = mean(history);
+      const sd = Math.max(minSigma, minSigmaFraction * Math.abs(m), stdDev(history, m));
+      const z = (value - m) / sd;
+      out[key] = { value, mean: round(m), sd: round(sd), z: round(z), samples: history.length };
+      if (out.maxAbsZ === undefined || Math.abs(z) > out.maxAbsZ) {
+        out.maxAbsZ = round(Math.abs(z));
+        out.sensor = key;
+      }
+    }
+    return out;
+  }
+};
+
+function registerDetector(name, fn) {
+  if (typeof fn !== 'function') throw new Error(`detector ${name} must be a function`);
+  detectors[name] = fn;
+}
+
+// ---- Config ----
+function conditionsOf(rule) {
+  return [].concat(rule.when || []);
+}
+
+function validateConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object' || !cfg.defaults) throw new Error('rules config needs a "defaults" section');
+  const check = (rule, where) => {
+    if (!rule.id) throw new Error(`${where}: every rule needs an id`);
+    if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+      throw new Error(`${where}: rule ${rule.id} has unknown action ${rule.action}`);
+    }
+    for (const c of conditionsOf(rule)) {
+      if (!detectors[c.detector]) throw new Error(`${where}: rule ${rule.id} uses unknown detector ${c.detector}`);
+      if (!OPS[c.op]) throw new Error(`${where}: rule ${rule.id} uses unknown operator ${c.op}`);
+    }
+  };
+  for (const rule of cfg.defaults.rules || []) {
+    check(rule, 'defaults');
+    if (!rule.action || conditionsOf(rule).length === 0) throw new Error(`defaults: rule ${rule.id} needs "when" and "action"`);
+  }
+  for (const [groupId, group] of Object.entries(cfg.groups || {})) {
+    for (const rule of group.rules || []) check(rule, `groups.${groupId}`);
+  }
+  return cfg;
+}
+
+function parseRulesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+}
+
+function loadRules(file = DEFAULT_RULES_FILE) {
+  if (!fs.existsSync(file)) {
+    console.warn(`[ruleEngine] no rules file at ${file}; every decision will be no_action`);
+    return config;
+  }
+  config = validateConfig(parseRulesFile(file));
+  rulesFile = file;
+  console.log(`[ruleEngine] loaded ${(config.defaults.rules || []).length} rule(s), ${Object.keys(config.groups || {}).length} group override(s) from ${file}`);
+  return config;
+}
+
+function getRulesConfig() {
+  return { file: rulesFile, ...config };
+}
+
+function resolveRules(groupId) {
+  const d = config.defaults;
+  const g = (config.groups || {})[groupId] || {};
+  const detectorParams = { ...(d.detectors || {}) };
+  for (const [name, params] of Object.entries(g.detectors || {})) {
+    detectorParams[name] = { ...(detectorParams[name] || {}), ...params };
+  }
+  const rules = (d.rules || []).map(r => ({ ...r }));
+  for (const override of g.rules || []) {
+    const idx = rules.findIndex(r => r.id === override.id);
+    if (idx >= 0) rules[idx] = { ...rules[idx], ...override };
+    else rules.push({ ...override });
+  }
+  return {
+    windowEvents: g.windowEvents ?? d.windowEvents ?? 20,
+    minSamples: g.minSamples ?? d.minSamples ?? 2,
+    detectors: detectorParams,
+    rules: rules.filter(r => r.enabled !== false)
+  };
+}
+
+// ---- Evaluation ----
+function runDetectors(series, detectorParams = {}) {
+  const out = {};
+  for (const [name, fn] of Object.entries(detectors)) {
+    try {
+      out[name] = fn(series, detectorParams[name] || {});
+    } catch (err) {
+      out[name] = { error: err && err.message ? err.message : String(err) };
+    }
+  }
+  return out;
+}
+
+function checkRule(rule, metrics, samples, minSamples) {
+  if (samples < (rule.minSamples ?? minSamples)) return null;
+  const evidence = [];
+  for (const c of conditionsOf(rule)) {
+    const observed = metrics[c.detector] ? metrics[c.detector][c.metric] : undefined;
+    if (typeof observed !== 'number' || !OPS[c.op](observed, c.value)) return null;
+    evidence.push({ detector: c.detector, metric: c.metric, op: c.op, threshold: c.value, observed });
+  }
+  return evidence;
+}
+
+/**
+ * Decide on one group's recent series. The returned `analysis` keeps the original
+ * drops / instabilityFrac / slope fields next to the full detector output.
+ */
+function evaluate(series, { groupId, currentThreshold } = {}) {
+  const effective = resolveRules(groupId);
+  const metrics = runDetectors(series || [], effective.detectors);
+  const samples = (series || []).length;
+  const analysis = {
+    ok: samples >= 2,
+    samples,
+    drops: metrics.drops && metrics.drops.count,
+    instabilityFrac: metrics.instability && metrics.instability.fraction,
+    slope: metrics.slope && metrics.slope.slope,
+    detectors: metrics
+  };
+  if (!analysis.ok) return { action: 'insufficient_data', analysis: { ...analysis, reason: 'insufficient_samples' } };
+
+  const current = Number(currentThreshold ?? DEFAULT_THRESHOLD);
+  const fired = [];
+  for (const rule of effective.rules) {
+    const evidence = checkRule(rule, metrics, samples, effective.minSamples);
+    if (!evidence) continue;
+    if (rule.action === 'adjust_threshold_lower') {
+      const newThreshold = Math.max(Number(rule.minThreshold ?? 10), current - Number(rule.thresholdStep ?? 5));
+      if (newThreshold >= current) continue; // already at the floor: nothing to propose
+      fired.push({ rule, evidence, newThreshold });
+    } else {
+      fired.push({ rule, evidence });
+    }
+  }
+  if (fired.length === 0) return { action: 'no_action', analysis, firedRules: [] };
+
+  const { rule, evidence, newThreshold } = fired[0];
+  const decision = {
+    action: rule.action,
+    reason: rule.id,
+    rule: { id: rule.id, action: rule.action, when: conditionsOf(rule) },
+    evidence: {
+      conditions: evidence,
+      detectors: Object.fromEntries(evidence.map(e => [e.detector, metrics[e.detector]]))
+    },
+    firedRules: fired.map(f => f.rule.id),
+    analysis
+  };
+  if (newThreshold !== undefined) decision.newThreshold = newThreshold;
+  return decision;
+}
+
+module.exports = {
+  loadRules,
+  resolveRules,
+  runDetectors,
+  evaluate,
+  registerDetector,
+  getRulesConfig,
+  ACTIONS
+};
@@ -0,0 +1,583 @@
+// Gateway/src/simulatedChain.js
+/**
+ * In-process simulated ledger for CHAIN_MODE=simulated (see blockchain.js)
+ * - Served over a local JSON-RPC endpoint, so provider / wallet / contract / receipts / getLogs go through
+ *   the same ethers code paths as a real network; only the node is fake
+ * - Accepts signed transactions (eth_sendRawTransaction), checks chain id and nonce, and mines one block
+ *   per transaction (or every blockTimeMs when set); block numbers and tx hashes are deterministic:
+ *   tx hashes are the hashes of the signed bytes, block hashes cover number, parent, timestamp and tx hashes
+ * - Any contract creation deploys a TrustLogger stand-in at the CREATE address with the contract's rules:
+ *   the deployer owns it and is the first gateway, the owner manages gateways, gateways log events and
+ *   register / revoke devices; logs are encoded with abi.json and unauthorized calls revert with the
+ *   contract's reason strings
+ * - Mined blocks are journaled (data/simchain.ndjson, raw signed txs) and re-executed on boot, so the chain
+ *   and every anchor the gateway recorded survive restarts
+ *
+ * Exports:
+ *  - createLedger({ file, chainId, blockTimeMs }) -> ledger with rpc(method, params), mine(), contracts(), close()
+ *  - startSimulatedChain({ file, chainId, blockTimeMs, host, port }) -> { url, ledger, close() }
+ *  - DEV_PRIVATE_KEY (funded dev account, the first Hardhat default account), SIM_INIT_CODE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const { DATA_DIR } = require('./storage');
+
+const CONTRACT = require('../abi.json');
+
+// well-known development key (Hardhat / Anvil account #0); never holds real funds
+const DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+// init code used to deploy the stand-in (the simulated node ignores it; eth_getCode returns it)
+const SIM_INIT_CODE = '0x' + Buffer.from('simulated TrustLogger').toString('hex');
+
+const DEFAULT_FILE = process.env.CHAIN_SIM_FILE || path.join(DATA_DIR, 'simchain.ndjson');
+const DEFAULT_CHAIN_ID = Number(process.env.CHAIN_SIM_CHAIN_ID || 31337);
+const DEFAULT_BLOCK_TIME_MS = Number(process.env.CHAIN_SIM_BLOCK_TIME_MS || 0);
+
+const BLOCK_GAS_LIMIT = 30000000n;
+const BASE_FEE = 1000000000n; // 1 gwei, constant
+const DEV_BALANCE = 10000n * 10n ** 18n;
+const ZERO_HASH = ethers.ZeroHash;
+const EMPTY_BLOOM = '0x' + '00'.repeat(256);
+
+const toHex = (n) => ethers.toQuantity(n);
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// ---- Ledger ----
+function createLedger({ file = DEFAULT_FILE, chainId = DEFAULT_CHAIN_ID, blockTimeMs = DEFAULT_BLOCK_TIME_MS } = {}) {
+  const iface = new ethers.Interface(CONTRACT);
+  const devAddress = new ethers.Wallet(DEV_PRIVATE_KEY).address;
+
+  const blocks = [];          // { number, hash, parentHash, timestamp, txs: [tx], receipts: [receipt], gasUsed }
+  const byBlockHash = new Map();
+  const txs = new Map();      // tx hash -> { tx, raw, block (null while pending), index }
+  const nonces = new Map();   // lower-case address -> next mined nonce
+  const deployed = new Map(); // lower-case address -> { code, block, owner, gateways, devices } of a TrustLogger stand-in
+  let pending = [];           // raw tx entries waiting for the next block
+  let timer = null;
+
+  const nonceOf = (address) => nonces.get(address.toLowerCase()) || 0;
+  const pendingNonceOf = (address) => nonceOf(address) + pending.filter(p => p.tx.from.toLowerCase() === address.toLowerCase()).length;
+
+  function blockHash(number, parentHash, timestamp, txHashes) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'bytes32', 'uint256', 'bytes32[]'], [number, parentHash, timestamp, txHashes]
+    ));
+  }
+
+  // gas: intrinsic + calldata + one LOG per emitted event (close enough to real receipts)
+  function gasFor(tx, logs) {
+    let gas = 21000n;
+    for (const b of ethers.getBytes(tx.data)) gas += b === 0 ? 4n : 16n;
+    if (!tx.to) gas += 32000n;
+    for (const log of logs) gas += 375n + 375n * BigInt(log.topics.length) + 8n * BigInt(ethers.dataLength(log.data));
+    return gas;
+  }
+
+  function effectiveGasPrice(tx) {
+    if (tx.type === 2) {
+      const tip = tx.maxPriorityFeePerGas < tx.maxFeePerGas - BASE_FEE ? tx.maxPriorityFeePerGas : tx.maxFeePerGas - BASE_FEE;
+      return BASE_FEE + tip;
+    }
+    return tx.gasPrice;
+  }
+
+  const revert = (reason) => ({ revert: reason });
+
+  // TrustLogger semantics (contracts/TrustLogger.sol) for one decoded call; state changes are deferred to
+  // apply() so eth_call / eth_estimateGas can dry-run without touching the ledger
+  function trustLogger(state, sender, call) {
+    const from = sender.toLowerCase();
+    const args = call.args;
+    const isOwner = from === state.owner.toLowerCase();
+    const isGateway = state.gateways.has(from);
+    const notOwner = 'TrustLogger: caller is not the owner';
+    const notGateway = 'TrustLogger: caller is not an authorized gateway';
+    const emit = (name, values) => iface.encodeEventLog(name, values);
+    switch (call.name) {
+      case 'owner':
+        return { returns: [state.owner] };
+      case 'authorizedGateways':
+        return { returns: [state.gateways.has(args[0].toLowerCase())] };
+      case 'registeredDevices':
+        return { returns: [state.devices.has(args[0].toLowerCase())] };
+      case 'isDeviceRegistered':
+        return { returns: [state.devices.has(ethers.id(args[0]))] };
+      case 'transferOwnership':
+        if (!isOwner) return revert(notOwner);
+        if (args[0] === ethers.ZeroAddress) return revert('TrustLogger: new owner is the zero address');
+        return { logs: [emit('OwnershipTransferred', [state.owner, args[0]])], apply: () => { state.owner = args[0]; } };
+      case 'authorizeGateway':
+        if (!isOwner) return revert(notOwner);
+        if (args[0] === ethers.ZeroAddress) return revert('TrustLogger: gateway is the zero address');
+        return { logs: [emit('GatewayAuthorized', [args[0]])], apply: () => state.gateways.add(args[0].toLowerCase()) };
+      case 'revokeGateway':
+        if (!isOwner) return revert(notOwner);
+        return { logs: [emit('GatewayRevoked', [args[0]])], apply: () => state.gateways.delete(args[0].toLowerCase()) };
+      case 'registerDevice':
+        if (!isGateway) return revert(notGateway);
+        return { logs: [emit('DeviceRegistered', [args[0], args[1], sender])], apply: () => state.devices.add(ethers.id(args[0])) };
+      case 'revokeDevice':
+        if (!isGateway) return revert(notGateway);
+        return { logs: [emit('DeviceRevoked', [args[0], sender])], apply: () => state.devices.delete(ethers.id(args[0])) };
+      case 'logTrustEvent':
+        if (!isGateway) return revert(notGateway);
+        return { logs: [emit('TrustEvent', [...args])] };
+      case 'logTrustBatch':
+        if (!isGateway) return revert(notGateway);
+        return { logs: [emit('TrustBatch', [...args])] };
+      default:
+        return revert(null);
+    }
+  }
+
+  // run one tx against the TrustLogger stand-ins -> { status, logs, contractAddress, returnData?, revertReason? }
+  function execute(tx, { dryRun = false } = {}) {
+    if (!tx.to) {
+      const address = ethers.getCreateAddress({ from: tx.from, nonce: tx.nonce });
+      const logs = [
+        iface.encodeEventLog('OwnershipTransferred', [ethers.ZeroAddress, tx.from]),
+        iface.encodeEventLog('GatewayAuthorized', [tx.from])
+      ];
+      if (!dryRun) deployed.set(address.toLowerCase(), { code: tx.data, block: blocks.length, owner: tx.from, gateways: new Set([tx.from.toLowerCase()]), devices: new Set() });
+      return { status: 1, logs: logs.map(l => ({ address, ...l })), contractAddress: address };
+    }
+    const state = deployed.get(tx.to.toLowerCase());
+    if (!state) return { status: 1, logs: [], contractAddress: null };
+    let call;
+    try {
+      call = iface.parseTransaction({ data: tx.data });
+    } catch (e) {
+      call = null;
+    }
+    const result = call ? trustLogger(state, tx.from, call) : revert(null);
+    if (result.revert !== undefined) return { status: 0, logs: [], contractAddress: null, revertReason: result.revert };
+    if (!dryRun && result.apply) result.apply();
+    return {
+      status: 1,
+      logs: (result.logs || []).map(l => ({ address: tx.to, ...l })),
+      contractAddress: null,
+      returnData: iface.encodeFunctionResult(call.fragment, result.returns || [])
+    };
+  }
+
+  function mineBlock(entries, timestamp) {
+    const parent = blocks[blocks.length - 1];
+    const number = parent.number + 1;
+    const receipts = [];
+    let cumulative = 0n;
+    let logIndex = 0;
+    const included = [];
+    for (const entry of entries) {
+      const { tx } = entry;
+      // a replaced or stale nonce never makes it into a block
+      if (tx.nonce !== nonceOf(tx.from)) continue;
+      const result = execute(tx);
+      const gasUsed = gasFor(tx, result.logs);
+      const status = result.status === 1 && gasUsed <= tx.gasLimit ? 1 : 0;
+      const used = gasUsed <= tx.gasLimit ? gasUsed : tx.gasLimit;
+      cumulative += used;
+      nonces.set(tx.from.toLowerCase(), tx.nonce + 1);
+      receipts.push({
+        tx,
+        status,
+        gasUsed: used,
+        cumulativeGasUsed: cumulative,
+        contractAddress: status ? result.contractAddress : null,
+        logs: status ? result.logs.map(l => ({ ...l, logIndex: logIndex++ })) : []
+      });
+      included.push(entry);
+    }
+    const txHashes = included.map(e => e.tx.hash);
+    const block = {
+      number,
+      parentHash: parent.hash,
+      timestamp,
+      hash: blockHash(number, parent.hash, timestamp, txHashes),
+      txs: included.map(e => e.tx),
+      receipts,
+      gasUsed: cumulative
+    };
+    blocks.push(block);
+    byBlockHash.set(block.hash, block);
+    included.forEach((entry, index) => txs.set(entry.tx.hash, { ...entry, block, index }));
+    for (const entry of entries) {
+      if (!included.includes(entry)) txs.delete(entry.tx.hash);
+    }
+    return { block, raws: included.map(e => e.raw) };
+  }
+
+  function mine() {
+    const entries = pending;
+    pending = [];
+    const parent = blocks[blocks.length - 1];
+    const timestamp = Math.max(parent.timestamp + 1, Math.floor(Date.now() / 1000));
+    const { block, raws } = mineBlock(entries, timestamp);
+    fs.appendFileSync(file, JSON.stringify({ number: block.number, timestamp, txs: raws }) + '\n', 'utf8');
+    return block.number;
+  }
+
+  function decodeRaw(raw) {
+    let tx;
+    try {
+      tx = ethers.Transaction.from(raw);
+    } catch (err) {
+      throw new RpcError(-32602, `invalid transaction: ${err.message}`);
+    }
+    if (!tx.signature || !tx.from) throw new RpcError(-32000, 'transaction is not signed');
+    // ethers recomputes hash / from on every access; keep a plain copy
+    return {
+      hash: tx.hash,
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      type: tx.type,
+      data: tx.data,
+      value: tx.value,
+      chainId: tx.chainId,
+      gasLimit: tx.gasLimit,
+      gasPrice: tx.gasPrice,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      accessList: tx.accessList,
+      signature: { r: tx.signature.r, s: tx.signature.s, v: tx.signature.v, yParity: tx.signature.yParity }
+    };
+  }
+
+  function sendRawTransaction(raw) {
+    const tx = decodeRaw(raw);
+    if (tx.chainId !== BigInt(chainId)) throw new RpcError(-32000, `invalid chain id ${tx.chainId} (expected ${chainId})`);
+    if (txs.has(tx.hash)) throw new RpcError(-32000, 'already known');
+    const next = nonceOf(tx.from);
+    if (tx.nonce < next) throw new RpcError(-32000, `nonce too low: next nonce ${next}, tx nonce ${tx.nonce}`);
+
+    // same sender + nonce already pending: replace it only for a 10% higher fee
+    const clash = pending.find(p => p.tx.from === tx.from && p.tx.nonce === tx.nonce);
+    if (clash) {
+      const fee = (t) => (t.type === 2 ? t.maxFeePerGas : t.gasPrice);
+      const tip = (t) => (t.type === 2 ? t.maxPriorityFeePerGas : t.gasPrice);
+      if (fee(tx) * 10n < fee(clash.tx) * 11n || tip(tx) * 10n < tip(clash.tx) * 11n) {
+        throw new RpcError(-32000, 'replacement transaction underpriced');
+      }
+      pending = pending.filter(p => p !== clash);
+      txs.delete(clash.tx.hash);
+    } else if (tx.nonce > pendingNonceOf(tx.from)) {
+      throw new RpcError(-32000, `nonce too high: next nonce ${pendingNonceOf(tx.from)}, tx nonce ${tx.nonce}`);
+    }
+    if (tx.gasLimit > BLOCK_GAS_LIMIT) throw new RpcError(-32000, 'exceeds block gas limit');
+    if (effectiveGasPrice(tx) < BASE_FEE && (tx.type !== 2 || tx.maxFeePerGas < BASE_FEE)) {
+      throw new RpcError(-32000, 'max fee per gas less than block base fee');
+    }
+
+    const entry = { tx, raw, block: null, index: null };
+    pending.push(entry);
+    txs.set(tx.hash, entry);
+    if (!blockTimeMs) mine();
+    return tx.hash;
+  }
+
+  // ---- Replay ----
+  function load() {
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const genesis = { genesis: true, chainId, timestamp: Math.floor(Date.now() / 1000) };
+      fs.writeFileSync(file, JSON.stringify(genesis) + '\n', 'utf8');
+    }
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    const genesis = JSON.parse(lines[0]);
+    if (Number(genesis.chainId) !== chainId) {
+      throw new Error(`${file} holds chain ${genesis.chainId}, not ${chainId}; move it away to start a new chain`);
+    }
+    const block0 = { number: 0, parentHash: ZERO_HASH, timestamp: genesis.timestamp, txs: [], receipts: [], gasUsed: 0n };
+    block0.hash = blockHash(0, ZERO_HASH, genesis.timestamp, []);
+    blocks.push(block0);
+    byBlockHash.set(block0.hash, block0);
+    for (const line of lines.slice(1)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        console.warn('[simchain] skipping unreadable journal line');
+        continue;
+      }
+      mineBlock(entry.txs.map(raw => ({ tx: decodeRaw(raw), raw })), entry.timestamp);
+    }
+  }
+
+  // ---- JSON-RPC formatting ----
+  function resolveBlock(tag) {
+    if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+      return blocks[blocks.length - 1];
+    }
+    if (tag === 'earliest') return blocks[0];
+    const n = Number(BigInt(tag));
+    return blocks[n] || null;
+  }
+
+  function formatTx(entry) {
+    const { tx, block, index } = entry;
+    const sig = tx.signature;
+    return {
+      hash: tx.hash,
+      type: toHex(tx.type),
+      nonce: toHex(tx.nonce),
+      blockHash: block ? block.hash : null,
+      blockNumber: block ? toHex(block.number) : null,
+      transactionIndex: block ? toHex(index) : null,
+      from: tx.from,
+      to: tx.to,
+      value: toHex(tx.value),
+      gas: toHex(tx.gasLimit),
+      gasPrice: toHex(tx.type === 2 ? (block ? effectiveGasPrice(tx) : tx.maxFeePerGas) : tx.gasPrice),
+      maxFeePerGas: tx.type === 2 ? toHex(tx.maxFeePerGas) : undefined,
+      maxPriorityFeePerGas: tx.type === 2 ? toHex(tx.maxPriorityFeePerGas) : undefined,
+      accessList: tx.type === 2 ? tx.accessList : undefined,
+      input: tx.data,
+      chainId: toHex(tx.chainId),
+      v: toHex(tx.type === 2 ? sig.yParity : sig.v),
+      yParity: tx.type === 2 ? toHex(sig.yParity) : undefined,
+      r: sig.r,
+      s: sig.s
+    };
+  }
+
+  function formatLog(log, block, index, tx) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: toHex(block.number),
+      blockHash: block.hash,
+      transactionHash: tx.hash,
+      transactionIndex: toHex(index),
+      logIndex: toHex(log.logIndex),
+      removed: false
+    };
+  }
+
+  function formatReceipt(entry) {
+    const { block, index } = entry;
+    const r = block.receipts[index];
+    return {
+      transactionHash: r.tx.hash,
+      transactionIndex: toHex(index),
+      blockHash: block.hash,
+      blockNumber: toHex(block.number),
+      from: r.tx.from,
+      to: r.tx.to,
+      cumulativeGasUsed: toHex(r.cumulativeGasUsed),
+      gasUsed: toHex(r.gasUsed),
+      effectiveGasPrice: toHex(effectiveGasPrice(r.tx)),
+      contractAddress: r.contractAddress,
+      logs: r.logs.map(l => formatLog(l, block, index, r.tx)),
+      logsBloom: EMPTY_BLOOM,
+      type: toHex(r.tx.type),
+      status: toHex(r.status)
+    };
+  }
+
+  function formatBlock(block, fullTxs) {
+    return {
+      number: toHex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      nonce: '0x0000000000000000',
+      sha3Uncles: ZERO_HASH,
+      logsBloom: EMPTY_BLOOM,
+      transactionsRoot: ZERO_HASH,
+      stateRoot: ZERO_HASH,
+      receiptsRoot: ZERO_HASH,
+      miner: ethers.ZeroAddress,
+      difficulty: '0x0',
+      totalDifficulty: '0x0',
+      extraData: '0x',
+      size: '0x0',
+      gasLimit: toHex(BLOCK_GAS_LIMIT),
+      gasUsed: toHex(block.gasUsed),
+      baseFeePerGas: toHex(BASE_FEE),
+      timestamp: toHex(block.timestamp),
+      transactions: block.txs.map(tx => (fullTxs ? formatTx(txs.get(tx.hash)) : tx.hash)),
+      uncles: []
+    };
+  }
+
+  function topicMatches(wanted, actual) {
+    if (wanted === null || wanted === undefined) return true;
+    const options = Array.isArray(wanted) ? wanted : [wanted];
+    return options.some(t => t === null || String(t).toLowerCase() === String(actual || '').toLowerCase());
+  }
+
+  function getLogs(filter = {}) {
+    let range;
+    if (filter.blockHash) {
+      const block = byBlockHash.get(filter.blockHash);
+      if (!block) throw new RpcError(-32000, 'unknown block');
+      range = [block];
+    } else {
+      const from = resolveBlock(filter.fromBlock || 'latest');
+      const to = resolveBlock(filter.toBlock || 'latest');
+      if (!from) return [];
+      range = blocks.slice(from.number, (to ? to.number : blocks.length - 1) + 1);
+    }
+    const addresses = filter.address ? [].concat(filter.address).map(a => String(a).toLowerCase()) : null;
+    const topics = filter.topics || [];
+    const out = [];
+    for (const block of range) {
+      block.receipts.forEach((r, index) => {
+        for (const log of r.logs) {
+          if (addresses && !addresses.includes(log.address.toLowerCase())) continue;
+          if (!topics.every((t, i) => topicMatches(t, log.topics[i]))) continue;
+          out.push(formatLog(log, block, index, r.tx));
+        }
+      });
+    }
+    return out;
+  }
+
+  // eth_call / eth_estimateGas: dry-run a call without a signature; reverts carry Error(string) data
+  function dryRun(call = {}) {
+    const tx = { to: call.to || null, from: call.from || devAddress, data: call.data || call.input || '0x', nonce: nonceOf(call.from || devAddress) };
+    const result = execute(tx, { dryRun: true });
+    if (!result.status) {
+      const reason = result.revertReason;
+      const data = reason ? ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]) : '0x';
+      throw new RpcError(3, reason ? `execution reverted: ${reason}` : 'execution reverted', data);
+    }
+    return { gas: gasFor(tx, result.logs), returnData: result.returnData || '0x' };
+  }
+
+  const methods = {
+    web3_clientVersion: () => 'TrustGateway/simulated',
+    net_version: () => String(chainId),
+    net_listening: () => true,
+    eth_chainId: () => toHex(chainId),
+    eth_syncing: () => false,
+    eth_accounts: () => [],
+    eth_blockNumber: () => toHex(blocks.length - 1),
+    eth_gasPrice: () => toHex(BASE_FEE + BASE_FEE),
+    eth_maxPriorityFeePerGas: () => toHex(BASE_FEE),
+    eth_feeHistory: () => ({ oldestBlock: toHex(blocks.length - 1), baseFeePerGas: [toHex(BASE_FEE), toHex(BASE_FEE)], gasUsedRatio: [0], reward: [[toHex(BASE_FEE)]] }),
+    eth_getBalance: ([address]) => toHex(String(address).toLowerCase() === devAddress.toLowerCase() ? DEV_BALANCE : 0n),
+    eth_getCode: ([address, tag]) => {
+      const state = deployed.get(String(address).toLowerCase());
+      const block = resolveBlock(tag);
+      return state && block && block.number >= state.block ? state.code : '0x';
+    },
+    eth_getTransactionCount: ([address, tag]) => toHex(tag === 'pending' ? pendingNonceOf(address) : nonceOf(address)),
+    eth_getBlockByNumber: ([tag, full]) => {
+      const block = resolveBlock(tag);
+      return block ? formatBlock(block, full) : null;
+    },
+    eth_getBlockByHash: ([hash, full]) => {
+      const block = byBlockHash.get(hash);
+      return block ? formatBlock(block, full) : null;
+    },
+    eth_getTransactionByHash: ([hash]) => (txs.has(hash) ? formatTx(txs.get(hash)) : null),
+    eth_getTransactionReceipt: ([hash]) => {
+      const entry = txs.get(hash);
+      return entry && entry.block ? formatReceipt(entry) : null;
+    },
+    eth_getLogs: ([filter]) => getLogs(filter),
+    eth_sendRawTransaction: ([raw]) => sendRawTransaction(raw),
+    eth_estimateGas: ([call]) => toHex(dryRun(call).gas),
+    eth_call: ([call]) => dryRun(call).returnData,
+    evm_mine: () => toHex(mine())
+  };
+
+  async function rpc(method, params = []) {
+    const fn = methods[method];
+    if (!fn) throw new RpcError(-32601, `method ${method} not supported by the simulated chain`);
+    return fn(params);
+  }
+
+  load();
+  if (blockTimeMs) {
+    timer = setInterval(() => {
+      if (pending.length) mine();
+    }, blockTimeMs);
+    timer.unref();
+  }
+  console.log(`[simchain] ledger ready: chain ${chainId}, ${blocks.length - 1} blocks, journal ${file}`);
+
+  return {
+    chainId,
+    devAddress,
+    rpc,
+    mine,
+    blockNumber: () => blocks.length - 1,
+    contracts: () => [...deployed.keys()],
+    close: () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+// ---- JSON-RPC server ----
+async function handleOne(ledger, request) {
+  const id = request && request.id !== undefined ? request.id : null;
+  try {
+    if (!request || typeof request.method !== 'string') throw new RpcError(-32600, 'invalid request');
+    const result = await ledger.rpc(request.method, request.params || []);
+    return { jsonrpc: '2.0', id, result };
+  } catch (err) {
+    const code = err instanceof RpcError ? err.code : -32603;
+    const error = { code, message: err && err.message ? err.message : String(err) };
+    if (err instanceof RpcError && err.data !== undefined) error.data = err.data;
+    return { jsonrpc: '2.0', id, error };
+  }
+}
+
+function startSimulatedChain({ host = '127.0.0.1', port = Number(process.env.CHAIN_SIM_PORT || 0), ...ledgerOpts } = {}) {
+  const ledger = createLedger(ledgerOpts);
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        payload = null;
+      }
+      const reply = payload === null
+        ? { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'parse error' } }
+        : Array.isArray(payload)
+          ? await Promise.all(payload.map(r => handleOne(ledger, r)))
+          : await handleOne(ledger, payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(reply));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      console.log('[simchain] JSON-RPC listening on', url);
+      resolve({
+        url,
+        ledger,
+        close: () => new Promise((done) => {
+          ledger.close();
+          server.close(() => done());
+          if (server.closeAllConnections) server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = { createLedger, startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE };
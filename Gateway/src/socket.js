@@ -0,0 +1,184 @@
+// Gateway/src/socket.js
+/**
+ * Realtime layer (Socket.io)
+ * - Handshake auth: clients pass the operator token as io(url, { auth: { token } }); bad tokens get 'unauthorized'
+ * - Rooms: 'fleet' (every device), 'device:<deviceId>', 'group:<groupId>'; a client only receives record
+ *   messages (telemetry, event_update, flaggedEvent, system_alert) for the rooms it subscribed to
+ * - Record messages are derived from event-store records (messagesFor) and carry the record's store seq,
+ *   which is the client's last-seen cursor
+ * - socket.emit('subscribe', { fleet | deviceId | groupId, since?, limit? }, ack): joins the room and replays
+ *   matching records after `since` (reconnect) or the last `limit` records (first subscribe) before any new
+ *   live message; ack({ ok, room, cursor, count, truncated })
+ * - socket.emit('unsubscribe', { fleet | deviceId | groupId }, ack)
+ * - Gateway-wide messages (threshold_*, dead_letter, batch_anchored) go to every connected client
+ *
+ * Exports:
+ *  - initSocket(server, { corsOrigins }) -> io
+ *  - publishRecord(record, seq)  -> emits the record's messages to its rooms
+ *  - broadcast(event, data)      -> emits to every authenticated client
+ *  - messagesFor(record, seq)    -> [{ event, data }]
+ *  - clientCount()               -> connected (authenticated) clients
+ */
+
+const { Server } = require('socket.io');
+const { verifyToken } = require('./operatorAuth');
+const { scanEvents } = require('./storage');
+const { telemetryView } = require('./fleet');
+
+const BACKFILL_DEFAULT = Number(process.env.SOCKET_BACKFILL_LIMIT || 100);
+const BACKFILL_MAX = Number(process.env.SOCKET_BACKFILL_MAX || 1000);
+const ALERT_ACTIONS = new Set(['confirm_unreliable', 'flag_for_review']);
+
+let io = null;
+
+// ---- Record -> messages ----
+function flaggedEventMessage(r) {
+  const p = r.payload || {};
+  const result = r.blockchain || {};
+  return {
+    timestamp: p.ts || Math.floor(Date.parse(r.processedAt || r.receivedAt || Date.now()) / 1000),
+    eventId: r.eventId,
+    deviceId: r.deviceId,
+    groupId: r.groupId,
+    distA: p.distA ?? null,
+    distB: p.distB ?? null,
+    trustA: r.oldTS ?? r.trustA ?? null,
+    trustB: r.newTS ?? r.trustB ?? null,
+    controller: p.controller || (r.trustA >= r.trustB ? 'A' : 'B'),
+    rpm: p.rpm ?? (p.speed ?? null),
+    reason: r.reason || p.reason || 'LOW_TRUST',
+    txHash: result.txHash || result.transactionHash || null,
+    systemDecision: r.systemDecision || null
+  };
+}
+
+function messagesFor(record, seq) {
+  const tag = (data) => (seq !== undefined && seq !== null ? { ...data, seq } : data);
+  const { deviceId, groupId } = record;
+  const out = [{ event: 'event_update', data: tag(record) }];
+
+  if (record.stage === 'received') {
+    out.push({ event: 'telemetry', data: tag(telemetryView(record)) });
+    const cross = record.crossValidation;
+    if (cross && cross.divergent) {
+      out.push({ event: 'system_alert', data: tag({ deviceId, groupId, decision: { action: 'flag_for_review', reason: 'trust_divergence', evidence: cross } }) });
+    }
+  } else if (record.stage === 'system-validation') {
+    const decision = record.systemDecision;
+    if (decision && ALERT_ACTIONS.has(decision.action)) {
+      out.push({ event: 'system_alert', data: tag({ deviceId, groupId, decision }) });
+    }
+  } else if (record.stage === 'post-chain' && record.flagged) {
+    out.push({ event: 'flaggedEvent', data: tag(flaggedEventMessage(record)) });
+  }
+  return out;
+}
+
+// ---- Rooms ----
+function roomsFor(record) {
+  const rooms = ['fleet'];
+  if (record.deviceId !== undefined && record.deviceId !== null) rooms.push(`device:${record.deviceId}`);
+  if (record.groupId !== undefined && record.groupId !== null) rooms.push(`group:${record.groupId}`);
+  return rooms;
+}
+
+// { fleet: true } | { deviceId } | { groupId } -> { room, filter }
+function parseSubscription(sub = {}) {
+  if (sub.deviceId !== undefined) {
+    if (typeof sub.deviceId !== 'string' || !sub.deviceId) throw new Error('deviceId must be a non-empty string');
+    return { room: `device:${sub.deviceId}`, filter: { deviceId: sub.deviceId } };
+  }
+  if (sub.groupId !== undefined) {
+    if (typeof sub.groupId !== 'string' || !sub.groupId) throw new Error('groupId must be a non-empty string');
+    return { room: `group:${sub.groupId}`, filter: { groupId: sub.groupId } };
+  }
+  if (sub.fleet) return { room: 'fleet', filter: {} };
+  throw new Error('subscribe needs fleet, deviceId or groupId');
+}
+
+// replay stored records into one socket; runs synchronously right after join, so no live message can slip in between
+function backfill(socket, filter, { since, limit }) {
+  const max = Math.min(Math.max(0, Number(limit) || BACKFILL_DEFAULT), BACKFILL_MAX);
+  const records = [];
+  if (since !== undefined && since !== null) {
+    scanEvents({ ...filter, afterSeq: Number(since), order: 'asc', limit: max + 1 }, (event, meta) => {
+      records.push({ event, seq: meta.seq });
+    });
+  } else if (max > 0) {
+    scanEvents({ ...filter, order: 'desc', limit: max }, (event, meta) => {
+      records.push({ event, seq: meta.seq });
+    });
+    records.reverse();
+  }
+  // with a cursor, more than `max` newer records means the client has to reload over REST
+  const truncated = records.length > max;
+  if (truncated) records.length = max;
+
+  for (const { event, seq } of records) {
+    for (const m of messagesFor(event, seq)) socket.emit(m.event, { ...m.data, backfill: true });
+  }
+  const cursor = records.length ? records[records.length - 1].seq : (since !== undefined && since !== null ? Number(since) : null);
+  return { cursor, count: records.length, truncated };
+}
+
+function onConnection(socket) {
+  const user = socket.data.user;
+  console.log('[socket] Dashboard connected:', socket.id, `(${user.username}/${user.role})`);
+
+  socket.on('subscribe', (sub, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { room, filter } = parseSubscription(sub || {});
+      socket.join(room);
+      const result = backfill(socket, filter, sub || {});
+      console.log(`[socket] ${socket.id} subscribed to ${room} (backfill ${result.count}${result.truncated ? ', truncated' : ''})`);
+      reply({ ok: true, room, ...result });
+    } catch (err) {
+      reply({ ok: false, error: err && err.message ? err.message : String(err) });
+    }
+  });
+
+  socket.on('unsubscribe', (sub, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { room } = parseSubscription(sub || {});
+      socket.leave(room);
+      reply({ ok: true, room });
+    } catch (err) {
+      reply({ ok: false, error: err && err.message ? err.message : String(err) });
+    }
+  });
+
+  socket.on('disconnect', (reason) => {
+    console.log('[socket] Dashboard disconnected:', socket.id, reason);
+  });
+}
+
+// ---- Public API ----
+function initSocket(server, { corsOrigins } = {}) {
+  io = new Server(server, { cors: { origin: corsOrigins } });
+  io.use((socket, next) => {
+    const user = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    if (!user) return next(new Error('unauthorized'));
+    socket.data.user = user;
+    return next();
+  });
+  io.on('connection', onConnection);
+  return io;
+}
+
+function publishRecord(record, seq) {
+  if (!io) return;
+  const rooms = roomsFor(record);
+  for (const m of messagesFor(record, seq)) io.to(rooms).emit(m.event, m.data);
+}
+
+function broadcast(event, data) {
+  if (io) io.emit(event, data);
+}
+
+function clientCount() {
+  return io ? io.of('/').sockets.size : 0;
+}
+
+module.exports = { initSocket, publishRecord, broadcast, messagesFor, clientCount };
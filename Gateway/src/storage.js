@@ -0,0 +1,388 @@
+// Gateway/src/storage.js
+/**
+ * Append-only event store for the gateway
+ * - Records are written as NDJSON lines into rolling segment files (data/events/segment-000001.ndjson)
+ * - In-memory indexes by deviceId, groupId, eventId and record time are rebuilt on open
+ * - Record bodies stay on disk and are read back by offset, so ingest cost does not grow with history
+ * - A legacy events.json (single JSON array) is imported once, the first time the default store is opened
+ *
+ * Exports:
+ *  - openStore(dir?)              -> opens (or re-opens) the store; called lazily by the other helpers
+ *  - closeStore()
+ *  - appendEvent(evt)             -> seq number of the stored record, or null on failure
+ *  - queryEvents(filter)          -> matching records (see scanEvents for filter fields)
+ *  - scanEvents(filter, visit)    -> streams matching records to visit(event, { seq, time }) without buffering them
+ *  - getEventRecords(eventId)     -> every stage record stored for an eventId (oldest first)
+ *  - listIndexKeys(field)         -> distinct 'deviceId' | 'groupId' | 'eventId' values seen so far
+ *  - countEvents()
+ *  - storeHealth()                -> { dir, records, segments, writable, error, lastWriteError } (readiness check)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_DIR = process.env.GATEWAY_DATA_DIR || path.join(ROOT, 'data');
+const DEFAULT_STORE_DIR = process.env.EVENT_STORE_DIR || path.join(DATA_DIR, 'events');
+const LEGACY_EVENTS_FILE = path.join(ROOT, 'events.json');
+const SEGMENT_MAX_BYTES = Number(process.env.EVENT_SEGMENT_MAX_BYTES || 16 * 1024 * 1024);
+const SEGMENT_PATTERN = /^segment-(\d{6})\.ndjson$/;
+
+// ---- Store state (module-level, one store per process) ----
+let storeDir = null;
+let entries = [];          // index entries, entries[seq - 1]
+let byDevice = new Map();  // deviceId -> [seq...] ascending
+let byGroup = new Map();   // groupId -> [seq...] ascending
+let byEventId = new Map(); // eventId -> [seq...] ascending
+let segments = [];         // [{ id, file, size }]
+let writeFd = null;
+let readFds = new Map();   // segment id -> fd
+let lastTime = 0;
+let lastWriteError = null; // message of the last failed appendEvent, cleared by the next successful one
+
+function segmentFile(dir, id) {
+  return path.join(dir, `segment-${String(id).padStart(6, '0')}.ndjson`);
+}
+
+function pushIndex(map, key, seq) {
+  if (key === undefined || key === null) return;
+  const k = String(key);
+  let list = map.get(k);
+  if (!list) {
+    list = [];
+    map.set(k, list);
+  }
+  list.push(seq);
+}
+
+/**
+ * Record time used by the time index. Index time is kept monotonic in append order
+ * (a record never sorts before the one appended ahead of it), so seq order == time order
+ * and time-range lookups can binary-search any seq list.
+ */
+function recordTime(evt) {
+  const raw = evt && (evt.receivedAt || evt.processedAt || evt.queuedAt);
+  const parsed = raw ? Date.parse(raw) : NaN;
+  const t = Number.isNaN(parsed) ? Date.now() : parsed;
+  lastTime = Math.max(lastTime, t);
+  return lastTime;
+}
+
+function indexRecord(evt, seg, off, len) {
+  const seq = entries.length + 1;
+  const entry = {
+    seq,
+    seg,
+    off,
+    len,
+    t: recordTime(evt),
+    deviceId: evt.deviceId !== undefined ? String(evt.deviceId) : null,
+    groupId: evt.groupId !== undefined ? String(evt.groupId) : null,
+    eventId: evt.eventId !== undefined ? String(evt.eventId) : null,
+    stage: evt.stage || null,
+    flagged: !!evt.flagged
+  };
+  entries.push(entry);
+  pushIndex(byDevice, entry.deviceId, seq);
+  pushIndex(byGroup, entry.groupId, seq);
+  pushIndex(byEventId, entry.eventId, seq);
+  return entry;
+}
+
+function resetState() {
+  entries = [];
+  byDevice = new Map();
+  byGroup = new Map();
+  byEventId = new Map();
+  segments = [];
+  readFds = new Map();
+  writeFd = null;
+  lastTime = 0;
+}
+
+/**
+ * Scan one segment file and index its records.
+ * A torn trailing line (crash mid-write) in the last segment is truncated away.
+ */
+function loadSegment(seg, isLast) {
+  const buf = fs.readFileSync(seg.file);
+  let off = 0;
+  while (off < buf.length) {
+    let nl = buf.indexOf(0x0a, off);
+    const complete = nl !== -1;
+    if (!complete) nl = buf.length;
+    const len = nl - off;
+    if (len > 0) {
+      try {
+        if (!complete) throw new Error('unterminated record');
+        const evt = JSON.parse(buf.toString('utf8', off, nl));
+        indexRecord(evt, seg.id, off, len);
+      } catch (e) {
+        if (isLast && (!complete || nl + 1 >= buf.length)) {
+          console.warn(`[storage] truncating torn record at ${seg.file}:${off}`);
+          fs.truncateSync(seg.file, off);
+          seg.size = off;
+          return;
+        }
+        console.warn(`[storage] skipping unreadable record at ${seg.file}:${off}:`, e.message || e);
+      }
+    }
+    off = nl + 1;
+  }
+  seg.size = buf.length;
+}
+
+function importLegacyEvents() {
+  if (!fs.existsSync(LEGACY_EVENTS_FILE)) return;
+  try {
+    const arr = JSON.parse(fs.readFileSync(LEGACY_EVENTS_FILE, 'utf8') || '[]');
+    if (!Array.isArray(arr)) return;
+    for (const evt of arr) writeRecord(evt);
+    fs.renameSync(LEGACY_EVENTS_FILE, `${LEGACY_EVENTS_FILE}.migrated`);
+    console.log(`[storage] imported ${arr.length} records from legacy events.json`);
+  } catch (e) {
+    console.error('[storage] legacy events.json import failed:', e.message || e);
+  }
+}
+
+function openStore(dir = DEFAULT_STORE_DIR) {
+  closeStore();
+  storeDir = dir;
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  segments = fs.readdirSync(storeDir)
+    .map((name) => {
+      const m = SEGMENT_PATTERN.exec(name);
+      return m ? { id: Number(m[1]), file: path.join(storeDir, name), size: 0 } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id);
+
+  segments.forEach((seg, i) => loadSegment(seg, i === segments.length - 1));
+
+  if (segments.length === 0) {
+    segments.push({ id: 1, file: segmentFile(storeDir, 1), size: 0 });
+  }
+  const active = segments[segments.length - 1];
+  writeFd = fs.openSync(active.file, 'a');
+
+  // only the gateway's own store adopts the legacy file (not ad-hoc stores opened by tools/tests)
+  if (entries.length === 0 && storeDir === DEFAULT_STORE_DIR) importLegacyEvents();
+  console.log(`[storage] event store ready at ${storeDir} (${entries.length} records, ${segments.length} segment(s))`);
+}
+
+function closeStore() {
+  if (writeFd !== null) {
+    try { fs.closeSync(writeFd); } catch (e) {}
+  }
+  for (const fd of readFds.values()) {
+    try { fs.closeSync(fd); } catch (e) {}
+  }
+  resetState();
+  storeDir = null;
+}
+
+function ensureOpen() {
+  if (storeDir === null) openStore();
+}
+
+function writeRecord(evt) {
+  const line = Buffer.from(JSON.stringify(evt) + '\n', 'utf8');
+  let active = segments[segments.length - 1];
+  if (active.size > 0 && active.size + line.length > SEGMENT_MAX_BYTES) {
+    fs.closeSync(writeFd);
+    active = { id: active.id + 1, file: segmentFile(storeDir, active.id + 1), size: 0 };
+    segments.push(active);
+    writeFd = fs.openSync(active.file, 'a');
+  }
+  fs.writeSync(writeFd, line);
+  const entry = indexRecord(evt, active.id, active.size, line.length - 1);
+  active.size += line.length;
+  return entry.seq;
+}
+
+function appendEvent(evt) {
+  try {
+    ensureOpen();
+    const seq = writeRecord(evt);
+    lastWriteError = null;
+    return seq;
+  } catch (err) {
+    console.error('[storage] appendEvent failed:', err && err.message ? err.message : err);
+    lastWriteError = err && err.message ? err.message : String(err);
+    return null;
+  }
+}
+
+function readEntry(entry) {
+  let fd = readFds.get(entry.seg);
+  if (fd === undefined) {
+    fd = fs.openSync(segmentFile(storeDir, entry.seg), 'r');
+    readFds.set(entry.seg, fd);
+  }
+  const buf = Buffer.alloc(entry.len);
+  fs.readSync(fd, buf, 0, entry.len, entry.off);
+  return JSON.parse(buf.toString('utf8'));
+}
+
+/* ------------------ Query helpers ------------------ */
+
+function toMillis(v) {
+  if (v === undefined || v === null || v === '') return null;
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === 'number') return v < 1e12 ? v * 1000 : v; // accept unix seconds or ms
+  const n = Number(v);
+  if (!Number.isNaN(n)) return toMillis(n);
+  const parsed = Date.parse(v);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function mergeSorted(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) out.push(a[i++]);
+    else if (i >= a.length || b[j] < a[i]) out.push(b[j++]);
+    else { out.push(a[i++]); j++; }
+  }
+  return out;
+}
+
+// first index in list whose entry satisfies pred (list is seq-ascending, pred monotonic)
+function lowerBound(list, pred) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pred(list.at(mid))) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+function candidateList(filter) {
+  const lookup = (map, key) => map.get(String(key)) || [];
+  const keyed = [];
+  if (filter.eventId !== undefined && filter.eventId !== null) keyed.push(lookup(byEventId, filter.eventId));
+  if (filter.deviceId !== undefined && filter.deviceId !== null) keyed.push(lookup(byDevice, filter.deviceId));
+  if (filter.groupId !== undefined && filter.groupId !== null) keyed.push(lookup(byGroup, filter.groupId));
+
+  if (keyed.length === 0) {
+    // every record: a lazy view over 1..n
+    return { length: entries.length, at: (i) => i + 1 };
+  }
+  if (filter.match === 'any') {
+    const union = keyed.reduce((acc, list) => mergeSorted(acc, list), []);
+    return { length: union.length, at: (i) => union[i] };
+  }
+  // match all: walk the shortest list, the remaining keys are checked per entry
+  const shortest = keyed.reduce((a, b) => (b.length < a.length ? b : a));
+  return { length: shortest.length, at: (i) => shortest[i] };
+}
+
+function entryMatches(entry, filter, stages) {
+  if (filter.match !== 'any') {
+    if (filter.eventId != null && entry.eventId !== String(filter.eventId)) return false;
+    if (filter.deviceId != null && entry.deviceId !== String(filter.deviceId)) return false;
+    if (filter.groupId != null && entry.groupId !== String(filter.groupId)) return false;
+  }
+  if (stages && !stages.has(entry.stage)) return false;
+  if (filter.flagged !== undefined && filter.flagged !== null && entry.flagged !== !!filter.flagged) return false;
+  return true;
+}
+
+/**
+ * Visit stored records matching filter, in order, without collecting them.
+ * filter:
+ *  - deviceId, groupId, eventId : exact matches (combined with AND, or OR when match === 'any')
+ *  - stage                      : stage name or array of stage names
+ *  - flagged                    : true/false
+ *  - from, to                   : record time bounds (Date, ISO string, unix seconds or ms), inclusive
+ *  - afterSeq, beforeSeq        : exclusive seq bounds, for cursor pagination
+ *  - order                      : 'asc' (default, oldest first) or 'desc'
+ *  - limit                      : max records visited
+ * visit(event, { seq, time }) may return false to stop early.
+ */
+function scanEvents(filter, visit) {
+  ensureOpen();
+  const list = candidateList(filter);
+  const fromMs = toMillis(filter.from);
+  const toMs = toMillis(filter.to);
+  const stages = filter.stage ? new Set([].concat(filter.stage)) : null;
+  const limit = filter.limit !== undefined && filter.limit !== null ? Math.max(0, Number(filter.limit)) : Infinity;
+
+  let lo = 0;
+  let hi = list.length; // exclusive
+  const entryAt = (seq) => entries[seq - 1];
+  if (fromMs !== null) lo = Math.max(lo, lowerBound(list, (seq) => entryAt(seq).t >= fromMs));
+  if (toMs !== null) hi = Math.min(hi, lowerBound(list, (seq) => entryAt(seq).t > toMs));
+  if (filter.afterSeq != null) lo = Math.max(lo, lowerBound(list, (seq) => seq > Number(filter.afterSeq)));
+  if (filter.beforeSeq != null) hi = Math.min(hi, lowerBound(list, (seq) => seq >= Number(filter.beforeSeq)));
+
+  let visited = 0;
+  const desc = filter.order === 'desc';
+  for (let k = 0; k < hi - lo && visited < limit; k++) {
+    const entry = entryAt(list.at(desc ? hi - 1 - k : lo + k));
+    if (!entryMatches(entry, filter, stages)) continue;
+    visited++;
+    if (visit(readEntry(entry), { seq: entry.seq, time: entry.t }) === false) break;
+  }
+  return visited;
+}
+
+/**
+ * Query stored records (filter fields as in scanEvents).
+ *  - includeMeta : return { seq, time, event } instead of bare records
+ */
+function queryEvents(filter = {}) {
+  const out = [];
+  scanEvents(filter, (event, meta) => {
+    out.push(filter.includeMeta ? { ...meta, event } : event);
+  });
+  return out;
+}
+
+function getEventRecords(eventId) {
+  return queryEvents({ eventId });
+}
+
+function listIndexKeys(field) {
+  ensureOpen();
+  const maps = { deviceId: byDevice, groupId: byGroup, eventId: byEventId };
+  if (!maps[field]) throw new Error(`no index for ${field}`);
+  return [...maps[field].keys()];
+}
+
+function countEvents() {
+  ensureOpen();
+  return entries.length;
+}
+
+// writable: the store directory and the active segment accept writes (checked without writing a record)
+function storeHealth() {
+  ensureOpen();
+  const active = segments[segments.length - 1];
+  let writable = true;
+  let error = null;
+  try {
+    fs.accessSync(storeDir, fs.constants.W_OK);
+    fs.accessSync(active.file, fs.constants.W_OK);
+    fs.fstatSync(writeFd);
+  } catch (err) {
+    writable = false;
+    error = err && err.message ? err.message : String(err);
+  }
+  return { dir: storeDir, records: entries.length, segments: segments.length, writable, error, lastWriteError };
+}
+
+module.exports = {
+  openStore,
+  closeStore,
+  appendEvent,
+  queryEvents,
+  scanEvents,
+  getEventRecords,
+  listIndexKeys,
+  countEvents,
+  storeHealth,
+  DATA_DIR
+};
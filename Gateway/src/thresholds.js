@@ -0,0 +1,265 @@
+// Gateway/src/thresholds.js
+/**
+ * Per-group trust thresholds with change history and approval of system-proposed changes
+ * - Current values: thresholds.json (groupId -> threshold), groups without an entry use TRUST_THRESHOLD
+ * - Every change is appended to data/threshold-history.ndjson with actor, reason, before/after and source
+ * - systemValidate no longer rewrites thresholds: its suggestions become proposals
+ *   (data/threshold-proposals.json) that an admin approves or rejects; one pending proposal per group
+ * - A repeat of the pending proposal's value only bumps its counters, written every THRESHOLD_PROPOSALS_FLUSH_MS
+ *   (default 5000); decided proposals beyond THRESHOLD_PROPOSALS_MAX are pruned, oldest decision first
+ *
+ * Exports:
+ *  - loadThresholds({ file, historyFile, proposalsFile }), getThresholds(), getGroupThreshold(groupId), DEFAULT_THRESHOLD
+ *  - stopThresholds() -> writes pending proposal counters
+ *  - setThreshold(groupId, value, { actor, reason, source, proposalId }) -> change record
+ *  - clearThreshold(groupId, { actor, reason }) -> change record | null
+ *  - getHistory({ groupId, limit })
+ *  - proposeThreshold({ groupId, deviceId, proposed, reason, decision }) -> proposal
+ *  - listProposals({ status, groupId }), getProposal(id)
+ *  - approveProposal(id, { actor, reason }) -> { proposal, change }
+ *  - rejectProposal(id, { actor, reason }) -> proposal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_THRESHOLDS_FILE = path.join(ROOT, 'thresholds.json');
+const DEFAULT_HISTORY_FILE = path.join(DATA_DIR, 'threshold-history.ndjson');
+const DEFAULT_PROPOSALS_FILE = path.join(DATA_DIR, 'threshold-proposals.json');
+const DEFAULT_THRESHOLD = Number(process.env.TRUST_THRESHOLD || 60);
+const PROPOSALS_MAX = Number(process.env.THRESHOLD_PROPOSALS_MAX || 500); // decided proposals kept
+const FLUSH_MS = Number(process.env.THRESHOLD_PROPOSALS_FLUSH_MS || 5000);
+
+let thresholdsFile = DEFAULT_THRESHOLDS_FILE;
+let historyFile = DEFAULT_HISTORY_FILE;
+let proposalsFile = DEFAULT_PROPOSALS_FILE;
+
+// per-group thresholds (simple file-backed map)
+let thresholds = {};
+let proposals = {}; // id -> proposal
+let flushTimer = null;
+
+function readJson(file, what) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+  } catch (e) {
+    console.warn(`[thresholds] ${what} load failed`, e.message);
+  }
+  return {};
+}
+
+function loadThresholds(opts = {}) {
+  stopThresholds();
+  thresholdsFile = opts.file || DEFAULT_THRESHOLDS_FILE;
+  historyFile = opts.historyFile || DEFAULT_HISTORY_FILE;
+  proposalsFile = opts.proposalsFile || DEFAULT_PROPOSALS_FILE;
+  thresholds = readJson(thresholdsFile, 'thresholds');
+  proposals = readJson(proposalsFile, 'proposals');
+}
+
+// tmp file + rename: a crash mid-write leaves the previous file intact
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function saveThresholds() {
+  try {
+    writeJson(thresholdsFile, thresholds);
+  } catch (e) {
+    console.error('[thresholds] save failed', e.message);
+    throw e;
+  }
+}
+
+function saveProposals() {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = null;
+  const decided = Object.values(proposals).filter(p => p.status !== 'pending');
+  if (decided.length > PROPOSALS_MAX) {
+    decided.sort((a, b) => a.decidedAt.localeCompare(b.decidedAt));
+    for (const p of decided.slice(0, decided.length - PROPOSALS_MAX)) delete proposals[p.id];
+  }
+  writeJson(proposalsFile, proposals);
+}
+
+// a repeat of the same proposal only bumps counters: batch those into one write
+function scheduleSave() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    try {
+      saveProposals();
+    } catch (err) {
+      console.error('[thresholds] proposals save failed:', err && err.message ? err.message : err);
+    }
+  }, FLUSH_MS);
+  if (flushTimer.unref) flushTimer.unref();
+}
+
+function stopThresholds() {
+  if (flushTimer) saveProposals();
+}
+
+function appendHistory(change) {
+  fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+  fs.appendFileSync(historyFile, JSON.stringify(change) + '\n', 'utf8');
+}
+
+function getThresholds() {
+  return { ...thresholds };
+}
+
+function getGroupThreshold(groupId) {
+  return Number(thresholds[groupId] ?? DEFAULT_THRESHOLD);
+}
+
+function validThreshold(value) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n < 0 || n > 100) {
+    throw new Error('threshold must be a number between 0 and 100');
+  }
+  return n;
+}
+
+function recordChange(groupId, before, after, { actor, reason, source, proposalId } = {}) {
+  const change = {
+    id: crypto.randomUUID(),
+    groupId,
+    before,
+    after,
+    actor: actor || 'unknown',
+    reason: reason || null,
+    source: source || 'manual',
+    proposalId: proposalId || null,
+    at: new Date().toISOString()
+  };
+  appendHistory(change);
+  console.log(`[thresholds] ${groupId}: ${before ?? 'default'} -> ${after ?? 'default'} by ${change.actor} (${change.source})`);
+  return change;
+}
+
+function setThreshold(groupId, value, meta = {}) {
+  if (!groupId) throw new Error('groupId is required');
+  const after = validThreshold(value);
+  const before = thresholds[groupId] ?? null;
+  thresholds[groupId] = after;
+  saveThresholds();
+  return recordChange(groupId, before, after, meta);
+}
+
+// drop the group override so it falls back to the default threshold
+function clearThreshold(groupId, meta = {}) {
+  if (thresholds[groupId] === undefined) return null;
+  const before = thresholds[groupId];
+  delete thresholds[groupId];
+  saveThresholds();
+  return recordChange(groupId, before, null, meta);
+}
+
+function getHistory({ groupId, limit = 200 } = {}) {
+  if (!fs.existsSync(historyFile)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(historyFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const change = JSON.parse(line);
+      if (!groupId || change.groupId === groupId) out.push(change);
+    } catch (e) {
+      // skip torn lines
+    }
+  }
+  return out.reverse().slice(0, Number(limit) || 200); // newest first
+}
+
+// ---- Proposals (system-suggested changes awaiting an admin) ----
+function proposeThreshold({ groupId, deviceId, proposed, reason, decision } = {}) {
+  const value = validThreshold(proposed);
+  const existing = Object.values(proposals).find(p => p.groupId === groupId && p.status === 'pending');
+  const now = new Date().toISOString();
+  if (existing) {
+    // refresh the open proposal instead of piling up duplicates; only a new value is written right away
+    const changed = existing.proposed !== value || existing.current !== getGroupThreshold(groupId);
+    Object.assign(existing, { proposed: value, current: getGroupThreshold(groupId), reason: reason || existing.reason, deviceId, decision: decision || null, updatedAt: now, occurrences: existing.occurrences + 1 });
+    if (changed) saveProposals();
+    else scheduleSave();
+    return existing;
+  }
+  const proposal = {
+    id: crypto.randomUUID(),
+    groupId,
+    deviceId: deviceId || null,
+    current: getGroupThreshold(groupId),
+    proposed: value,
+    reason: reason || null,
+    decision: decision || null,
+    status: 'pending',
+    occurrences: 1,
+    createdAt: now,
+    updatedAt: now,
+    decidedBy: null,
+    decidedAt: null,
+    decisionReason: null
+  };
+  proposals[proposal.id] = proposal;
+  saveProposals();
+  console.log(`[thresholds] proposal ${proposal.id}: ${groupId} ${proposal.current} -> ${value} (${proposal.reason})`);
+  return proposal;
+}
+
+function listProposals({ status, groupId } = {}) {
+  return Object.values(proposals)
+    .filter(p => (!status || p.status === status) && (!groupId || p.groupId === groupId))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+function getProposal(id) {
+  return proposals[id] || null;
+}
+
+function decide(id, status, { actor, reason } = {}) {
+  const proposal = proposals[id];
+  if (!proposal) throw new Error('proposal not found');
+  if (proposal.status !== 'pending') throw new Error(`proposal already ${proposal.status}`);
+  proposal.status = status;
+  proposal.decidedBy = actor || 'unknown';
+  proposal.decidedAt = new Date().toISOString();
+  proposal.decisionReason = reason || null;
+  saveProposals();
+  return proposal;
+}
+
+function approveProposal(id, { actor, reason } = {}) {
+  const proposal = decide(id, 'approved', { actor, reason });
+  const change = setThreshold(proposal.groupId, proposal.proposed, {
+    actor,
+    reason: reason || proposal.reason,
+    source: 'proposal',
+    proposalId: proposal.id
+  });
+  return { proposal, change };
+}
+
+function rejectProposal(id, { actor, reason } = {}) {
+  return decide(id, 'rejected', { actor, reason });
+}
+
+module.exports = {
+  loadThresholds,
+  stopThresholds,
+  getThresholds,
+  getGroupThreshold,
+  setThreshold,
+  clearThreshold,
+  getHistory,
+  proposeThreshold,
+  listProposals,
+  getProposal,
+  approveProposal,
+  rejectProposal,
+  DEFAULT_THRESHOLD
+};
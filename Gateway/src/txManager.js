@@ -0,0 +1,437 @@
+// Gateway/src/txManager.js
+/**
+ * Transaction lifecycle for the gateway signer
+ * - Local nonce manager: each send takes the lowest nonce at or above the account's mined count that
+ *   no tracked transaction holds, so several writes can be in flight at once (the queue pipelines them)
+ * - Every transaction is tracked through pending -> mined -> confirmed (TX_CONFIRMATIONS blocks);
+ *   a mined transaction whose receipt disappears (reorg) goes back to pending
+ * - A transaction still pending after TX_STUCK_AFTER_MS is re-signed with the same nonce and fees
+ *   raised by TX_FEE_BUMP_PCT (at most TX_MAX_BUMPS times); every hash it was sent under is watched
+ * - Final states: confirmed, failed (reverted on-chain), dropped (the nonce was used by a transaction
+ *   that is not ours); sendTx() resolves on confirmed and rejects otherwise
+ * - Records are journaled to data/tx-journal.ndjson and replayed on init, so transactions still in
+ *   flight when the gateway stopped are watched again; a queue retry with the same ref attaches to them
+ *
+ * Exports:
+ *  - initTxManager({ wallet, provider, journalFile, confirmations, stuckAfterMs, feeBumpPct, maxBumps, pollMs, onStatus, fresh })
+ *      onStatus(tx)  -> every status change (tx is the public record, see listTxs)
+ *      fresh: true   -> the chain was reset (hardhat mode): replayed in-flight records are dropped
+ *  - stopTxManager()
+ *  - sendTx({ to, data, kind, ref }) -> { tx, receipt } once confirmed; throws on revert / drop
+ *  - listTxs({ status, limit }) -> newest first; txStats()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { DATA_DIR } = require('./storage');
+
+const DEFAULT_JOURNAL_FILE = process.env.TX_JOURNAL_FILE || path.join(DATA_DIR, 'tx-journal.ndjson');
+const DEFAULT_STUCK_AFTER_MS = Number(process.env.TX_STUCK_AFTER_MS || 180_000);
+const DEFAULT_FEE_BUMP_PCT = Number(process.env.TX_FEE_BUMP_PCT || 20); // nodes want at least +10% to replace
+const DEFAULT_MAX_BUMPS = Number(process.env.TX_MAX_BUMPS || 5);
+const DEFAULT_POLL_MS = Number(process.env.TX_POLL_MS || 4000);
+const HISTORY_LIMIT = 200;      // final records kept in memory / in the compacted journal
+const COMPACT_AFTER_OPS = 1000;
+const SEND_ATTEMPTS = 5;        // nonces tried when another sender already holds one
+const ORPHAN_POLLS = 2;         // polls a nonce must look taken by someone else before the tx counts as dropped
+const GAS_LIMIT_MARGIN_PCT = 20n;
+
+const FINAL = ['confirmed', 'failed', 'dropped'];
+
+let journalFile = DEFAULT_JOURNAL_FILE;
+let wallet = null;
+let provider = null;
+let confirmations = 1;
+let stuckAfterMs = DEFAULT_STUCK_AFTER_MS;
+let feeBumpPct = DEFAULT_FEE_BUMP_PCT;
+let maxBumps = DEFAULT_MAX_BUMPS;
+let onStatus = () => {};
+let chainId = null;
+let timer = null;
+
+const records = new Map(); // id -> record (creation order)
+const waiters = new Map(); // id -> [{ resolve, reject }]
+const orphanPolls = new Map(); // id -> consecutive polls with the nonce used but no receipt of ours
+const exhausted = new Set();   // ids already warned about running out of fee bumps
+let journalOps = 0;
+let sendLock = Promise.resolve();
+let polling = null;
+let pollAgain = false;
+let lastPollError = null;
+let generation = 0; // bumped by stopTxManager so polls still running from before a re-init stop
+
+const isActive = (record) => !FINAL.includes(record.status);
+
+// ---- Journal ----
+function writeRecord(record) {
+  fs.appendFileSync(journalFile, JSON.stringify({ op: 'tx', record, at: new Date().toISOString() }) + '\n', 'utf8');
+  journalOps++;
+}
+
+function replayJournal() {
+  records.clear();
+  journalOps = 0;
+  if (!fs.existsSync(journalFile)) return;
+  for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const op = JSON.parse(line);
+      if (op.op === 'tx' && op.record && op.record.id) records.set(op.record.id, op.record);
+      journalOps++;
+    } catch (e) {
+      console.warn('[txs] skipping unreadable journal line:', e.message || e);
+    }
+  }
+}
+
+function compactJournal() {
+  const tmp = `${journalFile}.tmp`;
+  const at = new Date().toISOString();
+  const lines = Array.from(records.values(), record => JSON.stringify({ op: 'tx', record, at }));
+  fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '', 'utf8');
+  fs.renameSync(tmp, journalFile);
+  journalOps = lines.length;
+}
+
+// drop the oldest final records past HISTORY_LIMIT, then compact once enough ops are superseded
+function prune() {
+  let finals = 0;
+  for (const r of records.values()) if (!isActive(r)) finals++;
+  for (const [id, r] of records) {
+    if (finals <= HISTORY_LIMIT) break;
+    if (isActive(r)) continue;
+    records.delete(id);
+    finals--;
+  }
+  if (journalOps - records.size < COMPACT_AFTER_OPS) return;
+  try {
+    compactJournal();
+  } catch (e) {
+    console.warn('[txs] journal compaction failed:', e.message || e);
+  }
+}
+
+// ---- Records ----
+// public shape for the API / dashboard (calldata left out)
+function view(record) {
+  const { data, ...rest } = record;
+  return { ...rest, required: confirmations };
+}
+
+function update(record, fields) {
+  // a record object from before a re-init (the journal replay made a new one)
+  if (records.get(record.id) !== record) return;
+  Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+  writeRecord(record);
+  try {
+    onStatus(view(record));
+  } catch (e) {
+    console.warn('[txs] onStatus handler failed:', e.message || e);
+  }
+}
+
+function finish(record, status, fields, receipt) {
+  if (records.get(record.id) !== record) return;
+  update(record, { ...fields, status });
+  orphanPolls.delete(record.id);
+  exhausted.delete(record.id);
+  const pendingWaiters = waiters.get(record.id) || [];
+  waiters.delete(record.id);
+  if (status === 'confirmed') {
+    console.log(`[txs] ${record.kind} tx ${record.hash} confirmed (${record.confirmations} blocks)`);
+    for (const w of pendingWaiters) w.resolve({ tx: view(record), receipt });
+  } else {
+    console.warn(`[txs] ${record.kind} tx ${record.hash} ${status}: ${record.error}`);
+    for (const w of pendingWaiters) w.reject(txError(record));
+  }
+  prune();
+}
+
+function txError(record) {
+  const err = new Error(`transaction ${record.status}: ${record.error}`);
+  err.tx = view(record);
+  return err;
+}
+
+function waitFor(record) {
+  return new Promise((resolve, reject) => {
+    if (!waiters.has(record.id)) waiters.set(record.id, []);
+    waiters.get(record.id).push({ resolve, reject });
+  });
+}
+
+// ---- Fees / signing ----
+const big = (v) => BigInt(v);
+const maxOf = (...values) => values.filter(v => v !== null && v !== undefined).reduce((a, b) => (b > a ? b : a), 0n);
+
+async function currentFees() {
+  const fee = await provider.getFeeData();
+  if (fee.maxFeePerGas !== null && fee.maxFeePerGas !== undefined) {
+    return { maxFeePerGas: fee.maxFeePerGas.toString(), maxPriorityFeePerGas: (fee.maxPriorityFeePerGas || 0n).toString() };
+  }
+  return { gasPrice: fee.gasPrice.toString() };
+}
+
+// old fees raised by feeBumpPct, or the current market fees when those are higher
+async function bumpedFees(record) {
+  const now = await currentFees();
+  const up = (v) => big(v) * BigInt(100 + feeBumpPct) / 100n;
+  if (record.gasPrice) return { gasPrice: maxOf(up(record.gasPrice), now.gasPrice && big(now.gasPrice)).toString() };
+  const priority = maxOf(up(record.maxPriorityFeePerGas), now.maxPriorityFeePerGas && big(now.maxPriorityFeePerGas));
+  const maxFee = maxOf(up(record.maxFeePerGas), now.maxFeePerGas && big(now.maxFeePerGas), priority);
+  return { maxFeePerGas: maxFee.toString(), maxPriorityFeePerGas: priority.toString() };
+}
+
+function sign(record) {
+  const tx = { chainId, nonce: record.nonce, to: record.to, data: record.data, gasLimit: big(record.gasLimit) };
+  if (record.gasPrice) {
+    Object.assign(tx, { type: 0, gasPrice: big(record.gasPrice) });
+  } else {
+    Object.assign(tx, { type: 2, maxFeePerGas: big(record.maxFeePerGas), maxPriorityFeePerGas: big(record.maxPriorityFeePerGas) });
+  }
+  return wallet.signTransaction(tx);
+}
+
+const errorText = (err) => [err && err.code, err && (err.shortMessage || err.message), err && err.error && err.error.message].filter(Boolean).join(' ');
+const alreadyKnown = (err) => /already known|already imported/i.test(errorText(err));
+const nonceTaken = (err) => /NONCE_EXPIRED|REPLACEMENT_UNDERPRICED|nonce too low|nonce has already been used|underpriced/i.test(errorText(err));
+
+// broadcast a signed tx; the hash is ours either way when the node already has it
+async function broadcast(signed) {
+  const hash = ethers.Transaction.from(signed).hash;
+  try {
+    await provider.broadcastTransaction(signed);
+  } catch (err) {
+    if (!alreadyKnown(err)) throw err;
+  }
+  return hash;
+}
+
+// one allocation at a time (gas estimate, nonce, sign, broadcast); waiting for blocks happens outside
+function serial(fn) {
+  const run = sendLock.then(fn, fn);
+  sendLock = run.catch(() => {});
+  return run;
+}
+
+async function allocateAndBroadcast(record) {
+  if (chainId === null) chainId = (await provider.getNetwork()).chainId;
+  const used = new Set();
+  for (const r of records.values()) if (isActive(r)) used.add(r.nonce);
+  let nonce = await provider.getTransactionCount(wallet.address, 'latest');
+  for (let attempt = 1; ; attempt++) {
+    while (used.has(nonce)) nonce++;
+    record.nonce = nonce;
+    try {
+      return await broadcast(await sign(record));
+    } catch (err) {
+      if (!nonceTaken(err) || attempt >= SEND_ATTEMPTS) throw err;
+      console.warn(`[txs] nonce ${nonce} is taken (${err.shortMessage || err.message}); trying the next one`);
+      used.add(nonce);
+    }
+  }
+}
+
+// ---- Sending ----
+async function sendTx({ to, data, kind = 'tx', ref = null }) {
+  if (!wallet || !provider) throw new Error('transaction manager not initialized');
+  if (ref) {
+    const existing = Array.from(records.values()).reverse().find(r => r.ref === ref);
+    if (existing && isActive(existing)) {
+      console.log(`[txs] ${ref} already has ${existing.status} tx ${existing.hash}; waiting for it`);
+      return waitFor(existing);
+    }
+    if (existing && existing.status === 'confirmed') {
+      return { tx: view(existing), receipt: await provider.getTransactionReceipt(existing.hash) };
+    }
+  }
+
+  const record = await serial(async () => {
+    const estimate = await provider.estimateGas({ from: wallet.address, to, data });
+    const now = new Date().toISOString();
+    const draft = {
+      id: crypto.randomUUID(),
+      kind,
+      ref,
+      from: wallet.address,
+      to,
+      data,
+      nonce: null,
+      gasLimit: (estimate * (100n + GAS_LIMIT_MARGIN_PCT) / 100n).toString(),
+      ...(await currentFees()),
+      hash: null,
+      hashes: [],
+      status: 'pending',
+      blockNumber: null,
+      confirmations: 0,
+      bumps: 0,
+      error: null,
+      createdAt: now,
+      sentAt: now,
+      updatedAt: now
+    };
+    const hash = await allocateAndBroadcast(draft);
+    records.set(draft.id, draft);
+    update(draft, { hash, hashes: [hash] });
+    return draft;
+  });
+  console.log(`[txs] ${kind} tx sent: ${record.hash} (nonce ${record.nonce})`);
+  const done = waitFor(record);
+  pollNow();
+  return done;
+}
+
+// ---- Watching ----
+async function bump(record) {
+  if (record.bumps >= maxBumps) {
+    if (!exhausted.has(record.id)) console.warn(`[txs] tx ${record.hash} (nonce ${record.nonce}) still pending after ${maxBumps} fee bumps; waiting`);
+    exhausted.add(record.id);
+    return;
+  }
+  const fees = await bumpedFees(record);
+  const next = { ...record, ...fees };
+  try {
+    const hash = await broadcast(await sign(next));
+    console.log(`[txs] tx ${record.hash} stuck; re-broadcast as ${hash} with bumped fees (nonce ${record.nonce})`);
+    update(record, { ...fees, hash, hashes: [...record.hashes, hash], bumps: record.bumps + 1, sentAt: new Date().toISOString() });
+  } catch (err) {
+    // nonce too low: one of our hashes was mined meanwhile, the next poll sees its receipt
+    console.warn(`[txs] fee bump for nonce ${record.nonce} failed:`, err.shortMessage || err.message || err);
+  }
+}
+
+async function check(record, head, accountNonce) {
+  let receipt = null;
+  for (const hash of [...record.hashes].reverse()) {
+    receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) break;
+  }
+  if (receipt) {
+    orphanPolls.delete(record.id);
+    const fields = { hash: receipt.hash, blockNumber: receipt.blockNumber, confirmations: Math.max(1, head - receipt.blockNumber + 1) };
+    if (receipt.status === 0) return finish(record, 'failed', { ...fields, error: 'reverted on-chain' }, receipt);
+    if (fields.confirmations >= confirmations) return finish(record, 'confirmed', fields, receipt);
+    if (record.status !== 'mined' || record.blockNumber !== fields.blockNumber || record.confirmations !== fields.confirmations) {
+      update(record, { ...fields, status: 'mined' });
+    }
+    return;
+  }
+  if (record.status === 'mined') {
+    console.warn(`[txs] tx ${record.hash} left block ${record.blockNumber} (reorg); back to pending`);
+    return update(record, { status: 'pending', blockNumber: null, confirmations: 0 });
+  }
+  if (accountNonce > record.nonce) {
+    const misses = (orphanPolls.get(record.id) || 0) + 1;
+    orphanPolls.set(record.id, misses);
+    if (misses >= ORPHAN_POLLS) finish(record, 'dropped', { error: `nonce ${record.nonce} was used by another transaction` });
+    return;
+  }
+  if (Date.now() - Date.parse(record.sentAt) >= stuckAfterMs) await bump(record);
+}
+
+async function poll() {
+  const gen = generation;
+  const live = Array.from(records.values()).filter(isActive);
+  if (!live.length || !provider) return;
+  const head = await provider.getBlockNumber();
+  const accountNonce = await provider.getTransactionCount(wallet.address, 'latest');
+  for (const record of live) {
+    if (gen !== generation) return;
+    if (isActive(record)) await check(record, head, accountNonce);
+  }
+}
+
+function pollNow() {
+  if (polling) {
+    pollAgain = true;
+    return polling;
+  }
+  polling = poll()
+    .then(() => { lastPollError = null; })
+    .catch(err => {
+      const message = err && err.message ? err.message : String(err);
+      if (message !== lastPollError) console.warn('[txs] poll failed:', message);
+      lastPollError = message;
+    })
+    .finally(() => {
+      polling = null;
+      if (pollAgain) {
+        pollAgain = false;
+        pollNow();
+      }
+    });
+  return polling;
+}
+
+// ---- Public API ----
+function initTxManager(opts = {}) {
+  stopTxManager();
+  wallet = opts.wallet;
+  provider = opts.provider;
+  journalFile = opts.journalFile || DEFAULT_JOURNAL_FILE;
+  confirmations = Number(opts.confirmations || 1);
+  stuckAfterMs = Number(opts.stuckAfterMs || DEFAULT_STUCK_AFTER_MS);
+  feeBumpPct = Number(opts.feeBumpPct || DEFAULT_FEE_BUMP_PCT);
+  maxBumps = Number(opts.maxBumps ?? DEFAULT_MAX_BUMPS);
+  onStatus = opts.onStatus || (() => {});
+  fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+  replayJournal();
+
+  // in-flight records of another signer, or of a chain that was reset, can never be mined by us
+  for (const record of records.values()) {
+    if (!isActive(record)) continue;
+    if (opts.fresh) finish(record, 'dropped', { error: 'chain was reset' });
+    else if (record.from !== wallet.address) finish(record, 'dropped', { error: `signer changed to ${wallet.address}` });
+  }
+  const live = Array.from(records.values()).filter(isActive).length;
+  console.log(`[txs] journal replayed: ${live} in flight, ${confirmations} confirmation(s) required`);
+
+  timer = setInterval(pollNow, Number(opts.pollMs || DEFAULT_POLL_MS));
+  if (timer.unref) timer.unref();
+  if (live) pollNow();
+}
+
+function stopTxManager() {
+  generation++;
+  if (timer) clearInterval(timer);
+  timer = null;
+  for (const [id, list] of waiters) {
+    const record = records.get(id);
+    for (const w of list) w.reject(new Error(`transaction manager stopped while ${record ? record.hash : id} was ${record ? record.status : 'in flight'}`));
+  }
+  waiters.clear();
+  orphanPolls.clear();
+  exhausted.clear();
+  wallet = null;
+  provider = null;
+  chainId = null;
+}
+
+function listTxs({ status, limit = 50 } = {}) {
+  return Array.from(records.values())
+    .reverse()
+    .filter(r => !status || r.status === status)
+    .slice(0, Number(limit))
+    .map(view);
+}
+
+function txStats() {
+  const counts = { pending: 0, mined: 0, confirmed: 0, failed: 0, dropped: 0 };
+  for (const r of records.values()) counts[r.status] = (counts[r.status] || 0) + 1;
+  return {
+    signer: wallet ? wallet.address : null,
+    confirmations,
+    inFlight: counts.pending + counts.mined,
+    ...counts
+  };
+}
+
+module.exports = {
+  initTxManager,
+  stopTxManager,
+  sendTx,
+  listTxs,
+  txStats
+};
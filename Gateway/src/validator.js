@@ -0,0 +1,138 @@
+// Gateway/src/validator.js
+/**
+ * Versioned schema validation of device payloads (POST /data)
+ * - A payload selects its schema with `schemaVersion`; payloads without it are version 1
+ *   (firmware that predates the field), so older devices keep working
+ * - Checks required ids, field types and ranges (trust 0-100, distances -1 | 0..DIST_MAX_CM, rpm 0..RPM_MAX);
+ *   values are never coerced, so "55" or null is an error instead of becoming NaN / a default
+ * - Version 2 (current firmware) also requires a unix-seconds `ts` and rejects unknown fields
+ * - Rejections are counted per device (in memory) for the admin view
+ *
+ * Exports:
+ *  - validatePayload(payload) -> { ok: true, version } | { ok: false, version, errors: [{ field, message }] }
+ *  - recordRejection(deviceId, errors), getRejectionStats()
+ *  - SCHEMAS, CURRENT_SCHEMA_VERSION
+ */
+
+const DIST_MAX_CM = Number(process.env.DIST_MAX_CM || 500); // HC-SR04 echo timeout (30 ms) is ~510 cm
+const RPM_MAX = Number(process.env.RPM_MAX || 10000);
+const TS_MIN_SEC = 1577836800; // 2020-01-01: anything earlier means the device clock was never set
+
+// ---- Schemas ----
+const trust = { type: 'number', min: 0, max: 100 };
+const distance = { type: 'integer', min: -1, max: DIST_MAX_CM, note: '-1 = no echo' };
+const rpm = { type: 'number', min: 0, max: RPM_MAX };
+
+const V1_FIELDS = {
+  eventId: { type: 'string', required: true, maxLength: 128 },
+  deviceId: { type: 'string', required: true, maxLength: 64 },
+  groupId: { type: 'string', maxLength: 64 },
+  trustA: { ...trust, required: true },
+  trustB: { ...trust, required: true },
+  oldTS: trust,
+  newTS: trust,
+  distA: distance,
+  distB: distance,
+  speed: rpm,
+  rpm,
+  controller: { type: 'string', enum: ['A', 'B'] },
+  reason: { type: 'string', maxLength: 64 },
+  ts: { type: 'number', min: 0 },
+  timestamp: { type: 'number', min: 0 }
+};
+
+const SCHEMAS = {
+  1: { fields: V1_FIELDS, additionalFields: true },
+  2: {
+    fields: {
+      ...V1_FIELDS,
+      schemaVersion: { type: 'integer', required: true },
+      ts: { type: 'integer', required: true, min: TS_MIN_SEC, max: 1e10, note: 'unix seconds' }
+    },
+    additionalFields: false
+  }
+};
+const CURRENT_SCHEMA_VERSION = 2;
+
+// ---- Validation ----
+function typeOk(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return false;
+  }
+}
+
+function checkField(value, rule) {
+  if (!typeOk(value, rule.type)) return `must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`;
+  if (rule.type === 'string') {
+    if (rule.required && value.trim() === '') return 'must not be empty';
+    if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+    if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(', ')}`;
+    return null;
+  }
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+    return `must be ${range}${rule.note ? ` (${rule.note})` : ''}`;
+  }
+  return null;
+}
+
+function validatePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, version: null, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+  }
+  const version = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+  const schema = SCHEMAS[version];
+  if (!schema) {
+    return {
+      ok: false,
+      version,
+      errors: [{ field: 'schemaVersion', message: `unsupported schema version (supported: ${Object.keys(SCHEMAS).join(', ')})` }]
+    };
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = payload[field];
+    if (value === undefined) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    const message = checkField(value, rule);
+    if (message) errors.push({ field, message });
+  }
+  if (!schema.additionalFields) {
+    for (const field of Object.keys(payload)) {
+      if (!schema.fields[field]) errors.push({ field, message: 'is not allowed' });
+    }
+  }
+  return errors.length ? { ok: false, version, errors } : { ok: true, version };
+}
+
+// ---- Rejection counters ----
+const rejections = new Map(); // deviceId -> { deviceId, count, lastAt, lastErrors }
+
+function recordRejection(deviceId, errors) {
+  const key = deviceId || 'unknown';
+  const entry = rejections.get(key) || { deviceId: key, count: 0, lastAt: null, lastErrors: [] };
+  entry.count += 1;
+  entry.lastAt = new Date().toISOString();
+  entry.lastErrors = errors;
+  rejections.set(key, entry);
+  return entry;
+}
+
+function getRejectionStats() {
+  const devices = [...rejections.values()].sort((a, b) => b.count - a.count);
+  return { total: devices.reduce((n, d) => n + d.count, 0), devices };
+}
+
+module.exports = {
+  validatePayload,
+  recordRejection,
+  getRejectionStats,
+  SCHEMAS,
+  CURRENT_SCHEMA_VERSION
+};
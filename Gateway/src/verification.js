@@ -0,0 +1,212 @@
+// Gateway/src/verification.js
+/**
+ * End-to-end verification of stored readings against what was anchored on chain
+ * - Recomputes keccakHash(payload) from the event store's 'received' record
+ * - Flagged events: reads the tx recorded in the 'post-chain' stage, decodes its TrustEvent log and
+ *   compares every field (groupId via its indexed topic, oldTS, newTS, reason, dataHash, ts)
+ * - Batched readings: checks the Merkle proof against the batch root and the root against the
+ *   TrustBatch log of the batch's anchor tx
+ * - status: 'verified' | 'mismatch' (with a per-field diff) | 'unanchored' | 'not_found'
+ *   ('unchecked' when an anchor exists but no provider / contract address is configured)
+ *
+ * Exports:
+ *  - verifyEvent(provider, contractAddress, deviceId, eventId, { receipts }) -> result
+ *      (a reading is identified by device and eventId, as in ingest: devices may reuse eventIds)
+ *  - auditGroup(provider, contractAddress, { groupId, from, to, limit }) -> { summary, results }
+ */
+
+const { ethers } = require('ethers');
+const { queryEvents, getEventRecords } = require('./storage');
+const { keccakHash, trustEventArgs } = require('./blockchain');
+const { getEventProof } = require('./anchoring');
+const { verifyProof } = require('./merkle');
+
+const CONTRACT = require('../abi.json'); // ABI (array or { abi: [...] } accepted)
+const AUDIT_MAX_EVENTS = Number(process.env.AUDIT_MAX_EVENTS || 500);
+
+const iface = new ethers.Interface(Array.isArray(CONTRACT) ? CONTRACT : CONTRACT.abi);
+
+// ---- Helpers ----
+function latest(records, predicate) {
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (predicate(records[i])) return records[i];
+  }
+  return null;
+}
+
+function txHashOf(result) {
+  return result ? (result.txHash || result.transactionHash || null) : null;
+}
+
+// receipts are cached per call (bulk audits hit the same batch tx many times); a failed read is not cached,
+// so the next event sharing the tx asks again
+async function fetchReceipt(provider, txHash, receipts) {
+  if (!receipts.has(txHash)) {
+    const pending = provider.getTransactionReceipt(txHash);
+    receipts.set(txHash, pending);
+    pending.catch(() => {
+      if (receipts.get(txHash) === pending) receipts.delete(txHash);
+    });
+  }
+  return receipts.get(txHash);
+}
+
+// decoded logs of one event type emitted by the contract in a receipt
+function decodeLogs(receipt, contractAddress, eventName) {
+  const out = [];
+  for (const log of receipt.logs || []) {
+    if (String(log.address).toLowerCase() !== String(contractAddress).toLowerCase()) continue;
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed && parsed.name === eventName) out.push({ log, args: parsed.args });
+    } catch (e) {
+      // not one of ours
+    }
+  }
+  return out;
+}
+
+function diffFields(expected, actual) {
+  return Object.keys(expected)
+    .filter(field => String(expected[field]) !== String(actual[field]))
+    .map(field => ({ field, expected: expected[field], onChain: actual[field] }));
+}
+
+// ---- TrustEvent check (flagged events) ----
+async function checkTrustEvent(provider, contractAddress, item, txHash, payloadHash, receipts) {
+  const receipt = await fetchReceipt(provider, txHash, receipts);
+  if (!receipt) return { status: 'mismatch', txHash, error: 'transaction not found on chain', diff: [] };
+
+  const args = trustEventArgs({ ...item, dataHash: payloadHash });
+  const expected = {
+    groupId: ethers.keccak256(ethers.toUtf8Bytes(args.groupId)), // indexed string: only its hash is logged
+    oldTS: args.oldTS,
+    newTS: args.newTS,
+    reason: args.reason,
+    dataHash: args.dataHash.toLowerCase(),
+    ts: args.ts
+  };
+  const logs = decodeLogs(receipt, contractAddress, 'TrustEvent');
+  if (logs.length === 0) return { status: 'mismatch', txHash, blockNumber: receipt.blockNumber, error: 'no TrustEvent log in transaction', diff: [] };
+
+  // a tx carries one TrustEvent; prefer the log whose dataHash matches if there are several
+  const { log, args: a } = logs.find(l => String(l.args.dataHash).toLowerCase() === expected.dataHash) || logs[0];
+  const onChain = {
+    groupId: log.topics[1],
+    oldTS: Number(a.oldTS),
+    newTS: Number(a.newTS),
+    reason: a.reason,
+    dataHash: String(a.dataHash).toLowerCase(),
+    ts: Number(a.ts)
+  };
+  const diff = diffFields(expected, onChain);
+  return { status: diff.length ? 'mismatch' : 'verified', txHash, blockNumber: receipt.blockNumber, diff };
+}
+
+// ---- Batch check (every reading) ----
+async function checkBatch(provider, contractAddress, proof, payloadHash, receipts) {
+  const diff = [];
+  if (String(proof.leaf).toLowerCase() !== String(payloadHash).toLowerCase()) {
+    diff.push({ field: 'leaf', expected: payloadHash, batch: proof.leaf });
+  }
+  if (!verifyProof(payloadHash, proof.proof, proof.merkleRoot)) {
+    diff.push({ field: 'proof', expected: proof.merkleRoot, error: 'proof does not lead to the batch root' });
+  }
+  const base = { batchId: proof.batch.batchId, merkleRoot: proof.merkleRoot, txHash: proof.anchor && proof.anchor.txHash };
+  if (!proof.anchored) return { ...base, status: 'unanchored', diff };
+
+  const receipt = await fetchReceipt(provider, base.txHash, receipts);
+  if (!receipt) return { ...base, status: 'mismatch', error: 'transaction not found on chain', diff };
+  const logs = decodeLogs(receipt, contractAddress, 'TrustBatch');
+  if (logs.length === 0) return { ...base, status: 'mismatch', blockNumber: receipt.blockNumber, error: 'no TrustBatch log in transaction', diff };
+
+  const { log, args: a } = logs[0];
+  diff.push(...diffFields(
+    { merkleRoot: proof.merkleRoot.toLowerCase(), batchId: proof.batch.batchId, count: proof.batch.count, fromTs: proof.batch.fromTs, toTs: proof.batch.toTs },
+    { merkleRoot: String(log.topics[1]).toLowerCase(), batchId: a.batchId, count: Number(a.count), fromTs: Number(a.fromTs), toTs: Number(a.toTs) }
+  ));
+  return { ...base, status: diff.length ? 'mismatch' : 'verified', blockNumber: receipt.blockNumber, diff };
+}
+
+// ---- Public API ----
+async function verifyEvent(provider, contractAddress, deviceId, eventId, { receipts = new Map() } = {}) {
+  const records = getEventRecords(eventId).filter(r => String(r.deviceId) === String(deviceId));
+  const received = latest(records, r => r.stage === 'received');
+  if (!received) return { eventId: String(eventId), deviceId: String(deviceId), status: 'not_found' };
+
+  const recomputed = keccakHash(received.payload);
+  const payloadHash = {
+    stored: received.dataHash,
+    recomputed,
+    ok: String(received.dataHash).toLowerCase() === recomputed.toLowerCase()
+  };
+
+  const onChainAvailable = !!(provider && contractAddress);
+  const posted = latest(records, r => r.stage === 'post-chain' && r.blockchain && r.blockchain.success && txHashOf(r.blockchain));
+  const proof = getEventProof(received.deviceId, eventId);
+
+  let trustEvent = null;
+  if (posted && onChainAvailable) {
+    trustEvent = await checkTrustEvent(provider, contractAddress, posted, txHashOf(posted.blockchain), recomputed, receipts);
+  } else if (posted) {
+    trustEvent = { status: 'unchecked', txHash: txHashOf(posted.blockchain), error: 'on-chain access not configured' };
+  }
+
+  let batch = null;
+  if (proof && proof.status !== 'pending' && (onChainAvailable || !proof.anchored)) {
+    batch = await checkBatch(provider, contractAddress, proof, recomputed, receipts);
+  } else if (proof) {
+    batch = { batchId: proof.batchId || (proof.batch && proof.batch.batchId), status: proof.status === 'pending' ? 'unanchored' : 'unchecked' };
+  }
+
+  const checks = [trustEvent, batch].filter(c => c && c.status !== 'unanchored' && c.status !== 'unchecked');
+  let status = 'unanchored';
+  if (!payloadHash.ok || checks.some(c => c.status === 'mismatch')) status = 'mismatch';
+  else if (checks.some(c => c.status === 'verified')) status = 'verified';
+  else if ([trustEvent, batch].some(c => c && c.status === 'unchecked')) status = 'unchecked';
+
+  return {
+    eventId: String(eventId),
+    deviceId: received.deviceId,
+    groupId: received.groupId,
+    receivedAt: received.receivedAt,
+    status,
+    payloadHash,
+    trustEvent,
+    batch,
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+async function auditGroup(provider, contractAddress, { groupId, from, to, limit } = {}) {
+  const max = Math.min(Number(limit) || AUDIT_MAX_EVENTS, AUDIT_MAX_EVENTS);
+  const readings = [];
+  const seen = new Set();
+  for (const r of queryEvents({ groupId, stage: 'received', from, to, order: 'asc' })) {
+    const key = `${r.deviceId}|${r.eventId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    readings.push({ deviceId: r.deviceId, eventId: r.eventId });
+    if (readings.length > max) break; // one extra tells us the range was truncated
+  }
+  const truncated = readings.length > max;
+  readings.length = Math.min(readings.length, max);
+
+  const receipts = new Map();
+  const results = [];
+  for (const { deviceId, eventId } of readings) {
+    try {
+      results.push(await verifyEvent(provider, contractAddress, deviceId, eventId, { receipts }));
+    } catch (err) {
+      results.push({ eventId: String(eventId), deviceId, status: 'error', error: err && err.message ? err.message : String(err) });
+    }
+  }
+
+  const summary = { groupId, from: from || null, to: to || null, total: results.length, truncated };
+  for (const status of ['verified', 'mismatch', 'unanchored', 'unchecked', 'error']) {
+    summary[status] = results.filter(r => r.status === status).length;
+  }
+  return { summary, results };
+}
+
+module.exports = { verifyEvent, auditGroup };
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { expect } = require('chai');
+const { SMTPServer } = require('smtp-server');
+
+const alerts = require('../src/alerts');
+
+function critical(deviceId, type = 'confirm_unreliable') {
+  return { type, severity: 'critical', deviceId, groupId: 'g1', eventId: `${deviceId}-e1`, message: `${deviceId} is unreliable` };
+}
+
+// local webhook + SMTP sinks; alerts.json points its channels at them
+describe('alerts (routing, dedupe, cooldown, escalation)', () => {
+  let dir, httpServer, smtpServer, hooks, mails, hookStatus, configFile;
+
+  function writeConfig(cfg) {
+    fs.writeFileSync(configFile, JSON.stringify(cfg, null, 2));
+  }
+
+  function baseConfig(webhookUrl, smtpPort) {
+    return {
+      dedupeWindowSec: 300,
+      cooldownSec: 600,
+      delivery: { attempts: 2, backoffMs: 0, timeoutMs: 2000 },
+      smtp: { host: '127.0.0.1', port: smtpPort, from: 'gateway@test.local' },
+      channels: {
+        hook: { type: 'webhook', url: webhookUrl, headers: { 'x-token': 'sink-secret' } },
+        oncall: { type: 'email', to: 'oncall@test.local' },
+        boss: { type: 'email', to: 'boss@test.local' },
+        unset: { type: 'webhook', url: '${ALERTS_TEST_UNSET_URL}' }
+      },
+      rules: [
+        {
+          id: 'critical',
+          match: { minSeverity: 'critical' },
+          channels: ['hook', 'oncall', 'unset'],
+          escalation: [{ afterSec: 60, channels: ['boss'] }]
+        },
+        { id: 'g2-warnings', match: { minSeverity: 'warning', groups: ['g2'] }, channels: ['hook'] }
+      ]
+    };
+  }
+
+  before((done) => {
+    httpServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        hooks.push({ headers: req.headers, body: JSON.parse(body) });
+        res.statusCode = hookStatus;
+        res.end('{}');
+      });
+    });
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, cb) {
+        let raw = '';
+        stream.on('data', (c) => { raw += c; });
+        stream.on('end', () => {
+          mails.push({ to: session.envelope.rcptTo.map(r => r.address), raw });
+          cb();
+        });
+      }
+    });
+    httpServer.listen(0, '127.0.0.1', () => smtpServer.listen(0, '127.0.0.1', done));
+  });
+
+  after((done) => {
+    alerts.stopAlerts();
+    httpServer.close(() => smtpServer.close(done));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-alerts-'));
+    configFile = path.join(dir, 'alerts.json');
+    hooks = [];
+    mails = [];
+    hookStatus = 200;
+    writeConfig(baseConfig(`http://127.0.0.1:${httpServer.address().port}/hook`, smtpServer.server.address().port));
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts-state.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false
+    });
+  });
+
+  afterEach(() => {
+    alerts.stopAlerts();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('derives alerts from pipeline records', () => {
+    const base = { deviceId: 'd1', groupId: 'g1', eventId: 'e1', trustA: 40, trustB: 90 };
+    expect(alerts.alertsForRecord({ ...base, stage: 'received', crossValidation: { divergent: true, gatewayTrustA: 10, gatewayTrustB: 90 } })[0])
+      .to.include({ type: 'trust_divergence', severity: 'warning', deviceId: 'd1' });
+    expect(alerts.alertsForRecord({ ...base, stage: 'system-validation', systemDecision: { action: 'confirm_unreliable', reason: 'recurring_drops' } })[0])
+      .to.include({ type: 'confirm_unreliable', severity: 'critical' });
+    expect(alerts.alertsForRecord({ ...base, stage: 'pre-chain', flagged: true })[0]).to.include({ type: 'flagged', severity: 'warning' });
+    expect(alerts.alertsForRecord({ ...base, stage: 'post-chain-failed', error: 'nonce too low', attempts: 4 })[0])
+      .to.include({ type: 'chain_write_failed', severity: 'critical' });
+    expect(alerts.alertsForRecord({ ...base, stage: 'pre-chain', flagged: false })).to.deep.equal([]);
+    expect(alerts.alertsForRecord({ ...base, stage: 'system-validation', systemDecision: { action: 'no_action' } })).to.deep.equal([]);
+  });
+
+  it('routes a critical alert to the webhook and email channels and logs each delivery', async () => {
+    const { alert, deduped, delivered } = alerts.raiseAlert(critical('d1'));
+    expect(deduped).to.equal(false);
+    expect(alert.rules).to.deep.equal(['critical']);
+    const results = await delivered;
+
+    expect(results.map(r => r.status)).to.deep.equal(['sent', 'sent']); // 'unset' resolves to no url and is disabled
+    expect(hooks).to.have.length(1);
+    expect(hooks[0].headers['x-token']).to.equal('sink-secret');
+    expect(hooks[0].body).to.include({ kind: 'alert', level: 0 });
+    expect(hooks[0].body.alert).to.include({ id: alert.id, type: 'confirm_unreliable', deviceId: 'd1' });
+    expect(mails).to.have.length(1);
+    expect(mails[0].to).to.deep.equal(['oncall@test.local']);
+    expect(mails[0].raw).to.match(/Subject: \[CRITICAL\] confirm_unreliable on d1/);
+
+    const log = alerts.listDeliveries({ alertId: alert.id });
+    expect(log.map(d => d.channel).sort()).to.deep.equal(['hook', 'oncall']);
+    expect(log.every(d => d.status === 'sent' && d.attempt === 1 && d.ruleId === 'critical')).to.equal(true);
+  });
+
+  it('only routes to rules whose group / severity match', async () => {
+    const { alert, delivered } = alerts.raiseAlert({ type: 'flagged', severity: 'warning', deviceId: 'd1', groupId: 'g1' });
+    expect(alert.rules).to.deep.equal([]);
+    expect(await delivered).to.deep.equal([]);
+
+    const second = alerts.raiseAlert({ type: 'flagged', severity: 'warning', deviceId: 'd2', groupId: 'g2' });
+    expect(second.alert.rules).to.deep.equal(['g2-warnings']);
+    await second.delivered;
+    expect(hooks).to.have.length(1);
+    expect(mails).to.have.length(0);
+  });
+
+  it('deduplicates repeats of an open alert within the window', async () => {
+    const now = Date.now();
+    const first = alerts.raiseAlert(critical('d1'), now);
+    await first.delivered;
+    const again = alerts.raiseAlert({ ...critical('d1'), eventId: 'd1-e2' }, now + 1000);
+    expect(again.deduped).to.equal(true);
+    expect(again.alert.id).to.equal(first.alert.id);
+    expect(again.alert.occurrences).to.equal(2);
+    expect(again.alert.lastEventId).to.equal('d1-e2');
+    expect(await again.delivered).to.deep.equal([]);
+    expect(hooks).to.have.length(1);
+
+    // the window runs from the last repeat and includes its end
+    const edge = alerts.raiseAlert(critical('d1'), now + 1000 + 300 * 1000);
+    expect(edge.deduped).to.equal(true);
+    expect(edge.alert.occurrences).to.equal(3);
+
+    // repeats are saved in batches, not once per reading
+    const stateFile = path.join(dir, 'alerts-state.json');
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))[first.alert.id].occurrences).to.equal(1);
+    alerts.stopAlerts();
+    expect(JSON.parse(fs.readFileSync(stateFile, 'utf8'))[first.alert.id].occurrences).to.equal(3);
+
+    // one millisecond past the window a new alert is raised
+    const later = alerts.raiseAlert(critical('d1'), now + 1000 + 600 * 1000 + 1);
+    expect(later.deduped).to.equal(false);
+    expect(later.alert.id).to.not.equal(first.alert.id);
+    await later.delivered;
+  });
+
+  it('suppresses deliveries during the per-device cooldown and logs them', async () => {
+    const now = Date.now();
+    await alerts.raiseAlert(critical('d1'), now).delivered;
+    const cooled = alerts.raiseAlert(critical('d1', 'chain_write_failed'), now + 5000);
+    await cooled.delivered;
+    expect(hooks).to.have.length(1);
+    const suppressed = alerts.listDeliveries({ alertId: cooled.alert.id, status: 'suppressed' });
+    expect(suppressed.map(d => d.channel).sort()).to.deep.equal(['hook', 'oncall']);
+    expect(suppressed[0].reason).to.equal('cooldown');
+
+    // other devices are not affected, and the device is delivered again after cooldownSec
+    await alerts.raiseAlert(critical('d2'), now + 5000).delivered;
+    await alerts.raiseAlert(critical('d1', 'chain_write_failed'), now + 601 * 1000).delivered;
+    expect(hooks.map(h => h.body.alert.deviceId)).to.deep.equal(['d1', 'd2', 'd1']);
+  });
+
+  it('retries a failing channel and logs every attempt', async () => {
+    hookStatus = 500;
+    const { alert, delivered } = alerts.raiseAlert(critical('d1'));
+    const results = await delivered;
+    expect(results.find(r => r.channel === 'hook')).to.include({ status: 'failed', attempt: 2 });
+    expect(hooks).to.have.length(2);
+    const failed = alerts.listDeliveries({ alertId: alert.id, channel: 'hook' });
+    expect(failed.map(d => [d.attempt, d.status])).to.deep.equal([[2, 'failed'], [1, 'failed']]);
+    expect(failed[0].error).to.match(/500/);
+  });
+
+  it('reads the newest deliveries from the end of a log spanning several chunks', () => {
+    const lines = [];
+    for (let i = 0; i < 3000; i++) {
+      lines.push(JSON.stringify({ id: `d${i}`, alertId: i % 2 ? 'odd' : 'even', channel: 'hook', status: 'sent', note: 'é→✓'.repeat(10) }));
+    }
+    fs.writeFileSync(path.join(dir, 'deliveries.ndjson'), lines.join('\n') + '\n{"torn');
+    expect(alerts.listDeliveries({ limit: 3 }).map(d => d.id)).to.deep.equal(['d2999', 'd2998', 'd2997']);
+    const odd = alerts.listDeliveries({ alertId: 'odd', limit: 5000 });
+    expect(odd).to.have.length(1000);
+    expect(odd[999].id).to.equal('d1001');
+    expect(odd.every(d => d.note === 'é→✓'.repeat(10))).to.equal(true);
+  });
+
+  it('escalates unacknowledged alerts once per level and not after acknowledgement', async () => {
+    const events = [];
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts-state.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false,
+      onEvent: (type, a) => events.push([type, a.deviceId])
+    });
+    const now = Date.now();
+    const open = alerts.raiseAlert(critical('d1'), now);
+    const acked = alerts.raiseAlert(critical('d2'), now);
+    await Promise.all([open.delivered, acked.delivered]);
+    alerts.acknowledgeAlert(acked.alert.id, { actor: 'admin', note: 'on it' });
+    expect(() => alerts.acknowledgeAlert(acked.alert.id, { actor: 'admin' })).to.throw(/already acknowledged/);
+    mails.length = 0;
+
+    expect(await alerts.checkEscalations(now + 30 * 1000)).to.deep.equal([]);
+    const escalated = await alerts.checkEscalations(now + 61 * 1000);
+    expect(escalated.map(d => [d.channel, d.kind, d.level, d.status])).to.deep.equal([['boss', 'escalation', 1, 'sent']]);
+    expect(mails).to.have.length(1);
+    expect(mails[0].to).to.deep.equal(['boss@test.local']);
+    expect(mails[0].raw).to.match(/Subject: \[ESCALATED\] \[CRITICAL\]/);
+    expect(alerts.getAlert(open.alert.id).escalations).to.have.length(1);
+    expect(await alerts.checkEscalations(now + 120 * 1000)).to.deep.equal([]);
+    expect(events).to.deep.equal([['raised', 'd1'], ['raised', 'd2'], ['acknowledged', 'd2'], ['escalated', 'd1']]);
+  });
+
+  it('stops escalating after maxEscalations and expires open alerts that are not seen again', async () => {
+    const cfg = baseConfig(`http://127.0.0.1:${httpServer.address().port}/hook`, smtpServer.server.address().port);
+    cfg.maxEscalations = 2;
+    cfg.expireAfterSec = 600;
+    cfg.rules[0].escalation = [60, 120, 180].map(afterSec => ({ afterSec, channels: ['boss'] }));
+    writeConfig(cfg);
+    const events = [];
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts-state.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false,
+      onEvent: (type, a) => events.push([type, a.deviceId])
+    });
+    const now = Date.now();
+    const idle = alerts.raiseAlert(critical('d1'), now);
+    const busy = alerts.raiseAlert(critical('d2'), now);
+    await Promise.all([idle.delivered, busy.delivered]);
+
+    const escalated = await alerts.checkEscalations(now + 200 * 1000);
+    expect(escalated.map(d => d.level)).to.deep.equal([1, 2, 1, 2]);
+    expect(alerts.getAlert(idle.alert.id).escalations.map(e => e.level)).to.deep.equal([1, 2]);
+    expect(await alerts.checkEscalations(now + 300 * 1000)).to.deep.equal([]);
+
+    // d2 keeps reporting; d1 went quiet and its alert closes at expireAfterSec
+    alerts.raiseAlert(critical('d2'), now + 300 * 1000);
+    expect(await alerts.checkEscalations(now + 600 * 1000)).to.deep.equal([]);
+    expect(alerts.getAlert(idle.alert.id)).to.include({ status: 'expired', expiredAt: new Date(now + 600 * 1000).toISOString() });
+    expect(alerts.getAlert(busy.alert.id).status).to.equal('open');
+    expect(events.filter(([type]) => type === 'expired')).to.deep.equal([['expired', 'd1']]);
+    expect(() => alerts.acknowledgeAlert(idle.alert.id, { actor: 'admin' })).to.throw(/already expired/);
+
+    // a new report opens a fresh alert; the expired one stays expired across a restart
+    const again = alerts.raiseAlert(critical('d1'), now + 601 * 1000);
+    expect(again.deduped).to.equal(false);
+    await again.delivered;
+    alerts.stopAlerts();
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts-state.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false
+    });
+    expect(alerts.listAlerts({ status: 'expired' }).map(x => x.id)).to.deep.equal([idle.alert.id]);
+  });
+
+  it('persists alerts and rejects an invalid config while keeping the current one', async () => {
+    const { alert, delivered } = alerts.raiseAlert(critical('d1'));
+    await delivered;
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts-state.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false
+    });
+    expect(alerts.getAlert(alert.id)).to.include({ type: 'confirm_unreliable', status: 'open' });
+    expect(alerts.listAlerts({ status: 'open' })).to.have.length(1);
+
+    const cfg = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    cfg.rules.push({ id: 'broken', channels: ['nowhere'] });
+    writeConfig(cfg);
+    expect(() => alerts.loadAlertConfig(configFile)).to.throw(/unknown channel nowhere/);
+    expect(alerts.getAlertConfig().rules.map(r => r.id)).to.deep.equal(['critical', 'g2-warnings']);
+    expect(alerts.getAlertConfig().channels.hook.url).to.equal(`http://127.0.0.1:${httpServer.address().port}/…`);
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const anchoring = require('../src/anchoring');
+const { verifyProof } = require('../src/merkle');
+
+describe('anchoring (Merkle batches, journal, proofs)', () => {
+  let dir;
+  let sealed;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-anchor-'));
+    sealed = [];
+  });
+
+  afterEach(() => {
+    anchoring.stopAnchoring();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const init = (opts = {}) => anchoring.initAnchoring({
+    journalFile: path.join(dir, 'batches.ndjson'),
+    windowMs: 3600000,
+    maxLeaves: 3,
+    onSeal: (batch) => sealed.push(batch),
+    ...opts
+  });
+  const hash = (text) => ethers.id(text);
+  const add = (deviceId, eventId) => anchoring.addToBatch({
+    eventId,
+    deviceId,
+    groupId: 'g1',
+    dataHash: hash(`${deviceId}/${eventId}`),
+    receivedAt: '2024-01-01T00:00:00.000Z'
+  });
+
+  it('seals a full batch and proves each reading by device and eventId, also when two devices reuse an eventId', () => {
+    init();
+    const batchId = add('d1', 'e1');
+    add('d2', 'e1');
+    expect(anchoring.getEventProof('d1', 'e1')).to.include({ status: 'pending', anchored: false, batchId, deviceId: 'd1' });
+    expect(sealed).to.have.length(0);
+
+    add('d1', 'e2');
+    expect(sealed).to.have.length(1);
+    expect(sealed[0]).to.include({ batchId, count: 3, fromTs: 1704067200, toTs: 1704067200 });
+
+    const p1 = anchoring.getEventProof('d1', 'e1');
+    const p2 = anchoring.getEventProof('d2', 'e1');
+    expect(p1).to.include({ deviceId: 'd1', leaf: hash('d1/e1'), leafIndex: 0, status: 'sealed', merkleRoot: sealed[0].merkleRoot });
+    expect(p2).to.include({ deviceId: 'd2', leaf: hash('d2/e1'), leafIndex: 1 });
+    expect(verifyProof(p1.leaf, p1.proof, p1.merkleRoot)).to.equal(true);
+    expect(verifyProof(p2.leaf, p2.proof, p2.merkleRoot)).to.equal(true);
+    expect(verifyProof(p2.leaf, p1.proof, p1.merkleRoot)).to.equal(false);
+    expect(anchoring.getEventProof('d3', 'e1')).to.equal(null);
+
+    // the next reading opens a new batch
+    const next = add('d1', 'e3');
+    expect(next).to.not.equal(batchId);
+    expect(anchoring.getEventProof('d1', 'e3')).to.include({ status: 'pending', batchId: next });
+  });
+
+  it('replays sealed, anchored and open batches from its journal', () => {
+    init();
+    const batchId = add('d1', 'e1');
+    add('d1', 'e2');
+    add('d1', 'e3');
+    anchoring.markAnchored(batchId, { txHash: '0xabc', receipt: { blockNumber: 7 } });
+    const open = add('d2', 'e1');
+    const before = anchoring.getEventProof('d1', 'e2');
+
+    anchoring.stopAnchoring();
+    init();
+    const after = anchoring.getEventProof('d1', 'e2');
+    expect(after).to.include({ status: 'anchored', anchored: true, merkleRoot: before.merkleRoot, leafIndex: 1 });
+    expect(after.proof).to.deep.equal(before.proof);
+    expect(after.anchor).to.include({ txHash: '0xabc', blockNumber: 7 });
+    expect(anchoring.getBatch(batchId)).to.include({ count: 3 }).and.not.have.property('layers');
+    // the open batch carries on with its earlier leaves
+    expect(anchoring.getEventProof('d2', 'e1')).to.include({ status: 'pending', batchId: open });
+    expect(add('d2', 'e2')).to.equal(open);
+    add('d2', 'e3');
+    expect(sealed.map(b => [b.batchId, b.count])).to.deep.equal([[batchId, 3], [open, 3]]);
+  });
+
+  it('seals an open batch once its window has elapsed', async () => {
+    init({ windowMs: 50 });
+    const batchId = add('d1', 'e1');
+    await new Promise(r => setTimeout(r, 150));
+    expect(sealed.map(b => [b.batchId, b.count])).to.deep.equal([[batchId, 1]]);
+    const proof = anchoring.getEventProof('d1', 'e1');
+    // a single-leaf batch: the leaf is the root
+    expect(proof).to.include({ status: 'sealed', merkleRoot: hash('d1/e1') });
+    expect(proof.proof).to.deep.equal([]);
+  });
+});
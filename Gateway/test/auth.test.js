@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const auth = require('../src/auth');
+
+describe('auth (device signatures)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-auth-'));
+    auth.loadDevices(path.join(dir, 'devices.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function signed(deviceId, secret, body, overrides = {}) {
+    const timestamp = overrides.timestamp ?? Math.floor(Date.now() / 1000);
+    const nonce = overrides.nonce ?? `n-${Math.random()}`;
+    return {
+      deviceId,
+      timestamp,
+      nonce,
+      rawBody: body,
+      signature: auth.signPayload(secret, timestamp, nonce, body)
+    };
+  }
+
+  it('accepts a correctly signed body and rejects a replayed nonce', () => {
+    const { secret } = auth.registerDevice({ deviceId: 'esp32-01', groupId: 'group-1' });
+    const req = signed('esp32-01', secret, '{"deviceId":"esp32-01"}');
+    expect(auth.verifySignature(req)).to.include({ ok: true, deviceId: 'esp32-01', groupId: 'group-1' });
+    expect(auth.verifySignature(req)).to.include({ ok: false, error: 'replayed nonce' });
+  });
+
+  it('rejects tampered bodies and stale timestamps', () => {
+    const { secret } = auth.registerDevice({ deviceId: 'esp32-01' });
+    const req = signed('esp32-01', secret, '{"trustA":40}');
+    expect(auth.verifySignature({ ...req, rawBody: '{"trustA":100}' })).to.include({ ok: false, error: 'invalid signature' });
+    const stale = signed('esp32-01', secret, '{}', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    expect(auth.verifySignature(stale)).to.include({ ok: false, status: 401 });
+  });
+
+  it('keeps the old key during the rotation grace period and blocks revoked devices', () => {
+    const { secret: oldSecret } = auth.registerDevice({ deviceId: 'esp32-01' });
+    const { secret: newSecret } = auth.rotateDeviceKey('esp32-01', { graceSec: 60 });
+    expect(auth.verifySignature(signed('esp32-01', oldSecret, '{}')).ok).to.equal(true);
+    expect(auth.verifySignature(signed('esp32-01', newSecret, '{}')).ok).to.equal(true);
+
+    auth.rotateDeviceKey('esp32-01', { graceSec: 0 });
+    expect(auth.verifySignature(signed('esp32-01', oldSecret, '{}')).ok).to.equal(false);
+
+    auth.revokeDevice('esp32-01', 'lost');
+    expect(auth.verifySignature(signed('esp32-01', newSecret, '{}'))).to.include({ ok: false, status: 403 });
+    expect(JSON.stringify(auth.listDevices())).to.not.include(newSecret);
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const { createLedger, startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('../src/simulatedChain');
+const blockchain = require('../src/blockchain');
+const indexer = require('../src/indexer');
+const { readIndexedTrustEvents } = require('../src/systemValidation');
+
+const CONTRACT = require('../abi.json');
+const iface = new ethers.Interface(CONTRACT);
+const dev = new ethers.Wallet(DEV_PRIVATE_KEY);
+
+// signed tx bytes, built without a provider
+function signed(nonce, fields = {}) {
+  return dev.signTransaction({ chainId: 31337, nonce, type: 2, maxFeePerGas: 2000000000n, maxPriorityFeePerGas: 1000000000n, gasLimit: 200000n, ...fields });
+}
+
+const logCall = (groupId, newTS) => iface.encodeFunctionData('logTrustEvent', [groupId, 100, newTS, 'LOW_TRUST', ethers.ZeroHash, 1700000000]);
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+describe('chain backends (simulated ledger, CHAIN_MODE)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-chain-'));
+  });
+
+  afterEach(async () => {
+    indexer.stopIndexer();
+    await blockchain.stopChain();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // the group's history as systemValidate sees it, indexed up to the current block
+  const history = async (contractAddress, groupId) => {
+    indexer.initIndexer({
+      provider: blockchain.provider,
+      contractAddress,
+      journalFile: path.join(dir, 'index.ndjson'),
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      pollMs: 3600000
+    });
+    await indexer.syncIndexer();
+    return readIndexedTrustEvents(contractAddress, groupId);
+  };
+
+  it('mines TrustLogger calls into deterministic blocks and replays its journal', async () => {
+    const run = async (file) => {
+      const ledger = createLedger({ file });
+      const hashes = [];
+      hashes.push(await ledger.rpc('eth_sendRawTransaction', [await signed(0, { data: SIM_INIT_CODE })]));
+      const address = ethers.getCreateAddress({ from: dev.address, nonce: 0 });
+      hashes.push(await ledger.rpc('eth_sendRawTransaction', [await signed(1, { to: address, data: logCall('g1', 40) })]));
+      hashes.push(await ledger.rpc('eth_sendRawTransaction', [await signed(2, { to: address, data: '0xdeadbeef' })]));
+      return { ledger, hashes, address };
+    };
+    const a = await run(path.join(dir, 'a.ndjson'));
+    const b = await run(path.join(dir, 'b.ndjson'));
+    expect(b.hashes).to.deep.equal(a.hashes);
+    expect(a.address).to.equal('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+
+    const receipt = await a.ledger.rpc('eth_getTransactionReceipt', [a.hashes[1]]);
+    expect(receipt).to.include({ blockNumber: '0x2', status: '0x1', transactionHash: a.hashes[1] });
+    const parsed = iface.parseLog(receipt.logs[0]);
+    expect(parsed.name).to.equal('TrustEvent');
+    expect(Number(parsed.args.newTS)).to.equal(40);
+    // unknown selectors revert but still use the nonce
+    expect((await a.ledger.rpc('eth_getTransactionReceipt', [a.hashes[2]])).status).to.equal('0x0');
+    expect(await a.ledger.rpc('eth_getTransactionCount', [dev.address, 'latest'])).to.equal('0x3');
+
+    const replayed = createLedger({ file: path.join(dir, 'a.ndjson') });
+    expect(replayed.blockNumber()).to.equal(3);
+    expect(await replayed.rpc('eth_getBlockByNumber', ['0x2', false])).to.deep.equal(await a.ledger.rpc('eth_getBlockByNumber', ['0x2', false]));
+    const logs = await replayed.rpc('eth_getLogs', [{ address: a.address, fromBlock: '0x0', topics: [null, ethers.id('g1')] }]);
+    expect(logs.map(l => l.transactionHash)).to.deep.equal([a.hashes[1]]);
+    expect(() => createLedger({ file: path.join(dir, 'a.ndjson'), chainId: 1 })).to.throw(/holds chain 31337/);
+  });
+
+  it('enforces nonces and fee bumps, keeping transactions pending until a block is mined', async () => {
+    const ledger = createLedger({ file: path.join(dir, 'chain.ndjson'), blockTimeMs: 60000 });
+    const first = await ledger.rpc('eth_sendRawTransaction', [await signed(0, { data: SIM_INIT_CODE })]);
+    expect(await ledger.rpc('eth_getTransactionReceipt', [first])).to.equal(null);
+    expect(await ledger.rpc('eth_getTransactionCount', [dev.address, 'pending'])).to.equal('0x1');
+
+    const send = async (nonce, fields) => {
+      try {
+        return await ledger.rpc('eth_sendRawTransaction', [await signed(nonce, fields)]);
+      } catch (err) {
+        return err.message;
+      }
+    };
+    expect(await send(2, { data: '0x' })).to.match(/nonce too high/);
+    expect(await send(0, { data: SIM_INIT_CODE, maxFeePerGas: 2100000000n })).to.equal('replacement transaction underpriced');
+    const bumped = await send(0, { data: SIM_INIT_CODE, maxFeePerGas: 3000000000n, maxPriorityFeePerGas: 1500000000n });
+    expect(bumped).to.match(/^0x[0-9a-f]{64}$/);
+
+    await ledger.rpc('evm_mine');
+    expect(await ledger.rpc('eth_getTransactionByHash', [first])).to.equal(null);
+    expect((await ledger.rpc('eth_getTransactionReceipt', [bumped])).effectiveGasPrice).to.equal(ethers.toQuantity(2500000000n));
+    expect(await send(0, { data: '0x' })).to.match(/nonce too low/);
+    ledger.close();
+  });
+
+  it('runs processAndLog / anchorBatch against the simulated backend and serves getLogs', async () => {
+    const chain = await blockchain.initChain({ mode: 'simulated', simulated: { file: path.join(dir, 'chain.ndjson') }, txs: { journalFile: path.join(dir, 'txs.ndjson') } });
+    expect(chain).to.include({ mode: 'simulated', chainId: 31337, contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3', signer: dev.address, onChain: true });
+
+    const evt = { groupId: 'g1', oldTS: 90, newTS: 30, reason: 'LOW_TRUST', ts: 1700000000, dataHash: ethers.id('payload') };
+    const logged = await blockchain.processAndLog(evt);
+    expect(logged).to.include({ success: true, hash: ethers.id('payload') });
+    expect(logged.receipt.blockNumber).to.equal(2);
+    const batch = await blockchain.anchorBatch({ batchId: 'b1', merkleRoot: ethers.id('root'), count: 3, fromTs: 1, toTs: 2 });
+    expect(batch.success).to.equal(true);
+
+    const events = await history(chain.contractAddress, 'g1');
+    expect(events).to.have.length(1);
+    expect(events[0]).to.include({ txHash: logged.txHash, newTS: 30 });
+
+    // a restart reuses the deployed contract and the mined history
+    await blockchain.stopChain();
+    expect(blockchain.getChain()).to.include({ mode: null, onChain: false });
+    const again = await blockchain.initChain({ mode: 'simulated', simulated: { file: path.join(dir, 'chain.ndjson') }, txs: { journalFile: path.join(dir, 'txs.ndjson') } });
+    expect(again.contractAddress).to.equal(chain.contractAddress);
+    expect((await blockchain.provider.getTransactionReceipt(logged.txHash)).status).to.equal(1);
+  });
+
+  it('enforces TrustLogger roles and drops TrustEvents from emitters that are not authorized gateways', async () => {
+    const chain = await blockchain.initChain({ mode: 'simulated', simulated: { file: path.join(dir, 'chain.ndjson') }, txs: { journalFile: path.join(dir, 'txs.ndjson') } });
+    expect(await blockchain.getRoles()).to.include({ owner: dev.address, signer: dev.address, signerIsOwner: true, signerIsGateway: true });
+
+    const provider = new ethers.JsonRpcProvider(chain.rpcUrl, undefined, { cacheTimeout: -1 });
+    const outsider = new ethers.Wallet(ethers.id('outsider'), provider);
+    const asOutsider = new ethers.Contract(chain.contractAddress, CONTRACT, outsider);
+    const reason = (promise) => promise.then(() => 'sent', err => err.reason);
+    expect(await reason(asOutsider.logTrustEvent('g1', 100, 5, 'FAKE', ethers.ZeroHash, 1700000000))).to.equal('TrustLogger: caller is not an authorized gateway');
+    expect(await reason(asOutsider.authorizeGateway(outsider.address))).to.equal('TrustLogger: caller is not the owner');
+
+    await blockchain.authorizeGateway(outsider.address);
+    expect(await blockchain.isGatewayAuthorized(outsider.address)).to.equal(true);
+    await (await asOutsider.logTrustEvent('g1', 100, 5, 'LOW_TRUST', ethers.ZeroHash, 1700000001)).wait();
+    await blockchain.processAndLog({ groupId: 'g1', oldTS: 100, newTS: 50, ts: 1700000002 });
+    expect((await history(chain.contractAddress, 'g1')).map(e => e.newTS)).to.deep.equal([5, 50]);
+
+    // a revoked gateway's events stop counting as history
+    await blockchain.revokeGateway(outsider.address);
+    const events = await history(chain.contractAddress, 'g1');
+    expect(events.map(e => [e.newTS, e.emitter])).to.deep.equal([[50, dev.address.toLowerCase()]]);
+
+    await blockchain.registerDeviceOnChain('d1', 'g1');
+    expect(await blockchain.isDeviceRegistered('d1')).to.equal(true);
+    await blockchain.revokeDeviceOnChain('d1');
+    expect(await blockchain.isDeviceRegistered('d1')).to.equal(false);
+
+    // a failed write throws (so the queue retries it) instead of reporting success: false
+    await blockchain.revokeGateway(dev.address);
+    expect(await blockchain.processAndLog({ groupId: 'g1', newTS: 1, ts: 1700000003 }).catch(err => err.message)).to.equal('TrustLogger: caller is not an authorized gateway');
+    provider.destroy();
+  });
+
+  it('boots a node for hardhat mode, deploys the compiled artifact and stops the node again', async () => {
+    // stand-in for `npx hardhat node`: same flags, the simulated ledger behind them
+    const node = path.join(dir, 'node.js');
+    fs.writeFileSync(node, `
+      const port = Number(process.argv[process.argv.indexOf('--port') + 1]);
+      require(${JSON.stringify(path.join(__dirname, '..', 'src', 'simulatedChain'))})
+        .startSimulatedChain({ file: ${JSON.stringify(path.join(dir, 'hh.ndjson'))}, port });
+    `);
+    fs.writeFileSync(path.join(dir, 'TrustLogger.json'), JSON.stringify({ abi: CONTRACT, bytecode: SIM_INIT_CODE }));
+    const port = await freePort();
+    const env = { HARDHAT_NODE_CMD: `${process.execPath} ${node}`, HARDHAT_PORT: String(port), HARDHAT_ARTIFACT: path.join(dir, 'TrustLogger.json') };
+    Object.assign(process.env, env);
+    try {
+      const chain = await blockchain.initChain({ mode: 'hardhat', txs: { journalFile: path.join(dir, 'txs.ndjson') } });
+      expect(chain).to.include({ mode: 'hardhat', rpcUrl: `http://127.0.0.1:${port}`, chainId: 31337, contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3', onChain: true });
+      expect((await blockchain.processAndLog({ groupId: 'g1', newTS: 10, ts: 1700000000 })).success).to.equal(true);
+
+      await blockchain.stopChain();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const probe = await startSimulatedChain({ file: path.join(dir, 'probe.ndjson'), port });
+      await probe.close();
+    } finally {
+      for (const key of Object.keys(env)) delete process.env[key];
+    }
+    const failure = (opts) => blockchain.initChain(opts).then(() => 'started', err => err.message);
+    expect(await failure({ mode: 'hardhat' })).to.match(/TrustLogger artifact not found/);
+    expect(await failure({ mode: 'ganache' })).to.match(/unknown CHAIN_MODE ganache/);
+  });
+});
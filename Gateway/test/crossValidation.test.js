@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+
+const { assessReading } = require('../src/crossValidation');
+
+function reading(extra = {}) {
+  return { eventId: 1, deviceId: 'd1', trustA: 100, trustB: 100, distA: 30, distB: 31, rpm: 900, controller: 'A', ...extra };
+}
+
+function checks(result) {
+  return result.issues.map(i => `${i.check}:${i.sensor}`);
+}
+
+describe('crossValidation', () => {
+  it('agrees with a device whose sensors are consistent', () => {
+    const r = assessReading(reading());
+    expect(r.issues).to.be.empty;
+    expect(r).to.include({ gatewayTrustA: 100, gatewayTrustB: 100, divergent: false, reason: null });
+  });
+
+  it('penalizes echo timeouts, out-of-range distances and A/B disagreement', () => {
+    expect(checks(assessReading(reading({ distB: -1 })))).to.deep.equal(['echo_timeout:B']);
+    expect(checks(assessReading(reading({ distA: 450, distB: 445, rpm: 900 })))).to.deep.equal(['out_of_range:A', 'out_of_range:B']);
+
+    const r = assessReading(reading({ distA: 30, distB: 80 }));
+    expect(checks(r)).to.deep.equal(['disagreement:A', 'disagreement:B']);
+    expect(r.issues[0].detail).to.include({ diff: 50, tolerance: 10 });
+    expect(r).to.include({ gatewayTrustA: 80, gatewayTrustB: 80 });
+  });
+
+  it('detects a sensor stuck while the other one moves', () => {
+    const history = [20, 24, 28, 32, 36, 40, 44, 48, 52].map((b, i) => ({ payload: reading({ eventId: i, distA: 30, distB: b }) }));
+    const r = assessReading(reading({ distA: 30, distB: 56 }), history, { disagreeCm: 100 });
+    expect(checks(r)).to.deep.equal(['stuck_at:A']);
+
+    const still = history.map(h => ({ payload: { ...h.payload, distB: 31 } }));
+    expect(assessReading(reading(), still).issues).to.be.empty;
+  });
+
+  it('checks the motor against the controlling sensor', () => {
+    expect(checks(assessReading(reading({ distA: 3, distB: 3, rpm: 600 })))).to.deep.equal(['rpm_mismatch:A']);
+    expect(checks(assessReading(reading({ distA: 60, distB: 60, rpm: 0 })))).to.deep.equal(['rpm_mismatch:A']);
+    expect(checks(assessReading(reading({ distA: 50, distB: 50, rpm: 400 }), [], { rpmFull: 1200 }))).to.deep.equal(['rpm_mismatch:A']);
+    expect(assessReading(reading({ distA: 3, distB: 3, rpm: 0 })).issues).to.be.empty;
+  });
+
+  it('smooths over previous readings and flags a device that over-reports its trust', () => {
+    const history = [60, 60, 60, 60].map(s => ({ crossValidation: { instantA: s, instantB: 100 } }));
+    const r = assessReading(reading({ distA: -1, distB: 400, trustA: 98, rpm: 1000 }), history);
+    expect(r.instantA).to.equal(85);
+    expect(r.gatewayTrustA).to.equal(65);
+    expect(r.divergence).to.equal(33);
+    expect(r).to.include({ divergent: true, reason: 'TRUST_DIVERGENCE' });
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const storage = require('../src/storage');
+const auth = require('../src/auth');
+const { listFleet, getDeviceDetail } = require('../src/fleet');
+
+describe('fleet', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-fleet-'));
+    storage.openStore(path.join(dir, 'events'));
+    auth.loadDevices(path.join(dir, 'devices.json'));
+  });
+
+  afterEach(() => {
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function reading(deviceId, groupId, eventId, trust, { flagged = false, ageSec = 0 } = {}) {
+    const base = {
+      eventId,
+      deviceId,
+      groupId,
+      payload: { eventId, deviceId, trustA: trust, trustB: trust, distA: 30, distB: 31, controller: 'A' },
+      trustA: trust,
+      trustB: trust,
+      localFlagged: flagged,
+      receivedAt: new Date(Date.now() - ageSec * 1000).toISOString()
+    };
+    storage.appendEvent({ ...base, stage: 'received' });
+    storage.appendEvent({ ...base, flagged, stage: 'pre-chain' });
+  }
+
+  it('merges the registry with the latest reading of every device', () => {
+    auth.registerDevice({ deviceId: 'esp-1', groupId: 'line-1', label: 'conveyor' });
+    auth.registerDevice({ deviceId: 'esp-idle', groupId: 'line-1' });
+    reading('esp-1', 'line-1', 'e1', 90);
+    reading('esp-1', 'line-1', 'e2', 40, { flagged: true });
+    reading('legacy', 'line-2', 'e3', 80, { ageSec: 600 });
+
+    const { devices, groups } = listFleet();
+    expect(devices.map(d => d.deviceId)).to.deep.equal(['esp-1', 'legacy', 'esp-idle']);
+    expect(devices[0]).to.include({ groupId: 'line-1', label: 'conveyor', status: 'active', trustA: 40, flagged: true, stale: false });
+    expect(devices[0].lastFlaggedAt).to.be.a('string');
+    expect(devices[1]).to.include({ status: 'unregistered', stale: true, flagged: false });
+    expect(devices[2]).to.include({ lastSeen: null, stale: true, trustA: null });
+    expect(groups).to.deep.include({ groupId: 'line-2', threshold: devices[1].threshold, devices: 1, flagged: 0, stale: 1, minTrust: 80, lastSeen: devices[1].lastSeen });
+  });
+
+  it('filters by group, status, flag and search text', () => {
+    auth.registerDevice({ deviceId: 'esp-1', groupId: 'line-1', label: 'conveyor' });
+    auth.registerDevice({ deviceId: 'esp-2', groupId: 'line-2' });
+    auth.revokeDevice('esp-2', 'lost');
+    reading('esp-1', 'line-1', 'e1', 40, { flagged: true });
+    reading('esp-2', 'line-2', 'e2', 95);
+
+    const ids = (filter) => listFleet(filter).devices.map(d => d.deviceId);
+    expect(ids({ groupId: 'line-2' })).to.deep.equal(['esp-2']);
+    expect(ids({ status: 'revoked' })).to.deep.equal(['esp-2']);
+    expect(ids({ flagged: true })).to.deep.equal(['esp-1']);
+    expect(ids({ q: 'CONVEY' })).to.deep.equal(['esp-1']);
+    expect(ids({ status: 'stale' })).to.deep.equal([]);
+  });
+
+  it('returns one device with its readings oldest first, or null when unknown', () => {
+    reading('esp-1', 'line-1', 'e1', 90);
+    reading('esp-1', 'line-1', 'e2', 40, { flagged: true });
+    reading('esp-2', 'line-1', 'e3', 70);
+
+    const detail = getDeviceDetail('esp-1');
+    expect(detail.device).to.include({ deviceId: 'esp-1', trustA: 40 });
+    expect(detail.readings.map(r => r.eventId)).to.deep.equal(['e1', 'e2']);
+    expect(detail.readings[1]).to.include({ trustA: 40, controller: 'A', distA: 30 });
+    expect(detail.flagged.map(f => f.eventId)).to.deep.equal(['e2']);
+    expect(getDeviceDetail('nope')).to.equal(null);
+  });
+});
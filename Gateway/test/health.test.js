@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const { startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('../src/simulatedChain');
+const health = require('../src/health');
+const storage = require('../src/storage');
+
+describe('health (liveness, readiness checks)', () => {
+  let dir;
+  let node;
+  let provider;
+  let chain;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-health-'));
+    storage.openStore(path.join(dir, 'events'));
+    node = await startSimulatedChain({ file: path.join(dir, 'chain.ndjson') });
+    provider = new ethers.JsonRpcProvider(node.url, undefined, { cacheTimeout: -1 });
+    const wallet = new ethers.Wallet(DEV_PRIVATE_KEY, provider);
+    const receipt = await (await wallet.sendTransaction({ data: SIM_INIT_CODE })).wait();
+    chain = { mode: 'simulated', contractAddress: receipt.contractAddress, signer: wallet.address, abiLoaded: true };
+  });
+
+  afterEach(async () => {
+    health.initHealth();
+    provider.destroy();
+    await node.close();
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const init = (opts = {}) => health.initHealth({
+    getChain: () => chain,
+    provider: () => provider,
+    storeHealth: storage.storeHealth,
+    queueStats: () => ({ pending: 0, inFlight: 0, deadLetter: 0, oldestEnqueuedAt: null }),
+    cacheMs: 0,
+    ...opts
+  });
+
+  it('reports every dependency ok with details, and liveness without touching any', async () => {
+    init();
+    const report = await health.readiness();
+    expect(report).to.include({ status: 'ok', ready: true });
+    expect(report.failing).to.deep.equal([]);
+    expect(report.checks.rpc).to.include({ status: 'ok', mode: 'simulated', chainId: 31337, head: 1 });
+    expect(report.checks.contract).to.include({ status: 'ok', address: chain.contractAddress });
+    expect(report.checks.wallet).to.include({ status: 'ok', address: chain.signer });
+    expect(report.checks.store).to.include({ status: 'ok', writable: true, critical: true });
+    expect(report.checks.queue).to.include({ status: 'ok', pending: 0, critical: false });
+    expect(health.liveness()).to.include({ status: 'ok' });
+  });
+
+  it('is degraded when a non-critical dependency fails and down when a critical one does', async () => {
+    init({
+      minBalanceEth: 1e12,
+      queueStats: () => ({ pending: 150, inFlight: 1, deadLetter: 0, oldestEnqueuedAt: new Date().toISOString() })
+    });
+    let report = await health.readiness();
+    expect(report).to.include({ status: 'degraded', ready: true });
+    expect(report.failing).to.deep.equal(['wallet', 'queue']);
+    expect(report.checks.wallet.error).to.match(/below the 1000000000000 ETH floor/);
+    expect(report.checks.queue.error).to.equal('150 queued writes (limit 100)');
+
+    // no chain backend, ABI missing, contract without code, store directory gone
+    chain = { mode: 'rpc', contractAddress: ethers.ZeroAddress, signer: null, abiLoaded: false };
+    init({ provider: () => null });
+    fs.rmSync(path.join(dir, 'events'), { recursive: true, force: true });
+    report = await health.readiness();
+    expect(report).to.include({ status: 'down', ready: false });
+    expect(report.failing).to.deep.equal(['rpc', 'contract', 'abi', 'wallet', 'store']);
+    expect(report.checks.store.error).to.match(/^event store not writable/);
+    expect(report.checks.wallet.error).to.match(/^no wallet/);
+
+    // reports are cached between probes unless a refresh is asked for
+    init({ cacheMs: 60000 });
+    const first = await health.readiness();
+    expect(await health.readiness()).to.equal(first);
+    expect(await health.readiness({ refresh: true })).to.not.equal(first);
+  });
+
+  it('rejects (so /health/ready answers 503) when the checks cannot run, and tries again on the next probe', async () => {
+    let broken = true;
+    init({
+      cacheMs: 60000,
+      getChain: () => {
+        if (broken) throw new Error('chain state unavailable');
+        return chain;
+      }
+    });
+    const err = await health.readiness().catch(e => e);
+    expect(err.message).to.equal('chain state unavailable');
+    broken = false;
+    expect(await health.readiness()).to.include({ status: 'ok', ready: true });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const storage = require('../src/storage');
+const { queryHistory, querySeries } = require('../src/history');
+
+const T0 = Date.UTC(2024, 0, 1);
+
+describe('history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-history-'));
+    storage.openStore(dir);
+    // one reading per minute for an hour, alternating devices; every reading also gets a pre-chain record
+    for (let i = 0; i < 60; i++) {
+      const base = {
+        eventId: `e${i}`,
+        deviceId: `esp-${i % 2}`,
+        groupId: 'g1',
+        trustA: 40 + i,
+        trustB: 100 - i,
+        payload: { distA: i % 10 === 0 ? -1 : 20 + i, distB: 30, rpm: i * 10 },
+        receivedAt: new Date(T0 + i * 60000).toISOString()
+      };
+      storage.appendEvent({ ...base, stage: 'received' });
+      storage.appendEvent({ ...base, stage: 'pre-chain', flagged: i % 5 === 0 });
+    }
+  });
+
+  afterEach(() => {
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('pages through a filtered range with a cursor', () => {
+    const filter = { deviceId: 'esp-0', stage: 'received', from: new Date(T0 + 10 * 60000).toISOString(), to: String((T0 + 29 * 60000) / 1000), limit: 4 };
+    const seen = [];
+    let page = queryHistory(filter);
+    while (true) {
+      seen.push(...page.events.map(r => r.event.eventId));
+      if (!page.nextCursor) break;
+      page = queryHistory({ ...filter, cursor: page.nextCursor });
+    }
+    expect(seen).to.deep.equal(['e28', 'e26', 'e24', 'e22', 'e20', 'e18', 'e16', 'e14', 'e12', 'e10']);
+
+    const asc = queryHistory({ stage: 'pre-chain', flagged: 'true', order: 'asc', limit: 3 });
+    expect(asc.events.map(r => r.event.eventId)).to.deep.equal(['e0', 'e5', 'e10']);
+    expect(queryHistory({ ...asc, stage: 'pre-chain', flagged: 'true', order: 'asc', cursor: asc.nextCursor }).events[0].event.eventId).to.equal('e15');
+  });
+
+  it('rejects bad times, booleans and cursors', () => {
+    expect(() => queryHistory({ from: 'yesterday-ish' })).to.throw(/invalid time/);
+    expect(() => queryHistory({ flagged: 'maybe' })).to.throw(/invalid boolean/);
+    expect(() => queryHistory({ cursor: '-3' })).to.throw(/invalid cursor/);
+    expect(() => queryHistory({ from: T0 + 1000, to: T0 })).to.throw(/from must not be after to/);
+  });
+
+  it('downsamples readings into min/max/avg buckets', () => {
+    const series = querySeries({ from: T0, to: T0 + 60 * 60000 - 1, bucket: 15 * 60, fields: 'trustA,distA,rpm' });
+    expect(series.bucketMs).to.equal(15 * 60000);
+    expect(series.count).to.equal(60);
+    expect(series.buckets.map(b => b.count)).to.deep.equal([15, 15, 15, 15]);
+    expect(series.buckets[0].trustA).to.deep.equal({ min: 40, max: 54, avg: 47 });
+    // distA -1 (no echo) at i = 0 and 10 is left out of the stats
+    expect(series.buckets[0].distA).to.deep.equal({ min: 21, max: 34, avg: 27.31 });
+    expect(series.buckets[3].rpm).to.include({ min: 450, max: 590 });
+    expect(series.buckets[0]).to.not.have.property('trustB');
+
+    const auto = querySeries({ deviceId: 'esp-1', buckets: 6, to: T0 + 60 * 60000 - 1 });
+    expect(auto.from).to.equal(T0 + 60000);
+    expect(auto.buckets).to.have.length(6);
+    expect(auto.buckets.reduce((n, b) => n + b.count, 0)).to.equal(30);
+    expect(() => querySeries({ fields: 'trustA,nope' })).to.throw(/unknown field/);
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const incidents = require('../src/incidents');
+const alerts = require('../src/alerts');
+
+function decision(deviceId, action, reason, extra = {}) {
+  return { deviceId, groupId: 'g1', eventId: `${deviceId}-${Math.random()}`, stage: 'system-validation', systemDecision: { action, reason }, ...extra };
+}
+
+describe('incidents (grouping, lifecycle, auto-resolve)', () => {
+  let dir;
+  const t0 = Date.parse('2026-01-01T00:00:00Z');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-incidents-'));
+    incidents.loadIncidents({ file: path.join(dir, 'incidents.json') });
+  });
+
+  afterEach(() => {
+    incidents.stopIncidents();
+    alerts.stopAlerts();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('groups repeated alerts per device and cause', () => {
+    const [opened] = incidents.trackRecord(decision('d1', 'flag_for_review', 'ewma_shift'), t0);
+    expect(opened.type).to.equal('opened');
+    expect(opened.incident).to.include({ deviceId: 'd1', groupId: 'g1', cause: 'ewma_shift', action: 'flag_for_review', status: 'open', occurrences: 1 });
+
+    const [again] = incidents.trackRecord(decision('d1', 'confirm_unreliable', 'ewma_shift'), t0 + 1000);
+    expect(again.type).to.equal('updated');
+    expect(again.incident.id).to.equal(opened.incident.id);
+    expect(again.incident).to.include({ occurrences: 2, action: 'confirm_unreliable' });
+    expect(again.incident.timeline.map(e => e.type)).to.deep.equal(['opened', 'escalated']);
+
+    incidents.trackRecord(decision('d1', 'confirm_unreliable', 'recurring_drops'), t0 + 2000);
+    incidents.trackRecord(decision('d2', 'confirm_unreliable', 'ewma_shift'), t0 + 2000);
+    incidents.trackRecord({ deviceId: 'd3', stage: 'received', crossValidation: { divergent: true, divergence: 45 } }, t0);
+    expect(incidents.listIncidents().map(i => `${i.deviceId}:${i.cause}`).sort())
+      .to.deep.equal(['d1:ewma_shift', 'd1:recurring_drops', 'd2:ewma_shift', 'd3:trust_divergence']);
+    expect(incidents.trackRecord(decision('d1', 'no_action'), t0 + 3000)).to.deep.equal([]);
+    expect(incidents.trackRecord(decision('d1', 'adjust_threshold_lower', 'slow_decline'), t0 + 3000)).to.deep.equal([]);
+  });
+
+  it('walks open -> acknowledged -> resolved with assignee, notes and a timeline', () => {
+    const [{ incident }] = incidents.trackRecord(decision('d1', 'confirm_unreliable', 'recurring_drops'), t0);
+    incidents.assignIncident(incident.id, { assignee: 'alice', actor: 'admin' });
+    incidents.acknowledgeIncident(incident.id, { actor: 'alice', note: 'checking the sensor mount' });
+    expect(() => incidents.acknowledgeIncident(incident.id, { actor: 'alice' })).to.throw(/already acknowledged/);
+    incidents.addIncidentNote(incident.id, { text: 'bracket was loose', actor: 'alice' });
+    expect(() => incidents.addIncidentNote(incident.id, { text: '  ', actor: 'alice' })).to.throw(/note text is required/);
+    const resolved = incidents.resolveIncident(incident.id, { actor: 'alice', note: 'bracket tightened' });
+
+    expect(resolved).to.include({ status: 'resolved', assignee: 'alice', acknowledgedBy: 'alice', resolvedBy: 'alice', resolution: 'manual' });
+    expect(resolved.notes.map(n => n.text)).to.deep.equal(['checking the sensor mount', 'bracket was loose', 'bracket tightened']);
+    expect(resolved.timeline.map(e => e.type)).to.deep.equal(['opened', 'assigned', 'acknowledged', 'resolved']);
+    expect(() => incidents.resolveIncident(incident.id, { actor: 'alice' })).to.throw(/already resolved/);
+    expect(() => incidents.assignIncident(incident.id, { assignee: 'bob' })).to.throw(/already resolved/);
+    expect(() => incidents.acknowledgeIncident('nope', {})).to.throw('incident not found');
+
+    // the same cause after a resolution opens a new incident
+    const [next] = incidents.trackRecord(decision('d1', 'confirm_unreliable', 'recurring_drops'), t0 + 5000);
+    expect(next.type).to.equal('opened');
+    expect(next.incident.id).to.not.equal(incident.id);
+
+    // persisted
+    incidents.loadIncidents({ file: path.join(dir, 'incidents.json') });
+    expect(incidents.listIncidents({ status: 'resolved' })[0].notes).to.have.length(3);
+    expect(incidents.listIncidents({ status: 'open,acknowledged' })).to.have.length(1);
+    expect(() => incidents.listIncidents({ status: 'closed' })).to.throw(/status must be one of/);
+  });
+
+  it('auto-resolves after a sustained run of no_action decisions', () => {
+    const [{ incident }] = incidents.trackRecord(decision('d1', 'flag_for_review', 'ewma_shift'), t0);
+    incidents.acknowledgeIncident(incident.id, { actor: 'alice' });
+    const other = incidents.trackRecord(decision('d2', 'flag_for_review', 'ewma_shift'), t0)[0].incident;
+
+    incidents.trackRecord(decision('d1', 'no_action'), t0 + 60 * 1000);
+    incidents.trackRecord(decision('d1', 'no_action'), t0 + 120 * 1000);
+    // a divergent reading is not clean, and a new alert restarts the clean period
+    incidents.trackRecord(decision('d1', 'no_action', null, { crossValidation: { divergent: true } }), t0 + 200 * 1000);
+    incidents.trackRecord(decision('d1', 'flag_for_review', 'ewma_shift'), t0 + 300 * 1000);
+    expect(incidents.getIncident(incident.id)).to.include({ cleanSince: null, cleanCount: 0, occurrences: 2 });
+
+    for (let s = 360; s <= 900; s += 60) {
+      expect(incidents.trackRecord(decision('d1', 'no_action'), t0 + s * 1000)).to.deep.equal([]);
+    }
+    const [resolved] = incidents.trackRecord(decision('d1', 'no_action'), t0 + 960 * 1000);
+    expect(resolved.type).to.equal('resolved');
+    expect(resolved.incident).to.include({ id: incident.id, status: 'resolved', resolvedBy: 'system', resolution: 'auto' });
+    expect(incidents.getIncident(other.id).status).to.equal('open');
+  });
+
+  it('writes openings and resolutions at once and batches repeat and clean-decision counters', () => {
+    const saved = () => JSON.parse(fs.readFileSync(path.join(dir, 'incidents.json'), 'utf8'));
+    const [{ incident }] = incidents.trackRecord(decision('d1', 'flag_for_review', 'ewma_shift'), t0);
+    expect(saved()[incident.id]).to.include({ occurrences: 1 });
+    incidents.trackRecord(decision('d1', 'flag_for_review', 'ewma_shift'), t0 + 1000);
+    incidents.trackRecord(decision('d1', 'no_action'), t0 + 60 * 1000);
+    expect(saved()[incident.id]).to.include({ occurrences: 1, cleanCount: 0 });
+    incidents.stopIncidents();
+    expect(saved()[incident.id]).to.include({ occurrences: 2, cleanCount: 1 });
+
+    // an escalation of the action is a transition
+    incidents.trackRecord(decision('d1', 'confirm_unreliable', 'ewma_shift'), t0 + 120 * 1000);
+    expect(saved()[incident.id]).to.include({ occurrences: 3, action: 'confirm_unreliable' });
+    for (let s = 180; s < 780; s += 60) incidents.trackRecord(decision('d1', 'no_action'), t0 + s * 1000);
+    expect(saved()[incident.id]).to.include({ status: 'open', cleanCount: 0 });
+    incidents.trackRecord(decision('d1', 'no_action'), t0 + 780 * 1000);
+    expect(saved()[incident.id]).to.include({ status: 'resolved', resolution: 'auto' });
+  });
+
+  it('acknowledges the linked alerts so they stop escalating once the incident is acknowledged or resolved', async () => {
+    const configFile = path.join(dir, 'alerts-config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      channels: { pager: { type: 'webhook', url: '' } },
+      rules: [{ id: 'critical', match: { minSeverity: 'warning' }, channels: [], escalation: [{ afterSec: 60, channels: ['pager'] }] }]
+    }));
+    const escalated = [];
+    alerts.initAlerts({
+      configFile,
+      alertsFile: path.join(dir, 'alerts.json'),
+      deliveriesFile: path.join(dir, 'deliveries.ndjson'),
+      timer: false,
+      onEvent: (type, a) => { if (type === 'escalated') escalated.push(a.deviceId); }
+    });
+    const report = (record, now) => {
+      const alertIds = alerts.alertsForRecord(record).map(a => alerts.raiseAlert(a, now).alert.id);
+      return incidents.trackRecord(record, now, { alertIds });
+    };
+    const now = Date.now();
+    const [{ incident: acked }] = report(decision('d1', 'confirm_unreliable', 'recurring_drops'), now);
+    const [{ incident: resolved }] = report(decision('d2', 'flag_for_review', 'ewma_shift'), now);
+    report(decision('d3', 'flag_for_review', 'ewma_shift'), now);
+    expect(acked.alertIds).to.have.length(1);
+
+    incidents.acknowledgeIncident(acked.id, { actor: 'alice' });
+    incidents.resolveIncident(resolved.id, { actor: 'bob', note: 'sensor replaced' });
+    expect(alerts.getAlert(acked.alertIds[0])).to.include({ status: 'acknowledged', acknowledgedBy: 'alice' });
+    expect(alerts.getAlert(resolved.alertIds[0])).to.include({ status: 'acknowledged', acknowledgedBy: 'bob' });
+
+    await alerts.checkEscalations(now + 61 * 1000);
+    expect(escalated).to.deep.equal(['d3']);
+
+    // a later alert of the acknowledged incident is acknowledged as soon as it is linked
+    const [{ incident }] = report(decision('d1', 'confirm_unreliable', 'recurring_drops'), now + 120 * 1000);
+    expect(incident.alertIds).to.have.length(2);
+    expect(alerts.getAlert(incident.alertIds[1])).to.include({ status: 'acknowledged', acknowledgedBy: 'system' });
+    await alerts.checkEscalations(now + 300 * 1000);
+    expect(escalated).to.deep.equal(['d3']);
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const { startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('../src/simulatedChain');
+const indexer = require('../src/indexer');
+const storage = require('../src/storage');
+const { buildTrustSeries } = require('../src/systemValidation');
+
+const iface = new ethers.Interface(require('../abi.json'));
+const logCall = (groupId, newTS, ts) => iface.encodeFunctionData('logTrustEvent', [groupId, 100, newTS, 'LOW_TRUST', ethers.ZeroHash, ts]);
+
+// JSON-RPC stand-in whose upstream node can be swapped (state.target) to play a reorg
+function switchable(target) {
+  const state = { target };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const { data } = await axios.post(state.target, JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      state,
+      close: () => new Promise((done) => {
+        server.close(() => done());
+        server.closeAllConnections();
+      })
+    }));
+  });
+}
+
+describe('indexer (TrustEvent index, checkpoints, reorgs)', () => {
+  let dir;
+  let nodes;
+  let providers;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-idx-'));
+    storage.openStore(path.join(dir, 'events'));
+    nodes = [];
+    providers = [];
+  });
+
+  afterEach(async () => {
+    indexer.stopIndexer();
+    providers.forEach(p => p.destroy());
+    for (const n of nodes) await n.close();
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chain = async (name) => {
+    const node = await startSimulatedChain({ file: path.join(dir, `${name}.ndjson`) });
+    nodes.push(node);
+    return node;
+  };
+  const connect = (url) => {
+    const provider = new ethers.JsonRpcProvider(url, undefined, { cacheTimeout: -1 });
+    providers.push(provider);
+    return provider;
+  };
+  const send = async (wallet, to, data) => (await (await wallet.sendTransaction({ to, data })).wait()).contractAddress;
+  const init = (provider, contractAddress, opts = {}) => indexer.initIndexer({
+    provider,
+    contractAddress,
+    journalFile: path.join(dir, 'index.ndjson'),
+    checkpointFile: path.join(dir, 'checkpoint.json'),
+    pollMs: 3600000,
+    ...opts
+  });
+
+  it('indexes from the deploy block, resumes from its checkpoint and feeds buildTrustSeries', async () => {
+    const node = await chain('a');
+    const provider = connect(node.url);
+    const wallet = new ethers.Wallet(DEV_PRIVATE_KEY, provider);
+    const other = ethers.Wallet.createRandom().connect(provider);
+    node.ledger.mine();
+    node.ledger.mine();
+    const contract = await send(wallet, null, SIM_INIT_CODE); // block 3
+    await send(wallet, contract, logCall('g1', 40, 1700000001));
+    await send(wallet, contract, logCall('g1', 30, 1700000002));
+    await send(wallet, contract, logCall('g2', 50, 1700000003));
+    // a second gateway logs for g1, then loses its role: its event no longer counts
+    await send(wallet, contract, iface.encodeFunctionData('authorizeGateway', [other.address]));
+    await send(other, contract, logCall('g1', 20, 1700000004));
+    await send(wallet, contract, iface.encodeFunctionData('revokeGateway', [other.address])); // block 9
+
+    init(provider, contract, { batchBlocks: 4 });
+    await indexer.syncIndexer();
+    expect(indexer.indexerStatus()).to.include({ fromBlock: 3, block: 9, head: 9, lag: 0, events: 4, groups: 2 });
+    const g1 = indexer.getIndexedTrustEvents(contract, 'g1');
+    expect(g1.map(e => e.newTS)).to.deep.equal([40, 30, 20]);
+    expect(g1[0]).to.include({ groupId: 'g1', emitter: wallet.address.toLowerCase(), blockNumber: 4, reason: 'LOW_TRUST' });
+    expect([...indexer.indexedGateways(contract)]).to.deep.equal([wallet.address.toLowerCase()]);
+    const authorized = indexer.getAuthorizedTrustEvents(contract, 'g1');
+    expect(authorized.events.map(e => e.newTS)).to.deep.equal([40, 30]);
+    expect(authorized.ignored).to.equal(1);
+
+    const series = await buildTrustSeries(null, contract, 'g1', 'dev-none');
+    expect(series.map(e => [e.newTS, e.source])).to.deep.equal([[40, 'onchain'], [30, 'onchain']]);
+
+    // restart: only blocks after the checkpoint are read; a journal line past the checkpoint is dropped
+    indexer.stopIndexer();
+    await send(wallet, contract, logCall('g1', 10, 1700000005)); // block 10
+    fs.appendFileSync(path.join(dir, 'index.ndjson'), JSON.stringify({
+      op: 'add', events: [{ kind: 'trust', groupKey: ethers.id('g1'), groupId: 'g1', newTS: 99, ts: 1700000009, blockNumber: 11, txHash: '0x01', logIndex: 0 }]
+    }) + '\n');
+    const ranges = [];
+    const getLogs = provider.getLogs.bind(provider);
+    provider.getLogs = (filter) => {
+      ranges.push([filter.fromBlock, filter.toBlock]);
+      return getLogs(filter);
+    };
+    init(provider, contract);
+    await indexer.syncIndexer();
+    expect(ranges).to.deep.equal([[10, 10]]);
+    expect(indexer.getIndexedTrustEvents(contract, 'g1', { limit: 2 }).map(e => e.newTS)).to.deep.equal([20, 10]);
+    expect(indexer.getIndexedTrustEvents('0x0000000000000000000000000000000000000001', 'g1')).to.equal(null);
+    expect(indexer.getAuthorizedTrustEvents(contract, 'g1', { limit: 2 }).events.map(e => e.newTS)).to.deep.equal([30, 10]);
+
+    // the authorized view follows role changes: authorizing the second gateway again brings its event back
+    await send(wallet, contract, iface.encodeFunctionData('authorizeGateway', [other.address]));
+    await indexer.syncIndexer();
+    expect(indexer.getAuthorizedTrustEvents(contract, 'g1')).to.deep.include({ ignored: 0 });
+    expect(indexer.getAuthorizedTrustEvents(contract, 'g1').events.map(e => e.newTS)).to.deep.equal([40, 30, 20, 10]);
+  });
+
+  it('rewinds to the common ancestor after a reorg and starts over when the chain was reset', async () => {
+    const a = await chain('a');
+    const walletA = new ethers.Wallet(DEV_PRIVATE_KEY, connect(a.url));
+    const contract = await send(walletA, null, SIM_INIT_CODE);
+    await send(walletA, contract, logCall('g1', 90, 1700000001)); // block 2
+    await send(walletA, contract, logCall('g1', 80, 1700000002)); // block 3
+
+    // a competing chain sharing blocks 0-2 that replaces block 3 and grows past it
+    const lines = fs.readFileSync(path.join(dir, 'a.ndjson'), 'utf8').split('\n');
+    fs.writeFileSync(path.join(dir, 'b.ndjson'), lines.slice(0, 3).join('\n') + '\n');
+    const b = await chain('b');
+    const walletB = new ethers.Wallet(DEV_PRIVATE_KEY, connect(b.url));
+    await send(walletB, contract, logCall('g1', 70, 1700000003));
+    await send(walletB, contract, logCall('g1', 60, 1700000004)); // block 4
+
+    const proxy = await switchable(a.url);
+    const changes = [];
+    try {
+      init(connect(proxy.url), contract, { batchBlocks: 1, onChange: (change) => changes.push(change) });
+      await indexer.syncIndexer();
+      expect(indexer.getIndexedTrustEvents(contract, 'g1').map(e => e.newTS)).to.deep.equal([90, 80]);
+
+      proxy.state.target = b.url;
+      await indexer.syncIndexer();
+      expect(indexer.getIndexedTrustEvents(contract, 'g1').map(e => e.newTS)).to.deep.equal([90, 70, 60]);
+      expect(indexer.indexerStatus()).to.include({ block: 4, reorgs: 1 });
+      const rewind = changes.find(c => c.removed.length);
+      expect(rewind).to.deep.include({ block: 2, added: [] });
+      expect(rewind.removed.map(e => e.newTS)).to.deep.equal([80]);
+      const journal = fs.readFileSync(path.join(dir, 'index.ndjson'), 'utf8');
+      expect(journal).to.not.include(rewind.removed[0].txHash);
+
+      // a new chain (same contract address, nothing in common): the index is rebuilt from its deploy block
+      const c = await chain('c');
+      const walletC = new ethers.Wallet(DEV_PRIVATE_KEY, connect(c.url));
+      c.ledger.mine();
+      await send(walletC, null, SIM_INIT_CODE); // block 2
+      await send(walletC, contract, logCall('g1', 50, 1700000005));
+      proxy.state.target = c.url;
+      await indexer.syncIndexer();
+      expect(indexer.getIndexedTrustEvents(contract, 'g1').map(e => e.newTS)).to.deep.equal([50]);
+      expect(indexer.indexerStatus()).to.include({ fromBlock: 2, block: 3, reorgs: 2 });
+    } finally {
+      await proxy.close();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const storage = require('../src/storage');
+const anchoring = require('../src/anchoring');
+const { initIngest, ingestReading, ingestBatch } = require('../src/ingest');
+
+describe('ingest (idempotency, batches)', () => {
+  let dir, queued;
+  const auth = { ok: true, deviceId: 'd1', groupId: 'g1' };
+
+  function reading(eventId, extra = {}) {
+    return { eventId, deviceId: 'd1', groupId: 'g1', trustA: 90, trustB: 88, distA: 120, distB: 130, speed: 300, ts: 1700000000, schemaVersion: 2, ...extra };
+  }
+
+  const stages = (eventId) => storage.getEventRecords(eventId).map(r => r.stage);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-ingest-'));
+    storage.openStore(path.join(dir, 'events'));
+    anchoring.initAnchoring({ journalFile: path.join(dir, 'anchoring.ndjson') });
+    queued = [];
+    initIngest({ store: storage.appendEvent, enqueueChainLog: (item) => queued.push(item), anchorFlaggedEvents: true });
+  });
+
+  afterEach(() => {
+    anchoring.stopAnchoring();
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the original result for a repeated (deviceId, eventId) without re-running or re-queueing', async () => {
+    const first = await ingestReading(reading('e1', { trustA: 20 }), { auth });
+    expect(first.status).to.equal(200);
+    expect(first.body).to.include({ flagged: true });
+    expect(queued).to.have.length(1);
+
+    const again = await ingestReading(reading('e1', { trustA: 20 }), { auth, transport: 'mqtt' });
+    expect(again.status).to.equal(200);
+    expect(again.body).to.include({ duplicate: true, flagged: true, hash: first.body.hash, message: first.body.message });
+    expect(again.body.feedback).to.deep.equal(first.body.feedback);
+    expect(queued).to.have.length(1);
+    expect(stages('e1')).to.deep.equal(['received', 'system-validation', 'pre-chain']);
+
+    // another device may reuse the eventId
+    const other = await ingestReading(reading('e1', { deviceId: 'd2' }), { auth: { ok: true, deviceId: 'd2' } });
+    expect(other.body.duplicate).to.equal(undefined);
+  });
+
+  it('rejects a repeated eventId carrying a different payload', async () => {
+    await ingestReading(reading('e1'), { auth });
+    const conflict = await ingestReading(reading('e1', { trustA: 50 }), { auth });
+    expect(conflict.status).to.equal(409);
+    expect(conflict.body).to.include({ error: 'eventId already processed with a different payload', eventId: 'e1' });
+    expect(stages('e1')).to.have.length(3);
+  });
+
+  it('runs concurrent duplicates through the pipeline once', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => ingestReading(reading('e1', { trustA: 20 }), { auth })));
+    expect(results.map(r => r.status)).to.deep.equal([200, 200, 200]);
+    expect(results.filter(r => r.body.duplicate)).to.have.length(2);
+    expect(queued).to.have.length(1);
+    expect(stages('e1').filter(s => s === 'pre-chain')).to.have.length(1);
+  });
+
+  it('lets only one of several concurrent retries re-run a reading whose first attempt failed', async () => {
+    let failed = false;
+    initIngest({
+      store: (record) => {
+        if (record.stage === 'pre-chain' && !failed) {
+          failed = true;
+          throw new Error('disk full');
+        }
+        return storage.appendEvent(record);
+      }
+    });
+    // the first attempt is still running when both retries arrive
+    const results = await Promise.all([1, 2, 3].map(() => ingestReading(reading('e1', { trustA: 20 }), { auth })));
+    expect(results.map(r => r.status)).to.deep.equal([500, 200, 200]);
+    expect(results.filter(r => r.body.duplicate)).to.have.length(1);
+    expect(queued).to.have.length(1);
+    expect(stages('e1').filter(s => s === 'pre-chain')).to.have.length(1);
+  });
+
+  it('processes a batch in order and reports each outcome', async () => {
+    await ingestReading(reading('e2'), { auth });
+    const { status, body } = await ingestBatch([
+      reading('e1'),
+      reading('e2'),
+      reading('e3', { trustA: 'low' }),
+      reading('e4', { deviceId: 'd2' }),
+      reading('e5', { trustB: 10 })
+    ], { auth, transport: 'batch' });
+
+    expect(status).to.equal(200);
+    expect(body).to.include({ count: 5, accepted: 2, duplicates: 1, rejected: 2 });
+    expect(body.results.map(r => [r.index, r.eventId, r.status])).to.deep.equal([
+      [0, 'e1', 200], [1, 'e2', 200], [2, 'e3', 400], [3, 'e4', 403], [4, 'e5', 200]
+    ]);
+    expect(body.results[1].duplicate).to.equal(true);
+    expect(body.results[4].flagged).to.equal(true);
+    expect(storage.queryEvents({ stage: 'pre-chain' }).map(r => [r.eventId, r.transport])).to.deep.equal([['e2', 'http'], ['e1', 'batch'], ['e5', 'batch']]);
+
+    expect((await ingestBatch([], { auth })).status).to.equal(400);
+    expect((await ingestBatch('nope', { auth })).status).to.equal(400);
+    expect((await ingestBatch(new Array(101).fill(reading('e9')), { auth })).status).to.equal(413);
+  });
+
+  it('answers a 500 result instead of rejecting when the duplicate lookup cannot read the store', async () => {
+    await ingestReading(reading('e1'), { auth });
+    // the segment lost its records: reading them back fails
+    const segment = fs.readdirSync(path.join(dir, 'events')).find(f => f.endsWith('.ndjson'));
+    fs.truncateSync(path.join(dir, 'events', segment), 0);
+
+    const single = await ingestReading(reading('e1'), { auth, transport: 'mqtt' });
+    expect(single.status).to.equal(500);
+    expect(single.body.error).to.equal('server error');
+    const batch = await ingestBatch([reading('e1')], { auth });
+    expect(batch.body.results[0]).to.include({ status: 500, error: 'server error' });
+  });
+});
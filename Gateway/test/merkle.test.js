@@ -0,0 +1,28 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { buildTree, merkleRoot, merkleProof, verifyProof } = require('../src/merkle');
+
+describe('merkle', () => {
+  const leaves = [1, 2, 3, 4, 5].map(i => ethers.keccak256(ethers.toUtf8Bytes(`reading-${i}`)));
+
+  it('produces proofs that verify for every leaf, including an odd trailing leaf', () => {
+    const layers = buildTree(leaves);
+    const root = merkleRoot(layers);
+    leaves.forEach((leaf, i) => {
+      expect(verifyProof(leaf, merkleProof(layers, i), root)).to.equal(true);
+    });
+  });
+
+  it('rejects a proof for a tampered leaf', () => {
+    const layers = buildTree(leaves);
+    const forged = ethers.keccak256(ethers.toUtf8Bytes('reading-x'));
+    expect(verifyProof(forged, merkleProof(layers, 0), merkleRoot(layers))).to.equal(false);
+  });
+
+  it('uses the leaf itself as the root of a single-leaf tree', () => {
+    const layers = buildTree([leaves[0]]);
+    expect(merkleRoot(layers)).to.equal(leaves[0]);
+    expect(merkleProof(layers, 0)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const express = require('express');
+const axios = require('axios');
+
+const metrics = require('../src/metrics');
+const { ingestReading } = require('../src/ingest');
+
+// value of one sample line ('name{labels}') in the exposition text, 0 when absent
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+const scrape = async () => (await metrics.renderMetrics()).body;
+
+describe('metrics (Prometheus exposition)', () => {
+  afterEach(() => {
+    metrics.initMetrics({ queueStats: () => null, socketClients: () => 0, walletBalance: async () => null, indexerStatus: () => null });
+  });
+
+  it('counts HTTP responses by matched route and status and times each route', async () => {
+    const app = express();
+    app.use(metrics.httpMetrics);
+    app.post('/data', (req, res) => res.status(403).json({ error: 'nope' }));
+    app.get('/metrics-test/:id', (req, res) => res.status(req.params.id === 'bad' ? 500 : 200).json({}));
+    const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const before = await scrape();
+    try {
+      const quiet = { validateStatus: () => true };
+      await axios.post(`${url}/data`, {}, quiet);
+      await axios.get(`${url}/metrics-test/ok`, quiet);
+      await axios.get(`${url}/metrics-test/bad`, quiet);
+      await axios.get(`${url}/metrics-test-missing/x`, quiet);
+    } finally {
+      server.close();
+    }
+    const after = await scrape();
+    const delta = (series) => sample(after, series) - sample(before, series);
+    expect(delta('gateway_http_requests_total{method="POST",route="/data",status="403"}')).to.equal(1);
+    expect(delta('gateway_http_requests_total{method="GET",route="/metrics-test/:id",status="200"}')).to.equal(1);
+    expect(delta('gateway_http_requests_total{method="GET",route="/metrics-test/:id",status="500"}')).to.equal(1);
+    expect(delta('gateway_http_requests_total{method="GET",route="unmatched",status="404"}')).to.equal(1);
+    expect(delta('gateway_http_request_duration_seconds_count{method="POST",route="/data"}')).to.equal(1);
+    expect(delta('gateway_http_request_duration_seconds_bucket{le="+Inf",method="GET",route="/metrics-test/:id"}')).to.equal(2);
+  });
+
+  it('counts readings, decisions, flagged readings and final chain writes', async () => {
+    const before = await scrape();
+    // a reading that fails the schema check is counted as rejected
+    const rejected = await ingestReading({ deviceId: 'm-dev', groupId: 'm-group' }, { auth: { legacy: true }, transport: 'mqtt' });
+    expect(rejected.status).to.equal(400);
+    metrics.countReading({ deviceId: 'm-dev', groupId: 'm-group', transport: 'http', status: 200 });
+    metrics.countReading({ deviceId: 'm-dev', groupId: 'm-group', transport: 'http', status: 200, duplicate: true });
+    metrics.countDecision('confirm_unreliable');
+    metrics.countFlagged('m-dev', 'm-group');
+    metrics.countTx({ kind: 'event', status: 'mined', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:05.000Z' });
+    metrics.countTx({ kind: 'event', status: 'confirmed', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:12.000Z' });
+    metrics.countTx({ kind: 'batch', status: 'dropped', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:01:00.000Z' });
+    const after = await scrape();
+    const delta = (series) => sample(after, series) - sample(before, series);
+
+    expect(delta('gateway_readings_total{device="m-dev",group="m-group",transport="mqtt",outcome="rejected"}')).to.equal(1);
+    expect(delta('gateway_readings_total{device="m-dev",group="m-group",transport="http",outcome="accepted"}')).to.equal(1);
+    expect(delta('gateway_readings_total{device="m-dev",group="m-group",transport="http",outcome="duplicate"}')).to.equal(1);
+    expect(delta('gateway_validation_decisions_total{action="confirm_unreliable"}')).to.equal(1);
+    expect(delta('gateway_flagged_events_total{device="m-dev",group="m-group"}')).to.equal(1);
+    expect(delta('gateway_chain_txs_total{kind="event",status="confirmed"}')).to.equal(1);
+    expect(delta('gateway_chain_txs_total{kind="batch",status="dropped"}')).to.equal(1);
+    expect(delta('gateway_chain_tx_duration_seconds_count{kind="event"}')).to.equal(1);
+    expect(delta('gateway_chain_tx_duration_seconds_bucket{le="15",kind="event"}')).to.equal(1);
+    expect(delta('gateway_chain_tx_duration_seconds_bucket{le="5",kind="event"}')).to.equal(0);
+  });
+
+  it('reads queue, socket, wallet and index gauges at scrape time', async () => {
+    metrics.initMetrics({
+      queueStats: () => ({ pending: 3, inFlight: 1, deadLetter: 2, oldestEnqueuedAt: new Date(Date.now() - 90000).toISOString() }),
+      socketClients: () => 4,
+      walletBalance: async () => ({ address: '0xabc', wei: 1500000000000000000n }),
+      indexerStatus: () => ({ contract: '0xdef', lag: 7 })
+    });
+    let text = await scrape();
+    expect(sample(text, 'gateway_queue_depth{state="pending"}')).to.equal(3);
+    expect(sample(text, 'gateway_queue_depth{state="in_flight"}')).to.equal(1);
+    expect(sample(text, 'gateway_queue_depth{state="dead_letter"}')).to.equal(2);
+    expect(sample(text, 'gateway_queue_oldest_age_seconds')).to.be.within(89, 95);
+    expect(sample(text, 'gateway_socket_clients')).to.equal(4);
+    expect(sample(text, 'gateway_wallet_balance_eth{address="0xabc"}')).to.equal(1.5);
+    expect(sample(text, 'gateway_indexer_lag_blocks{contract="0xdef"}')).to.equal(7);
+    expect(text).to.include('gateway_process_resident_memory_bytes');
+
+    // no signer / RPC down: the balance is left out instead of failing the scrape
+    metrics.initMetrics({ walletBalance: async () => { throw new Error('rpc down'); }, indexerStatus: () => null });
+    text = await scrape();
+    expect(text).to.not.match(/^gateway_wallet_balance_eth\{/m);
+    expect(text).to.not.match(/^gateway_indexer_lag_blocks\{/m);
+  });
+});
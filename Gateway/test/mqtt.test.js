@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { expect } = require('chai');
+const mqtt = require('mqtt');
+
+const auth = require('../src/auth');
+const { initMqtt, stopMqtt, getMqttStatus, topicMatcher, formatTopic, connectCredentials } = require('../src/mqtt');
+
+function envelope(deviceId, secret, payload, overrides = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = overrides.timestamp ?? Math.floor(Date.now() / 1000);
+  const nonce = overrides.nonce ?? `n-${Math.random().toString(16).slice(2)}`;
+  return JSON.stringify({ timestamp, nonce, signature: overrides.signature ?? auth.signPayload(secret, timestamp, nonce, body), body });
+}
+
+// connect a device client (logged in as deviceId), subscribe to its feedback topic and collect what arrives
+async function device(url, feedbackTopic, deviceId, secret) {
+  const client = await mqtt.connectAsync(url, { reconnectPeriod: 0, ...connectCredentials(deviceId, secret) });
+  const replies = [];
+  const waiters = [];
+  client.on('message', (topic, payload) => {
+    replies.push({ topic, message: JSON.parse(payload.toString()) });
+    while (waiters.length && waiters[0].count <= replies.length) waiters.shift().resolve();
+  });
+  await client.subscribeAsync(feedbackTopic, { qos: 1 });
+  client.waitFor = (count) => new Promise((resolve) => {
+    if (replies.length >= count) return resolve();
+    return waiters.push({ count, resolve });
+  });
+  client.replies = replies;
+  return client;
+}
+
+describe('mqtt (topics, signed envelopes, responses)', () => {
+  let dir, secret, calls, clients;
+
+  function reading(eventId) {
+    return { eventId, deviceId: 'd1', trustA: 90, trustB: 88 };
+  }
+
+  async function onReading(payload, ctx) {
+    calls.push({ payload, ctx, started: Date.now() });
+    await new Promise(r => setTimeout(r, 20));
+    calls[calls.length - 1].finished = Date.now();
+    return { status: 200, body: { message: 'Data received (not flagged)', flagged: false, systemDecision: { action: 'no_action' } } };
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-mqtt-'));
+    auth.loadDevices(path.join(dir, 'devices.json'));
+    secret = auth.registerDevice({ deviceId: 'd1', groupId: 'g1' }).secret;
+    calls = [];
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(c => c.endAsync()));
+    await stopMqtt();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('maps topic templates to subscriptions and back', () => {
+    const m = topicMatcher('trust/{groupId}/{deviceId}/telemetry');
+    expect(m.filter).to.equal('trust/+/+/telemetry');
+    expect(m.parse('trust/g1/d1/telemetry')).to.deep.equal({ groupId: 'g1', deviceId: 'd1' });
+    expect(m.parse('trust/g1/d1/feedback')).to.equal(null);
+    expect(m.parse('trust/g1/telemetry')).to.equal(null);
+    expect(formatTopic('trust/{groupId}/{deviceId}/feedback', { groupId: 'g1', deviceId: 'd1' })).to.equal('trust/g1/d1/feedback');
+  });
+
+  it('is off without a broker url or embedded port', async () => {
+    expect(await initMqtt({ url: '', embeddedPort: '', onReading })).to.equal(null);
+    expect(getMqttStatus()).to.deep.equal({ enabled: false });
+  });
+
+  describe('embedded broker', () => {
+    let url;
+
+    beforeEach(async () => {
+      const status = await initMqtt({ embeddedPort: 0, host: '127.0.0.1', onReading });
+      expect(status).to.include({ enabled: true, mode: 'embedded', connected: true });
+      url = `mqtt://127.0.0.1:${status.port}`;
+    });
+
+    it('runs signed readings through the pipeline and publishes the result on the response topic', async () => {
+      const client = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      clients.push(client);
+      await client.publishAsync('trust/g1/d1/telemetry', envelope('d1', secret, reading('e1')), { qos: 1 });
+      await client.waitFor(1);
+
+      expect(calls).to.have.length(1);
+      expect(calls[0].payload).to.deep.equal(reading('e1'));
+      expect(calls[0].ctx).to.include({ transport: 'mqtt', groupId: 'g1' });
+      expect(calls[0].ctx.auth).to.include({ ok: true, deviceId: 'd1' });
+      expect(client.replies[0].topic).to.equal('trust/g1/d1/feedback');
+      expect(client.replies[0].message).to.include({ status: 200, eventId: 'e1', flagged: false });
+      expect(getMqttStatus()).to.include({ received: 1, rejected: 0 });
+    });
+
+    it('rejects bad signatures, replays and malformed envelopes without calling the pipeline', async () => {
+      const client = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      clients.push(client);
+      const good = envelope('d1', secret, reading('e1'), { nonce: 'once' });
+      await client.publishAsync('trust/g1/d1/telemetry', envelope('d1', 'wrong-secret', reading('e0')), { qos: 1 });
+      await client.publishAsync('trust/g1/d1/telemetry', good, { qos: 1 });
+      await client.publishAsync('trust/g1/d1/telemetry', good, { qos: 1 });
+      await client.publishAsync('trust/g1/d1/telemetry', '{"body": 5}', { qos: 1 });
+      await client.waitFor(4);
+
+      expect(client.replies.map(r => [r.message.status, r.message.error || null])).to.deep.equal([
+        [401, 'invalid signature'],
+        [200, null],
+        [401, 'replayed nonce'],
+        [400, 'envelope needs timestamp, nonce, signature and body (payload JSON string)']
+      ]);
+      expect(calls).to.have.length(1);
+      expect(getMqttStatus()).to.include({ received: 4, rejected: 3 });
+    });
+
+    it('verifies the signature against the deviceId in the topic', async () => {
+      const other = auth.registerDevice({ deviceId: 'd2', groupId: 'g1' }).secret;
+      const client = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      clients.push(client);
+      // d2 signs a message and publishes it on d1's topic
+      await client.publishAsync('trust/g1/d1/telemetry', envelope('d2', other, reading('e1')), { qos: 1 });
+      await client.waitFor(1);
+      expect(client.replies[0].message).to.include({ status: 401, error: 'invalid signature' });
+      expect(calls).to.have.length(0);
+    });
+
+    it('processes one device\'s readings in order, one at a time', async () => {
+      const client = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      clients.push(client);
+      for (const id of ['e1', 'e2', 'e3']) {
+        client.publish('trust/g1/d1/telemetry', envelope('d1', secret, reading(id)), { qos: 1 });
+      }
+      await client.waitFor(3);
+      expect(calls.map(c => c.payload.eventId)).to.deep.equal(['e1', 'e2', 'e3']);
+      for (let i = 1; i < calls.length; i++) expect(calls[i].started).to.be.at.least(calls[i - 1].finished);
+      expect(client.replies.map(r => r.message.eventId)).to.deep.equal(['e1', 'e2', 'e3']);
+    });
+
+    it('does not let clients publish on response topics', async () => {
+      const listener = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      const spoofer = await mqtt.connectAsync(url, { reconnectPeriod: 0, ...connectCredentials('d1', secret) });
+      clients.push(listener);
+      spoofer.on('error', () => {});
+      spoofer.publish('trust/g1/d1/feedback', JSON.stringify({ status: 200, feedback: { action: 'no_action' } }), { qos: 0 });
+      await new Promise(r => setTimeout(r, 200));
+      spoofer.end(true);
+      expect(listener.replies).to.have.length(0);
+    });
+
+    it('refuses clients without valid device credentials', async () => {
+      const attempts = [
+        {},
+        { username: 'd1', password: 'not-a-token' },
+        connectCredentials('d1', 'wrong-secret'),
+        connectCredentials('d9', secret)
+      ];
+      for (const creds of attempts) {
+        const err = await mqtt.connectAsync(url, { reconnectPeriod: 0, ...creds }).then(
+          (c) => { c.end(true); return null; },
+          (e) => e
+        );
+        expect(err, JSON.stringify(creds)).to.be.an('error');
+        expect(err.code).to.equal(4);
+      }
+      expect(getMqttStatus()).to.include({ refused: 4 });
+    });
+
+    it('only lets a device subscribe to its own response topic and publish on its own telemetry topic', async () => {
+      const other = auth.registerDevice({ deviceId: 'd2', groupId: 'g1' }).secret;
+      const victim = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      const snoop = await mqtt.connectAsync(url, { reconnectPeriod: 0, ...connectCredentials('d2', other) });
+      clients.push(victim, snoop);
+      const snooped = [];
+      snoop.on('message', (topic) => snooped.push(topic));
+
+      const err = await snoop.subscribeAsync(['trust/g1/d1/feedback', 'trust/g2/d2/feedback', 'trust/+/+/feedback', '#', 'trust/g1/d2/feedback'], { qos: 1 }).catch(e => e);
+      expect(err.packet.granted).to.deep.equal([128, 128, 128, 128, 1]);
+
+      // d2 publishing on d1's telemetry topic is dropped by the broker, d1's own reading gets through
+      snoop.publish('trust/g1/d1/telemetry', envelope('d1', secret, reading('e0')), { qos: 0 });
+      await victim.publishAsync('trust/g1/d1/telemetry', envelope('d1', secret, reading('e1')), { qos: 1 });
+      await victim.waitFor(1);
+      await new Promise(r => setTimeout(r, 100));
+      expect(calls.map(c => c.payload.eventId)).to.deep.equal(['e1']);
+      expect(snooped).to.deep.equal([]);
+    });
+  });
+
+  it('works against an external broker (MQTT_URL)', async () => {
+    const broker = require('aedes')();
+    const server = net.createServer(broker.handle);
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+    try {
+      const status = await initMqtt({ url, onReading });
+      expect(status).to.include({ enabled: true, mode: 'client', url, connected: true });
+      const client = await device(url, 'trust/g1/d1/feedback', 'd1', secret);
+      clients.push(client);
+      await client.publishAsync('trust/g1/d1/telemetry', envelope('d1', secret, reading('e1')), { qos: 1 });
+      await client.waitFor(1);
+      expect(calls).to.have.length(1);
+      expect(client.replies[0].message).to.include({ status: 200, eventId: 'e1' });
+    } finally {
+      await Promise.all(clients.splice(0).map(c => c.endAsync()));
+      await stopMqtt();
+      await new Promise(r => broker.close(() => server.close(r)));
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const operatorAuth = require('../src/operatorAuth');
+
+// runs entirely against a throwaway local user store
+describe('operatorAuth', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-users-'));
+    operatorAuth.initOperatorAuth({ usersFile: path.join(dir, 'users.json'), secret: 'test-secret', ttlSec: 60 });
+    operatorAuth.createUser({ username: 'alice', password: 'admin-pass-1', role: 'admin' });
+    operatorAuth.createUser({ username: 'bob', password: 'viewer-pass-1', role: 'viewer' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function run(middleware, token) {
+    const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json() { return this; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode, user: req.user };
+  }
+
+  it('issues tokens only for valid credentials', () => {
+    expect(operatorAuth.login('alice', 'wrong-password')).to.equal(null);
+    expect(operatorAuth.login('nobody', 'admin-pass-1')).to.equal(null);
+    const session = operatorAuth.login('alice', 'admin-pass-1');
+    expect(operatorAuth.verifyToken(session.token)).to.deep.equal({ username: 'alice', role: 'admin' });
+    expect(operatorAuth.verifyToken(session.token.slice(0, -2) + 'xx')).to.equal(null);
+  });
+
+  it('enforces role hierarchy in requireRole', () => {
+    const viewer = operatorAuth.login('bob', 'viewer-pass-1').token;
+    const admin = operatorAuth.login('alice', 'admin-pass-1').token;
+    expect(run(operatorAuth.requireRole('viewer'))).to.include({ passed: false, status: 401 });
+    expect(run(operatorAuth.requireRole('viewer'), viewer)).to.include({ passed: true });
+    expect(run(operatorAuth.requireRole('admin'), viewer)).to.include({ passed: false, status: 403 });
+    expect(run(operatorAuth.requireRole('viewer'), admin)).to.include({ passed: true });
+  });
+
+  it('applies role changes and deletions to already-issued tokens', () => {
+    const token = operatorAuth.login('bob', 'viewer-pass-1').token;
+    operatorAuth.updateUser('bob', { role: 'admin' });
+    expect(operatorAuth.verifyToken(token).role).to.equal('admin');
+    operatorAuth.deleteUser('bob');
+    expect(operatorAuth.verifyToken(token)).to.equal(null);
+  });
+
+  it('persists users with hashed passwords', () => {
+    const raw = fs.readFileSync(path.join(dir, 'users.json'), 'utf8');
+    expect(raw).to.not.include('admin-pass-1');
+    operatorAuth.initOperatorAuth({ usersFile: path.join(dir, 'users.json'), secret: 'test-secret' });
+    expect(operatorAuth.listUsers().map(u => u.username)).to.deep.equal(['alice', 'bob']);
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const queue = require('../src/queue');
+
+describe('queue', () => {
+  let dir;
+  let journalFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-queue-'));
+    journalFile = path.join(dir, 'queue-journal.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const settle = () => new Promise(r => setTimeout(r, 50));
+
+  it('replays items that were still pending when the process stopped', () => {
+    queue.initQueue({ journalFile }); // no worker: nothing is processed
+    queue.enqueue({ eventId: 'evt-1' });
+    queue.enqueue({ eventId: 'evt-2' });
+
+    queue.initQueue({ journalFile });
+    expect(queue.queueStats().pending).to.equal(2);
+  });
+
+  it('dead-letters items that exhaust maxAttempts and supports retry and discard', async () => {
+    const notices = [];
+    const worker = async () => { throw new Error('rpc down'); };
+    queue.initQueue({ journalFile, worker, maxAttempts: 1, onDeadLetter: (type) => notices.push(type) });
+    queue.enqueue({ eventId: 'evt-1' });
+    await settle();
+
+    const [entry] = queue.listDeadLetters();
+    expect(entry.item.eventId).to.equal('evt-1');
+    expect(entry.error).to.equal('rpc down');
+
+    // dead-letter state survives a restart
+    queue.initQueue({ journalFile });
+    expect(queue.getDeadLetter(entry.id)).to.not.equal(null);
+
+    queue.retryDeadLetter(entry.id);
+    expect(queue.queueStats()).to.include({ pending: 1, deadLetter: 0 });
+
+    queue.initQueue({ journalFile, worker, maxAttempts: 1, onDeadLetter: (type) => notices.push(type) });
+    await settle();
+    queue.discardDeadLetter(entry.id);
+    expect(queue.queueStats()).to.include({ pending: 0, deadLetter: 0 });
+    expect(notices).to.deep.equal(['added', 'added', 'discarded']);
+  });
+
+  it('works on up to `concurrency` items at once and keeps the queue id across retries', async () => {
+    const started = [];
+    const ids = {};
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const worker = async (item, { id, attempts }) => {
+      started.push(`${item.eventId}#${attempts}`);
+      (ids[item.eventId] = ids[item.eventId] || []).push(id);
+      if (item.eventId === 'evt-1' && attempts === 0) throw new Error('nonce too low');
+      await gate;
+    };
+    queue.initQueue({ journalFile, worker, concurrency: 2 });
+    ['evt-1', 'evt-2', 'evt-3'].forEach(eventId => queue.enqueue({ eventId }));
+    await settle();
+
+    // evt-1 holds its lane through the backoff, so evt-3 waits for a free one
+    expect(started).to.deep.equal(['evt-1#0', 'evt-2#0']);
+    expect(queue.queueStats()).to.include({ pending: 3, inFlight: 2, processing: true });
+    release();
+    await new Promise(r => setTimeout(r, 700));
+    expect(started).to.include('evt-3#0');
+    await new Promise(r => setTimeout(r, 2000));
+    expect(started).to.include('evt-1#1');
+    expect(new Set(ids['evt-1']).size).to.equal(1);
+  }).timeout(5000);
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const { startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('../src/simulatedChain');
+const { initRpcPool, checkRpcHealth, getRpcStatus, stopRpcPool } = require('../src/rpcPool');
+const blockchain = require('../src/blockchain');
+const indexer = require('../src/indexer');
+const { readIndexedTrustEvents } = require('../src/systemValidation');
+
+const iface = new ethers.Interface(require('../abi.json'));
+
+// JSON-RPC stand-in in front of the simulated node; state.mode: ok | down (503) | throttle (429) | hang | tamper
+function standIn(target) {
+  const state = { mode: 'ok', delayMs: 0, lag: 0 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      if (state.mode === 'down') return res.writeHead(503).end('unavailable');
+      if (state.mode === 'throttle') return res.writeHead(429).end('too many requests');
+      if (state.mode === 'hang') return undefined;
+      if (state.delayMs) await new Promise(r => setTimeout(r, state.delayMs));
+      const payload = JSON.parse(body);
+      const { data } = await axios.post(target, payload);
+      if (state.lag && payload.method === 'eth_blockNumber') data.result = ethers.toQuantity(Number(data.result) - state.lag);
+      if (state.mode === 'tamper' && payload.method === 'eth_getLogs') data.result = data.result.slice(1);
+      return res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      state,
+      close: () => new Promise((done) => {
+        server.close(() => done());
+        server.closeAllConnections();
+      })
+    }));
+  });
+}
+
+describe('rpcPool (health checks, failover, quorum getLogs)', () => {
+  let dir;
+  let node;
+  let contract;
+  let nodes;
+
+  // one simulated chain with TrustLogger and two TrustEvents, three stand-ins in front of it
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-rpc-'));
+    node = await startSimulatedChain({ file: path.join(dir, 'chain.ndjson') });
+    const direct = new ethers.JsonRpcProvider(node.url, undefined, { cacheTimeout: -1 });
+    const wallet = new ethers.Wallet(DEV_PRIVATE_KEY, direct);
+    contract = (await (await wallet.sendTransaction({ data: SIM_INIT_CODE })).wait()).contractAddress;
+    for (const newTS of [40, 30]) {
+      const data = iface.encodeFunctionData('logTrustEvent', ['g1', 100, newTS, 'LOW_TRUST', ethers.ZeroHash, 1700000000]);
+      await (await wallet.sendTransaction({ to: contract, data })).wait();
+    }
+    direct.destroy();
+    nodes = await Promise.all([0, 1, 2].map(() => standIn(node.url)));
+  });
+
+  afterEach(async () => {
+    indexer.stopIndexer();
+    await blockchain.stopChain();
+    stopRpcPool();
+    await Promise.all(nodes.map(n => n.close()));
+    await node.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const pool = (opts = {}) => initRpcPool({
+    urls: nodes.map(n => n.url),
+    timeoutMs: 300,
+    healthIntervalMs: 60000,
+    maxLagBlocks: 2,
+    providerOpts: { cacheTimeout: -1 },
+    ...opts
+  });
+  const statuses = () => getRpcStatus().endpoints.map(e => e.status);
+
+  it('ranks endpoints by health and latency and fails over when the preferred one stops answering', async () => {
+    nodes[0].state.mode = 'throttle';
+    nodes[1].state.delayMs = 60;
+    const provider = pool();
+    await checkRpcHealth();
+    expect(statuses()).to.deep.equal(['down', 'up', 'up']);
+    expect(getRpcStatus().endpoints[0].lastError).to.equal('HTTP 429');
+    expect(getRpcStatus().preferred).to.equal(2);
+
+    nodes[2].state.mode = 'hang';
+    expect(await provider.getBlockNumber()).to.equal(3);
+    expect(statuses()).to.deep.equal(['down', 'up', 'down']);
+    expect(getRpcStatus().endpoints[2].lastError).to.equal('timeout after 300ms');
+
+    // recovered endpoints come back with the next health round; a lagging one is ranked after the others
+    nodes[0].state.mode = 'ok';
+    nodes[0].state.lag = 3;
+    nodes[2].state.mode = 'ok';
+    await checkRpcHealth();
+    expect(statuses()).to.deep.equal(['lagging', 'up', 'up']);
+    expect(getRpcStatus().endpoints[0].lag).to.equal(3);
+    expect(getRpcStatus().preferred).to.equal(2);
+
+    nodes.forEach(n => { n.state.mode = 'down'; });
+    const err = await provider.getBlockNumber().catch(e => e);
+    expect(err.message).to.match(/all RPC endpoints failed/);
+    provider.destroy();
+  });
+
+  it('answers eth_getLogs only when a quorum of endpoints returns the same logs', async () => {
+    nodes[0].state.mode = 'tamper';
+    nodes[1].state.delayMs = 30;
+    nodes[2].state.delayMs = 60;
+    const provider = pool({ quorum: 2 });
+    await checkRpcHealth();
+
+    // the fastest endpoint drops a log from the indexer's getLogs; the two honest ones outvote it
+    indexer.initIndexer({
+      provider,
+      contractAddress: contract,
+      deployBlock: 0,
+      journalFile: path.join(dir, 'index.ndjson'),
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      pollMs: 3600000
+    });
+    await indexer.syncIndexer();
+    const events = readIndexedTrustEvents(contract, 'g1');
+    expect(events.map(e => e.newTS)).to.deep.equal([40, 30]);
+    expect(getRpcStatus().endpoints[0].disagreements).to.equal(1);
+
+    // with one honest endpoint down the remaining two disagree
+    nodes[2].state.mode = 'down';
+    await checkRpcHealth();
+    const err = await provider.getLogs({ address: contract, fromBlock: 0 }).catch(e => e);
+    expect(err.message).to.match(/eth_getLogs quorum not reached: 2 matching answers needed, got 1 \/ 1/);
+    provider.destroy();
+  });
+
+  it('keeps anchoring through the pool in rpc mode while an endpoint is down', async () => {
+    const env = { RPC_URLS: nodes.map(n => n.url).join(','), DEPLOYER_PRIVATE_KEY: DEV_PRIVATE_KEY, TRUSTLOGGER_ADDRESS: contract, TX_CONFIRMATIONS: '1' };
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      nodes[0].state.mode = 'down';
+      await blockchain.initChain({ mode: 'rpc', txs: { journalFile: path.join(dir, 'txs.ndjson'), pollMs: 50 } });
+      const logged = await blockchain.processAndLog({ groupId: 'g1', oldTS: 30, newTS: 20, ts: 1700000001 });
+      expect(logged.receipt.blockNumber).to.equal(4);
+      expect(getRpcStatus().endpoints.map(e => e.status)).to.deep.equal(['down', 'up', 'up']);
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  });
+});
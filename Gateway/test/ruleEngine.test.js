@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const engine = require('../src/ruleEngine');
+
+function series(values, extra = () => ({})) {
+  return values.map((v, i) => ({ groupId: 'g1', oldTS: v, newTS: v, ts: 1700000000 + i, ...extra(i) }));
+}
+
+describe('ruleEngine', () => {
+  let dir;
+
+  before(() => {
+    engine.loadRules(path.join(__dirname, '..', 'config', 'rules.json'));
+  });
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+    engine.loadRules(path.join(__dirname, '..', 'config', 'rules.json'));
+  });
+
+  it('reports the rule that fired and its evidence', () => {
+    const d = engine.evaluate(series([90, 75, 88, 70, 85, 60, 80, 55]), { groupId: 'g1', currentThreshold: 60 });
+    expect(d.action).to.equal('confirm_unreliable');
+    expect(d.reason).to.equal('recurring_drops');
+    expect(d.evidence.conditions[0]).to.include({ detector: 'drops', metric: 'count', op: '>=', threshold: 3 });
+    expect(d.evidence.conditions[0].observed).to.be.at.least(3);
+    expect(d.firedRules).to.include('high_instability');
+  });
+
+  it('proposes a lower threshold from the current one on a downward trend', () => {
+    const d = engine.evaluate(series([95, 92, 89, 86, 83]), { groupId: 'g1', currentThreshold: 50 });
+    expect(d).to.include({ action: 'adjust_threshold_lower', reason: 'downward_trend', newThreshold: 45 });
+    const floor = engine.evaluate(series([95, 92, 89, 86, 83]), { groupId: 'g1', currentThreshold: 10 });
+    expect(floor.action).to.equal('no_action');
+  });
+
+  it('flags distance outliers and sustained shifts with the statistical detectors', () => {
+    const dist = series([90, 90, 90, 90, 90, 90, 90], i => ({ distA: i < 6 ? 100 + (i % 2) : 300, distB: -1 }));
+    const d = engine.evaluate(dist, { groupId: 'g1' });
+    expect(d.reason).to.equal('distance_outlier');
+    expect(d.evidence.detectors.distanceZScore.sensor).to.equal('distA');
+
+    // an ordinary move of a few cm after a steady stretch is not an outlier
+    for (const moved of [104, 96, 110]) {
+      const steady = series([90, 90, 90, 90, 90, 90, 90], i => ({ distA: i < 6 ? 100 : moved, distB: -1 }));
+      expect(engine.evaluate(steady, { groupId: 'g1' }).action).to.equal('no_action');
+      expect(engine.runDetectors(steady, engine.resolveRules('g1').detectors).distanceZScore.maxAbsZ).to.be.below(4);
+    }
+
+    const shift = engine.runDetectors(series([90, 91, 90, 89, 90, 80, 79, 80, 78, 79]), { cusum: { k: 2 }, ewma: { lambda: 0.3 } });
+    expect(shift.cusum.lower).to.be.above(25);
+    expect(shift.ewma.score).to.be.below(-3);
+  });
+
+  it('applies per-group overrides from a YAML file and rejects invalid configs', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-rules-'));
+    const file = path.join(dir, 'rules.yaml');
+    fs.writeFileSync(file, [
+      'defaults:',
+      '  rules:',
+      '    - id: low_slope',
+      '      when: { detector: slope, metric: slope, op: "<", value: -2 }',
+      '      action: flag_for_review',
+      'groups:',
+      '  quiet:',
+      '    rules:',
+      '      - id: low_slope',
+      '        enabled: false'
+    ].join('\n'));
+    engine.loadRules(file);
+    const falling = series([95, 90, 85, 80]);
+    expect(engine.evaluate(falling, { groupId: 'g1' }).reason).to.equal('low_slope');
+    expect(engine.evaluate(falling, { groupId: 'quiet' }).action).to.equal('no_action');
+
+    fs.writeFileSync(file, 'defaults:\n  rules:\n    - id: bad\n      when: { detector: nope, metric: x, op: ">", value: 1 }\n      action: flag_for_review\n');
+    expect(() => engine.loadRules(file)).to.throw(/unknown detector nope/);
+    expect(engine.resolveRules('g1').rules.map(r => r.id)).to.deep.equal(['low_slope']);
+  });
+});
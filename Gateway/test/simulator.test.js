@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const { expect } = require('chai');
+
+const storage = require('../src/storage');
+const anchoring = require('../src/anchoring');
+const auth = require('../src/auth');
+const operatorAuth = require('../src/operatorAuth');
+const { initSocket, publishRecord } = require('../src/socket');
+const { initIngest, ingestReading } = require('../src/ingest');
+const { validatePayload } = require('../src/validator');
+const { createDevice, buildPayload, FIRMWARE } = require('../simulator/firmware');
+const { validateScenario, runScenario, checkPhase } = require('../simulator/scenario');
+
+describe('simulator (virtual firmware, scenarios, checks)', () => {
+  it('builds the firmware payload field by field and passes the v2 schema', () => {
+    const body = buildPayload({
+      eventId: 'evt-1700000100-1234', deviceId: 'd1', groupId: 'g1', oldTS: 99, newTS: 98, trustA: 98, trustB: 100,
+      distA: 40, distB: -1, speed: 1380, reason: 'PERIODIC', ts: 1700000100
+    });
+    expect(body).to.equal('{"schemaVersion":2,"eventId":"evt-1700000100-1234","deviceId":"d1","groupId":"g1","oldTS":99,"newTS":98,'
+      + '"trustA":98,"trustB":100,"distA":40,"distB":-1,"speed":1380,"reason":"PERIODIC","ts":1700000100}');
+    expect(validatePayload(JSON.parse(body))).to.deep.equal({ ok: true, version: 2 });
+  });
+
+  it('posts on the firmware schedule: heartbeat, low trust with debounce, never with an unsynced clock', () => {
+    const device = createDevice({ deviceId: 'd1', groupId: 'g1', secret: 's', random: () => 0.5 });
+    const clock0 = 1700000000 + 100;
+    const run = (ticks, input) => {
+      const posts = [];
+      for (let i = 0; i < ticks; i++) {
+        const r = device.tick({ rpmFull: 1800, clockSec: clock0 + device.state().millis / 1000, ...input(i) });
+        if (r) posts.push({ at: device.state().millis, ...r, payload: JSON.parse(r.body) });
+      }
+      return posts;
+    };
+
+    // still object: one heartbeat every 5 s, full trust, motor running at the 40 cm duty cycle
+    const steady = run(40, () => ({ distA: 40, distB: 40 }));
+    expect(steady.map(p => p.at)).to.deep.equal([5000, 10000]);
+    expect(steady[1].payload).to.include({ trustA: 100, trustB: 100, reason: 'PERIODIC', distA: 40 });
+    expect(steady[1].payload.speed).to.be.above(0);
+
+    // a jittering sensor A loses a point per changed reading; below 60 it posts every 1.5 s
+    const noisy = run(200, (i) => ({ distA: 40 + (i % 2) * 3, distB: 40 }));
+    const low = noisy.filter(p => p.payload.reason === 'LOW_TRUST');
+    expect(low.length).to.be.above(2);
+    for (let i = 1; i < low.length; i++) expect(low[i].at - low[i - 1].at).to.equal(FIRMWARE.debounceMs);
+    expect(noisy[noisy.length - 1].payload.trustB).to.equal(100);
+
+    // lost clock: nothing is posted
+    expect(run(40, () => ({ distA: 40, distB: 40, clockSec: 12 }))).to.have.length(0);
+  });
+
+  it('validates scenario files and lists every problem', () => {
+    expect(() => validateScenario({ devices: { count: 0 }, phases: [{ durationSec: 0, object: { profile: 'bounce' }, sensorB: { fault: 'melted' }, expect: { flagged: 'maybe' } }] }))
+      .to.throw(/devices.count.*durationSec.*object.profile.*sensorB.fault.*expect.flagged/);
+    const s = validateScenario({ phases: [{ durationSec: 10 }] });
+    expect(s).to.include({ name: 'scenario', seed: 1, rpmFull: 1800 });
+    expect(s.phases[0].name).to.equal('phase-1');
+  });
+
+  it('checks responses and socket alerts against a phase\'s expectations', () => {
+    const ok = (action, flagged, reason) => ({ status: 200, body: { flagged, systemDecision: { action, reason } } });
+    const responses = [ok('no_action', false), ok('confirm_unreliable', true, 'recurring_drops'), { status: 401, body: { error: 'invalid signature' } }];
+    const alerts = [{ decision: { reason: 'trust_divergence' } }];
+    const results = checkPhase({
+      status: 200,
+      readings: { min: 3 },
+      flagged: 'some',
+      decisions: ['confirm_unreliable'],
+      noDecisions: ['flag_for_review'],
+      rules: ['recurring_drops'],
+      alerts: { min: 1, reasons: ['trust_divergence'] }
+    }, responses, alerts);
+    expect(results.map(r => [r.check, r.ok])).to.deep.equal([
+      ['readings', true], ['status', false], ['flagged', true], ['decisions', true], ['noDecisions', true], ['rules', true], ['alerts', true]
+    ]);
+    expect(results[1].detail).to.equal('1 of 3 answered 401 (invalid signature)');
+    expect(checkPhase({ flagged: 'none', alerts: { max: 0 } }, responses, alerts).map(r => r.ok)).to.deep.equal([false, false]);
+  });
+
+  // the real pipeline, device registry and socket layer behind a minimal express app
+  describe('against an in-process gateway', () => {
+    let dir, server, url, token;
+
+    beforeEach((done) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-sim-'));
+      storage.openStore(path.join(dir, 'events'));
+      anchoring.initAnchoring({ journalFile: path.join(dir, 'anchoring.ndjson') });
+      auth.loadDevices(path.join(dir, 'devices.json'));
+      operatorAuth.initOperatorAuth({ usersFile: path.join(dir, 'users.json'), secret: 'test-secret', ttlSec: 60 });
+      operatorAuth.createUser({ username: 'admin', password: 'admin-pass-1', role: 'admin' });
+      token = operatorAuth.login('admin', 'admin-pass-1').token;
+
+      const app = express();
+      app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+      app.post('/admin/devices', operatorAuth.requireRole('admin'), (req, res) => res.status(201).json(auth.registerDevice(req.body)));
+      app.post('/data', async (req, res) => {
+        const result = auth.authenticateDeviceRequest(req);
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+        const { status, body } = await ingestReading(req.body, { auth: result });
+        return res.status(status).json(body);
+      });
+      server = http.createServer(app);
+      initSocket(server, { corsOrigins: [] });
+      initIngest({ store: (record) => publishRecord(record, storage.appendEvent(record)), enqueueChainLog: () => {} });
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterEach((done) => {
+      anchoring.stopAnchoring();
+      storage.closeStore();
+      server.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        done();
+      });
+    });
+
+    it('runs a scenario end to end and reports each phase per device', async () => {
+      const scenario = validateScenario({
+        name: 'spoof',
+        devices: { count: 2, prefix: 'sim', groups: ['g'] },
+        phases: [
+          { name: 'steady', durationSec: 15, expect: { status: 200, flagged: 'none', alerts: { max: 0 } } },
+          {
+            name: 'spoofed',
+            durationSec: 20,
+            sensorB: { fault: 'fixed', cm: 450 },
+            tamper: { trustA: 100, trustB: 100 },
+            expect: { status: 200, flagged: 'some', alerts: { min: 1, reasons: ['trust_divergence'] } }
+          },
+          { name: 'skewed', durationSec: 5, clock: { offsetSec: 900 }, expect: { status: 401 } }
+        ]
+      });
+      const report = await runScenario(scenario, { url, token, tag: 't1', settleMs: 100 });
+
+      expect(report.devices).to.deep.equal(['sim-1-t1', 'sim-2-t1']);
+      expect(report.phases.map(p => p.name)).to.deep.equal(['steady', 'spoofed', 'skewed']);
+      const failed = report.phases.flatMap(p => Object.values(p.devices).flatMap(d => d.checks.filter(c => !c.ok).map(c => `${p.name} ${c.check}: ${c.detail}`)));
+      expect(failed).to.deep.equal([]);
+      expect(report.ok).to.equal(true);
+      expect(report.phases[0].devices['sim-1-t1']).to.include({ readings: 3, flagged: 0 });
+      expect(storage.queryEvents({ deviceId: 'sim-2-t1', stage: 'received' })[0]).to.include({ groupId: 'g-t1' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { expect } = require('chai');
+const { io: connect } = require('socket.io-client');
+
+const storage = require('../src/storage');
+const operatorAuth = require('../src/operatorAuth');
+const { initSocket, publishRecord } = require('../src/socket');
+
+function reading(deviceId, groupId, eventId, trust) {
+  return {
+    eventId,
+    deviceId,
+    groupId,
+    payload: { eventId, deviceId, trustA: trust, trustB: trust },
+    trustA: trust,
+    trustB: trust,
+    stage: 'received',
+    receivedAt: new Date().toISOString()
+  };
+}
+
+// a local server + real socket.io clients against a throwaway event store
+describe('socket (rooms, handshake auth, backfill)', () => {
+  let dir, io, url, token, clients;
+
+  beforeEach((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-socket-'));
+    storage.openStore(path.join(dir, 'events'));
+    operatorAuth.initOperatorAuth({ usersFile: path.join(dir, 'users.json'), secret: 'test-secret', ttlSec: 60 });
+    operatorAuth.createUser({ username: 'viewer', password: 'viewer-pass-1', role: 'viewer' });
+    token = operatorAuth.login('viewer', 'viewer-pass-1').token;
+    clients = [];
+    const server = http.createServer();
+    io = initSocket(server, { corsOrigins: [] });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    clients.forEach(c => c.disconnect());
+    io.close(() => {
+      storage.closeStore();
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  function client(auth = { token }) {
+    const c = connect(url, { transports: ['websocket'], auth, reconnection: false });
+    clients.push(c);
+    return c;
+  }
+
+  // subscribe and collect everything received until the ack arrives
+  function subscribe(c, sub, event = 'telemetry') {
+    const got = [];
+    c.on(event, (m) => got.push(m));
+    return new Promise((resolve) => c.emit('subscribe', sub, (ack) => resolve({ ack, got })));
+  }
+
+  const pause = (ms) => new Promise(r => setTimeout(r, ms));
+
+  it('rejects handshakes without a valid operator token', (done) => {
+    client({ token: 'nope' }).on('connect_error', (err) => {
+      expect(err.message).to.equal('unauthorized');
+      done();
+    });
+  });
+
+  it('backfills the last records of a room and then delivers only that room', async () => {
+    storage.appendEvent(reading('d1', 'g1', 'e1', 90));
+    storage.appendEvent(reading('d2', 'g2', 'e2', 80));
+    storage.appendEvent(reading('d1', 'g1', 'e3', 70));
+
+    const c = client();
+    const { ack, got } = await subscribe(c, { deviceId: 'd1' });
+    expect(ack).to.include({ ok: true, room: 'device:d1', count: 2, cursor: 3, truncated: false });
+    expect(got.map(m => [m.eventId, m.seq, m.backfill])).to.deep.equal([['e1', 1, true], ['e3', 3, true]]);
+
+    const other = reading('d2', 'g2', 'e4', 60);
+    publishRecord(other, storage.appendEvent(other));
+    const mine = reading('d1', 'g1', 'e5', 50);
+    publishRecord(mine, storage.appendEvent(mine));
+    await pause(100);
+    expect(got.map(m => m.eventId)).to.deep.equal(['e1', 'e3', 'e5']);
+    expect(got[2]).to.include({ seq: 5, trustA: 50 });
+    expect(got[2]).to.not.have.property('backfill');
+
+    const bad = await subscribe(c, { room: 'x' });
+    expect(bad.ack).to.include({ ok: false });
+  });
+
+  it('resumes from a cursor after a reconnect and reports gaps it cannot cover', async () => {
+    storage.appendEvent(reading('d1', 'g1', 'e1', 90));
+    const first = await subscribe(client(), { groupId: 'g1' });
+    const cursor = first.ack.cursor;
+
+    // missed while disconnected
+    storage.appendEvent(reading('d1', 'g1', 'e2', 85));
+    storage.appendEvent(reading('d9', 'g9', 'e3', 20));
+    storage.appendEvent(reading('d1', 'g1', 'e4', 80));
+
+    const resumed = await subscribe(client(), { groupId: 'g1', since: cursor });
+    expect(resumed.got.map(m => m.eventId)).to.deep.equal(['e2', 'e4']);
+    expect(resumed.ack).to.include({ cursor: 4, count: 2, truncated: false });
+
+    const capped = await subscribe(client(), { fleet: true, since: 0, limit: 2 });
+    expect(capped.got.map(m => m.eventId)).to.deep.equal(['e1', 'e2']);
+    expect(capped.ack).to.include({ room: 'fleet', cursor: 2, truncated: true });
+  });
+});
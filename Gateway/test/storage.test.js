@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const storage = require('../src/storage');
+
+describe('storage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-store-'));
+    storage.openStore(dir);
+  });
+
+  afterEach(() => {
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function seed(n) {
+    for (let i = 0; i < n; i++) {
+      storage.appendEvent({
+        eventId: `evt-${i}`,
+        deviceId: `esp32-0${i % 2}`,
+        groupId: 'group-1',
+        stage: 'received',
+        flagged: i % 3 === 0,
+        receivedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString()
+      });
+    }
+  }
+
+  it('queries by device, newest first', () => {
+    seed(10);
+    const ids = storage.queryEvents({ deviceId: 'esp32-01', order: 'desc', limit: 2 }).map(e => e.eventId);
+    expect(ids).to.deep.equal(['evt-9', 'evt-7']);
+  });
+
+  it('applies time range, flagged and seq cursor filters', () => {
+    seed(10);
+    const from = Date.UTC(2024, 0, 1, 0, 0, 2);
+    const to = Date.UTC(2024, 0, 1, 0, 0, 6);
+    expect(storage.queryEvents({ from, to }).map(e => e.eventId))
+      .to.deep.equal(['evt-2', 'evt-3', 'evt-4', 'evt-5', 'evt-6']);
+    expect(storage.queryEvents({ flagged: true }).map(e => e.eventId))
+      .to.deep.equal(['evt-0', 'evt-3', 'evt-6', 'evt-9']);
+    const page = storage.queryEvents({ afterSeq: 8, includeMeta: true });
+    expect(page.map(r => r.seq)).to.deep.equal([9, 10]);
+  });
+
+  it('rebuilds indexes on reopen and drops a torn trailing record', () => {
+    seed(3);
+    const segment = fs.readdirSync(dir)[0];
+    fs.appendFileSync(path.join(dir, segment), '{"eventId":"half');
+    storage.openStore(dir);
+    expect(storage.countEvents()).to.equal(3);
+    expect(storage.getEventRecords('evt-1')).to.have.length(1);
+    storage.appendEvent({ eventId: 'evt-3', stage: 'received' });
+    storage.openStore(dir);
+    expect(storage.getEventRecords('evt-3')).to.have.length(1);
+  });
+});
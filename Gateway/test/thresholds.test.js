@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const thresholds = require('../src/thresholds');
+
+describe('thresholds (history, proposals, approval)', () => {
+  let dir;
+  const load = () => thresholds.loadThresholds({
+    file: path.join(dir, 'thresholds.json'),
+    historyFile: path.join(dir, 'threshold-history.ndjson'),
+    proposalsFile: path.join(dir, 'threshold-proposals.json')
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-thresholds-'));
+    load();
+  });
+
+  afterEach(() => {
+    thresholds.stopThresholds();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records every set and clear with actor, reason and before/after', () => {
+    expect(thresholds.getGroupThreshold('g1')).to.equal(thresholds.DEFAULT_THRESHOLD);
+    const set = thresholds.setThreshold('g1', 70, { actor: 'alice', reason: 'noisy sensors' });
+    expect(set).to.include({ groupId: 'g1', before: null, after: 70, actor: 'alice', reason: 'noisy sensors', source: 'manual' });
+    thresholds.setThreshold('g1', 65, { actor: 'bob' });
+    expect(() => thresholds.setThreshold('g1', 101, { actor: 'bob' })).to.throw(/between 0 and 100/);
+
+    const cleared = thresholds.clearThreshold('g1', { actor: 'alice', reason: 'back to default' });
+    expect(cleared).to.include({ before: 65, after: null, actor: 'alice', reason: 'back to default' });
+    expect(thresholds.clearThreshold('g1', { actor: 'alice' })).to.equal(null);
+    expect(thresholds.getGroupThreshold('g1')).to.equal(thresholds.DEFAULT_THRESHOLD);
+
+    thresholds.setThreshold('g2', 50, { actor: 'alice' });
+    expect(thresholds.getHistory({ groupId: 'g1' }).map(c => [c.before, c.after, c.actor]))
+      .to.deep.equal([[65, null, 'alice'], [70, 65, 'bob'], [null, 70, 'alice']]);
+
+    // values and history survive a reload; no tmp file is left behind
+    load();
+    expect(thresholds.getThresholds()).to.deep.equal({ g2: 50 });
+    expect(thresholds.getHistory()).to.have.length(4);
+    expect(fs.readdirSync(dir).sort()).to.deep.equal(['threshold-history.ndjson', 'thresholds.json']);
+  });
+
+  it('keeps one refreshed pending proposal per group and applies it only on approval', () => {
+    const first = thresholds.proposeThreshold({ groupId: 'g1', deviceId: 'd1', proposed: 55, reason: 'slow_decline' });
+    const again = thresholds.proposeThreshold({ groupId: 'g1', deviceId: 'd2', proposed: 50, reason: 'slow_decline' });
+    expect(again.id).to.equal(first.id);
+    expect(again).to.include({ proposed: 50, deviceId: 'd2', occurrences: 2, status: 'pending' });
+    const other = thresholds.proposeThreshold({ groupId: 'g2', deviceId: 'd3', proposed: 45, reason: 'slow_decline' });
+    expect(thresholds.listProposals({ status: 'pending' })).to.have.length(2);
+
+    const { proposal, change } = thresholds.approveProposal(first.id, { actor: 'alice', reason: 'agreed' });
+    expect(proposal).to.include({ status: 'approved', decidedBy: 'alice', decisionReason: 'agreed' });
+    expect(change).to.include({ groupId: 'g1', before: null, after: 50, source: 'proposal', proposalId: first.id });
+    expect(thresholds.getGroupThreshold('g1')).to.equal(50);
+
+    const rejected = thresholds.rejectProposal(other.id, { actor: 'bob', reason: 'too low' });
+    expect(rejected).to.include({ status: 'rejected', decidedBy: 'bob' });
+    expect(thresholds.getThresholds()).to.not.have.property('g2');
+
+    // a decision is final
+    expect(() => thresholds.approveProposal(other.id, { actor: 'alice' })).to.throw('proposal already rejected');
+    expect(() => thresholds.rejectProposal(first.id, { actor: 'bob' })).to.throw('proposal already approved');
+    expect(() => thresholds.approveProposal('missing', { actor: 'alice' })).to.throw('proposal not found');
+
+    // a new proposal for g1 opens once the previous one was decided
+    expect(thresholds.proposeThreshold({ groupId: 'g1', proposed: 40 }).id).to.not.equal(first.id);
+    load();
+    expect(thresholds.getProposal(first.id)).to.include({ status: 'approved' });
+    expect(thresholds.listProposals({ groupId: 'g1' })).to.have.length(2);
+  });
+
+  it('writes a repeated proposal only when its value changes and prunes old decided proposals', () => {
+    const saved = () => JSON.parse(fs.readFileSync(path.join(dir, 'threshold-proposals.json'), 'utf8'));
+    const first = thresholds.proposeThreshold({ groupId: 'g1', proposed: 55, reason: 'slow_decline' });
+    thresholds.proposeThreshold({ groupId: 'g1', proposed: 55, reason: 'slow_decline' });
+    thresholds.proposeThreshold({ groupId: 'g1', proposed: 55, reason: 'slow_decline' });
+    expect(thresholds.getProposal(first.id).occurrences).to.equal(3);
+    expect(saved()[first.id]).to.include({ proposed: 55, occurrences: 1 });
+    thresholds.proposeThreshold({ groupId: 'g1', proposed: 50, reason: 'slow_decline' });
+    expect(saved()[first.id]).to.include({ proposed: 50, occurrences: 4 });
+    thresholds.proposeThreshold({ groupId: 'g1', proposed: 50, reason: 'slow_decline' });
+    thresholds.stopThresholds();
+    expect(saved()[first.id]).to.include({ occurrences: 5 });
+
+    // past THRESHOLD_PROPOSALS_MAX (500) decided proposals the oldest decisions go; pending ones stay
+    for (let i = 0; i < 501; i++) {
+      const p = thresholds.proposeThreshold({ groupId: `bulk-${i}`, proposed: 40 });
+      thresholds.rejectProposal(p.id, { actor: 'bob' });
+    }
+    const pending = thresholds.proposeThreshold({ groupId: 'g2', proposed: 45 });
+    thresholds.rejectProposal(first.id, { actor: 'bob' });
+    const ids = Object.keys(saved());
+    expect(ids).to.have.length(501);
+    expect(ids).to.include(pending.id).and.include(first.id);
+    // 502 decided: bulk-0 and bulk-1 were decided first
+    expect(thresholds.listProposals({ groupId: 'bulk-1' })).to.have.length(0);
+    expect(thresholds.listProposals({ groupId: 'bulk-2' })).to.have.length(1);
+  });
+});
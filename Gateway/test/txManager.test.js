@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const { startSimulatedChain, DEV_PRIVATE_KEY, SIM_INIT_CODE } = require('../src/simulatedChain');
+const txManager = require('../src/txManager');
+
+const iface = new ethers.Interface(require('../abi.json'));
+const logCall = (newTS) => iface.encodeFunctionData('logTrustEvent', ['g1', 100, newTS, 'LOW_TRUST', ethers.ZeroHash, 1700000000]);
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('condition not met in time');
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+describe('txManager (nonces, confirmations, stuck-tx replacement)', () => {
+  let dir;
+  let node;
+  let provider;
+  let wallet;
+  let contract;
+  let statuses;
+
+  // a ledger that only mines on evm_mine, with TrustLogger deployed at nonce 0
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-txs-'));
+    node = await startSimulatedChain({ file: path.join(dir, 'chain.ndjson'), blockTimeMs: 3600000 });
+    provider = new ethers.JsonRpcProvider(node.url, undefined, { cacheTimeout: -1 });
+    wallet = new ethers.Wallet(DEV_PRIVATE_KEY, provider);
+    await wallet.sendTransaction({ data: SIM_INIT_CODE });
+    node.ledger.mine();
+    contract = ethers.getCreateAddress({ from: wallet.address, nonce: 0 });
+    statuses = [];
+  });
+
+  afterEach(async () => {
+    txManager.stopTxManager();
+    provider.destroy();
+    await node.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const init = (opts = {}) => txManager.initTxManager({
+    wallet,
+    provider,
+    journalFile: path.join(dir, 'txs.ndjson'),
+    confirmations: 2,
+    pollMs: 20,
+    stuckAfterMs: 3600000,
+    onStatus: (tx) => statuses.push([tx.nonce, tx.status]),
+    ...opts
+  });
+  const find = (status) => txManager.listTxs({ status });
+
+  it('pipelines sends on consecutive nonces and resolves once each tx has enough confirmations', async () => {
+    init();
+    const sends = [1, 2, 3].map(ts => txManager.sendTx({ to: contract, data: logCall(ts), kind: 'event', ref: `r${ts}` }));
+    await until(() => find('pending').length === 3);
+    expect(find('pending').map(tx => tx.nonce).sort()).to.deep.equal([1, 2, 3]);
+
+    node.ledger.mine();
+    await until(() => find('mined').length === 3);
+    expect(txManager.txStats()).to.include({ inFlight: 3, mined: 3, confirmations: 2 });
+
+    node.ledger.mine();
+    const results = await Promise.all(sends);
+    expect(results.map(r => r.receipt.blockNumber)).to.deep.equal([2, 2, 2]);
+    expect(results[0].tx).to.include({ status: 'confirmed', confirmations: 2, required: 2 });
+    expect(statuses.filter(([nonce]) => nonce === 1).map(([, status]) => status)).to.deep.equal(['pending', 'mined', 'confirmed']);
+
+    // a confirmed ref is not sent twice
+    const again = await txManager.sendTx({ to: contract, data: logCall(1), kind: 'event', ref: 'r1' });
+    expect(again.tx.hash).to.equal(results[0].tx.hash);
+    expect(await provider.getTransactionCount(wallet.address)).to.equal(4);
+  });
+
+  it('re-broadcasts a stuck tx with bumped fees and follows whichever hash gets mined', async () => {
+    init({ confirmations: 1, stuckAfterMs: 100, feeBumpPct: 25 });
+    const sent = txManager.sendTx({ to: contract, data: logCall(1), kind: 'event' });
+    await until(() => find('pending').length === 1 && find('pending')[0].bumps === 1);
+    const [tx] = find('pending');
+    expect(tx.hashes).to.have.length(2);
+
+    node.ledger.mine();
+    const { receipt } = await sent;
+    expect(receipt.hash).to.equal(tx.hashes[1]);
+    expect(await provider.getTransaction(tx.hashes[0])).to.equal(null);
+    // 1 gwei priority fee from the node, +25%
+    expect(tx.maxPriorityFeePerGas).to.equal('1250000000');
+  });
+
+  it('keeps watching in-flight txs after a restart and reports a nonce taken by another tx as dropped', async () => {
+    init();
+    const first = txManager.sendTx({ to: contract, data: logCall(1), kind: 'event', ref: 'q1' }).catch(err => err);
+    await until(() => find('pending').length === 1);
+
+    // restart: the journal brings the pending tx back and a retry with the same ref attaches to it
+    init();
+    expect((await first).message).to.match(/transaction manager stopped/);
+    const retried = txManager.sendTx({ to: contract, data: logCall(1), kind: 'event', ref: 'q1' });
+    node.ledger.mine();
+    node.ledger.mine();
+    expect((await retried).tx).to.include({ ref: 'q1', nonce: 1, status: 'confirmed' });
+
+    // the same key sends its own tx over ours at nonce 2 (e.g. a second gateway process)
+    const lost = txManager.sendTx({ to: contract, data: logCall(2), kind: 'event' }).catch(err => err);
+    await until(() => find('pending').length === 1);
+    await node.ledger.rpc('eth_sendRawTransaction', [await wallet.signTransaction({
+      chainId: 31337, nonce: 2, type: 2, to: contract, data: logCall(99), gasLimit: 200000n, maxFeePerGas: 10000000000n, maxPriorityFeePerGas: 5000000000n
+    })]);
+    node.ledger.mine();
+    const err = await lost;
+    expect(err.message).to.equal('transaction dropped: nonce 2 was used by another transaction');
+    expect(err.tx).to.include({ status: 'dropped', nonce: 2 });
+
+    // the next send continues after the nonce the other tx took
+    const next = txManager.sendTx({ to: contract, data: logCall(3), kind: 'event' });
+    await until(() => find('pending').length === 1);
+    expect(find('pending')[0].nonce).to.equal(3);
+    node.ledger.mine();
+    node.ledger.mine();
+    await next;
+  });
+
+  it('ignores a poll still running from before a re-init', async () => {
+    // hold the first receipt lookup until the manager was re-initialized
+    const getReceipt = provider.getTransactionReceipt.bind(provider);
+    let release;
+    let reached;
+    const gate = new Promise(r => { release = r; });
+    const entered = new Promise(r => { reached = r; });
+    let stale;
+    provider.getTransactionReceipt = (hash) => {
+      provider.getTransactionReceipt = getReceipt;
+      reached();
+      stale = gate.then(() => getReceipt(hash));
+      return stale;
+    };
+
+    init({ pollMs: 3600000 });
+    const sent = txManager.sendTx({ to: contract, data: logCall(1), kind: 'event' }).catch(err => err);
+    await entered;
+    node.ledger.mine();
+
+    // the chain was reset meanwhile: the replayed record is dropped
+    init({ pollMs: 3600000, fresh: true });
+    expect((await sent).message).to.match(/transaction manager stopped/);
+    release();
+    await stale;
+    await new Promise(r => setImmediate(r));
+
+    // the old poll saw the receipt but must not write over the replayed record
+    expect(find('dropped')).to.have.length(1);
+    expect(statuses.map(([, status]) => status)).to.deep.equal(['pending', 'dropped']);
+    init({ pollMs: 3600000 });
+    expect(txManager.listTxs().map(tx => tx.status)).to.deep.equal(['dropped']);
+  });
+});
@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+
+const { validatePayload, recordRejection, getRejectionStats } = require('../src/validator');
+
+describe('validator (payload schemas)', () => {
+  const v1 = { eventId: 'evt-1', deviceId: 'esp32-01', groupId: 'group-1', trustA: 90, trustB: 85, distA: 120, distB: -1, speed: 300, ts: 1700000000000 };
+
+  it('accepts legacy (v1) and current (v2) firmware payloads', () => {
+    expect(validatePayload(v1)).to.deep.equal({ ok: true, version: 1 });
+    expect(validatePayload({ ...v1, extra: 'kept for old builds' }).ok).to.equal(true);
+    expect(validatePayload({ ...v1, schemaVersion: 2, ts: 1700000000 })).to.deep.equal({ ok: true, version: 2 });
+  });
+
+  it('reports every bad field instead of coercing', () => {
+    const { ok, errors } = validatePayload({ ...v1, eventId: undefined, trustA: '55', trustB: 101, distA: -5, speed: null });
+    expect(ok).to.equal(false);
+    expect(errors.map(e => e.field)).to.have.members(['eventId', 'trustA', 'trustB', 'distA', 'speed']);
+    expect(errors.find(e => e.field === 'trustB').message).to.equal('must be between 0 and 100');
+  });
+
+  it('applies the stricter v2 rules and rejects unknown versions', () => {
+    const { errors } = validatePayload({ ...v1, schemaVersion: 2, extra: 1 });
+    expect(errors.map(e => e.field)).to.have.members(['ts', 'extra']);
+    expect(validatePayload({ ...v1, schemaVersion: 9 }).errors[0].field).to.equal('schemaVersion');
+    expect(validatePayload([1, 2]).ok).to.equal(false);
+  });
+
+  it('counts rejections per device', () => {
+    const before = getRejectionStats().total;
+    recordRejection('esp32-09', [{ field: 'trustA', message: 'is required' }]);
+    recordRejection('esp32-09', [{ field: 'trustB', message: 'is required' }]);
+    const stats = getRejectionStats();
+    expect(stats.total).to.equal(before + 2);
+    expect(stats.devices.find(d => d.deviceId === 'esp32-09')).to.include({ count: 2 });
+  });
+});
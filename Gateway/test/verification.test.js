@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { expect } = require('chai');
+
+const blockchain = require('../src/blockchain');
+const storage = require('../src/storage');
+const anchoring = require('../src/anchoring');
+const { verifyEvent, auditGroup } = require('../src/verification');
+
+describe('verification (stored readings against TrustEvent and batch logs)', () => {
+  let dir;
+  let chain;
+  let sealed;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gw-verify-'));
+    storage.openStore(path.join(dir, 'events'));
+    sealed = [];
+    anchoring.initAnchoring({ journalFile: path.join(dir, 'batches.ndjson'), windowMs: 3600000, maxLeaves: 2, onSeal: (batch) => sealed.push(batch) });
+    chain = await blockchain.initChain({ mode: 'simulated', simulated: { file: path.join(dir, 'chain.ndjson') }, txs: { journalFile: path.join(dir, 'txs.ndjson') } });
+  });
+
+  afterEach(async () => {
+    anchoring.stopAnchoring();
+    await blockchain.stopChain();
+    storage.closeStore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const verify = (eventId, deviceId = 'd1') => verifyEvent(blockchain.provider, chain.contractAddress, deviceId, eventId);
+
+  // what ingest stores for an accepted reading: the 'received' record plus its Merkle leaf
+  function receive(eventId, deviceId = 'd1', payload = { eventId, deviceId, groupId: 'g1', trustA: 40, trustB: 35 }) {
+    const record = { eventId, deviceId, groupId: 'g1', payload, dataHash: blockchain.keccakHash(payload), receivedAt: new Date().toISOString() };
+    storage.appendEvent({ ...record, stage: 'received' });
+    anchoring.addToBatch(record);
+    return record;
+  }
+
+  // the queue worker's path for a flagged reading; onChain overrides what is actually logged
+  async function post(record, onChain = {}) {
+    const item = { eventId: record.eventId, deviceId: record.deviceId, groupId: 'g1', oldTS: 90, newTS: 40, reason: 'LOW_TRUST', ts: 1700000000, dataHash: record.dataHash };
+    const result = await blockchain.processAndLog({ ...item, ...onChain });
+    storage.appendEvent({ ...item, blockchain: result, stage: 'post-chain' });
+  }
+
+  async function anchorSealed() {
+    for (const batch of sealed) anchoring.markAnchored(batch.batchId, await blockchain.anchorBatch(batch));
+  }
+
+  it('verifies a posted TrustEvent and a batch proof, and reports tampering field by field', async () => {
+    const e1 = receive('e1');
+    const e2 = receive('e2'); // seals the first batch
+    await post(e1);
+    await anchorSealed();
+
+    const posted = await verify('e1');
+    expect(posted).to.include({ status: 'verified', deviceId: 'd1', groupId: 'g1' });
+    expect(posted.payloadHash).to.include({ ok: true, recomputed: e1.dataHash });
+    expect(posted.trustEvent).to.include({ status: 'verified' });
+    expect(posted.trustEvent.diff).to.deep.equal([]);
+    expect(posted.batch).to.include({ status: 'verified', batchId: sealed[0].batchId, merkleRoot: sealed[0].merkleRoot });
+
+    // unflagged readings are covered by their batch alone
+    const batched = await verify('e2');
+    expect(batched).to.include({ status: 'verified', trustEvent: null });
+    expect(batched.batch.status).to.equal('verified');
+
+    // the stored payload was edited after the fact: the recomputed hash no longer matches, nor does the leaf
+    storage.appendEvent({ ...e2, payload: { ...e2.payload, trustA: 99 }, stage: 'received' });
+    const edited = await verify('e2');
+    expect(edited.status).to.equal('mismatch');
+    expect(edited.payloadHash.ok).to.equal(false);
+    expect(edited.batch.diff.map(d => d.field)).to.deep.equal(['leaf', 'proof']);
+
+    // the chain holds a different dataHash and newTS than the gateway stored
+    const e3 = receive('e3');
+    await post(e3, { dataHash: ethers.id('forged'), newTS: 10 });
+    const forged = await verify('e3');
+    expect(forged.status).to.equal('mismatch');
+    expect(forged.trustEvent.diff).to.deep.equal([
+      { field: 'newTS', expected: 40, onChain: 10 },
+      { field: 'dataHash', expected: e3.dataHash, onChain: ethers.id('forged') }
+    ]);
+  });
+
+  it('reports unanchored and unknown readings', async () => {
+    const e1 = receive('e1');
+    // queued for the chain but never posted, its batch still open
+    storage.appendEvent({ eventId: 'e1', deviceId: 'd1', groupId: 'g1', dataHash: e1.dataHash, flagged: true, stage: 'pre-chain' });
+    const open = await verify('e1');
+    expect(open).to.include({ status: 'unanchored', trustEvent: null });
+    expect(open.batch).to.include({ status: 'unanchored' });
+
+    // sealed but the root was never anchored
+    receive('e2');
+    expect(sealed).to.have.length(1);
+    const unanchored = await verify('e2');
+    expect(unanchored.status).to.equal('unanchored');
+    expect(unanchored.batch).to.include({ status: 'unanchored', batchId: sealed[0].batchId });
+
+    expect(await verify('missing')).to.deep.equal({ eventId: 'missing', deviceId: 'd1', status: 'not_found' });
+    expect(await verify('e1', 'd2')).to.include({ status: 'not_found' });
+  });
+
+  it('checks each device\'s own records and proof when two devices reuse an eventId', async () => {
+    const d1 = receive('e1', 'd1');
+    const d2 = receive('e1', 'd2'); // seals the batch
+    await post(d2, { newTS: 10 });
+    await anchorSealed();
+
+    const first = await verify('e1', 'd1');
+    expect(first).to.include({ status: 'verified', deviceId: 'd1', trustEvent: null });
+    expect(first.payloadHash.recomputed).to.equal(d1.dataHash);
+    const second = await verify('e1', 'd2');
+    expect(second).to.include({ status: 'mismatch', deviceId: 'd2' });
+    expect(second.payloadHash.recomputed).to.equal(d2.dataHash);
+    expect(second.trustEvent.diff.map(d => d.field)).to.deep.equal(['newTS']);
+    expect(second.batch).to.include({ status: 'verified' });
+
+    const { results } = await auditGroup(blockchain.provider, chain.contractAddress, { groupId: 'g1' });
+    expect(results.map(r => [r.deviceId, r.eventId, r.status])).to.deep.equal([['d1', 'e1', 'verified'], ['d2', 'e1', 'mismatch']]);
+  });
+
+  it('audits a group with summary counts and truncates past the limit', async () => {
+    const e1 = receive('e1');
+    receive('e2');
+    await post(e1);
+    await anchorSealed();
+    const e3 = receive('e3');
+    await post(e3, { reason: 'EDITED' });
+    receive('e4');
+    receive('e5'); // open batch, never posted
+
+    const { summary, results } = await auditGroup(blockchain.provider, chain.contractAddress, { groupId: 'g1' });
+    expect(results.map(r => [r.eventId, r.status])).to.deep.equal([
+      ['e1', 'verified'], ['e2', 'verified'], ['e3', 'mismatch'], ['e4', 'unanchored'], ['e5', 'unanchored']
+    ]);
+    expect(summary).to.include({ groupId: 'g1', total: 5, truncated: false, verified: 2, mismatch: 1, unanchored: 2, unchecked: 0, error: 0 });
+
+    const limited = await auditGroup(blockchain.provider, chain.contractAddress, { groupId: 'g1', limit: 2 });
+    expect(limited.results.map(r => r.eventId)).to.deep.equal(['e1', 'e2']);
+    expect(limited.summary).to.include({ total: 2, truncated: true, verified: 2 });
+
+    // without chain access anchored readings cannot be checked
+    const offline = await auditGroup(null, null, { groupId: 'g1' });
+    expect(offline.summary).to.include({ unchecked: 3, unanchored: 2 });
+
+    // one failed read of the batch tx receipt does not fail the other readings of that batch
+    const batchTx = anchoring.getEventProof('d1', 'e1').anchor.txHash;
+    let failures = 1;
+    const flaky = {
+      getTransactionReceipt: (hash) => (hash === batchTx && failures-- > 0
+        ? Promise.reject(new Error('rpc timeout'))
+        : blockchain.provider.getTransactionReceipt(hash))
+    };
+    const retried = await auditGroup(flaky, chain.contractAddress, { groupId: 'g1', limit: 2 });
+    expect(retried.results.map(r => [r.eventId, r.status])).to.deep.equal([['e1', 'error'], ['e2', 'verified']]);
+  });
+});
@@ -2,6 +2,13 @@
 pragma solidity ^0.8.0;
 
 contract TrustLogger {
+    // the deployer; manages the gateway list
+    address public owner;
+    // gateways allowed to log events and manage devices
+    mapping(address => bool) public authorizedGateways;
+    // keccak256(deviceId) -> registered by an authorized gateway and not revoked
+    mapping(bytes32 => bool) public registeredDevices;
+
     event TrustEvent(
         string indexed groupId,
         uint256 oldTS,
@@ -11,6 +18,70 @@ contract TrustLogger {
         uint256 ts
     );
 
+    // Merkle root over the keccak dataHash of every reading in one gateway batch window
+    event TrustBatch(
+        bytes32 indexed merkleRoot,
+        string batchId,
+        uint256 count,
+        uint256 fromTs,
+        uint256 toTs
+    );
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event GatewayAuthorized(address indexed gateway);
+    event GatewayRevoked(address indexed gateway);
+    event DeviceRegistered(string indexed deviceId, string groupId, address indexed gateway);
+    event DeviceRevoked(string indexed deviceId, address indexed gateway);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "TrustLogger: caller is not the owner");
+        _;
+    }
+
+    modifier onlyGateway() {
+        require(authorizedGateways[msg.sender], "TrustLogger: caller is not an authorized gateway");
+        _;
+    }
+
+    // the deployer owns the contract and is its first gateway
+    constructor() {
+        owner = msg.sender;
+        authorizedGateways[msg.sender] = true;
+        emit OwnershipTransferred(address(0), msg.sender);
+        emit GatewayAuthorized(msg.sender);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "TrustLogger: new owner is the zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    function authorizeGateway(address gateway) external onlyOwner {
+        require(gateway != address(0), "TrustLogger: gateway is the zero address");
+        authorizedGateways[gateway] = true;
+        emit GatewayAuthorized(gateway);
+    }
+
+    function revokeGateway(address gateway) external onlyOwner {
+        authorizedGateways[gateway] = false;
+        emit GatewayRevoked(gateway);
+    }
+
+    function registerDevice(string calldata deviceId, string calldata groupId) external onlyGateway {
+        registeredDevices[keccak256(bytes(deviceId))] = true;
+        emit DeviceRegistered(deviceId, groupId, msg.sender);
+    }
+
+    function revokeDevice(string calldata deviceId) external onlyGateway {
+        registeredDevices[keccak256(bytes(deviceId))] = false;
+        emit DeviceRevoked(deviceId, msg.sender);
+    }
+
+    function isDeviceRegistered(string calldata deviceId) external view returns (bool) {
+        return registeredDevices[keccak256(bytes(deviceId))];
+    }
+
     function logTrustEvent(
         string calldata groupId,
         uint256 oldTS,
@@ -18,7 +89,17 @@ contract TrustLogger {
         string calldata reason,
         bytes32 dataHash,
         uint256 ts
-    ) external {
+    ) external onlyGateway {
         emit TrustEvent(groupId, oldTS, newTS, reason, dataHash, ts);
     }
+
+    function logTrustBatch(
+        bytes32 merkleRoot,
+        string calldata batchId,
+        uint256 count,
+        uint256 fromTs,
+        uint256 toTs
+    ) external onlyGateway {
+        emit TrustBatch(merkleRoot, batchId, count, fromTs, toTs);
+    }
 }
@@ -1,6 +1,18 @@
 #include <Arduino.h>
 #include <WiFi.h>
 #include <HTTPClient.h>
+#include <time.h>
+#include "mbedtls/md.h"
+
+// ====== TRANSPORT ======
+// 1 = MQTT (needs the PubSubClient library): readings are published to trust/<GROUP_ID>/<DEVICE_ID>/telemetry
+//     without blocking the control loop on an HTTP round trip; gateway feedback arrives on .../feedback
+// 0 = signed HTTP POST to serverURL
+#define USE_MQTT 0
+
+#if USE_MQTT
+#include <PubSubClient.h>
+#endif
 
 // ====== WIFI (CHANGE THESE) ======
 const char* ssid = "iPhone";          // ← replace with your hotspot name
@@ -9,8 +21,23 @@ const char* password = "harry123@"; // ← replace with your hotspot password
 // Replace with your laptop's IP and port where gateway runs
 String serverURL = "http://172.20.10.3:3000/data";
 
-// Gateway API key (must match Gateway/.env GATEWAY_API_KEY)
-const char* GATEWAY_API_KEY = "dhanushharini03080411"; // <-- set this to your gateway key
+// Device identity: register the device on the gateway (POST /admin/devices) and paste the
+// returned per-device secret here. Every POST is signed with it (HMAC-SHA256), so no key is shared.
+const char* DEVICE_ID = "esp32-01";
+const char* GROUP_ID = "group-1";
+const char* DEVICE_SECRET = "";   // <-- per-device secret from the gateway registry
+
+#if USE_MQTT
+// Broker: the gateway's embedded one (MQTT_EMBEDDED_PORT) or the broker it subscribes to (MQTT_URL)
+const char* MQTT_HOST = "172.20.10.3";
+const uint16_t MQTT_PORT = 1883;
+const unsigned long MQTT_RETRY_MS = 5000;   // wait between reconnect attempts (never blocks the loop longer)
+WiFiClient mqttNet;
+PubSubClient mqttClient(mqttNet);
+String telemetryTopic;
+String feedbackTopic;
+unsigned long lastMqttAttempt = 0;
+#endif
 
 // --- Motor Pins ---
 const int ENA = 25;   // PWM pin to L298N ENA
@@ -42,6 +69,14 @@ const unsigned long DEBOUNCE_MS = 1500;        // min time between posts
 const int TRUST_THRESHOLD = 60;
 unsigned long lastPostTime = 0;
 
+// --- Offline buffer ---
+// Readings that could not be delivered are kept (oldest first) and re-sent once the gateway is reachable:
+// over HTTP as one signed POST to serverURL + "/batch", over MQTT one publish each. Re-sending is safe:
+// the gateway answers an eventId it already processed with the original result instead of processing it again.
+const int MAX_PENDING = 30;                    // ~300 bytes each; when full the oldest reading is dropped
+String pendingReadings[MAX_PENDING];
+int pendingStart = 0, pendingCount = 0;
+
 // --- PWM wrapper ---
 // Use analogWrite ONLY (no ledcSetup/ledcAttachPin). On recent ESP32 Arduino cores,
 // analogWrite is implemented and will work. If your core doesn't support analogWrite,
@@ -73,6 +108,59 @@ long readDistanceCM(int trigPin, int echoPin) {
 
 unsigned long lastRPMTime = 0;
 
+// --- HMAC-SHA256(key, message) as lowercase hex ---
+String hmacSha256Hex(const char* key, const String& message) {
+  unsigned char out[32];
+  mbedtls_md_context_t ctx;
+  mbedtls_md_init(&ctx);
+  mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 1);
+  mbedtls_md_hmac_starts(&ctx, (const unsigned char*)key, strlen(key));
+  mbedtls_md_hmac_update(&ctx, (const unsigned char*)message.c_str(), message.length());
+  mbedtls_md_hmac_finish(&ctx, out);
+  mbedtls_md_free(&ctx);
+
+  char hex[65];
+  for (int i = 0; i < 32; i++) sprintf(hex + i * 2, "%02x", out[i]);
+  hex[64] = '\0';
+  return String(hex);
+}
+
+#if USE_MQTT
+// --- MQTT: feedback from the gateway ({ status, eventId, message, flagged, feedback, ... }) ---
+void onMqttMessage(char* topic, byte* payload, unsigned int length) {
+  Serial.print("Gateway feedback: ");
+  for (unsigned int i = 0; i < length; i++) Serial.print((char)payload[i]);
+  Serial.println();
+}
+
+// (re)connect at most every MQTT_RETRY_MS; returns true when connected
+bool ensureMqtt() {
+  if (mqttClient.connected()) return true;
+  unsigned long now = millis();
+  if (lastMqttAttempt != 0 && now - lastMqttAttempt < MQTT_RETRY_MS) return false;
+  lastMqttAttempt = now;
+  if (!clockSynced()) return false;   // the login token is time-stamped like a signed reading
+  Serial.print("Connecting to MQTT broker... ");
+  // embedded broker login: username = DEVICE_ID, password = "<timestamp>.<nonce>.<HMAC of '<timestamp>.<nonce>.mqtt-connect'>"
+  unsigned long tsSec = (unsigned long)time(nullptr);
+  String nonce = newNonce();
+  String token = String(tsSec) + "." + nonce + "." + hmacSha256Hex(DEVICE_SECRET, String(tsSec) + "." + nonce + ".mqtt-connect");
+  if (!mqttClient.connect(DEVICE_ID, DEVICE_ID, token.c_str())) {
+    Serial.print("failed, state ");
+    Serial.println(mqttClient.state());
+    return false;
+  }
+  Serial.println("connected");
+  mqttClient.subscribe(feedbackTopic.c_str(), 1);
+  return true;
+}
+#endif
+
+// --- Wall-clock time (the gateway rejects signatures outside its time window) ---
+bool clockSynced() {
+  return time(nullptr) > 1700000000; // any sane date after NTP sync
+}
+
 void computeAndResetRPM() {
   unsigned long now = millis();
   if (now - lastRPMTime >= 1000) {
@@ -125,10 +213,134 @@ void setup() {
   Serial.println("\nConnected to WiFi!");
   Serial.print("ESP32 IP Address: ");
   Serial.println(WiFi.localIP());
+
+  // ===== NTP (signed requests carry a unix timestamp) =====
+  configTime(0, 0, "pool.ntp.org", "time.nist.gov");
+  Serial.print("Syncing clock");
+  unsigned long ntpStart = millis();
+  while (!clockSynced() && millis() - ntpStart < 15000) {
+    delay(500);
+    Serial.print(".");
+  }
+  Serial.println(clockSynced() ? "\nClock synced" : "\nClock not synced yet (posts wait for it)");
+
+#if USE_MQTT
+  telemetryTopic = String("trust/") + GROUP_ID + "/" + DEVICE_ID + "/telemetry";
+  feedbackTopic = String("trust/") + GROUP_ID + "/" + DEVICE_ID + "/feedback";
+  mqttClient.setServer(MQTT_HOST, MQTT_PORT);
+  mqttClient.setCallback(onMqttMessage);
+  mqttClient.setBufferSize(1024);     // signed envelopes are larger than the 256-byte default
+  mqttClient.setSocketTimeout(2);     // seconds; bounds a connect attempt inside the loop
+  ensureMqtt();
+#endif
+
   lastPostTime = 0;
   lastRPMTime = millis();
 }
 
+// Sign "<timestamp>.<nonce>.<body>" with the per-device secret (at send time: the gateway only accepts recent timestamps)
+String newNonce() {
+  return String(esp_random(), HEX) + String(esp_random(), HEX);
+}
+
+#if USE_MQTT
+// --- Publish one signed reading: { timestamp, nonce, signature, body } with the payload JSON as a string ---
+bool sendReading(const String& jsonData) {
+  if (WiFi.status() != WL_CONNECTED || !ensureMqtt()) return false;
+  unsigned long tsSec = (unsigned long)time(nullptr);
+  String nonce = newNonce();
+  String signature = hmacSha256Hex(DEVICE_SECRET, String(tsSec) + "." + nonce + "." + jsonData);
+  String body = jsonData;
+  body.replace("\"", "\\\""); // payload only contains quotes that need escaping
+  String envelope = "{\"timestamp\":" + String(tsSec) + ",\"nonce\":\"" + nonce + "\",\"signature\":\"" + signature + "\",\"body\":\"" + body + "\"}";
+  bool ok = mqttClient.publish(telemetryTopic.c_str(), envelope.c_str());
+  Serial.println(ok ? "Published to gateway" : "MQTT publish failed");
+  return ok;
+}
+
+// buffered readings go out one publish each, oldest first; stops at the first failure
+void flushPending() {
+  while (pendingCount > 0 && sendReading(pendingReadings[pendingStart])) {
+    pendingReadings[pendingStart] = "";
+    pendingStart = (pendingStart + 1) % MAX_PENDING;
+    pendingCount--;
+  }
+}
+#else
+// --- POST a signed body to the gateway (blocks for the round trip); returns the HTTP code (<= 0: not reached) ---
+int postSigned(const String& url, const String& jsonData) {
+  if (WiFi.status() != WL_CONNECTED) return -1;
+  unsigned long tsSec = (unsigned long)time(nullptr);
+  String nonce = newNonce();
+  String signature = hmacSha256Hex(DEVICE_SECRET, String(tsSec) + "." + nonce + "." + jsonData);
+
+  HTTPClient http;
+  http.setConnectTimeout(5000);
+  http.begin(url.c_str());
+  http.addHeader("Content-Type", "application/json");
+  http.addHeader("x-device-id", DEVICE_ID);
+  http.addHeader("x-timestamp", String(tsSec));
+  http.addHeader("x-nonce", nonce);
+  http.addHeader("x-signature", signature);
+
+  int httpResponseCode = http.POST(jsonData);
+
+  Serial.print("POST ");
+  Serial.print(url);
+  Serial.print(" -> ");
+  Serial.println(httpResponseCode);
+
+  if (httpResponseCode > 0) {
+    String response = http.getString();
+    Serial.print("Server says: ");
+    Serial.println(response);
+  } else {
+    Serial.print("Error sending: ");
+    Serial.println(http.errorToString(httpResponseCode));
+  }
+  http.end();
+  return httpResponseCode;
+}
+
+// delivered = the gateway answered; a 5xx is kept for a later retry, a 4xx would be rejected again
+bool sendReading(const String& jsonData) {
+  int code = postSigned(serverURL, jsonData);
+  return code > 0 && code < 500;
+}
+
+// buffered readings go out as one POST /data/batch ({ "readings": [...] }, oldest first)
+void flushPending() {
+  if (pendingCount == 0) return;
+  String batch = "{\"readings\":[";
+  for (int i = 0; i < pendingCount; i++) {
+    if (i > 0) batch += ",";
+    batch += pendingReadings[(pendingStart + i) % MAX_PENDING];
+  }
+  batch += "]}";
+  Serial.print("Flushing ");
+  Serial.print(pendingCount);
+  Serial.println(" buffered reading(s)");
+  int code = postSigned(serverURL + "/batch", batch);
+  if (code <= 0 || code >= 500) return;
+  for (int i = 0; i < MAX_PENDING; i++) pendingReadings[i] = "";
+  pendingStart = 0;
+  pendingCount = 0;
+}
+#endif
+
+void bufferReading(const String& jsonData) {
+  if (pendingCount == MAX_PENDING) {
+    Serial.println("Offline buffer full, dropping the oldest reading");
+    pendingStart = (pendingStart + 1) % MAX_PENDING;
+    pendingCount--;
+  }
+  pendingReadings[(pendingStart + pendingCount) % MAX_PENDING] = jsonData;
+  pendingCount++;
+  Serial.print("Buffered reading (");
+  Serial.print(pendingCount);
+  Serial.println(" pending)");
+}
+
 void doPostIfNeeded(long distA, long distB, int prevTrustA, int prevTrustB) {
   unsigned long now = millis();
   computeAndResetRPM();
@@ -140,15 +352,21 @@ void doPostIfNeeded(long distA, long distB, int prevTrustA, int prevTrustB) {
 
   if (!(majorChange || belowThreshold || timeElapsed)) return;
   if (now - lastPostTime < DEBOUNCE_MS) return; // debounce
+  if (!clockSynced()) {
+    Serial.println("Clock not synced, skipping POST");
+    return;
+  }
 
-  // Prepare JSON payload (timestamp in seconds)
-  unsigned long tsSec = now / 1000UL;
+  // Prepare JSON payload (unix timestamp in seconds)
+  unsigned long tsSec = (unsigned long)time(nullptr);
   String eventId = String("evt-") + String(tsSec) + "-" + String(random(1000,9999));
-  String deviceId = "esp32-01";
-  String groupId = "group-1";
+  String deviceId = DEVICE_ID;
+  String groupId = GROUP_ID;
   String reason = belowThreshold ? "LOW_TRUST" : (majorChange ? "TRUST_CHANGE" : "PERIODIC");
 
+  // schemaVersion 2: unix-seconds ts, no extra fields (see Gateway/src/validator.js)
   String jsonData = "{";
+  jsonData += "\"schemaVersion\":2,";
   jsonData += "\"eventId\":\"" + eventId + "\",";
   jsonData += "\"deviceId\":\"" + deviceId + "\",";
   jsonData += "\"groupId\":\"" + groupId + "\",";
@@ -166,41 +384,9 @@ void doPostIfNeeded(long distA, long distB, int prevTrustA, int prevTrustB) {
   Serial.println("Posting to gateway: ");
   Serial.println(jsonData);
 
-  HTTPClient http;
-  http.setConnectTimeout(5000);
-  http.begin(serverURL.c_str()); // serverURL is a String - use c_str()
-  http.addHeader("Content-Type", "application/json");
-  http.addHeader("x-api-key", GATEWAY_API_KEY);
-
-  int httpResponseCode = http.POST(jsonData);
-
-  Serial.print("POST -> ");
-  Serial.println(httpResponseCode);
-
-  if (httpResponseCode > 0) {
-    String response = http.getString();
-    Serial.print("Server says: ");
-    Serial.println(response);
-  } else {
-    Serial.print("Error sending: ");
-    Serial.println(http.errorToString(httpResponseCode));
-    // retry once after short delay
-    delay(1500);
-    Serial.println("Retrying once...");
-    int try2 = http.POST(jsonData);
-    Serial.print("Retry -> ");
-    Serial.println(try2);
-    if (try2 > 0) {
-      String response2 = http.getString();
-      Serial.print("Server says: ");
-      Serial.println(response2);
-    } else {
-      Serial.print("Retry failed: ");
-      Serial.println(http.errorToString(try2));
-    }
-  }
-
-  http.end();
+  // older buffered readings go first so the gateway sees them in order
+  flushPending();
+  if (pendingCount > 0 || !sendReading(jsonData)) bufferReading(jsonData);
   lastPostTime = now;
 }
 
@@ -264,12 +450,11 @@ void loop() {
   // --- Compute RPM every 1s (updates lastComputedRPM) ---
   computeAndResetRPM();
 
-  // --- Possibly post event to Gateway ---
-  if (WiFi.status() == WL_CONNECTED) {
-    doPostIfNeeded(distA, distB, prevTrustA, prevTrustB);
-  } else {
-    Serial.println("WiFi not connected, skipping POST");
-  }
+  // --- Possibly post event to Gateway (buffered while WiFi or the gateway is down) ---
+#if USE_MQTT
+  if (WiFi.status() == WL_CONNECTED) mqttClient.loop(); // keep-alive + incoming feedback
+#endif
+  doPostIfNeeded(distA, distB, prevTrustA, prevTrustB);
 
   delay(250);
 }
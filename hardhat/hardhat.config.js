@@ -3,6 +3,13 @@ require('dotenv').config();
 
 module.exports = {
   solidity: "0.8.20",
+  // TrustLogger.sol lives in the repo's contracts/; artifacts stay in hardhat/ (Gateway CHAIN_MODE=hardhat reads them)
+  paths: {
+    root: "..",
+    sources: "contracts",
+    artifacts: "hardhat/artifacts",
+    cache: "hardhat/cache"
+  },
   networks: {
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL,    // Alchemy/Infura
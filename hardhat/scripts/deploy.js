@@ -1,3 +1,14 @@
+// Deploys TrustLogger and sets up its roles. The deployer becomes the owner and the first gateway.
+//   GATEWAY_ADDRESSES   comma-separated gateway wallets to authorize as well
+//   DEVICE_REGISTRY     a gateway devices.json (Gateway/data/devices.json); its active devices are registered
+//   REVOKE_DEPLOYER     "true" drops the deployer from the gateway list once the devices are registered
+//   TRUSTLOGGER_OWNER   hands ownership to this address at the end (e.g. a multisig)
+const fs = require("fs");
+
+function list(value) {
+  return (value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying with:", deployer.address);
@@ -5,5 +16,29 @@ async function main() {
   const trustLogger = await TrustLogger.deploy();
   await trustLogger.deployed();
   console.log("TrustLogger deployed to:", trustLogger.address);
+
+  for (const gateway of list(process.env.GATEWAY_ADDRESSES)) {
+    await (await trustLogger.authorizeGateway(gateway)).wait();
+    console.log("Authorized gateway:", gateway);
+  }
+
+  if (process.env.DEVICE_REGISTRY) {
+    const devices = JSON.parse(fs.readFileSync(process.env.DEVICE_REGISTRY, "utf8"));
+    for (const device of Object.values(devices)) {
+      if (device.status !== "active") continue;
+      await (await trustLogger.registerDevice(device.deviceId, device.groupId || "")).wait();
+      console.log("Registered device:", device.deviceId, device.groupId ? `(group ${device.groupId})` : "");
+    }
+  }
+
+  if (process.env.REVOKE_DEPLOYER === "true") {
+    await (await trustLogger.revokeGateway(deployer.address)).wait();
+    console.log("Revoked deployer as gateway");
+  }
+
+  if (process.env.TRUSTLOGGER_OWNER) {
+    await (await trustLogger.transferOwnership(process.env.TRUSTLOGGER_OWNER)).wait();
+    console.log("Ownership transferred to:", process.env.TRUSTLOGGER_OWNER);
+  }
 }
 main().catch(err => { console.error(err); process.exit(1); });
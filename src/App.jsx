@@ -1,210 +1,198 @@
 // src/App.jsx
-import React, { useEffect, useState, useRef, useMemo } from "react";
+import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
 import { io } from "socket.io-client";
-import { motion } from "framer-motion";
-import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-  Legend,
-  CartesianGrid
-} from "recharts";
+import Login from "./Login";
+import ThresholdsPanel from "./ThresholdsPanel";
+import FleetOverview from "./FleetOverview";
+import DeviceView from "./DeviceView";
+import IncidentPanel from "./IncidentPanel";
+import TxPanel from "./TxPanel";
+import HealthPill from "./HealthPill";
+import { GATEWAY_URL, loadSession, saveSession, clearSession } from "./api";
 
 /*
-  CONFIG - change if needed:
+  CONFIG - change if needed (src/api.js):
   - GATEWAY_URL: where your Gateway is running (include port)
   - EXPLORER_BASE_URL: etherscan or blockscout tx url prefix for Sepolia (so tx links work)
+
+  Routes (location hash):
+  - #/                  fleet overview
+  - #/devices/:deviceId one device's chart, telemetry and flagged events
 */
-const GATEWAY_URL = "http://localhost:3000"; // <-- change to your gateway URL/IP if needed
-const EXPLORER_BASE_URL = "https://sepolia.etherscan.io/tx/"; // or blockscout link if you prefer
 
 export default function App() {
+  const [session, setSession] = useState(() => loadSession());
+
+  const handleLogin = (s) => {
+    saveSession(s);
+    setSession(s);
+  };
+  const handleLogout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  if (!session) return <Login onLogin={handleLogin} />;
+  return <Dashboard session={session} onLogout={handleLogout} />;
+}
+
+function Dashboard({ session, onLogout }) {
+  const token = session.token;
   const socketRef = useRef(null);
+  const route = useHashRoute();
   const [connected, setConnected] = useState(false);
-  const [latest, setLatest] = useState(null);
-  const [history, setHistory] = useState([]); // array of points for chart
-  const [flaggedEvents, setFlaggedEvents] = useState([]);
-  const [loadingFlagged, setLoadingFlagged] = useState(true);
+  const [live, setLive] = useState({}); // deviceId -> latest telemetry (+ receivedAt)
+  const [liveFlagged, setLiveFlagged] = useState([]); // flaggedEvent messages since connect, newest first
+  const [fleetVersion, setFleetVersion] = useState(0); // bumped to make FleetOverview refetch
+  const [resync, setResync] = useState(0); // bumped when the socket backfill could not cover a gap
+  const [deadLetter, setDeadLetter] = useState({ count: 0, last: null }); // on-chain writes that gave up
+  const [thresholdsVersion, setThresholdsVersion] = useState(0); // bumped to make ThresholdsPanel reload
+  const [incidentsVersion, setIncidentsVersion] = useState(0); // bumped to make IncidentPanel reload
+  const [txVersion, setTxVersion] = useState(0); // bumped to make TxPanel reload
+  const [trustEventsVersion, setTrustEventsVersion] = useState(0); // bumped to make TrustEventsPanel reload
+  const isAdmin = session.user?.role === "admin";
+  const cursorsRef = useRef({}); // room -> last record seq seen, resumed on reconnect
+  const roomRef = useRef(null);
+
+  // one room per view: the fleet overview needs every device, a device page only its own
+  const subscription = useMemo(
+    () => (route.name === "device" ? { deviceId: route.deviceId } : { fleet: true }),
+    [route.name, route.deviceId]
+  );
+  const room = subscription.deviceId ? `device:${subscription.deviceId}` : "fleet";
 
   // connect socket once
   useEffect(() => {
-    socketRef.current = io(GATEWAY_URL, { transports: ["websocket"], reconnectionAttempts: 999 });
+    socketRef.current = io(GATEWAY_URL, { transports: ["websocket"], reconnectionAttempts: 999, auth: { token } });
 
     socketRef.current.on("connect", () => setConnected(true));
     socketRef.current.on("disconnect", () => setConnected(false));
+    socketRef.current.on("connect_error", (err) => {
+      // handshake rejected: session expired or user removed
+      if (err && err.message === "unauthorized") onLogout();
+    });
+
+    // record messages carry the event-store seq: remember the newest one for the current room
+    const noteSeq = (data) => {
+      if (!data || typeof data.seq !== "number" || !roomRef.current) return;
+      cursorsRef.current[roomRef.current] = Math.max(cursorsRef.current[roomRef.current] ?? 0, data.seq);
+    };
 
     socketRef.current.on("telemetry", (data) => {
-      // telemetry contains: timestamp, distA, distB, trustA, trustB, controller, rpm, hash, flagged, deviceId
-      setLatest(data);
-
-      const point = {
-        ts: data.timestamp || Date.now(),
-        label: new Date((data.timestamp && data.timestamp < 1e12 ? data.timestamp * 1000 : data.timestamp) || Date.now()).toLocaleTimeString(),
-        trustA: typeof data.trustA === "number" ? data.trustA : null,
-        trustB: typeof data.trustB === "number" ? data.trustB : null,
-        rpm: data.rpm ?? null
-      };
-
-      setHistory(prev => {
-        const arr = [...prev, point];
-        if (arr.length > 60) arr.shift(); // keep most recent 60 points
-        return arr;
+      // telemetry contains: seq, eventId, timestamp, distA, distB, trustA, trustB, gatewayTrustA, gatewayTrustB, crossIssues,
+      // controller, rpm, hash, flagged, deviceId, groupId, receivedAt (backfill: true when replayed)
+      if (!data || !data.deviceId) return;
+      noteSeq(data);
+      setLive(prev => {
+        if (prev[data.deviceId] && prev[data.deviceId].seq > data.seq) return prev;
+        return { ...prev, [data.deviceId]: { ...data, receivedAt: data.receivedAt || new Date().toISOString() } };
       });
     });
 
     socketRef.current.on("flaggedEvent", (event) => {
-      setFlaggedEvents(prev => [event, ...prev].slice(0, 200));
+      noteSeq(event);
+      setLiveFlagged(prev => (prev.some(e => e.seq !== undefined && e.seq === event.seq) ? prev : [event, ...prev].slice(0, 200)));
+      if (!event.backfill) setFleetVersion(v => v + 1);
     });
 
-    socketRef.current.on("event_update", (u) => {
-      // optional: update last event view when more details come
-      // if event_update contains same eventId as latest, merge
-      if (!u) return;
-      if (u.payload && latest && u.payload.eventId === latest.eventId) {
-        setLatest(prev => ({ ...prev, ...u }));
-      }
+    socketRef.current.on("event_update", noteSeq);
+    socketRef.current.on("system_alert", noteSeq);
+
+    socketRef.current.on("dead_letter", (d) => {
+      // d: { type: added|retried|discarded, eventId, deviceId, error, deadLetterCount }
+      if (!d) return;
+      setDeadLetter({ count: d.deadLetterCount ?? 0, last: d });
     });
 
+    // thresholds changed or a proposal was created/decided: let the panel refetch
+    socketRef.current.on("threshold_update", () => setThresholdsVersion(v => v + 1));
+    socketRef.current.on("threshold_proposal", () => setThresholdsVersion(v => v + 1));
+
+    // an incident was opened, updated, acted on or auto-resolved
+    socketRef.current.on("incident", () => setIncidentsVersion(v => v + 1));
+
+    // a chain write changed status (pending, mined, confirmed, fee bump, failed, dropped)
+    socketRef.current.on("tx_status", () => setTxVersion(v => v + 1));
+
+    // the TrustEvent index picked up new events (or rewound after a reorg)
+    socketRef.current.on("trust_events", () => setTrustEventsVersion(v => v + 1));
+
     return () => {
       socketRef.current?.disconnect();
       socketRef.current = null;
     };
-  }, []);
+  }, [token, onLogout]);
 
-  // initial load of flagged events
+  // (re)subscribe on connect and on route change; the gateway replays what was missed since the room's cursor
   useEffect(() => {
-    setLoadingFlagged(true);
-    fetch(`${GATEWAY_URL}/flagged-events`)
-      .then(r => r.json())
-      .then(data => {
-        if (Array.isArray(data)) setFlaggedEvents(data);
-      })
-      .catch(err => {
-        console.error("Error fetching flagged events:", err);
-      })
-      .finally(() => setLoadingFlagged(false));
-  }, []);
-
-  const latestTxHash = useMemo(() => {
-    const found = flaggedEvents.find(e => e.txHash);
-    return found ? found.txHash : null;
-  }, [flaggedEvents]);
+    const socket = socketRef.current;
+    if (!connected || !socket) return;
+    roomRef.current = room;
+    socket.emit("subscribe", { ...subscription, since: cursorsRef.current[room] }, (ack) => {
+      if (!ack || !ack.ok) return console.error("subscribe failed:", ack && ack.error);
+      if (typeof ack.cursor === "number") cursorsRef.current[room] = Math.max(cursorsRef.current[room] ?? 0, ack.cursor);
+      // more was missed than the gateway replays: reload the REST-backed views
+      if (ack.truncated) setResync(v => v + 1);
+    });
+    return () => {
+      if (socket.connected) socket.emit("unsubscribe", subscription);
+    };
+  }, [connected, room, subscription]);
 
   return (
     <div className="app-root">
       <header className="topbar">
         <div className="brand">
-          <h1>TrustScore Monitor</h1>
+          <h1><a href="#/">TrustScore Monitor</a></h1>
           <span className="subtitle">ESP32 → Gateway → Blockchain (Sepolia)</span>
         </div>
         <div className="status-row">
           <div className={`status-pill ${connected ? "ok" : "bad"}`}>
             {connected ? "Connected" : "Disconnected"}
           </div>
+          <HealthPill />
+          {deadLetter.count > 0 && (
+            <div
+              className="status-pill bad"
+              title={deadLetter.last ? `${deadLetter.last.type}: ${deadLetter.last.eventId} (${deadLetter.last.error || "no error"})` : ""}
+            >
+              Dead-letter: {deadLetter.count}
+            </div>
+          )}
           <div className="small">Gateway: {GATEWAY_URL.replace("http://localhost:3001/", "")}</div>
+          <div className="user-row small">
+            <span>{session.user?.username} ({session.user?.role})</span>
+            <button className="btn small" onClick={onLogout}>Log out</button>
+          </div>
         </div>
       </header>
 
-      <main className="main-grid">
-        <section className="left panel">
-          <div className="panel-header">
-            <h2>Live TrustScore Trend</h2>
-            <div className="meta">Recent trust comparison (A vs B)</div>
-          </div>
-
-          <div className="chart-area">
-            {history.length === 0 ? (
-              <div className="empty">Waiting for telemetry...</div>
-            ) : (
-              <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={history}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#0b1220" />
-                  <XAxis dataKey="label" tick={{ fill: "#bcd3ff" }} />
-                  <YAxis domain={[0, 100]} tick={{ fill: "#bcd3ff" }} />
-                  <Tooltip wrapperStyle={{ background: "#071124", border: "1px solid #0f2a50" }} contentStyle={{ color: "#fff" }} />
-                  <Legend wrapperStyle={{ color: "#bcd3ff" }} />
-                  <Line type="monotone" dataKey="trustA" name="Trust A" stroke="#5cc8ff" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="trustB" name="Trust B" stroke="#9be564" strokeWidth={2} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
-            )}
-          </div>
-
-          <div className="kpi-row">
-            <div className="kpi">
-              <div className="kpi-label">Active Controller</div>
-              <div className="kpi-value">{latest?.controller ?? "—"}</div>
-            </div>
-            <div className="kpi">
-              <div className="kpi-label">Motor RPM</div>
-              <div className="kpi-value">{latest?.rpm ?? "—"}</div>
-            </div>
-            <div className="kpi">
-              <div className="kpi-label">Latest Tx</div>
-              <div className="kpi-value smalllink">
-                {latestTxHash ? <a href={`${EXPLORER_BASE_URL}${latestTxHash}`} target="_blank" rel="noreferrer">{short(latestTxHash)}</a> : "No tx yet"}
-              </div>
-            </div>
-          </div>
-        </section>
-
-        <aside className="right panel">
-          <div className="panel-header">
-            <h3>Live Telemetry</h3>
-            <div className="meta">Most recent reading</div>
-          </div>
-
-          <div className="telemetry">
-            <Row label="Device ID">{latest?.deviceId ?? "—"}</Row>
-            <Row label="distA">{latest?.distA ?? "—"} cm</Row>
-            <Row label="TS_A">{latest?.trustA ?? "—"}</Row>
-            <Row label="distB">{latest?.distB ?? "—"} cm</Row>
-            <Row label="TS_B">{latest?.trustB ?? "—"}</Row>
-            <Row label="Controller">{latest?.controller ?? "—"}</Row>
-            <Row label="Flagged">{latest?.flagged ? <span className="flag">YES</span> : <span className="ok">NO</span>}</Row>
-            <Row label="Payload Hash">{latest?.hash ? short(latest.hash) : "—"}</Row>
-          </div>
-
-          <div className="panel-header" style={{ marginTop: 12 }}>
-            <h3>Flagged Events</h3>
-            <div className="meta">Recent events sent to blockchain</div>
-          </div>
-
-          <div className="events-list">
-            {loadingFlagged ? (
-              <div className="empty">Loading...</div>
-            ) : flaggedEvents.length === 0 ? (
-              <div className="empty">No flagged events yet</div>
-            ) : (
-              <table className="events-table">
-                <thead>
-                  <tr>
-                    <th>Time</th>
-                    <th>TS_A</th>
-                    <th>TS_B</th>
-                    <th>Ctrl</th>
-                    <th>Tx</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {flaggedEvents.slice(0, 50).map((e, i) => (
-                    <tr key={i}>
-                      <td>{formatTime(e.timestamp)}</td>
-                      <td>{e.trustA ?? "—"}</td>
-                      <td>{e.trustB ?? "—"}</td>
-                      <td>{e.controller ?? (e.trustA >= e.trustB ? "A" : "B")}</td>
-                      <td>{e.txHash ? <a href={`${EXPLORER_BASE_URL}${e.txHash}`} target="_blank" rel="noreferrer">{short(e.txHash)}</a> : "—"}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            )}
-          </div>
-        </aside>
-      </main>
+      {route.name === "device" ? (
+        <DeviceView
+          key={`${route.deviceId}:${resync}`}
+          token={token}
+          deviceId={route.deviceId}
+          live={live[route.deviceId]}
+          liveFlagged={liveFlagged.filter(e => e.deviceId === route.deviceId)}
+          trustEventsKey={trustEventsVersion}
+          onUnauthorized={onLogout}
+        />
+      ) : (
+        <FleetOverview token={token} live={live} refreshKey={fleetVersion + resync} onUnauthorized={onLogout} />
+      )}
+
+      <IncidentPanel
+        token={token}
+        isAdmin={isAdmin}
+        username={session.user?.username}
+        deviceId={route.name === "device" ? route.deviceId : undefined}
+        refreshKey={incidentsVersion}
+        onUnauthorized={onLogout}
+      />
+
+      <ThresholdsPanel token={token} isAdmin={isAdmin} refreshKey={thresholdsVersion} onUnauthorized={onLogout} />
+
+      <TxPanel token={token} refreshKey={txVersion} onUnauthorized={onLogout} />
 
       <footer className="footer">
         <div>Gateway: {GATEWAY_URL}</div>
@@ -214,26 +202,20 @@ export default function App() {
   );
 }
 
-/* ---------- Small components & helpers ---------- */
+/* ---------- Routing ---------- */
 
-function Row({ label, children }) {
-  return (
-    <div className="row">
-      <div className="row-label">{label}</div>
-      <div className="row-value">{children}</div>
-    </div>
-  );
-}
-
-function short(s, len = 12) {
-  if (!s) return "";
-  if (s.length <= len) return s;
-  return s.slice(0, 8) + "…" + s.slice(-6);
+function parseHash(hash) {
+  const m = /^#\/devices\/([^/?]+)/.exec(hash || "");
+  if (m) return { name: "device", deviceId: decodeURIComponent(m[1]) };
+  return { name: "fleet" };
 }
 
-function formatTime(ts) {
-  if (!ts) return "—";
-  // ts might be seconds or ms
-  const ms = ts < 1e12 ? ts * 1000 : ts;
-  return new Date(ms).toLocaleTimeString();
+function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+  useEffect(() => {
+    const onChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+  return route;
 }
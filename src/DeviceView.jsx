@@ -0,0 +1,210 @@
+// src/DeviceView.jsx
+import React, { useEffect, useState, useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  CartesianGrid
+} from "recharts";
+import { apiFetch, EXPLORER_BASE_URL } from "./api";
+import { Row, short, formatTime, formatAge } from "./ui";
+import HistoryPanel from "./HistoryPanel";
+import TrustEventsPanel from "./TrustEventsPanel";
+
+const HISTORY_POINTS = 60; // points kept on the chart
+
+function toPoint(t) {
+  return {
+    eventId: t.eventId,
+    ts: t.timestamp || Date.now(),
+    label: new Date((t.timestamp && t.timestamp < 1e12 ? t.timestamp * 1000 : t.timestamp) || Date.now()).toLocaleTimeString(),
+    trustA: typeof t.trustA === "number" ? t.trustA : null,
+    trustB: typeof t.trustB === "number" ? t.trustB : null,
+    rpm: t.rpm ?? null
+  };
+}
+
+/*
+  One device (route #/devices/:deviceId):
+  - loads the device summary, its recent readings and flagged events from GET /devices/:deviceId
+  - live is the device's latest 'telemetry' socket message (kept by the dashboard), appended to the chart
+  - liveFlagged are 'flaggedEvent' socket messages for this device received since the dashboard connected
+  - HistoryPanel below covers longer ranges from the gateway's downsampled series
+  - TrustEventsPanel lists the group's on-chain TrustEvents from the gateway's index (reloaded on trustEventsKey)
+*/
+export default function DeviceView({ token, deviceId, live, liveFlagged, trustEventsKey, onUnauthorized }) {
+  const [device, setDevice] = useState(null);
+  const [latest, setLatest] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [flagged, setFlagged] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    setDevice(null);
+    setLatest(null);
+    setHistory([]);
+    setFlagged([]);
+    apiFetch(`/devices/${encodeURIComponent(deviceId)}`, { token })
+      .then(data => {
+        setDevice(data.device);
+        setHistory((data.readings || []).map(toPoint));
+        setLatest(data.readings && data.readings.length ? data.readings[data.readings.length - 1] : null);
+        setFlagged(data.flagged || []);
+      })
+      .catch(err => {
+        if (err.status === 401) return onUnauthorized();
+        setError(err.status === 404 ? `Unknown device ${deviceId}` : err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [token, deviceId, onUnauthorized]);
+
+  // live telemetry for this device
+  useEffect(() => {
+    if (!live || live.deviceId !== deviceId) return;
+    setLatest(live);
+    setHistory(prev => {
+      if (live.eventId !== undefined && prev.some(p => p.eventId === live.eventId)) return prev;
+      return [...prev, toPoint(live)].slice(-HISTORY_POINTS);
+    });
+  }, [live, deviceId]);
+
+  const flaggedEvents = useMemo(() => {
+    const seen = new Set(flagged.map(e => e.eventId));
+    return [...(liveFlagged || []).filter(e => !seen.has(e.eventId)), ...flagged];
+  }, [flagged, liveFlagged]);
+
+  const latestTxHash = useMemo(() => {
+    const found = flaggedEvents.find(e => e.txHash);
+    return found ? found.txHash : null;
+  }, [flaggedEvents]);
+
+  if (error) {
+    return (
+      <section className="panel">
+        <div className="empty">{error}</div>
+        <div className="small"><a href="#/">← Back to fleet</a></div>
+      </section>
+    );
+  }
+
+  return (
+    <>
+      <main className="main-grid">
+        <section className="left panel">
+          <div className="panel-header">
+            <div className="small"><a href="#/">← Fleet</a></div>
+            <h2>{deviceId}{device?.label ? ` · ${device.label}` : ""}</h2>
+            <div className="meta">
+              Group {device?.groupId ?? "—"} · threshold {device?.threshold ?? "—"} · {device?.status ?? "—"} · last seen {formatAge(device?.lastSeen)}
+            </div>
+          </div>
+
+          <div className="chart-area">
+            {loading ? (
+              <div className="empty">Loading...</div>
+            ) : history.length === 0 ? (
+              <div className="empty">Waiting for telemetry...</div>
+            ) : (
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={history}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#0b1220" />
+                  <XAxis dataKey="label" tick={{ fill: "#bcd3ff" }} />
+                  <YAxis domain={[0, 100]} tick={{ fill: "#bcd3ff" }} />
+                  <Tooltip wrapperStyle={{ background: "#071124", border: "1px solid #0f2a50" }} contentStyle={{ color: "#fff" }} />
+                  <Legend wrapperStyle={{ color: "#bcd3ff" }} />
+                  <Line type="monotone" dataKey="trustA" name="Trust A" stroke="#5cc8ff" strokeWidth={2} dot={false} />
+                  <Line type="monotone" dataKey="trustB" name="Trust B" stroke="#9be564" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          <div className="kpi-row">
+            <div className="kpi">
+              <div className="kpi-label">Active Controller</div>
+              <div className="kpi-value">{latest?.controller ?? "—"}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">Motor RPM</div>
+              <div className="kpi-value">{latest?.rpm ?? "—"}</div>
+            </div>
+            <div className="kpi">
+              <div className="kpi-label">Latest Tx</div>
+              <div className="kpi-value smalllink">
+                {latestTxHash ? <a href={`${EXPLORER_BASE_URL}${latestTxHash}`} target="_blank" rel="noreferrer">{short(latestTxHash)}</a> : "No tx yet"}
+              </div>
+            </div>
+          </div>
+        </section>
+
+        <aside className="right panel">
+          <div className="panel-header">
+            <h3>Live Telemetry</h3>
+            <div className="meta">Most recent reading</div>
+          </div>
+
+          <div className="telemetry">
+            <Row label="distA">{latest?.distA ?? "—"} cm</Row>
+            <Row label="TS_A">{latest?.trustA ?? "—"}</Row>
+            <Row label="distB">{latest?.distB ?? "—"} cm</Row>
+            <Row label="TS_B">{latest?.trustB ?? "—"}</Row>
+            <Row label="Gateway TS_A / TS_B">{latest?.gatewayTrustA ?? "—"} / {latest?.gatewayTrustB ?? "—"}</Row>
+            <Row label="Sensor checks">{latest?.crossIssues?.length ? <span className="flag">{latest.crossIssues.join(", ")}</span> : <span className="ok">OK</span>}</Row>
+            <Row label="Controller">{latest?.controller ?? "—"}</Row>
+            <Row label="Flagged">{latest?.flagged ? <span className="flag">YES</span> : <span className="ok">NO</span>}</Row>
+            <Row label="Payload Hash">{latest?.hash ? short(latest.hash) : "—"}</Row>
+          </div>
+
+          <div className="panel-header" style={{ marginTop: 12 }}>
+            <h3>Flagged Events</h3>
+            <div className="meta">Recent events of this device</div>
+          </div>
+
+          <div className="events-list">
+            {loading ? (
+              <div className="empty">Loading...</div>
+            ) : flaggedEvents.length === 0 ? (
+              <div className="empty">No flagged events yet</div>
+            ) : (
+              <table className="events-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>TS_A</th>
+                    <th>TS_B</th>
+                    <th>Ctrl</th>
+                    <th>Tx</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {flaggedEvents.slice(0, 50).map((e, i) => (
+                    <tr key={i}>
+                      <td>{formatTime(e.timestamp)}</td>
+                      <td>{e.trustA ?? "—"}</td>
+                      <td>{e.trustB ?? "—"}</td>
+                      <td>{e.controller ?? (e.trustA >= e.trustB ? "A" : "B")}</td>
+                      <td>{e.txHash ? <a href={`${EXPLORER_BASE_URL}${e.txHash}`} target="_blank" rel="noreferrer">{short(e.txHash)}</a> : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </aside>
+      </main>
+
+      <HistoryPanel token={token} deviceId={deviceId} onUnauthorized={onUnauthorized} />
+
+      {device?.groupId && (
+        <TrustEventsPanel token={token} groupId={device.groupId} refreshKey={trustEventsKey} onUnauthorized={onUnauthorized} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,168 @@
+// src/FleetOverview.jsx
+import React, { useEffect, useState, useMemo } from "react";
+import { apiFetch } from "./api";
+import { formatAge } from "./ui";
+
+const STALE_MS = 120 * 1000; // matches the gateway's FLEET_STALE_SEC default
+
+/*
+  Fleet overview (route #/):
+  - every device from GET /devices with its current trust, controller, last-seen time and flag status
+  - live holds the latest 'telemetry' socket message per device (with receivedAt), merged over the fetched rows
+  - filters: group, status (flagged / stale / registry status) and a free-text search over id, group and label
+*/
+export default function FleetOverview({ token, live, refreshKey, onUnauthorized }) {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState({ groupId: "", status: "", q: "" });
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    apiFetch("/devices", { token })
+      .then(data => {
+        setDevices(data.devices || []);
+        setError(null);
+      })
+      .catch(err => {
+        if (err.status === 401) return onUnauthorized();
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [token, refreshKey, onUnauthorized]);
+
+  // re-evaluate last-seen / stale every few seconds
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const rows = useMemo(() => {
+    const byId = new Map(devices.map(d => [d.deviceId, d]));
+    for (const t of Object.values(live || {})) {
+      const base = byId.get(t.deviceId) || { deviceId: t.deviceId, groupId: t.groupId, label: null, status: "unregistered" };
+      byId.set(t.deviceId, {
+        ...base,
+        groupId: base.groupId || t.groupId,
+        trustA: t.trustA,
+        trustB: t.trustB,
+        gatewayTrustA: t.gatewayTrustA,
+        gatewayTrustB: t.gatewayTrustB,
+        controller: t.controller,
+        flagged: !!t.flagged,
+        lastSeen: t.receivedAt
+      });
+    }
+    return [...byId.values()].map(d => ({ ...d, stale: !d.lastSeen || now - Date.parse(d.lastSeen) > STALE_MS }));
+  }, [devices, live, now]);
+
+  const groups = useMemo(() => [...new Set(rows.map(d => d.groupId || "ungrouped"))].sort(), [rows]);
+
+  const visible = useMemo(() => {
+    const needle = filter.q.trim().toLowerCase();
+    return rows
+      .filter(d => !filter.groupId || (d.groupId || "ungrouped") === filter.groupId)
+      .filter(d => {
+        if (!filter.status) return true;
+        if (filter.status === "flagged") return d.flagged;
+        if (filter.status === "stale") return d.stale;
+        return d.status === filter.status;
+      })
+      .filter(d => !needle || [d.deviceId, d.groupId, d.label].filter(Boolean).join(" ").toLowerCase().includes(needle))
+      .sort((a, b) => String(b.lastSeen || "").localeCompare(String(a.lastSeen || "")) || a.deviceId.localeCompare(b.deviceId));
+  }, [rows, filter]);
+
+  const groupStats = useMemo(() => groups.map(groupId => {
+    const members = rows.filter(d => (d.groupId || "ungrouped") === groupId);
+    return {
+      groupId,
+      devices: members.length,
+      flagged: members.filter(d => d.flagged).length,
+      stale: members.filter(d => d.stale).length
+    };
+  }), [groups, rows]);
+
+  return (
+    <section className="panel">
+      <div className="panel-header">
+        <h2>Fleet</h2>
+        <div className="meta">{rows.length} device(s) in {groups.length} group(s)</div>
+      </div>
+
+      <div className="kpi-row">
+        {groupStats.map(g => (
+          <button
+            key={g.groupId}
+            className={`kpi group-card ${filter.groupId === g.groupId ? "selected" : ""}`}
+            onClick={() => setFilter({ ...filter, groupId: filter.groupId === g.groupId ? "" : g.groupId })}
+          >
+            <div className="kpi-label">{g.groupId}</div>
+            <div className="kpi-value">{g.devices}</div>
+            <div className="small">
+              {g.flagged > 0 ? <span className="flag">{g.flagged} flagged</span> : <span className="ok">none flagged</span>}
+              {g.stale > 0 ? ` · ${g.stale} stale` : ""}
+            </div>
+          </button>
+        ))}
+      </div>
+
+      <div className="fleet-filters">
+        <input placeholder="Search device, group or label" value={filter.q} onChange={e => setFilter({ ...filter, q: e.target.value })} />
+        <select value={filter.groupId} onChange={e => setFilter({ ...filter, groupId: e.target.value })}>
+          <option value="">All groups</option>
+          {groups.map(g => <option key={g} value={g}>{g}</option>)}
+        </select>
+        <select value={filter.status} onChange={e => setFilter({ ...filter, status: e.target.value })}>
+          <option value="">Any status</option>
+          <option value="flagged">Flagged</option>
+          <option value="stale">Stale</option>
+          <option value="active">Active</option>
+          <option value="revoked">Revoked</option>
+          <option value="unregistered">Unregistered</option>
+        </select>
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      <div className="events-list fleet-list">
+        {loading ? (
+          <div className="empty">Loading...</div>
+        ) : visible.length === 0 ? (
+          <div className="empty">{rows.length === 0 ? "No devices yet" : "No devices match the filter"}</div>
+        ) : (
+          <table className="events-table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>Group</th>
+                <th>TS_A</th>
+                <th>TS_B</th>
+                <th>Gateway A / B</th>
+                <th>Ctrl</th>
+                <th>Last seen</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(d => (
+                <tr key={d.deviceId} className="clickable" onClick={() => { window.location.hash = `#/devices/${encodeURIComponent(d.deviceId)}`; }}>
+                  <td><a href={`#/devices/${encodeURIComponent(d.deviceId)}`}>{d.deviceId}</a>{d.label ? <div className="small">{d.label}</div> : null}</td>
+                  <td>{d.groupId ?? "—"}</td>
+                  <td>{d.trustA ?? "—"}</td>
+                  <td>{d.trustB ?? "—"}</td>
+                  <td>{d.gatewayTrustA ?? "—"} / {d.gatewayTrustB ?? "—"}</td>
+                  <td>{d.controller ?? "—"}</td>
+                  <td className={d.stale ? "flag" : ""}>{formatAge(d.lastSeen)}</td>
+                  <td>
+                    {d.flagged ? <span className="flag">FLAGGED</span> : <span className="ok">OK</span>}
+                    {d.status !== "active" ? <div className="small">{d.status}</div> : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+}
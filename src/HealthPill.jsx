@@ -0,0 +1,42 @@
+// src/HealthPill.jsx
+import React, { useEffect, useState } from "react";
+import { apiFetch } from "./api";
+
+const POLL_MS = 30000;
+
+/*
+  Header badge from GET /health/ready (polled every 30s):
+  - nothing while every dependency is ok; "Degraded: rpc, wallet" when some fail,
+    "Down: store" when a critical one does (the gateway answers 503 then)
+  - the title lists each failing check with its error
+  A gateway that does not answer at all is already shown by the Connected / Disconnected pill.
+*/
+export default function HealthPill() {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const poll = () => {
+      apiFetch("/health/ready")
+        .then(data => active && setReport(data))
+        .catch(err => active && setReport(err.data && err.data.checks ? err.data : null));
+    };
+    poll();
+    const timer = setInterval(poll, POLL_MS);
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }, []);
+
+  if (!report || report.status === "ok") return null;
+  const failing = report.failing || [];
+  return (
+    <div
+      className="status-pill bad"
+      title={failing.map(name => `${name}: ${report.checks[name].error}`).join("\n")}
+    >
+      {report.status === "down" ? "Down" : "Degraded"}: {failing.join(", ")}
+    </div>
+  );
+}
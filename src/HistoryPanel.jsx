@@ -0,0 +1,220 @@
+// src/HistoryPanel.jsx
+import React, { useEffect, useState, useCallback } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+  CartesianGrid,
+  ReferenceArea
+} from "recharts";
+import { apiFetch } from "./api";
+
+const PRESETS = [
+  { id: "1h", label: "1h", ms: 3600 * 1000 },
+  { id: "6h", label: "6h", ms: 6 * 3600 * 1000 },
+  { id: "24h", label: "24h", ms: 24 * 3600 * 1000 },
+  { id: "7d", label: "7d", ms: 7 * 24 * 3600 * 1000 },
+  { id: "30d", label: "30d", ms: 30 * 24 * 3600 * 1000 }
+];
+const BUCKETS = 240; // points per chart, whatever the range
+
+function toLocalInput(ms) {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+function tickLabel(ms, spanMs) {
+  const d = new Date(ms);
+  return spanMs > 2 * 24 * 3600 * 1000 ? d.toLocaleDateString() : d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+function toPoint(b) {
+  const avg = (f) => (b[f] ? b[f].avg : null);
+  return {
+    t: b.t,
+    count: b.count,
+    trustA: avg("trustA"),
+    trustB: avg("trustB"),
+    gatewayTrustA: avg("gatewayTrustA"),
+    gatewayTrustB: avg("gatewayTrustB"),
+    trustMin: b.trustA && b.trustB ? Math.min(b.trustA.min, b.trustB.min) : null,
+    distA: avg("distA"),
+    distB: avg("distB"),
+    rpm: avg("rpm"),
+    rpmMax: b.rpm ? b.rpm.max : null
+  };
+}
+
+/*
+  Historical trust, distances and RPM of one device (or group) from GET /events/series:
+  - range presets or a custom from/to; every fetch asks for BUCKETS min/max/avg buckets
+  - drag across any chart to zoom into that span (re-queried at finer resolution), "Reset zoom" goes back
+*/
+export default function HistoryPanel({ token, deviceId, groupId, onUnauthorized }) {
+  const [preset, setPreset] = useState("24h");
+  const [range, setRange] = useState(() => ({ from: Date.now() - PRESETS[2].ms, to: Date.now() }));
+  const [zoomStack, setZoomStack] = useState([]); // previous ranges, for "Reset zoom"
+  const [selecting, setSelecting] = useState(null); // { start, end } while dragging
+  const [points, setPoints] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ from: String(range.from), to: String(range.to), buckets: String(BUCKETS) });
+    if (deviceId) params.set("deviceId", deviceId);
+    if (groupId) params.set("groupId", groupId);
+    setLoading(true);
+    apiFetch(`/events/series?${params}`, { token })
+      .then(data => {
+        setPoints((data.buckets || []).map(toPoint));
+        setMeta({ count: data.count, bucketMs: data.bucketMs });
+        setError(null);
+      })
+      .catch(err => {
+        if (err.status === 401) return onUnauthorized();
+        setError((err.data && err.data.details) || err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [token, deviceId, groupId, range, onUnauthorized]);
+
+  const choosePreset = (p) => {
+    setPreset(p.id);
+    setZoomStack([]);
+    setRange({ from: Date.now() - p.ms, to: Date.now() });
+  };
+
+  const setCustom = (field, value) => {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) return;
+    setPreset("custom");
+    setZoomStack([]);
+    setRange(r => ({ ...r, [field]: ms }));
+  };
+
+  const finishSelection = useCallback(() => {
+    if (selecting && selecting.start !== undefined && selecting.end !== undefined && selecting.start !== selecting.end) {
+      const from = Math.min(selecting.start, selecting.end);
+      const to = Math.max(selecting.start, selecting.end);
+      setZoomStack(stack => [...stack, range]);
+      setRange({ from, to });
+    }
+    setSelecting(null);
+  }, [selecting, range]);
+
+  const resetZoom = () => {
+    if (zoomStack.length === 0) return;
+    setRange(zoomStack[0]);
+    setZoomStack([]);
+  };
+
+  const span = range.to - range.from;
+  const chartProps = {
+    data: points,
+    syncId: "history",
+    onMouseDown: (e) => e && e.activeLabel !== undefined && setSelecting({ start: e.activeLabel }),
+    onMouseMove: (e) => selecting && e && e.activeLabel !== undefined && setSelecting(s => ({ ...s, end: e.activeLabel })),
+    onMouseUp: finishSelection
+  };
+  const xAxis = (
+    <XAxis
+      dataKey="t"
+      type="number"
+      scale="time"
+      domain={[range.from, range.to]}
+      allowDataOverflow
+      tickFormatter={(v) => tickLabel(v, span)}
+      tick={{ fill: "#bcd3ff" }}
+    />
+  );
+  const tooltip = (
+    <Tooltip
+      wrapperStyle={{ background: "#071124", border: "1px solid #0f2a50" }}
+      contentStyle={{ color: "#fff" }}
+      labelFormatter={(v) => new Date(v).toLocaleString()}
+    />
+  );
+  const selection = selecting && selecting.end !== undefined
+    ? <ReferenceArea x1={selecting.start} x2={selecting.end} strokeOpacity={0.3} fill="#5cc8ff" fillOpacity={0.15} />
+    : null;
+
+  return (
+    <section className="panel history-panel">
+      <div className="panel-header">
+        <h3>History</h3>
+        <div className="meta">
+          {new Date(range.from).toLocaleString()} → {new Date(range.to).toLocaleString()}
+          {meta ? ` · ${meta.count} readings · ${Math.round(meta.bucketMs / 1000)}s buckets` : ""}
+          {loading ? " · loading…" : ""}
+        </div>
+      </div>
+
+      <div className="history-controls">
+        {PRESETS.map(p => (
+          <button key={p.id} className={`btn small ${preset === p.id ? "active" : ""}`} onClick={() => choosePreset(p)}>{p.label}</button>
+        ))}
+        <input type="datetime-local" value={toLocalInput(range.from)} onChange={e => setCustom("from", e.target.value)} />
+        <input type="datetime-local" value={toLocalInput(range.to)} onChange={e => setCustom("to", e.target.value)} />
+        <button className="btn small" disabled={zoomStack.length === 0} onClick={resetZoom}>Reset zoom</button>
+        <span className="small">Drag across a chart to zoom</span>
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      {points.length === 0 ? (
+        <div className="empty">{loading ? "Loading..." : "No readings in this range"}</div>
+      ) : (
+        <div className="history-charts">
+          <div className="row-label">Trust (bucket average; gateway scores dashed)</div>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart {...chartProps}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#0b1220" />
+              {xAxis}
+              <YAxis domain={[0, 100]} tick={{ fill: "#bcd3ff" }} />
+              {tooltip}
+              <Legend wrapperStyle={{ color: "#bcd3ff" }} />
+              <Line type="monotone" dataKey="trustA" name="Trust A" stroke="#5cc8ff" strokeWidth={2} dot={false} connectNulls />
+              <Line type="monotone" dataKey="trustB" name="Trust B" stroke="#9be564" strokeWidth={2} dot={false} connectNulls />
+              <Line type="monotone" dataKey="gatewayTrustA" name="Gateway A" stroke="#5cc8ff" strokeDasharray="4 3" dot={false} connectNulls />
+              <Line type="monotone" dataKey="gatewayTrustB" name="Gateway B" stroke="#9be564" strokeDasharray="4 3" dot={false} connectNulls />
+              <Line type="monotone" dataKey="trustMin" name="Min" stroke="#ff7b7b" strokeWidth={1} dot={false} connectNulls />
+              {selection}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div className="row-label">Distances (cm)</div>
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart {...chartProps}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#0b1220" />
+              {xAxis}
+              <YAxis tick={{ fill: "#bcd3ff" }} />
+              {tooltip}
+              <Legend wrapperStyle={{ color: "#bcd3ff" }} />
+              <Line type="monotone" dataKey="distA" name="distA" stroke="#5cc8ff" dot={false} connectNulls />
+              <Line type="monotone" dataKey="distB" name="distB" stroke="#9be564" dot={false} connectNulls />
+              {selection}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div className="row-label">Motor RPM</div>
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart {...chartProps}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#0b1220" />
+              {xAxis}
+              <YAxis tick={{ fill: "#bcd3ff" }} />
+              {tooltip}
+              <Legend wrapperStyle={{ color: "#bcd3ff" }} />
+              <Line type="monotone" dataKey="rpm" name="RPM (avg)" stroke="#ffd166" dot={false} connectNulls />
+              <Line type="monotone" dataKey="rpmMax" name="RPM (max)" stroke="#ffd166" strokeDasharray="4 3" dot={false} connectNulls />
+              {selection}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </section>
+  );
+}
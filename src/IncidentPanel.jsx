@@ -0,0 +1,153 @@
+// src/IncidentPanel.jsx
+import React, { useEffect, useState, useCallback } from "react";
+import { apiFetch } from "./api";
+import { Row, formatAge } from "./ui";
+
+const FILTERS = [
+  { id: "open,acknowledged", label: "Active" },
+  { id: "open", label: "Open" },
+  { id: "acknowledged", label: "Acknowledged" },
+  { id: "resolved", label: "Resolved" }
+];
+
+/*
+  Incidents (system alerts grouped per device and cause) from GET /incidents:
+  - status filter tabs; on a device page only that device's incidents are listed
+  - selecting an incident shows its notes and timeline; admins can acknowledge, assign, add notes and resolve
+  refreshKey is bumped by the dashboard on 'incident' socket events.
+*/
+export default function IncidentPanel({ token, isAdmin, username, deviceId, refreshKey, onUnauthorized }) {
+  const [filter, setFilter] = useState(FILTERS[0].id);
+  const [incidents, setIncidents] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [note, setNote] = useState("");
+  const [assignee, setAssignee] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) return onUnauthorized();
+    setError(err.message);
+  }, [onUnauthorized]);
+
+  const reload = useCallback(() => {
+    const params = new URLSearchParams({ status: filter, limit: "100" });
+    if (deviceId) params.set("deviceId", deviceId);
+    apiFetch(`/incidents?${params}`, { token })
+      .then(data => setIncidents(data.incidents || []))
+      .catch(handleError);
+  }, [token, filter, deviceId, handleError]);
+
+  useEffect(() => { reload(); }, [reload, refreshKey]);
+
+  const selected = incidents.find(i => i.id === selectedId) || null;
+
+  const act = (action, body = {}) => {
+    setBusy(true);
+    setError(null);
+    apiFetch(`/incidents/${selected.id}/${action}`, { token, method: "POST", body })
+      .then(() => {
+        setNote("");
+        setAssignee("");
+        reload();
+      })
+      .catch(handleError)
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <section className="panel incidents-panel">
+      <div className="panel-header">
+        <h3>Incidents</h3>
+        <div className="meta">
+          System alerts grouped per device and cause{deviceId ? ` · ${deviceId}` : ""} · resolved automatically after a sustained run of clean validations
+        </div>
+      </div>
+
+      <div className="history-controls">
+        {FILTERS.map(f => (
+          <button key={f.id} className={`btn small ${filter === f.id ? "active" : ""}`} onClick={() => setFilter(f.id)}>{f.label}</button>
+        ))}
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      <div className="incidents-grid">
+        <div className="events-list">
+          {incidents.length === 0 ? (
+            <div className="empty">No incidents</div>
+          ) : (
+            <table className="events-table">
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>Cause</th>
+                  <th>Status</th>
+                  <th>×</th>
+                  <th>Last seen</th>
+                  <th>Assignee</th>
+                </tr>
+              </thead>
+              <tbody>
+                {incidents.map(i => (
+                  <tr
+                    key={i.id}
+                    className={`clickable ${i.id === selectedId ? "selected" : ""}`}
+                    onClick={() => setSelectedId(i.id === selectedId ? null : i.id)}
+                  >
+                    <td><a href={`#/devices/${encodeURIComponent(i.deviceId)}`} onClick={e => e.stopPropagation()}>{i.deviceId}</a></td>
+                    <td className={i.action === "confirm_unreliable" ? "flag" : ""}>{i.cause}</td>
+                    <td className={i.status === "open" ? "flag" : i.status === "resolved" ? "ok" : ""}>{i.status}</td>
+                    <td>{i.occurrences}</td>
+                    <td>{formatAge(i.lastSeenAt)}</td>
+                    <td>{i.assignee || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          {!selected ? (
+            <div className="empty">Select an incident</div>
+          ) : (
+            <>
+              <Row label="Action">{selected.action}</Row>
+              <Row label="Opened">{new Date(selected.openedAt).toLocaleString()}</Row>
+              <Row label="Group">{selected.groupId ?? "—"}</Row>
+              {selected.acknowledgedAt && <Row label="Acknowledged">{selected.acknowledgedBy} · {formatAge(selected.acknowledgedAt)}</Row>}
+              {selected.resolvedAt && <Row label="Resolved">{selected.resolvedBy} ({selected.resolution}) · {formatAge(selected.resolvedAt)}</Row>}
+
+              {isAdmin && selected.status !== "resolved" && (
+                <div className="incident-actions">
+                  {selected.status === "open" && <button className="btn small" disabled={busy} onClick={() => act("ack")}>Acknowledge</button>}
+                  <button className="btn small" disabled={busy} onClick={() => act("resolve", { note: note || undefined })}>Resolve</button>
+                  <button className="btn small" disabled={busy || selected.assignee === username} onClick={() => act("assign", { assignee: username })}>Assign to me</button>
+                  <input placeholder="assignee" value={assignee} onChange={e => setAssignee(e.target.value)} />
+                  <button className="btn small" disabled={busy || !assignee.trim()} onClick={() => act("assign", { assignee })}>Assign</button>
+                </div>
+              )}
+              {isAdmin && (
+                <div className="incident-actions">
+                  <input placeholder="note" value={note} onChange={e => setNote(e.target.value)} />
+                  <button className="btn small" disabled={busy || !note.trim()} onClick={() => act("notes", { text: note })}>Add note</button>
+                </div>
+              )}
+
+              <div className="row-label">Notes</div>
+              {selected.notes.length === 0 ? <div className="small">No notes</div> : selected.notes.map(n => (
+                <div className="small" key={n.id}><b>{n.author}</b> · {new Date(n.at).toLocaleString()}: {n.text}</div>
+              ))}
+
+              <div className="row-label">Timeline</div>
+              {selected.timeline.map((e, idx) => (
+                <div className="small" key={idx}>{new Date(e.at).toLocaleString()} · {e.type} by {e.actor}{e.detail ? ` (${e.detail})` : ""}</div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,47 @@
+// src/Login.jsx
+import React, { useState } from "react";
+import { login } from "./api";
+
+export default function Login({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const session = await login(username, password);
+      onLogin(session);
+    } catch (err) {
+      setError(err.status === 401 ? "Invalid username or password" : `Login failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="app-root login-root">
+      <form className="panel login-panel" onSubmit={submit}>
+        <div className="brand">
+          <h1>TrustScore Monitor</h1>
+          <span className="subtitle">Sign in with your gateway operator account</span>
+        </div>
+        <label className="field">
+          <span className="row-label">Username</span>
+          <input value={username} onChange={e => setUsername(e.target.value)} autoComplete="username" autoFocus />
+        </label>
+        <label className="field">
+          <span className="row-label">Password</span>
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} autoComplete="current-password" />
+        </label>
+        {error && <div className="flag">{error}</div>}
+        <button className="btn" type="submit" disabled={busy || !username || !password}>
+          {busy ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+// src/ThresholdsPanel.jsx
+import React, { useEffect, useState, useCallback } from "react";
+import { apiFetch } from "./api";
+
+/*
+  Per-group trust thresholds:
+  - viewers see current values, pending system proposals and the recent change history
+  - admins can set / reset a group's threshold and approve or reject proposals
+  refreshKey is bumped by the dashboard on threshold_update / threshold_proposal socket events.
+*/
+export default function ThresholdsPanel({ token, isAdmin, refreshKey, onUnauthorized }) {
+  const [data, setData] = useState({ thresholds: {}, default: null });
+  const [proposals, setProposals] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [form, setForm] = useState({ groupId: "", threshold: "", reason: "" });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleError = useCallback((err) => {
+    if (err.status === 401) return onUnauthorized();
+    setError(err.message);
+  }, [onUnauthorized]);
+
+  const reload = useCallback(() => {
+    Promise.all([
+      apiFetch("/thresholds", { token }),
+      apiFetch("/thresholds/proposals?status=pending", { token }),
+      apiFetch("/thresholds/history?limit=20", { token })
+    ])
+      .then(([t, p, h]) => {
+        setData(t);
+        setProposals(p.proposals || []);
+        setHistory(h.history || []);
+      })
+      .catch(handleError);
+  }, [token, handleError]);
+
+  useEffect(() => { reload(); }, [reload, refreshKey]);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fn();
+      reload();
+    } catch (err) {
+      handleError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await apiFetch(`/thresholds/${encodeURIComponent(form.groupId)}`, {
+        token,
+        method: "PUT",
+        body: { threshold: Number(form.threshold), reason: form.reason || undefined }
+      });
+      setForm({ groupId: "", threshold: "", reason: "" });
+    });
+  };
+
+  const reset = (groupId) => run(() =>
+    apiFetch(`/thresholds/${encodeURIComponent(groupId)}`, { token, method: "DELETE", body: { reason: "reset to default" } })
+  );
+
+  const decide = (id, action) => run(() =>
+    apiFetch(`/thresholds/proposals/${id}/${action}`, { token, method: "POST", body: {} })
+  );
+
+  const groups = Object.entries(data.thresholds || {});
+
+  return (
+    <section className="panel thresholds-panel">
+      <div className="panel-header">
+        <h3>Thresholds</h3>
+        <div className="meta">Default: {data.default ?? "—"} · per-group overrides and system proposals</div>
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      <div className="thresholds-grid">
+        <div>
+          <table className="events-table">
+            <thead>
+              <tr>
+                <th>Group</th>
+                <th>Threshold</th>
+                {isAdmin && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {groups.length === 0 ? (
+                <tr><td colSpan={3}>No overrides — all groups use the default</td></tr>
+              ) : groups.map(([groupId, value]) => (
+                <tr key={groupId}>
+                  <td>{groupId}</td>
+                  <td>{value}</td>
+                  {isAdmin && (
+                    <td>
+                      <button className="btn small" disabled={busy} onClick={() => setForm({ groupId, threshold: String(value), reason: "" })}>Edit</button>{" "}
+                      <button className="btn small" disabled={busy} onClick={() => reset(groupId)}>Reset</button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {isAdmin && (
+            <form className="threshold-form" onSubmit={save}>
+              <input placeholder="group id" value={form.groupId} onChange={e => setForm({ ...form, groupId: e.target.value })} />
+              <input type="number" min="0" max="100" placeholder="0-100" value={form.threshold} onChange={e => setForm({ ...form, threshold: e.target.value })} />
+              <input placeholder="reason" value={form.reason} onChange={e => setForm({ ...form, reason: e.target.value })} />
+              <button className="btn small" type="submit" disabled={busy || !form.groupId || form.threshold === ""}>Save</button>
+            </form>
+          )}
+        </div>
+
+        <div>
+          <div className="row-label">Pending proposals</div>
+          {proposals.length === 0 ? (
+            <div className="empty">No pending proposals</div>
+          ) : proposals.map(p => (
+            <div className="row" key={p.id}>
+              <div>
+                <div>{p.groupId}: {p.current} → <b>{p.proposed}</b></div>
+                <div className="small">{p.reason || "system validation"} · {p.deviceId || "—"} · ×{p.occurrences}</div>
+              </div>
+              {isAdmin && (
+                <div className="user-row">
+                  <button className="btn small" disabled={busy} onClick={() => decide(p.id, "approve")}>Approve</button>
+                  <button className="btn small" disabled={busy} onClick={() => decide(p.id, "reject")}>Reject</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <div className="row-label">Recent changes</div>
+          <div className="events-list">
+            {history.length === 0 ? (
+              <div className="empty">No changes yet</div>
+            ) : (
+              <table className="events-table">
+                <tbody>
+                  {history.map(h => (
+                    <tr key={h.id}>
+                      <td>{new Date(h.at).toLocaleString()}</td>
+                      <td>{h.groupId}</td>
+                      <td>{h.before ?? "default"} → {h.after ?? "default"}</td>
+                      <td title={h.reason || ""}>{h.actor}{h.source === "proposal" ? " (proposal)" : ""}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
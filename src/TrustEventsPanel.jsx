@@ -0,0 +1,74 @@
+// src/TrustEventsPanel.jsx
+import React, { useEffect, useState, useCallback } from "react";
+import { apiFetch, EXPLORER_BASE_URL } from "./api";
+import { short, formatTime, formatAge } from "./ui";
+
+/*
+  On-chain TrustEvents of one group from GET /groups/:groupId/trust-events:
+  - read from the gateway's TrustEvent index (no chain query per view), newest first
+  - the header shows how far the index has got (checkpoint block, lag behind the head)
+  refreshKey is bumped by the dashboard on 'trust_events' socket events.
+*/
+export default function TrustEventsPanel({ token, groupId, refreshKey, onUnauthorized }) {
+  const [events, setEvents] = useState([]);
+  const [indexer, setIndexer] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => {
+    apiFetch(`/groups/${encodeURIComponent(groupId)}/trust-events?limit=25`, { token })
+      .then(data => {
+        setEvents((data.events || []).slice().reverse());
+        setIndexer(data.indexer || null);
+        setError(null);
+      })
+      .catch(err => (err.status === 401 ? onUnauthorized() : setError(err.message)));
+  }, [token, groupId, onUnauthorized]);
+
+  useEffect(() => { reload(); }, [reload, refreshKey]);
+
+  return (
+    <section className="panel trust-events-panel">
+      <div className="panel-header">
+        <h3>On-chain trust events · {groupId}</h3>
+        <div className="meta">
+          {indexer && indexer.block !== null
+            ? `Indexed to block ${indexer.block}${indexer.lag ? ` (${indexer.lag} behind)` : ""} · synced ${formatAge(indexer.lastRunAt)}`
+            : "Index not running"}
+        </div>
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      {events.length === 0 ? (
+        <div className="empty">No TrustEvents on chain for this group</div>
+      ) : (
+        <table className="events-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Old TS</th>
+              <th>New TS</th>
+              <th>Reason</th>
+              <th>Block</th>
+              <th>Tx</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(e => (
+              <tr key={e.txHash}>
+                <td>{formatTime(e.ts)}</td>
+                <td>{e.oldTS}</td>
+                <td>{e.newTS}</td>
+                <td>{e.reason}</td>
+                <td>{e.blockNumber}</td>
+                <td title={e.emitter ? `sent by ${e.emitter}` : ""}>
+                  <a href={`${EXPLORER_BASE_URL}${e.txHash}`} target="_blank" rel="noreferrer">{short(e.txHash)}</a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,76 @@
+// src/TxPanel.jsx
+import React, { useEffect, useState, useCallback } from "react";
+import { apiFetch } from "./api";
+import { short, formatAge } from "./ui";
+
+const STATUS_CLASS = { confirmed: "ok", failed: "flag", dropped: "flag" };
+
+/*
+  Chain writes of the gateway signer from GET /chain/txs:
+  - every anchoring / registry tx with its status: pending -> mined (x/N confirmations) -> confirmed,
+    or failed / dropped; bumps counts fee-bumped re-broadcasts of a stuck tx
+  refreshKey is bumped by the dashboard on 'tx_status' socket events.
+*/
+export default function TxPanel({ token, refreshKey, onUnauthorized }) {
+  const [txs, setTxs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(() => {
+    apiFetch("/chain/txs?limit=25", { token })
+      .then(data => {
+        setTxs(data.txs || []);
+        setStats(data.stats || null);
+        setError(null);
+      })
+      .catch(err => (err.status === 401 ? onUnauthorized() : setError(err.message)));
+  }, [token, onUnauthorized]);
+
+  useEffect(() => { reload(); }, [reload, refreshKey]);
+
+  return (
+    <section className="panel tx-panel">
+      <div className="panel-header">
+        <h3>Chain transactions</h3>
+        <div className="meta">
+          {stats && stats.signer
+            ? `Signer ${short(stats.signer)} · ${stats.confirmations} confirmation(s) required · ${stats.inFlight} in flight`
+            : "On-chain writes disabled"}
+        </div>
+      </div>
+
+      {error && <div className="flag">{error}</div>}
+
+      {txs.length === 0 ? (
+        <div className="empty">No transactions yet</div>
+      ) : (
+        <table className="events-table">
+          <thead>
+            <tr>
+              <th>Kind</th>
+              <th>Status</th>
+              <th>Nonce</th>
+              <th>Tx</th>
+              <th>Bumps</th>
+              <th>Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {txs.map(tx => (
+              <tr key={tx.id}>
+                <td>{tx.kind}</td>
+                <td className={STATUS_CLASS[tx.status] || ""} title={tx.error || ""}>
+                  {tx.status}{tx.status === "mined" ? ` (${tx.confirmations}/${tx.required})` : ""}
+                </td>
+                <td>{tx.nonce}</td>
+                <td title={tx.hash}>{short(tx.hash)}</td>
+                <td>{tx.bumps || "—"}</td>
+                <td>{formatAge(tx.updatedAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,49 @@
+// src/api.js
+// Gateway REST helpers: base URL, the stored operator session and authenticated fetch.
+
+export const GATEWAY_URL = "http://localhost:3000"; // <-- change to your gateway URL/IP if needed
+export const EXPLORER_BASE_URL = "https://sepolia.etherscan.io/tx/"; // or blockscout link if you prefer
+
+const SESSION_KEY = "tsmonitor.session";
+
+export function loadSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    if (!s || !s.token || (s.expiresAt && Date.parse(s.expiresAt) <= Date.now())) return null;
+    return s;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// fetch JSON from the gateway; non-2xx responses throw an Error carrying .status
+export async function apiFetch(path, { token, method = "GET", body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const res = await fetch(`${GATEWAY_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error((data && data.error) || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export function login(username, password) {
+  return apiFetch("/auth/login", { method: "POST", body: { username, password } });
+}
@@ -0,0 +1,35 @@
+// src/ui.jsx
+// Small presentational helpers shared by the dashboard views.
+import React from "react";
+
+export function Row({ label, children }) {
+  return (
+    <div className="row">
+      <div className="row-label">{label}</div>
+      <div className="row-value">{children}</div>
+    </div>
+  );
+}
+
+export function short(s, len = 12) {
+  if (!s) return "";
+  if (s.length <= len) return s;
+  return s.slice(0, 8) + "…" + s.slice(-6);
+}
+
+export function formatTime(ts) {
+  if (!ts) return "—";
+  // ts might be seconds or ms
+  const ms = ts < 1e12 ? ts * 1000 : ts;
+  return new Date(ms).toLocaleTimeString();
+}
+
+// "12s ago" style age of an ISO timestamp
+export function formatAge(iso) {
+  if (!iso) return "never";
+  const sec = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 1000));
+  if (sec < 60) return `${sec}s ago`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h ago`;
+  return new Date(iso).toLocaleDateString();
+}